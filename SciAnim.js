@@ -21,14 +21,59 @@ const SciAnim = (() => {
         return ((value - inMin) * (outMax - outMin)) / (inMax - inMin) + outMin;
     }
 
+    // CSS named colours, as name:rrggbb.
+    const NAMED_COLORS = new Map((
+        'aliceblue:f0f8ff antiquewhite:faebd7 aqua:00ffff aquamarine:7fffd4 azure:f0ffff beige:f5f5dc bisque:ffe4c4 ' +
+        'black:000000 blanchedalmond:ffebcd blue:0000ff blueviolet:8a2be2 brown:a52a2a burlywood:deb887 ' +
+        'cadetblue:5f9ea0 chartreuse:7fff00 chocolate:d2691e coral:ff7f50 cornflowerblue:6495ed cornsilk:fff8dc ' +
+        'crimson:dc143c cyan:00ffff darkblue:00008b darkcyan:008b8b darkgoldenrod:b8860b darkgray:a9a9a9 ' +
+        'darkgreen:006400 darkgrey:a9a9a9 darkkhaki:bdb76b darkmagenta:8b008b darkolivegreen:556b2f darkorange:ff8c00 ' +
+        'darkorchid:9932cc darkred:8b0000 darksalmon:e9967a darkseagreen:8fbc8f darkslateblue:483d8b ' +
+        'darkslategray:2f4f4f darkslategrey:2f4f4f darkturquoise:00ced1 darkviolet:9400d3 deeppink:ff1493 ' +
+        'deepskyblue:00bfff dimgray:696969 dimgrey:696969 dodgerblue:1e90ff firebrick:b22222 floralwhite:fffaf0 ' +
+        'forestgreen:228b22 fuchsia:ff00ff gainsboro:dcdcdc ghostwhite:f8f8ff gold:ffd700 goldenrod:daa520 gray:808080 ' +
+        'green:008000 greenyellow:adff2f grey:808080 honeydew:f0fff0 hotpink:ff69b4 indianred:cd5c5c indigo:4b0082 ' +
+        'ivory:fffff0 khaki:f0e68c lavender:e6e6fa lavenderblush:fff0f5 lawngreen:7cfc00 lemonchiffon:fffacd ' +
+        'lightblue:add8e6 lightcoral:f08080 lightcyan:e0ffff lightgoldenrodyellow:fafad2 lightgray:d3d3d3 ' +
+        'lightgreen:90ee90 lightgrey:d3d3d3 lightpink:ffb6c1 lightsalmon:ffa07a lightseagreen:20b2aa ' +
+        'lightskyblue:87cefa lightslategray:778899 lightslategrey:778899 lightsteelblue:b0c4de lightyellow:ffffe0 ' +
+        'lime:00ff00 limegreen:32cd32 linen:faf0e6 magenta:ff00ff maroon:800000 mediumaquamarine:66cdaa ' +
+        'mediumblue:0000cd mediumorchid:ba55d3 mediumpurple:9370db mediumseagreen:3cb371 mediumslateblue:7b68ee ' +
+        'mediumspringgreen:00fa9a mediumturquoise:48d1cc mediumvioletred:c71585 midnightblue:191970 mintcream:f5fffa ' +
+        'mistyrose:ffe4e1 moccasin:ffe4b5 navajowhite:ffdead navy:000080 oldlace:fdf5e6 olive:808000 olivedrab:6b8e23 ' +
+        'orange:ffa500 orangered:ff4500 orchid:da70d6 palegoldenrod:eee8aa palegreen:98fb98 paleturquoise:afeeee ' +
+        'palevioletred:db7093 papayawhip:ffefd5 peachpuff:ffdab9 peru:cd853f pink:ffc0cb plum:dda0dd powderblue:b0e0e6 ' +
+        'purple:800080 rebeccapurple:663399 red:ff0000 rosybrown:bc8f8f royalblue:4169e1 saddlebrown:8b4513 ' +
+        'salmon:fa8072 sandybrown:f4a460 seagreen:2e8b57 seashell:fff5ee sienna:a0522d silver:c0c0c0 skyblue:87ceeb ' +
+        'slateblue:6a5acd slategray:708090 slategrey:708090 snow:fffafa springgreen:00ff7f steelblue:4682b4 tan:d2b48c ' +
+        'teal:008080 thistle:d8bfd8 tomato:ff6347 turquoise:40e0d0 violet:ee82ee wheat:f5deb3 white:ffffff ' +
+        'whitesmoke:f5f5f5 yellow:ffff00 yellowgreen:9acd32'
+    ).split(' ').map(entry => entry.split(':')));
+
+    // Number in a colour function: `percent` is the value of 100%, `angle` enables angle units (degrees by default).
+    function parseColorNumber(token, percent, angle = false) {
+        if (token === 'none') return 0;
+        const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|rad|grad|turn)?$/.exec(token);
+        if (!match) return NaN;
+        const value = parseFloat(match[1]);
+        const unit = match[2];
+        if (unit === '%') return value / 100 * percent;
+        if (!unit) return value;
+        if (!angle) return NaN;
+        return unit === 'deg' ? value : unit === 'rad' ? radToDeg(value) : unit === 'grad' ? value * 0.9 : value * 360;
+    }
+
     function parseColor(colorStr) {
         if (typeof colorStr !== 'string') return null;
-        colorStr = colorStr.trim();
+        colorStr = colorStr.trim().toLowerCase();
+        if (colorStr === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+        if (NAMED_COLORS.has(colorStr)) colorStr = '#' + NAMED_COLORS.get(colorStr);
 
         // HEX: #RGB, #RRGGBB, #RGBA, #RRGGBBAA
         if (colorStr.startsWith('#')) {
             let hex = colorStr.slice(1);
             let alpha = 1;
+            if (!/^[0-9a-f]+$/.test(hex)) return null;
             if (hex.length === 3) { // #RGB
                 hex = hex[0] + hex[0] + hex[1] + hex[1] + hex[2] + hex[2];
             } else if (hex.length === 4) { // #RGBA
@@ -50,32 +95,777 @@ const SciAnim = (() => {
             return null; // Invalid hex
         }
 
-        // RGB / RGBA: rgb(r,g,b) or rgba(r,g,b,a)
-        if (colorStr.startsWith('rgb')) {
-            const result = /rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/i.exec(colorStr);
-            if (!result) return null;
-            return {
-                r: parseInt(result[1]),
-                g: parseInt(result[2]),
-                b: parseInt(result[3]),
-                a: result[4] !== undefined ? parseFloat(result[4]) : 1
-            };
+        // Functions: rgb(), rgba(), hsl(), hsla(), oklab(), oklch(), in the legacy comma-separated form
+        // "rgba(255, 0, 0, 0.5)" or the modern form "rgb(255 0 0 / 50%)"
+        const call = /^(rgba?|hsla?|oklab|oklch)\(\s*([^()]*?)\s*\)$/.exec(colorStr);
+        if (!call) return null;
+        const [, name, body] = call;
+        let args, alphaToken;
+        if (body.includes(',')) {
+            args = body.split(/\s*,\s*/);
+            if (args.length === 4) alphaToken = args.pop();
+        } else {
+            const [channels, alpha, extra] = body.split(/\s*\/\s*/);
+            if (extra !== undefined) return null;
+            args = channels.split(/\s+/);
+            alphaToken = alpha;
         }
-        return null;
+        if (args.length !== 3) return null;
+        const a = alphaToken === undefined ? 1 : parseColorNumber(alphaToken, 1);
+
+        let rgb;
+        if (name.startsWith('rgb')) {
+            const [r, g, b] = args.map(token => parseColorNumber(token, 255));
+            rgb = { r, g, b };
+        } else if (name.startsWith('hsl')) {
+            const h = parseColorNumber(args[0], 360, true);
+            // Saturation and lightness are percentages; the modern syntax also allows plain numbers (0 to 100)
+            const [sat, light] = args.slice(1).map(token => Math.min(Math.max(parseColorNumber(token, 100) / 100, 0), 1));
+            rgb = hslToRgb([h, sat, light]);
+        } else if (name === 'oklab') {
+            rgb = oklabToRgb([parseColorNumber(args[0], 1), parseColorNumber(args[1], 0.4), parseColorNumber(args[2], 0.4)]);
+        } else {
+            rgb = oklchToRgb([parseColorNumber(args[0], 1), parseColorNumber(args[1], 0.4), parseColorNumber(args[2], 360, true)]);
+        }
+        const channels = [rgb.r, rgb.g, rgb.b, a];
+        if (!channels.every(Number.isFinite)) return null;
+        const clamp = (v, max) => Math.min(Math.max(v, 0), max);
+        return { r: Math.round(clamp(rgb.r, 255)), g: Math.round(clamp(rgb.g, 255)), b: Math.round(clamp(rgb.b, 255)), a: clamp(a, 1) };
+    }
+
+    // COLOUR SPACES
+    // Conversions from and to sRGB ({ r, g, b } in 0-255) for interpolation. HSL is [h (degrees), s, l (0 to 1)];
+    // OKLab is [L, a, b] and OKLCH [L, C, h (degrees)], after Björn Ottosson's perceptual colour space.
+    function hslToRgb([h, s, l]) {
+        h = ((h % 360) + 360) % 360;
+        const k = n => (n + h / 30) % 12;
+        const chroma = s * Math.min(l, 1 - l);
+        const channel = n => 255 * (l - chroma * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1)));
+        return { r: channel(0), g: channel(8), b: channel(4) };
+    }
+
+    function rgbToHsl({ r, g, b }) {
+        [r, g, b] = [r / 255, g / 255, b / 255];
+        const max = Math.max(r, g, b), min = Math.min(r, g, b);
+        const l = (max + min) / 2, d = max - min;
+        if (d === 0) return [0, 0, l];
+        const s = d / (1 - Math.abs(2 * l - 1));
+        const h = max === r ? ((g - b) / d + 6) % 6 : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+        return [h * 60, s, l];
+    }
+
+    function rgbToOklab({ r, g, b }) {
+        const linear = c => (c /= 255) <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        [r, g, b] = [linear(r), linear(g), linear(b)];
+        const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+        const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+        const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+        return [
+            0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+            1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+            0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+        ];
+    }
+
+    // Colours outside the sRGB gamut are clipped channel by channel.
+    function oklabToRgb([L, a, b]) {
+        const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+        const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+        const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+        const encode = c => {
+            c = Math.min(Math.max(c, 0), 1);
+            return 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+        };
+        return {
+            r: encode(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+            g: encode(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+            b: encode(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s),
+        };
     }
 
-    function interpolateColor(color1, color2, factor) {
+    function rgbToOklch(rgb) {
+        const [L, a, b] = rgbToOklab(rgb);
+        return [L, Math.hypot(a, b), (radToDeg(Math.atan2(b, a)) + 360) % 360];
+    }
+
+    function oklchToRgb([L, C, h]) {
+        return oklabToRgb([L, C * Math.cos(degToRad(h)), C * Math.sin(degToRad(h))]);
+    }
+
+    // Spaces interpolateColor() can blend in. `hue` is the index of a hue angle (blended the short way round),
+    // `chroma` the index of the component that makes the hue meaningless when it is zero.
+    const COLOR_SPACES = {
+        rgb: { to: ({ r, g, b }) => [r, g, b], from: ([r, g, b]) => ({ r, g, b }) },
+        hsl: { to: rgbToHsl, from: hslToRgb, hue: 0, chroma: 1 },
+        oklab: { to: rgbToOklab, from: oklabToRgb },
+        oklch: { to: rgbToOklch, from: oklchToRgb, hue: 2, chroma: 1 },
+    };
+
+    function colorSpaceFor(space) {
+        const entry = COLOR_SPACES[space];
+        if (!entry) throw new Error(`Unknown colour space '${space}'. Use one of: ${Object.keys(COLOR_SPACES).join(', ')}`);
+        return entry;
+    }
+
+    // Blends two CSS colours; `space` is 'rgb' (default), 'hsl', 'oklab' or 'oklch'. Returns an rgba() string.
+    function interpolateColor(color1, color2, factor, space = 'rgb') {
         const c1 = parseColor(color1);
         const c2 = parseColor(color2);
         if (!c1 || !c2) return color1; // Fallback
 
-        const r = Math.round(c1.r + factor * (c2.r - c1.r));
-        const g = Math.round(c1.g + factor * (c2.g - c1.g));
-        const b = Math.round(c1.b + factor * (c2.b - c1.b));
+        const { to, from, hue, chroma } = colorSpaceFor(space);
+        const v1 = to(c1), v2 = to(c2);
+        if (hue !== undefined) {
+            // A grey has no hue of its own: take the other colour's, so e.g. grey to red does not sweep through blue
+            if (v1[chroma] < 1e-4) v1[hue] = v2[hue];
+            if (v2[chroma] < 1e-4) v2[hue] = v1[hue];
+            v2[hue] = v1[hue] + ((((v2[hue] - v1[hue]) % 360) + 540) % 360 - 180);
+        }
+        const mixed = v1.map((v, i) => v + factor * (v2[i] - v));
+        if (hue !== undefined) mixed[hue] = ((mixed[hue] % 360) + 360) % 360;
+        const rgb = from(mixed);
+        const channel = v => Math.round(Math.min(Math.max(v, 0), 255));
         const a = c1.a + factor * (c2.a - c1.a);
-        return `rgba(${r},${g},${b},${parseFloat(a.toFixed(3))})`;
+        return `rgba(${channel(rgb.r)},${channel(rgb.g)},${channel(rgb.b)},${parseFloat(a.toFixed(3))})`;
+    }
+
+    // Colour at position t (0 to 1) of a gradient through evenly spaced colour stops.
+    function gradientColor(colors, t) {
+        if (colors.length === 1) return colors[0];
+        const scaled = Math.min(Math.max(Number.isFinite(t) ? t : 0, 0), 1) * (colors.length - 1);
+        const i = Math.min(Math.floor(scaled), colors.length - 2);
+        return interpolateColor(colors[i], colors[i + 1], scaled - i);
+    }
+
+    // Colormaps as evenly spaced colour stops: the perceptually uniform viridis, magma, plasma and cividis
+    // (as in matplotlib) and the diverging coolwarm, which is light grey in the middle.
+    const COLORMAPS = {
+        viridis: ['#440154', '#482475', '#414487', '#355f8d', '#2a788e', '#21918c', '#22a884', '#44bf70', '#7ad151', '#bddf26', '#fde725'],
+        magma: ['#000004', '#140e36', '#3b0f70', '#641a80', '#8c2981', '#b73779', '#de4968', '#f7705c', '#fe9f6d', '#fecf92', '#fcfdbf'],
+        plasma: ['#0d0887', '#41049d', '#6a00a8', '#8f0da4', '#b12a90', '#cc4778', '#e16462', '#f2844b', '#fca636', '#fcce25', '#f0f921'],
+        cividis: ['#00224e', '#123570', '#3b496c', '#575d6d', '#707173', '#8a8678', '#a59c74', '#c3b369', '#e1cc55', '#fee838'],
+        coolwarm: ['#3b4cc0', '#5977e3', '#7b9ff9', '#9ebeff', '#c0d4f5', '#dddcdc', '#f2cbb7', '#f7ac8e', '#ee8468', '#d65244', '#b40426'],
+    };
+
+    // Colour stops of a colormap given by name or as an array of colours.
+    function colormapStops(colormap) {
+        if (Array.isArray(colormap)) return colormap;
+        const stops = COLORMAPS[String(colormap).toLowerCase()];
+        if (!stops) throw new Error(`Unknown colormap '${colormap}'. Use one of: ${Object.keys(COLORMAPS).join(', ')}, or an array of colours.`);
+        return stops;
+    }
+
+    // Colour of a colormap at t (0 to 1).
+    function colormapColor(colormap, t) {
+        return gradientColor(colormapStops(colormap), t);
+    }
+
+    // 256-entry RGB lookup table (r, g, b bytes) for filling pixel buffers, cached per colormap.
+    const colormapTables = new Map();
+    function colormapTable(colormap) {
+        const stops = colormapStops(colormap);
+        let table = colormapTables.get(stops);
+        if (!table) {
+            table = new Uint8ClampedArray(256 * 3);
+            for (let i = 0; i < 256; i++) {
+                const { r, g, b } = parseColor(gradientColor(stops, i / 255)) || { r: 0, g: 0, b: 0 };
+                table.set([r, g, b], i * 3);
+            }
+            if (!Array.isArray(colormap)) colormapTables.set(stops, table); // Arrays may be edited in place
+        }
+        return table;
+    }
+
+    // Small seeded PRNG (mulberry32) returning floats in [0, 1), so random-looking effects replay identically.
+    function createRandom(seed = 1) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Step of about `span / targetCount` rounded to 1, 2 or 5 times a power of ten.
+    function niceStep(span, targetCount = 10) {
+        const raw = Math.abs(span) / Math.max(1, targetCount);
+        if (!(raw > 0) || !Number.isFinite(raw)) return 1;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+        const normalized = raw / magnitude;
+        return (normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10) * magnitude;
+    }
+
+    // [min, max] of some numbers ([Infinity, -Infinity] for none), in a loop: spreading a large dataset into
+    // Math.min() overflows the stack.
+    function extentOf(values) {
+        let min = Infinity, max = -Infinity;
+        for (const value of values) {
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+        return [min, max];
+    }
+
+    // Splits one CSV line, honouring double-quoted fields ("a,b" and "" escapes).
+    function splitCSVLine(line, delimiter) {
+        const cells = [];
+        let cell = '', quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quoted) {
+                if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+                else if (ch === '"') quoted = false;
+                else cell += ch;
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (delimiter === ' ' ? /\s/.test(ch) : ch === delimiter) {
+                if (delimiter !== ' ' || cell !== '') cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        if (delimiter !== ' ' || cell !== '') cells.push(cell.trim());
+        return cells;
+    }
+
+    // Converts data in any of the supported forms into an array of Vec2:
+    //   [{x, y}, ...], [[x, y], ...], [y0, y1, ...] (x = index), { x: [...], y: [...] },
+    //   or CSV / JSON text holding any of those. options.x / options.y pick the fields or CSV columns (name or index).
+    function parseData(data, options = {}) {
+        const xKey = options.x ?? 'x', yKey = options.y ?? 'y';
+        let points = [];
+        if (typeof data === 'string') {
+            const text = data.trim();
+            if (text.startsWith('[') || text.startsWith('{')) return parseData(JSON.parse(text), options);
+            const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+            if (!lines.length) return [];
+            const delimiter = options.delimiter || [',', ';', '\t'].find(d => lines[0].includes(d)) || ' ';
+            const rows = lines.map(line => splitCSVLine(line, delimiter));
+            const header = rows[0].some(cell => cell !== '' && !Number.isFinite(Number(cell))) ? rows.shift() : null;
+            // Explicit column names or indices, else columns named x / y, else the first two columns
+            const columnOf = (option, fallback) => {
+                const key = options[option];
+                if (typeof key === 'number') return key;
+                const index = header ? header.indexOf(key ?? option) : -1;
+                if (index >= 0) return index;
+                if (key !== undefined) throw new Error(`parseData: Column '${key}' not found`);
+                return fallback;
+            };
+            const xColumn = columnOf('x', 0), yColumn = columnOf('y', 1);
+            points = rows.map(row => new Vec2(Number(row[xColumn]), Number(row[yColumn])));
+        } else if (Array.isArray(data)) {
+            points = data.map((item, i) => {
+                if (typeof item === 'number') return new Vec2(i, item);
+                if (Array.isArray(item)) return new Vec2(Number(item[0]), Number(item[1]));
+                return item ? new Vec2(Number(item[xKey]), Number(item[yKey])) : null;
+            });
+        } else if (data && Array.isArray(data[yKey])) {
+            const ys = data[yKey], xs = data[xKey] || ys.map((_, i) => i);
+            points = ys.map((y, i) => new Vec2(Number(xs[i]), Number(y)));
+        } else if (data) {
+            throw new Error("parseData: Unsupported data format");
+        }
+        return points.filter(p => p && Number.isFinite(p.x) && Number.isFinite(p.y));
+    }
+
+
+    // AXIS SCALES AND TICKS
+    // A scale maps data values to a linear "scale space" in which Axes lay out their length: 'linear', 'log'
+    // ({ type: 'log', base }) or 'symlog' ({ type: 'symlog', base, linthresh }), which is linear within
+    // ±linthresh and logarithmic beyond. Tick locators pick major ticks on 1-2-5 steps (decades on log scales).
+    const SCALES = {
+        linear: () => ({ forward: v => v, inverse: t => t }),
+        log: ({ base = 10 }) => ({
+            forward: v => v > 0 ? Math.log(v) / Math.log(base) : NaN,
+            inverse: t => Math.pow(base, t),
+        }),
+        symlog: ({ base = 10, linthresh = 1 }) => ({
+            forward: v => Math.abs(v) <= linthresh ? v / linthresh : Math.sign(v) * (1 + Math.log(Math.abs(v) / linthresh) / Math.log(base)),
+            inverse: t => Math.abs(t) <= 1 ? t * linthresh : Math.sign(t) * linthresh * Math.pow(base, Math.abs(t) - 1),
+        }),
+    };
+    const scaleCache = new Map();
+
+    // Scale for a scale option (a name or { type, ...parameters }), with its parameters filled in.
+    function scaleFor(spec = 'linear') {
+        const key = typeof spec === 'string' ? spec : JSON.stringify(spec);
+        if (!scaleCache.has(key)) {
+            const options = typeof spec === 'string' ? { type: spec } : { type: 'linear', ...spec };
+            const make = SCALES[options.type];
+            if (!make) throw new Error(`Unknown scale '${options.type}'. Use one of: ${Object.keys(SCALES).join(', ')}.`);
+            const params = { base: 10, linthresh: 1, ...options };
+            scaleCache.set(key, { ...params, ...make(params) });
+        }
+        return scaleCache.get(key);
+    }
+
+    // Data value at which the other axis crosses an axis with this range: 0, or the end of the range nearest to it
+    // (the lower end on a log scale, which has no 0).
+    function axisCrossing(range, scale = scaleFor()) {
+        const min = Math.min(range[0], range[1]), max = Math.max(range[0], range[1]);
+        return scale.type === 'log' ? min : Math.min(Math.max(0, min), max);
+    }
+
+    // Removes floating-point noise from a computed tick value (and negative zero).
+    const cleanTick = value => Number(value.toPrecision(12)) || 0;
+
+    // Major and minor tick values of a scale over a range. `count` is the approximate number of major intervals, or an
+    // array of major values. `minor` is true (automatic), a number of subdivisions per major interval, or false.
+    // `unit` makes linear steps multiples of it (e.g. Math.PI): 1, 2 or 5 times a power of ten of it, or below one
+    // unit a half, quarter or eighth of it. Returns { major, minor, step }, where step is the linear spacing (null
+    // between decades).
+    function locateTicks(scale, range, count = 8, minor = false, unit = 1) {
+        const min = Math.min(range[0], range[1]), max = Math.max(range[0], range[1]);
+        const inRange = v => v >= min - Math.abs(max - min) * 1e-9 && v <= max + Math.abs(max - min) * 1e-9;
+        if (Array.isArray(count)) return { major: count.filter(inRange), minor: [], step: null };
+
+        const linear = () => {
+            const raw = (max - min) / unit / Math.max(1, count);
+            const fraction = unit !== 1 && raw > 1 / 16 && raw < 1; // π/2, π/4 or π/8 rather than 0.2π
+            const step = (fraction ? Math.pow(2, Math.ceil(Math.log2(raw))) : niceStep((max - min) / unit, count)) * unit;
+            const major = [];
+            for (let k = Math.ceil(min / step - 1e-9); k * step <= max + step * 1e-9; k++) major.push(cleanTick(k * step));
+            const mantissa = Math.round(step / unit / Math.pow(10, Math.floor(Math.log10(step / unit) + 1e-9)));
+            const divisions = minor === true ? (fraction ? 2 : mantissa === 2 ? 4 : 5) : Math.max(0, Math.floor(minor || 0));
+            const minors = [];
+            if (divisions > 1) {
+                for (let k = Math.floor(min / step); k * step <= max; k++) {
+                    for (let i = 1; i < divisions; i++) minors.push(cleanTick((k + i / divisions) * step));
+                }
+            }
+            return { major, minor: minors.filter(inRange), step };
+        };
+        if (scale.type === 'linear' || !(max > min)) return linear();
+
+        // Powers of the base (on symlog: ±linthresh times them, and 0) in the range, thinned to about `count`
+        const log = scale.type === 'log', b = scale.base, c = log ? 1 : scale.linthresh;
+        if (log && !(min > 0)) return linear();
+        const eMin = log ? Math.floor(Math.log(min) / Math.log(b)) : 0;
+        const eMax = Math.ceil(Math.log(Math.max(Math.abs(min), Math.abs(max)) / c) / Math.log(b));
+        const powers = [];
+        for (let e = eMin; e <= eMax; e++) {
+            powers.push({ e, v: c * Math.pow(b, e) });
+            if (!log) powers.push({ e, v: -c * Math.pow(b, e) });
+        }
+        const inside = powers.filter(p => inRange(p.v));
+        const zero = !log && inRange(0);
+        if (inside.length + (zero ? 1 : 0) < 2) return linear();
+        const stride = Math.max(1, Math.ceil((inside.length + (zero ? 1 : 0)) / Math.max(1, count)));
+        const major = inside.filter(p => ((p.e % stride) + stride) % stride === 0).map(p => cleanTick(p.v));
+        if (zero) major.push(0);
+        const minors = [];
+        if (minor && stride === 1) {
+            for (const { v } of powers) for (let m = 2; m < b; m++) minors.push(v * m);
+        }
+        return { major: major.sort((p, q) => p - q), minor: minors.filter(inRange).map(cleanTick).sort((p, q) => p - q), step: null };
+    }
+
+    const SUPERSCRIPT_DIGITS = { '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴', '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹', '-': '⁻' };
+
+    // Decimals needed to tell apart ticks `step` apart.
+    const stepDecimals = step => step > 0 ? Math.min(Math.max(0, -Math.floor(Math.log10(step) + 1e-9)), 12) : 0;
+
+    // Tick label formats. Each takes (value, step, options), step being the tick spacing (the value itself between
+    // decades of a log scale), options the labelFormat object: precision (decimals) and locale.
+    const LABEL_FORMATS = {
+        fixed: (value, step, { precision, locale }) => formatNumber(value, precision ?? stepDecimals(step), locale),
+        // Plain decimals, switching to scientific notation for very large or small values
+        auto: (value, step, options) => {
+            const abs = Math.abs(value);
+            if (value !== 0 && (abs >= 1e6 || abs < 1e-4)) return LABEL_FORMATS.scientific(value, step, options);
+            return LABEL_FORMATS.fixed(value, step, options);
+        },
+        // 1.5×10⁴, or 10⁴ when the mantissa is 1
+        scientific: (value, step, { precision, locale }) => {
+            if (value === 0) return '0';
+            let exponent = Math.floor(Math.log10(Math.abs(value)));
+            let mantissa = Number((value / Math.pow(10, exponent)).toFixed(precision ?? 2));
+            if (Math.abs(mantissa) >= 10) { mantissa /= 10; exponent++; }
+            const power = '10' + String(exponent).split('').map(ch => SUPERSCRIPT_DIGITS[ch]).join('');
+            if (Math.abs(mantissa) === 1 && precision == null) return (mantissa < 0 ? '-' : '') + power;
+            return formatNumber(mantissa, precision ?? 2, locale, precision == null) + '×' + power;
+        },
+        // Multiples of π as fractions: π/2, -3π/4, 2π (ticks fall on multiples of π with this format)
+        pi: (value, step, { precision, locale }) => {
+            const ratio = value / Math.PI;
+            for (let denominator = 1; denominator <= 12; denominator++) {
+                const numerator = Math.round(ratio * denominator);
+                if (Math.abs(ratio * denominator - numerator) > 1e-6) continue;
+                if (numerator === 0) return '0';
+                const top = numerator === 1 ? 'π' : numerator === -1 ? '-π' : numerator + 'π';
+                return denominator === 1 ? top : `${top}/${denominator}`;
+            }
+            return formatNumber(ratio, precision ?? 2, locale, precision == null) + 'π';
+        },
+    };
+
+    // A number with a fixed number of decimals (at most that many with `trim`), in a locale's notation if given.
+    function formatNumber(value, decimals, locale = null, trim = false) {
+        if (!locale) return trim ? String(Number(value.toFixed(decimals))) : value.toFixed(decimals);
+        return new Intl.NumberFormat(locale, { minimumFractionDigits: trim ? 0 : decimals, maximumFractionDigits: decimals }).format(value);
+    }
+
+    // Label function (value, step) => string for a labelFormat option: a function of the value, a LABEL_FORMATS name,
+    // or { format, precision, unit, locale }, where unit is appended to every label (e.g. ' m' or '%').
+    function tickFormatter(spec = 'auto', defaults = {}) {
+        if (typeof spec === 'function') return value => String(spec(value));
+        const options = { ...defaults, ...(typeof spec === 'string' ? { format: spec } : spec) };
+        const format = LABEL_FORMATS[options.format ?? 'auto'];
+        if (!format) throw new Error(`Unknown label format '${options.format}'. Use one of: ${Object.keys(LABEL_FORMATS).join(', ')}.`);
+        return (value, step) => format(value, step, options) + (options.unit ?? '');
+    }
+
+    // SVG EXPORT HELPERS
+    function svgNum(n) {
+        return Number.isFinite(n) ? String(Math.round(n * 1000) / 1000) : '0';
+    }
+
+    function escapeXML(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function svgIsFlipped(scene) {
+        return !!scene && scene.canvas.scaleY === -1;
+    }
+
+    // Fill/stroke attributes following the canvas conventions ('none' or a missing colour disables painting).
+    function svgPaint({ fill, stroke, lineWidth = 1, lineCap, lineJoin, dash, dashOffset } = {}) {
+        let attrs = ` fill="${fill && fill !== 'none' ? escapeXML(fill) : 'none'}"`;
+        if (stroke && stroke !== 'none') {
+            attrs += ` stroke="${escapeXML(stroke)}" stroke-width="${svgNum(lineWidth)}"`;
+            if (lineCap && lineCap !== 'butt') attrs += ` stroke-linecap="${lineCap}"`;
+            if (lineJoin && lineJoin !== 'miter') attrs += ` stroke-linejoin="${lineJoin}"`;
+            if (dash && dash.length) attrs += ` stroke-dasharray="${dash.map(svgNum).join(' ')}"`;
+            if (dash && dash.length && dashOffset) attrs += ` stroke-dashoffset="${svgNum(dashOffset)}"`;
+        }
+        return attrs;
+    }
+
+    function svgPath(d, paint) {
+        return d ? `<path d="${d}"${svgPaint(paint)}/>` : '';
+    }
+
+    function svgPolylinePath(points, closed = false) {
+        if (points.length < 2) return '';
+        let d = `M${svgNum(points[0].x)} ${svgNum(points[0].y)}`;
+        for (let i = 1; i < points.length; i++) d += `L${svgNum(points[i].x)} ${svgNum(points[i].y)}`;
+        return closed ? d + 'Z' : d;
+    }
+
+    // SVG transform attribute value for an object's position, rotation and scale ('' when there is none).
+    function svgTransform(obj) {
+        let transform = '';
+        if (obj.position.x !== 0 || obj.position.y !== 0) transform += `translate(${svgNum(obj.position.x)} ${svgNum(obj.position.y)}) `;
+        if (obj.rotation !== 0) transform += `rotate(${svgNum(radToDeg(obj.rotation))}) `;
+        if (obj.scale.x !== 1 || obj.scale.y !== 1) transform += `scale(${svgNum(obj.scale.x)} ${svgNum(obj.scale.y)})`;
+        return transform.trim();
+    }
+
+    // Local-to-SVG-pixel matrix of an object (the scene's root <g>, camera included, followed by the object's
+    // transform chain) and the visible area, so curves can be sampled for export the same way they are for the canvas.
+    function svgSamplingFrame(obj, scene) {
+        const root = scene ? scene._viewMatrix() : IDENTITY_MATRIX;
+        return { matrix: multiplyMatrices(root, worldMatrix(obj)), viewport: scene ? { width: scene.canvas.cssWidth, height: scene.canvas.cssHeight } : null };
+    }
+
+    // <text> element. `upright` counter-flips the text the way labels are drawn on a Y-up canvas.
+    function svgText(text, x, y, { font, fill, stroke, lineWidth, dash, align = 'left', baseline = 'alphabetic', upright = false } = {}) {
+        const anchor = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' }[align] || 'start';
+        const dominantBaseline = {
+            top: 'text-before-edge', hanging: 'hanging', middle: 'central',
+            alphabetic: 'alphabetic', ideographic: 'ideographic', bottom: 'text-after-edge',
+        }[baseline] || 'alphabetic';
+        const position = upright ? `x="${svgNum(x)}" y="${svgNum(-y)}" transform="scale(1 -1)"` : `x="${svgNum(x)}" y="${svgNum(y)}"`;
+        return `<text ${position} text-anchor="${anchor}" dominant-baseline="${dominantBaseline}"` +
+            (font ? ` style="font: ${escapeXML(font)}"` : '') + svgPaint({ fill, stroke, lineWidth, dash }) + `>${escapeXML(text)}</text>`;
+    }
+
+    // EXPRESSION PARSER
+    // Safe math expressions such as "50*sin(x/30) + x^2/100": tokenized, parsed into a tree and compiled
+    // to closures (no eval). Supports implicit multiplication ("2x", "3(x+1)", "x sin x"), named parameters
+    // read live from a params object, and reports the position of the offending token on errors.
+    class ExpressionError extends Error {
+        constructor(message, position, expression) {
+            super(`${message} at position ${position}\n    ${expression}\n    ${' '.repeat(position)}^`);
+            this.name = 'ExpressionError';
+            this.position = position;
+            this.expression = expression;
+        }
+    }
+
+    const EXPRESSION_CONSTANTS = {
+        pi: Math.PI, e: Math.E, tau: 2 * Math.PI, phi: (1 + Math.sqrt(5)) / 2, inf: Infinity, infinity: Infinity,
+    };
+
+    function factorial(n) {
+        if (n < 0 || !Number.isInteger(n)) return NaN;
+        let result = 1;
+        for (let i = 2; i <= n; i++) result *= i;
+        return result;
+    }
+
+    // name: [implementation, minArgs, maxArgs]
+    const EXPRESSION_FUNCTIONS = {
+        sin: [Math.sin, 1, 1], cos: [Math.cos, 1, 1], tan: [Math.tan, 1, 1],
+        sec: [x => 1 / Math.cos(x), 1, 1], csc: [x => 1 / Math.sin(x), 1, 1], cot: [x => 1 / Math.tan(x), 1, 1],
+        asin: [Math.asin, 1, 1], acos: [Math.acos, 1, 1], atan: [Math.atan, 1, 1], atan2: [Math.atan2, 2, 2],
+        arcsin: [Math.asin, 1, 1], arccos: [Math.acos, 1, 1], arctan: [Math.atan, 1, 1],
+        sinh: [Math.sinh, 1, 1], cosh: [Math.cosh, 1, 1], tanh: [Math.tanh, 1, 1],
+        asinh: [Math.asinh, 1, 1], acosh: [Math.acosh, 1, 1], atanh: [Math.atanh, 1, 1],
+        exp: [Math.exp, 1, 1], ln: [Math.log, 1, 1], log10: [Math.log10, 1, 1], log2: [Math.log2, 1, 1],
+        log: [(x, base) => base === undefined ? Math.log10(x) : Math.log(x) / Math.log(base), 1, 2],
+        sqrt: [Math.sqrt, 1, 1], cbrt: [Math.cbrt, 1, 1], abs: [Math.abs, 1, 1], sign: [Math.sign, 1, 1],
+        floor: [Math.floor, 1, 1], ceil: [Math.ceil, 1, 1], round: [Math.round, 1, 1], trunc: [Math.trunc, 1, 1],
+        min: [Math.min, 1, Infinity], max: [Math.max, 1, Infinity], hypot: [Math.hypot, 1, Infinity],
+        pow: [Math.pow, 2, 2], mod: [(a, b) => ((a % b) + b) % b, 2, 2], factorial: [factorial, 1, 1],
+    };
+
+    const EXPRESSION_SYMBOLS = {
+        'π': 'pi', 'τ': 'tau', 'φ': 'phi', 'θ': 'theta', 'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'δ': 'delta',
+        'λ': 'lambda', 'μ': 'mu', 'σ': 'sigma', 'ω': 'omega', 'ρ': 'rho', '∞': 'inf',
+        '·': '*', '×': '*', '÷': '/', '−': '-', '**': '^',
+    };
+
+    function tokenizeExpression(source, isKnownName) {
+        const tokens = [];
+        let i = 0;
+        while (i < source.length) {
+            const ch = source[i];
+            if (/\s/.test(ch)) { i++; continue; }
+
+            const numberMatch = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(i));
+            if (numberMatch) {
+                tokens.push({ type: 'number', value: parseFloat(numberMatch[0]), pos: i });
+                i += numberMatch[0].length;
+                continue;
+            }
+
+            const identMatch = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+            if (identMatch) {
+                // Unknown names made of known ones ("xy", "pix") are read as implicit products
+                for (const piece of splitIdentifier(identMatch[0], isKnownName)) {
+                    tokens.push({ type: 'ident', value: piece.name, pos: i + piece.offset });
+                }
+                i += identMatch[0].length;
+                continue;
+            }
+
+            const symbol = source.startsWith('**', i) ? '**' : ch;
+            const mapped = EXPRESSION_SYMBOLS[symbol];
+            if (mapped && /^[a-z]/.test(mapped)) {
+                tokens.push({ type: 'ident', value: mapped, pos: i });
+            } else if ('+-*/^%(),|!='.includes(mapped || symbol)) {
+                tokens.push({ type: 'op', value: mapped || symbol, pos: i });
+            } else {
+                throw new ExpressionError(`Unexpected character '${ch}'`, i, source);
+            }
+            i += symbol.length;
+        }
+        tokens.push({ type: 'end', pos: source.length });
+        return tokens;
+    }
+
+    function splitIdentifier(name, isKnownName) {
+        if (isKnownName(name)) return [{ name, offset: 0 }];
+        const split = (start) => {
+            if (start === name.length) return [];
+            for (let end = name.length; end > start; end--) { // Longest known prefix first
+                const piece = name.slice(start, end);
+                if (!isKnownName(piece)) continue;
+                const rest = split(end);
+                if (rest) return [{ name: piece, offset: start }, ...rest];
+            }
+            return null;
+        };
+        return split(0) || [{ name, offset: 0 }];
+    }
+
+    // With `equation`, a top-level "lhs = rhs" is read as lhs - rhs (used for implicit curves such as "x^2 + y^2 = 25").
+    function parseExpression(source, { variables = ['x'], params = null, equation = false } = {}) {
+        const isParam = name => !!params && Object.hasOwn(params, name);
+        const isKnownName = name => variables.includes(name) || isParam(name) ||
+            Object.hasOwn(EXPRESSION_CONSTANTS, name) || Object.hasOwn(EXPRESSION_FUNCTIONS, name);
+        const tokens = tokenizeExpression(source, isKnownName);
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+        const isOp = (token, ops) => token.type === 'op' && ops.includes(token.value);
+        const fail = (token, message) => {
+            throw new ExpressionError(message || (token.type === 'end' ? 'Unexpected end of expression' : `Unexpected '${token.value}'`), token.pos, source);
+        };
+        const expect = (value) => {
+            const token = next();
+            if (!isOp(token, [value])) fail(token, token.type === 'end' ? `Expected '${value}' before end of expression` : `Expected '${value}' but found '${token.value}'`);
+            return token;
+        };
+        // Tokens that can begin an operand of an implicit multiplication ("2x", "2(x+1)", "x sin x")
+        const startsOperand = token => token.type === 'number' || token.type === 'ident' || isOp(token, ['(']);
+
+        const parseAdditive = () => {
+            let left = parseMultiplicative();
+            while (isOp(peek(), ['+', '-'])) {
+                const op = next();
+                left = { type: 'binary', op: op.value, left, right: parseMultiplicative(), pos: op.pos };
+            }
+            return left;
+        };
+
+        const parseMultiplicative = () => {
+            let left = parseUnary();
+            for (;;) {
+                const token = peek();
+                if (isOp(token, ['*', '/', '%'])) {
+                    next();
+                    left = { type: 'binary', op: token.value, left, right: parseUnary(), pos: token.pos };
+                } else if (startsOperand(token)) {
+                    left = { type: 'binary', op: '*', left, right: parsePower(), pos: token.pos };
+                } else {
+                    return left;
+                }
+            }
+        };
+
+        const parseUnary = () => {
+            const token = peek();
+            if (isOp(token, ['-', '+'])) {
+                next();
+                const operand = parseUnary();
+                return token.value === '-' ? { type: 'negate', operand, pos: token.pos } : operand;
+            }
+            return parsePower();
+        };
+
+        const parsePower = () => {
+            const base = parsePostfix();
+            if (isOp(peek(), ['^'])) {
+                const op = next();
+                return { type: 'binary', op: '^', left: base, right: parseUnary(), pos: op.pos }; // Right-associative, allows 2^-x
+            }
+            return base;
+        };
+
+        const parsePostfix = () => {
+            let node = parsePrimary();
+            while (isOp(peek(), ['!'])) {
+                const op = next();
+                node = { type: 'call', name: 'factorial', args: [node], pos: op.pos };
+            }
+            return node;
+        };
+
+        const parsePrimary = () => {
+            const token = next();
+            if (token.type === 'number') return { type: 'number', value: token.value, pos: token.pos };
+            if (isOp(token, ['('])) {
+                const inner = parseAdditive();
+                expect(')');
+                return inner;
+            }
+            if (isOp(token, ['|'])) {
+                const inner = parseAdditive();
+                expect('|');
+                return { type: 'call', name: 'abs', args: [inner], pos: token.pos };
+            }
+            if (token.type !== 'ident') fail(token);
+
+            const name = token.value;
+            if (variables.includes(name)) return { type: 'variable', index: variables.indexOf(name), pos: token.pos };
+            if (isParam(name)) return { type: 'param', name, pos: token.pos };
+            if (Object.hasOwn(EXPRESSION_CONSTANTS, name)) return { type: 'number', value: EXPRESSION_CONSTANTS[name], pos: token.pos };
+            if (Object.hasOwn(EXPRESSION_FUNCTIONS, name)) {
+                const [, minArgs, maxArgs] = EXPRESSION_FUNCTIONS[name];
+                let args;
+                if (isOp(peek(), ['('])) {
+                    next();
+                    args = [parseAdditive()];
+                    while (isOp(peek(), [','])) {
+                        next();
+                        args.push(parseAdditive());
+                    }
+                    expect(')');
+                } else if (startsOperand(peek())) {
+                    args = [parsePower()]; // Function applied without parentheses: "sin x", "sin x^2"
+                } else {
+                    fail(peek(), `Missing argument for '${name}'`);
+                }
+                if (args.length < minArgs || args.length > maxArgs) {
+                    const expected = minArgs === maxArgs ? minArgs : (maxArgs === Infinity ? `at least ${minArgs}` : `${minArgs} to ${maxArgs}`);
+                    throw new ExpressionError(`'${name}' expects ${expected} argument${expected === 1 ? '' : 's'}, got ${args.length}`, token.pos, source);
+                }
+                return { type: 'call', name, args, pos: token.pos };
+            }
+            throw new ExpressionError(`Unknown identifier '${name}'`, token.pos, source);
+        };
+
+        if (tokens[0].type === 'end') throw new ExpressionError('Empty expression', 0, source);
+        let tree = parseAdditive();
+        if (equation && isOp(peek(), ['='])) {
+            const op = next();
+            tree = { type: 'binary', op: '-', left: tree, right: parseAdditive(), pos: op.pos };
+        }
+        if (peek().type !== 'end') fail(peek());
+        return tree;
+    }
+
+    function compileExpressionNode(node, params) {
+        switch (node.type) {
+            case 'number': {
+                const value = node.value;
+                return () => value;
+            }
+            case 'variable': {
+                const i = node.index;
+                return args => args[i];
+            }
+            case 'param': {
+                const name = node.name;
+                return () => +params[name];
+            }
+            case 'negate': {
+                const operand = compileExpressionNode(node.operand, params);
+                return args => -operand(args);
+            }
+            case 'binary': {
+                const a = compileExpressionNode(node.left, params);
+                const b = compileExpressionNode(node.right, params);
+                switch (node.op) {
+                    case '+': return args => a(args) + b(args);
+                    case '-': return args => a(args) - b(args);
+                    case '*': return args => a(args) * b(args);
+                    case '/': return args => a(args) / b(args);
+                    case '%': return args => a(args) % b(args);
+                    default: return args => Math.pow(a(args), b(args));
+                }
+            }
+            default: { // 'call'
+                const impl = EXPRESSION_FUNCTIONS[node.name][0];
+                const argFns = node.args.map(arg => compileExpressionNode(arg, params));
+                if (argFns.length === 1) {
+                    const a = argFns[0];
+                    return args => impl(a(args));
+                }
+                return args => impl(...argFns.map(fn => fn(args)));
+            }
+        }
     }
 
+    // Compiles an expression string into a function of the given variables (in order).
+    // Names found in `params` are read from that object on every call, so changing params.a updates the function.
+    // The result keeps its source in `expression`, which is how plots are serialized.
+    function compileExpression(expression, { variables = ['x'], params = null, equation = false } = {}) {
+        if (typeof expression !== 'string') throw new TypeError("compileExpression: expression must be a string");
+        const evaluate = compileExpressionNode(parseExpression(expression, { variables, params, equation }), params);
+        const fn = (...args) => evaluate(args);
+        fn.expression = expression;
+        fn.variables = variables;
+        fn.params = params;
+        fn.equation = equation;
+        return fn;
+    }
 
     // VEC2 CLASS (Simple 2D Vector)
     class Vec2 {
@@ -96,6 +886,452 @@ const SciAnim = (() => {
         clone() { return new Vec2(this.x, this.y); }
     }
 
+    // TRANSFORMS AND BOUNDS
+    // 2D affine matrices in the canvas convention {a, b, c, d, e, f} (x' = a*x + c*y + e, y' = b*x + d*y + f),
+    // and axis-aligned bounds {minX, minY, maxX, maxY}.
+    const IDENTITY_MATRIX = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+
+    function multiplyMatrices(m, n) {
+        return {
+            a: m.a * n.a + m.c * n.b, b: m.b * n.a + m.d * n.b,
+            c: m.a * n.c + m.c * n.d, d: m.b * n.c + m.d * n.d,
+            e: m.a * n.e + m.c * n.f + m.e, f: m.b * n.e + m.d * n.f + m.f,
+        };
+    }
+
+    function invertMatrix(m) {
+        const det = m.a * m.d - m.b * m.c;
+        if (!det) return null;
+        return {
+            a: m.d / det, b: -m.b / det, c: -m.c / det, d: m.a / det,
+            e: (m.c * m.f - m.d * m.e) / det, f: (m.b * m.e - m.a * m.f) / det,
+        };
+    }
+
+    function applyMatrix(m, p) {
+        return new Vec2(m.a * p.x + m.c * p.y + m.e, m.b * p.x + m.d * p.y + m.f);
+    }
+
+    // True when a transform mirrors its content, e.g. the Y-up canvas; labels are counter-flipped to stay readable.
+    function isFlipped(m) {
+        return m.a * m.d - m.b * m.c < 0;
+    }
+
+    // Parent-from-local matrix of an object's position, rotation and scale.
+    function objectMatrix(o) {
+        const cos = Math.cos(o.rotation), sin = Math.sin(o.rotation);
+        return { a: cos * o.scale.x, b: sin * o.scale.x, c: -sin * o.scale.y, d: cos * o.scale.y, e: o.position.x, f: o.position.y };
+    }
+
+    // World-from-parent matrix of an object: its parents' transforms up to the scene, then the frame of linked axes.
+    function parentMatrix(obj) {
+        const matrix = obj.parent ? worldMatrix(obj.parent) : IDENTITY_MATRIX;
+        return obj.axes ? multiplyMatrices(matrix, objectMatrix(obj.axes)) : matrix; // Drawn in the frame of the axes it is linked to
+    }
+
+    // World-from-local matrix of an object.
+    function worldMatrix(obj) {
+        return multiplyMatrices(parentMatrix(obj), objectMatrix(obj));
+    }
+
+    // Axis-aligned {minX, minY, maxX, maxY} around points, optionally mapped through a matrix first (null if empty).
+    function boundsOfPoints(points, matrix = null) {
+        let bounds = null;
+        for (const point of points) {
+            const p = matrix ? applyMatrix(matrix, point) : point;
+            if (!Number.isFinite(p.x) || !Number.isFinite(p.y)) continue;
+            if (!bounds) bounds = { minX: p.x, minY: p.y, maxX: p.x, maxY: p.y };
+            bounds.minX = Math.min(bounds.minX, p.x);
+            bounds.minY = Math.min(bounds.minY, p.y);
+            bounds.maxX = Math.max(bounds.maxX, p.x);
+            bounds.maxY = Math.max(bounds.maxY, p.y);
+        }
+        return bounds;
+    }
+
+    function boundsCorners({ minX, minY, maxX, maxY }) {
+        return [new Vec2(minX, minY), new Vec2(maxX, minY), new Vec2(maxX, maxY), new Vec2(minX, maxY)];
+    }
+
+    function unionBounds(a, b) {
+        if (!a || !b) return a || b || null;
+        return { minX: Math.min(a.minX, b.minX), minY: Math.min(a.minY, b.minY), maxX: Math.max(a.maxX, b.maxX), maxY: Math.max(a.maxY, b.maxY) };
+    }
+
+    function distanceToSegment(p, a, b) {
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ? Math.min(Math.max(((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq, 0), 1) : 0;
+        return Math.hypot(p.x - a.x - t * dx, p.y - a.y - t * dy);
+    }
+
+    function distanceToPolyline(p, points) {
+        if (points.length === 1) return Math.hypot(p.x - points[0].x, p.y - points[0].y);
+        let distance = Infinity;
+        for (let i = 1; i < points.length; i++) distance = Math.min(distance, distanceToSegment(p, points[i - 1], points[i]));
+        return distance;
+    }
+
+    // Even-odd test; it agrees with the canvas' nonzero fill for polygons that do not cross themselves.
+    function pointInPolygon(p, points) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i], b = points[j];
+            if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+        }
+        return inside;
+    }
+
+    // CURVE SAMPLING
+    // Adaptive sampling shared by the plot objects. `pointAt(t)` returns the curve point (local coordinates) for
+    // parameter t, or null where the curve is undefined. Distances are measured in pixels through `matrix`
+    // (a DOMMatrix-like {a, b, c, d, e, f} from local coordinates to the screen), so refinement follows what is visible:
+    //   * each of the numPoints uniform steps is bisected while its midpoint strays more than `tolerance` pixels
+    //     from the chord or the curve turns sharply there;
+    //   * a step that still jumps after maxDepth bisections is a discontinuity (a jump or a pole) and breaks the line;
+    //   * lines are clipped to the viewport plus a margin, so asymptotes do not run off to huge coordinates.
+    // `progress` (0..1) keeps that fraction of the total on-screen arc length. Returns an array of Vec2 polylines.
+    function sampleCurve(pointAt, t0, t1, { numPoints = 200, tolerance = 0.5, maxDepth = 8, matrix = IDENTITY_MATRIX, viewport = null, progress = 1 } = {}) {
+        const { a, b, c, d, e, f } = matrix;
+        const evaluate = (t) => {
+            let p;
+            try {
+                p = pointAt(t);
+            } catch (err) {
+                return null;
+            }
+            if (!p || !Number.isFinite(p.x) || !Number.isFinite(p.y)) return null;
+            return { x: p.x, y: p.y, sx: a * p.x + c * p.y + e, sy: b * p.x + d * p.y + f };
+        };
+        const dist = (p, q) => Math.hypot(p.sx - q.sx, p.sy - q.sy);
+        const jumpPixels = Math.max(2, 4 * tolerance);
+
+        const lines = [];
+        let current = [];
+        const breakLine = () => {
+            if (current.length > 1) lines.push(current);
+            current = [];
+        };
+
+        const refine = (ta, pa, tb, pb, depth) => {
+            const tm = (ta + tb) / 2;
+            const pm = evaluate(tm);
+            if (!pa && !pb && !pm) return;
+
+            if (depth >= maxDepth) {
+                if (!pb) return breakLine(); // Leaving the domain
+                if (!pa || !pm) {            // Entering the domain
+                    breakLine();
+                    current.push(pb);
+                    return;
+                }
+                // A continuous curve is nearly straight at this scale, so its midpoint sits between the ends.
+                // A jump puts the midpoint on one side and a pole throws it beyond both.
+                const chord = dist(pa, pb), da = dist(pa, pm), db = dist(pm, pb);
+                if (chord > jumpPixels && (Math.min(da, db) < 0.05 * chord || Math.max(da, db) > 0.95 * chord)) breakLine();
+                current.push(pb);
+                return;
+            }
+
+            if (pa && pb && pm) {
+                const chord = dist(pa, pb);
+                const deviation = Math.hypot(pm.sx - (pa.sx + pb.sx) / 2, pm.sy - (pa.sy + pb.sy) / 2);
+                const ux = pm.sx - pa.sx, uy = pm.sy - pa.sy, vx = pb.sx - pm.sx, vy = pb.sy - pm.sy;
+                const sharpTurn = chord > tolerance && ux * vx + uy * vy < 0.95 * Math.hypot(ux, uy) * Math.hypot(vx, vy);
+                if (deviation <= tolerance && !sharpTurn) {
+                    current.push(pb);
+                    return;
+                }
+            }
+            refine(ta, pa, tm, pm, depth + 1);
+            refine(tm, pm, tb, pb, depth + 1);
+        };
+
+        const steps = Math.max(1, Math.round(numPoints));
+        let prevT = t0;
+        let prev = evaluate(t0);
+        if (prev) current.push(prev);
+        for (let i = 1; i <= steps; i++) {
+            const t = t0 + (t1 - t0) * i / steps;
+            const next = evaluate(t);
+            refine(prevT, prev, t, next, 0);
+            prevT = t;
+            prev = next;
+        }
+        breakLine();
+
+        let polylines = viewport ? lines.flatMap(line => clipPolyline(line, viewport)) : lines;
+        if (progress < 1) polylines = truncatePolylines(polylines, Math.max(0, progress));
+        return polylines.map(line => line.map(p => new Vec2(p.x, p.y)));
+    }
+
+    // A plot's sampled polylines, cached while every function in `funcs` is a compiled expression string (see
+    // compileExpression). Such a function depends only on its variables and params, so the polylines are kept for a
+    // few keys (the frame and the plot's other inputs; the params are added here) as long as the functions are the
+    // same: drawing, bounds and hit tests each ask every frame. A plain JavaScript function may read anything (a
+    // ValueTracker, a widget's params, a global), so it is sampled afresh every time. Cached polylines are shared,
+    // so callers must not change them.
+    function cachedSamples(obj, funcs, key, sample) {
+        if (!funcs.every(f => typeof f?.expression === 'string')) {
+            obj._samples = null;
+            return sample();
+        }
+        const cache = obj._samples;
+        if (!cache || cache.funcs.length !== funcs.length || cache.funcs.some((f, i) => f !== funcs[i])) {
+            obj._samples = { funcs, byKey: new Map() };
+        }
+        const byKey = obj._samples.byKey;
+        key += JSON.stringify(funcs.map(f => f.params));
+        let polylines = byKey.get(key);
+        if (!polylines) {
+            polylines = sample();
+            if (byKey.size >= 4) byKey.delete(byKey.keys().next().value); // Drop the oldest
+            byKey.set(key, polylines);
+        }
+        return polylines;
+    }
+
+    function lerpSample(p, q, t) {
+        return {
+            x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t,
+            sx: p.sx + (q.sx - p.sx) * t, sy: p.sy + (q.sy - p.sy) * t,
+        };
+    }
+
+    // Liang-Barsky clipping of each segment against the viewport grown by a quarter of its size on every side.
+    function clipPolyline(line, viewport) {
+        const margin = Math.max(viewport.width, viewport.height) / 4;
+        const minX = -margin, maxX = viewport.width + margin, minY = -margin, maxY = viewport.height + margin;
+        const result = [];
+        let current = [];
+        for (let i = 1; i < line.length; i++) {
+            const p = line[i - 1], q = line[i];
+            const dx = q.sx - p.sx, dy = q.sy - p.sy;
+            let tEnter = 0, tExit = 1;
+            const edges = [[-dx, p.sx - minX], [dx, maxX - p.sx], [-dy, p.sy - minY], [dy, maxY - p.sy]];
+            for (const [den, num] of edges) {
+                if (den === 0) {
+                    if (num < 0) { tEnter = 1; tExit = 0; }
+                } else if (den < 0) {
+                    tEnter = Math.max(tEnter, num / den);
+                } else {
+                    tExit = Math.min(tExit, num / den);
+                }
+            }
+            if (tEnter > tExit) {
+                if (current.length > 1) result.push(current);
+                current = [];
+                continue;
+            }
+            if (!current.length) current.push(tEnter > 0 ? lerpSample(p, q, tEnter) : p);
+            current.push(tExit < 1 ? lerpSample(p, q, tExit) : q);
+            if (tExit < 1) {
+                result.push(current);
+                current = [];
+            }
+        }
+        if (current.length > 1) result.push(current);
+        return result;
+    }
+
+    function truncatePolylines(polylines, progress) {
+        const lengths = polylines.map(line => {
+            let length = 0;
+            for (let i = 1; i < line.length; i++) length += Math.hypot(line[i].sx - line[i - 1].sx, line[i].sy - line[i - 1].sy);
+            return length;
+        });
+        let remaining = progress * lengths.reduce((sum, length) => sum + length, 0);
+        const result = [];
+        for (let k = 0; k < polylines.length && remaining > 0; k++) {
+            const line = polylines[k];
+            if (lengths[k] <= remaining) {
+                result.push(line);
+                remaining -= lengths[k];
+                continue;
+            }
+            const partial = [line[0]];
+            for (let i = 1; i < line.length; i++) {
+                const segment = Math.hypot(line[i].sx - line[i - 1].sx, line[i].sy - line[i - 1].sy);
+                if (segment >= remaining) {
+                    partial.push(lerpSample(line[i - 1], line[i], segment > 0 ? remaining / segment : 1));
+                    break;
+                }
+                partial.push(line[i]);
+                remaining -= segment;
+            }
+            result.push(partial);
+            break;
+        }
+        return result;
+    }
+
+    // Samples f(x, y) on a regular grid of nx by ny cells (nx + 1 by ny + 1 values, row by row from yMin).
+    function sampleGrid(f, [xMin, xMax], [yMin, yMax], nx, ny) {
+        const values = new Float64Array((nx + 1) * (ny + 1));
+        for (let j = 0; j <= ny; j++) {
+            const y = yMin + (yMax - yMin) * j / ny;
+            for (let i = 0; i <= nx; i++) {
+                let value;
+                try {
+                    value = f(xMin + (xMax - xMin) * i / nx, y);
+                } catch (e) {
+                    value = NaN;
+                }
+                values[j * (nx + 1) + i] = value;
+            }
+        }
+        return { values, nx, ny, xMin, xMax, yMin, yMax };
+    }
+
+    // Samples f(x, y) at the centres of cols by rows equal cells covering the ranges, in the layout of sampleGrid()
+    // (whose extent is then the outermost centres).
+    function sampleCellCentres(f, [xMin, xMax], [yMin, yMax], cols, rows) {
+        const dx = (xMax - xMin) / cols, dy = (yMax - yMin) / rows;
+        const values = new Float64Array(cols * rows);
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                let value;
+                try {
+                    value = f(xMin + (i + 0.5) * dx, yMin + (j + 0.5) * dy);
+                } catch (e) {
+                    value = NaN;
+                }
+                values[j * cols + i] = value;
+            }
+        }
+        return { values, nx: cols - 1, ny: rows - 1, xMin: xMin + dx / 2, xMax: xMax - dx / 2, yMin: yMin + dy / 2, yMax: yMax - dy / 2 };
+    }
+
+    // Bilinear interpolation of a sampled grid as a function of (x, y), clamped to the grid's extent.
+    function gridSampler({ values, nx, ny, xMin, xMax, yMin, yMax }) {
+        const locate = (v, min, max, n) => {
+            const g = n > 0 && max !== min ? Math.min(Math.max((v - min) / (max - min) * n, 0), n) : 0;
+            const i = Math.min(Math.floor(g), Math.max(n - 1, 0));
+            return [i, Math.min(i + 1, n), g - i];
+        };
+        return (x, y) => {
+            const [i0, i1, fx] = locate(x, xMin, xMax, nx), [j0, j1, fy] = locate(y, yMin, yMax, ny);
+            const row0 = j0 * (nx + 1), row1 = j1 * (nx + 1);
+            const bottom = values[row0 + i0] + (values[row0 + i1] - values[row0 + i0]) * fx;
+            const top = values[row1 + i0] + (values[row1 + i1] - values[row1 + i0]) * fx;
+            return bottom + (top - bottom) * fy;
+        };
+    }
+
+    // Marching squares: the polylines along which the sampled field equals `level`. Cells with a non-finite corner are
+    // skipped; saddle cells are resolved with the cell's centre value. Segments are joined through their shared edges,
+    // so closed curves come back as polylines whose last point repeats the first.
+    function traceContours({ values, nx, ny, xMin, xMax, yMin, yMax }, level = 0) {
+        const value = (i, j) => values[j * (nx + 1) + i];
+        const px = i => xMin + (xMax - xMin) * i / nx;
+        const py = j => yMin + (yMax - yMin) * j / ny;
+        const points = new Map(); // Edge key -> crossing point
+        const neighbours = new Map(); // Edge key -> edge keys joined to it by a segment
+
+        // Crossing on the edge from corner (i0, j0) to (i1, j1); horizontal edges are keyed 'h', vertical ones 'v'
+        const crossing = (i0, j0, i1, j1) => {
+            const key = (j0 === j1 ? 'h' : 'v') + i0 + ',' + j0;
+            if (!points.has(key)) {
+                const a = value(i0, j0), b = value(i1, j1);
+                const t = (level - a) / (b - a);
+                points.set(key, new Vec2(px(i0) + (px(i1) - px(i0)) * t, py(j0) + (py(j1) - py(j0)) * t));
+                neighbours.set(key, []);
+            }
+            return key;
+        };
+        const connect = (a, b) => {
+            neighbours.get(a).push(b);
+            neighbours.get(b).push(a);
+        };
+
+        for (let j = 0; j < ny; j++) {
+            for (let i = 0; i < nx; i++) {
+                const v0 = value(i, j), v1 = value(i + 1, j), v2 = value(i + 1, j + 1), v3 = value(i, j + 1);
+                if (!(Number.isFinite(v0) && Number.isFinite(v1) && Number.isFinite(v2) && Number.isFinite(v3))) continue;
+                const inside = [v0 > level, v1 > level, v2 > level, v3 > level];
+                // Edges: bottom (v0-v1), right (v1-v2), top (v3-v2), left (v0-v3)
+                const edges = [];
+                if (inside[0] !== inside[1]) edges.push(['bottom', crossing(i, j, i + 1, j)]);
+                if (inside[1] !== inside[2]) edges.push(['right', crossing(i + 1, j, i + 1, j + 1)]);
+                if (inside[3] !== inside[2]) edges.push(['top', crossing(i, j + 1, i + 1, j + 1)]);
+                if (inside[0] !== inside[3]) edges.push(['left', crossing(i, j, i, j + 1)]);
+
+                if (edges.length === 2) {
+                    connect(edges[0][1], edges[1][1]);
+                } else if (edges.length === 4) {
+                    const [bottom, right, top, left] = edges.map(edge => edge[1]);
+                    const centreInside = (v0 + v1 + v2 + v3) / 4 > level;
+                    if (centreInside === inside[0]) { // v0 and v2 are joined through the centre: cut off v1 and v3
+                        connect(bottom, right);
+                        connect(top, left);
+                    } else {                          // Cut off v0 and v2
+                        connect(left, bottom);
+                        connect(right, top);
+                    }
+                }
+            }
+        }
+
+        const polylines = [];
+        const walk = (start) => {
+            const line = [points.get(start)];
+            let key = start;
+            for (;;) {
+                const list = neighbours.get(key);
+                if (!list.length) break;
+                const next = list.pop();
+                const back = neighbours.get(next);
+                back.splice(back.indexOf(key), 1);
+                line.push(points.get(next));
+                key = next;
+            }
+            if (line.length > 1) polylines.push(line);
+        };
+        // Open curves (ending at the grid border or a skipped cell) first, then the remaining closed loops
+        for (const [key, list] of neighbours) if (list.length === 1) walk(key);
+        for (const [key, list] of neighbours) if (list.length) walk(key);
+        return polylines;
+    }
+
+    // The first `progress` fraction (by length) of a polyline.
+    function revealPolyline(line, progress) {
+        let total = 0;
+        for (let i = 1; i < line.length; i++) total += line[i].sub(line[i - 1]).mag();
+        let remaining = total * progress;
+        const result = [line[0]];
+        for (let i = 1; i < line.length && remaining > 0; i++) {
+            const segment = line[i].sub(line[i - 1]).mag();
+            if (segment >= remaining) {
+                result.push(line[i - 1].add(line[i].sub(line[i - 1]).mul(remaining / segment)));
+                break;
+            }
+            result.push(line[i]);
+            remaining -= segment;
+        }
+        return result;
+    }
+
+    // Cumulative arc-length fraction (0 to 1) at each vertex of a polyline.
+    function polylineFractions(points) {
+        const fractions = [0];
+        for (let i = 1; i < points.length; i++) fractions.push(fractions[i - 1] + points[i].sub(points[i - 1]).mag());
+        const total = fractions[fractions.length - 1];
+        return fractions.map((length, i) => total > 0 ? length / total : (points.length > 1 ? i / (points.length - 1) : 0));
+    }
+
+    // Points at the given arc-length fractions of a polyline.
+    function pointsAtFractions(points, fractions) {
+        if (points.length < 2) return fractions.map(() => (points[0] || new Vec2()).clone());
+        const vertexFractions = polylineFractions(points);
+        let segment = 1;
+        return fractions.map(f => {
+            while (segment < points.length - 1 && vertexFractions[segment] < f) segment++;
+            const f0 = vertexFractions[segment - 1], f1 = vertexFractions[segment];
+            const t = f1 > f0 ? Math.min(Math.max((f - f0) / (f1 - f0), 0), 1) : 0;
+            return points[segment - 1].add(points[segment].sub(points[segment - 1]).mul(t));
+        });
+    }
+
     // EASING FUNCTIONS
     const Easing = {
         linear: t => t,
@@ -158,6 +1394,9 @@ const SciAnim = (() => {
             this.children = [];
             this.parent = null;
             this.sceneRef = null; // Will be set when added to a scene
+            this.draggable = options.draggable || false; // Dragging moves it (VectorArrow also takes 'tip'); see Scene pointer events
+            this._listeners = {};
+            this._updaters = [];
         }
 
         add(child) {
@@ -173,22 +1412,111 @@ const SciAnim = (() => {
             }
         }
 
-        _applyTransformations(ctx) {
-            ctx.save();
-            ctx.translate(this.position.x, this.position.y);
-            ctx.rotate(this.rotation);
-            ctx.scale(this.scale.x, this.scale.y);
-            ctx.globalAlpha *= this.alpha;
+        // Pointer event handlers, called by the Scene with an event object (see Scene._dispatch).
+        on(type, handler) {
+            (this._listeners[type] ||= []).push(handler);
+            return this;
+        }
+
+        off(type, handler = null) {
+            if (!handler) delete this._listeners[type];
+            else if (this._listeners[type]) this._listeners[type] = this._listeners[type].filter(h => h !== handler);
+            return this;
+        }
+
+        _emit(type, event) {
+            for (const handler of [...(this._listeners[type] || [])]) handler.call(this, event);
+        }
+
+        // Scene coordinates to the object's local coordinates (null while its transform is degenerate), and back.
+        worldToLocal(point) {
+            const inverse = invertMatrix(worldMatrix(this));
+            return inverse && applyMatrix(inverse, point);
+        }
+
+        localToWorld(point) {
+            return applyMatrix(worldMatrix(this), point);
+        }
+
+        // Whether a scene point hits the object itself (not its children). `tolerance` (scene units) widens thin
+        // strokes such as lines and curves, so they can be picked with a pointer.
+        containsPoint(point, tolerance = 0) {
+            const m = worldMatrix(this);
+            const inverse = invertMatrix(m);
+            if (!inverse) return false;
+            const scale = Math.sqrt(Math.abs(m.a * m.d - m.b * m.c)) || 1;
+            return this._containsLocal(applyMatrix(inverse, point), tolerance / scale);
+        }
+
+        _containsLocal(p, tolerance) { return false; /* Subclasses test a local point against their shape here */ }
+
+        // Dragging moves the object so the grabbed point follows the pointer, both taken in parent coordinates.
+        _beginDrag(point) {
+            return { position: this.position.clone(), from: this._toParent(point) };
+        }
+
+        _dragTo(state, point) {
+            this.position = state.position.add(this._toParent(point).sub(state.from));
+        }
+
+        _toParent(point) {
+            const inverse = invertMatrix(parentMatrix(this));
+            return inverse ? applyMatrix(inverse, point) : new Vec2(point.x, point.y);
+        }
+
+        // Objects linked to an Axes (plots with an `axes` option) are drawn in the axes' frame, so they follow it
+        // when it moves, and their data goes through the axes' mapping (see _toLocal).
+        _applyTransformations(ctx) {
+            ctx.save();
+            if (this.axes) {
+                ctx.translate(this.axes.position.x, this.axes.position.y);
+                ctx.rotate(this.axes.rotation);
+                ctx.scale(this.axes.scale.x, this.axes.scale.y);
+            }
+            ctx.translate(this.position.x, this.position.y);
+            ctx.rotate(this.rotation);
+            ctx.scale(this.scale.x, this.scale.y);
+            ctx.globalAlpha *= this.alpha;
         }
 
         _restoreTransformations(ctx) {
             ctx.restore();
         }
 
+        // Data coordinates to local coordinates: through the linked axes' mapping, or unchanged.
+        _toLocal(p) {
+            return this.axes ? this.axes._c2l(p.x, p.y) : new Vec2(p.x, p.y);
+        }
+
+        // The scene the object's tree was added to, or null.
+        _scene() {
+            let root = this;
+            while (root.parent) root = root.parent;
+            return root.sceneRef || null;
+        }
+
         update(deltaTime, scene) {
             this.children.forEach(child => child.update(deltaTime, scene));
         }
 
+        // Functions (object, deltaTime, scene) run every frame to keep the object in step with something else, such
+        // as a ValueTracker or another object. See Scene.update for when they run.
+        addUpdater(fn) {
+            this._updaters.push(fn);
+            return this;
+        }
+
+        removeUpdater(fn = null) {
+            this._updaters = fn ? this._updaters.filter(f => f !== fn) : [];
+            return this;
+        }
+
+        // The object's updaters in the order they were added, then its children's.
+        _runUpdaters(deltaTime, scene) {
+            for (const fn of [...this._updaters]) fn.call(this, this, deltaTime, scene);
+            for (const child of [...this.children]) child._runUpdaters(deltaTime, scene);
+        }
+
         draw(ctx, scene) {
             if (!this.visible) return;
             this._applyTransformations(ctx);
@@ -198,6 +1526,61 @@ const SciAnim = (() => {
         }
         
         _drawSelf(ctx, scene) { /* Subclasses implement drawing logic here */ }
+
+        // Axis-aligned bounds {minX, minY, maxX, maxY} of the object and its visible children in scene coordinates,
+        // or null when there is nothing to measure. Used by Camera.frame().
+        getBounds() {
+            if (!this.visible) return null;
+            const own = this._localBounds();
+            let bounds = own ? boundsOfPoints(boundsCorners(own), worldMatrix(this)) : null;
+            for (const child of this.children) bounds = unionBounds(bounds, child.getBounds());
+            return bounds;
+        }
+
+        _localBounds() { return null; /* Subclasses return their extent in local coordinates here */ }
+
+        // SVG counterpart of draw(): the transform becomes a <g>, _toSVG() supplies the object's own markup.
+        toSVG(scene) {
+            if (!this.visible) return '';
+            const transform = ((this.axes ? svgTransform(this.axes) + ' ' : '') + svgTransform(this)).trim();
+            const attrs = (transform ? ` transform="${transform}"` : '') + (this.alpha !== 1 ? ` opacity="${svgNum(this.alpha)}"` : '');
+            return `<g${attrs}>${this._toSVG(scene) || ''}${this.children.map(child => child.toSVG(scene)).join('')}</g>`;
+        }
+
+        _toSVG(scene) { return ''; /* Subclasses return their SVG markup here */ }
+    }
+
+    // VALUE TRACKING
+    // A value to animate and read from updaters, so several objects can follow one number: tween its `value` like any
+    // other property. It draws nothing; add it to the scene so that it and the tweens on it are saved by toJSON().
+    class ValueTracker extends SceneObject {
+        constructor(value = 0, options = {}) {
+            super(options);
+            this.value = value instanceof Vec2 ? value.clone() : value; // A number, Vec2 or colour string
+        }
+
+        setValue(value) {
+            this.value = value instanceof Vec2 ? value.clone() : value;
+            return this;
+        }
+
+        // Tween of the value to `value`, to start() or place in a Timeline.
+        animateTo(value, duration = 1, easing = Easing.linear) {
+            return new Tween(this, 'value', value, duration, easing);
+        }
+    }
+
+    // An object rebuilt every frame: `build()` returns a new one (e.g. a line between two moving points), which
+    // replaces the previous one inside the returned group. `options` apply to the group.
+    function always(build, options = {}) {
+        const group = new SceneObject(options);
+        const rebuild = () => {
+            for (const child of [...group.children]) group.remove(child);
+            const obj = build();
+            if (obj) group.add(obj);
+        };
+        rebuild();
+        return group.addUpdater(rebuild);
     }
 
     // --- SHAPE CLASSES ---
@@ -219,6 +1602,20 @@ const SciAnim = (() => {
                 ctx.stroke();
             }
         }
+        _localBounds() {
+            return { minX: -this.radius, minY: -this.radius, maxX: this.radius, maxY: this.radius };
+        }
+        _containsLocal(p) {
+            return Math.hypot(p.x, p.y) <= this.radius;
+        }
+        _toSVG() {
+            return `<circle r="${svgNum(this.radius)}"${svgPaint(this.style)}/>`;
+        }
+        // The circle as a BezierPath with the same transform and style, starting at angle 0 and running anticlockwise
+        // on a Y-up canvas.
+        toPath() {
+            return new BezierPath([], pathOptionsFrom(this)).arc(0, 0, this.radius, 0, 2 * Math.PI).closePath();
+        }
     }
 
     class Rectangle extends SceneObject {
@@ -240,6 +1637,20 @@ const SciAnim = (() => {
                 ctx.strokeRect(x, y, this.width, this.height);
             }
         }
+        _localBounds() {
+            return { minX: -this.width / 2, minY: -this.height / 2, maxX: this.width / 2, maxY: this.height / 2 };
+        }
+        _containsLocal(p) {
+            return Math.abs(p.x) <= Math.abs(this.width) / 2 && Math.abs(p.y) <= Math.abs(this.height) / 2;
+        }
+        _toSVG() {
+            return `<rect x="${svgNum(-this.width / 2)}" y="${svgNum(-this.height / 2)}" width="${svgNum(this.width)}" height="${svgNum(this.height)}"${svgPaint(this.style)}/>`;
+        }
+        // The rectangle as a BezierPath with the same transform and style, from the corner at (-width/2, -height/2).
+        toPath() {
+            const w = this.width / 2, h = this.height / 2;
+            return new BezierPath([['M', -w, -h], ['L', w, -h], ['L', w, h], ['L', -w, h], ['Z']], pathOptionsFrom(this));
+        }
     }
 
     class LineSegment extends SceneObject {
@@ -261,6 +1672,15 @@ const SciAnim = (() => {
                 ctx.stroke();
             }
         }
+        _localBounds() {
+            return boundsOfPoints([new Vec2(), this.endPoint]);
+        }
+        _containsLocal(p, tolerance) {
+            return distanceToSegment(p, new Vec2(), this.endPoint) <= this.style.lineWidth / 2 + tolerance;
+        }
+        _toSVG() {
+            return `<line x1="0" y1="0" x2="${svgNum(this.endPoint.x)}" y2="${svgNum(this.endPoint.y)}"${svgPaint({ ...this.style, fill: 'none' })}/>`;
+        }
         setEnd(x, y) { 
             this.endPoint.set(x - this.position.x, y - this.position.y);
         }
@@ -307,11 +1727,87 @@ const SciAnim = (() => {
                 }
             }
         }
+        _localBounds() {
+            return boundsOfPoints([new Vec2(), this.target]);
+        }
+        // The shaft within tolerance, or anywhere within the arrowhead's size of the tip.
+        _containsLocal(p, tolerance) {
+            return distanceToSegment(p, new Vec2(), this.target) <= this.style.lineWidth / 2 + tolerance ||
+                Math.hypot(p.x - this.target.x, p.y - this.target.y) <= Math.max(this.arrowSize, tolerance);
+        }
+        // With draggable: 'tip', dragging moves the tip (target) and leaves the tail in place.
+        _beginDrag(point) {
+            if (this.draggable !== 'tip') return super._beginDrag(point);
+            return { target: this.target.clone(), from: this.worldToLocal(point) || new Vec2() };
+        }
+        _dragTo(state, point) {
+            if (!state.target) return super._dragTo(state, point);
+            const local = this.worldToLocal(point);
+            if (local) this.target = state.target.add(local.sub(state.from));
+        }
+        _toSVG() {
+            const to = this.target;
+            let out = svgPath(`M0 0L${svgNum(to.x)} ${svgNum(to.y)}`, { stroke: this.style.stroke, lineWidth: this.style.lineWidth });
+            if (this.arrowSize > 0 && (this.style.arrowFill !== 'none' || this.style.stroke !== 'none')) {
+                const angle = Math.atan2(to.y, to.x);
+                const head = [
+                    to,
+                    { x: to.x - this.arrowSize * Math.cos(angle - Math.PI / 6), y: to.y - this.arrowSize * Math.sin(angle - Math.PI / 6) },
+                    { x: to.x - this.arrowSize * Math.cos(angle + Math.PI / 6), y: to.y - this.arrowSize * Math.sin(angle + Math.PI / 6) },
+                ];
+                if (this.style.arrowFill && this.style.arrowFill !== 'none') {
+                    out += svgPath(svgPolylinePath(head, true), { fill: this.style.arrowFill });
+                } else if (this.style.stroke && this.style.stroke !== 'none') {
+                    const lineWidth = this.style.lineWidth > 1 ? Math.max(0.5, this.style.lineWidth / 2) : 0.5;
+                    out += svgPath(svgPolylinePath(head, true), { stroke: this.style.stroke, lineWidth });
+                }
+            }
+            return out;
+        }
         setTarget(x, y) { 
             this.target.set(x, y);
         }
     }
 
+    // Size in pixels of a CSS font such as '16px Arial' (14 when it has none).
+    function fontPixelSize(font) {
+        return parseFloat((/(\d+(?:\.\d+)?)px/.exec(font) || [0, 14])[1]);
+    }
+
+    // Width of a line of text, measured with a 2D context when one is given, else estimated from the font size.
+    function measureTextWidth(text, font, ctx = null) {
+        if (!ctx) return String(text).length * fontPixelSize(font) * 0.6;
+        ctx.save();
+        ctx.font = font;
+        const width = ctx.measureText(String(text)).width;
+        ctx.restore();
+        return width;
+    }
+
+    // Splits text into lines at '\n' and, when maxWidth is set, between words so that each line fits in maxWidth
+    // pixels. A single word wider than maxWidth gets a line of its own.
+    function wrapTextLines(text, font, maxWidth = null, ctx = null) {
+        const lines = [];
+        for (const paragraph of String(text).split('\n')) {
+            if (!maxWidth || measureTextWidth(paragraph, font, ctx) <= maxWidth) {
+                lines.push(paragraph);
+                continue;
+            }
+            let line = '';
+            for (const word of paragraph.split(' ')) {
+                const candidate = line ? `${line} ${word}` : word;
+                if (line && measureTextWidth(candidate, font, ctx) > maxWidth) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            }
+            lines.push(line);
+        }
+        return lines;
+    }
+
     class TextLabel extends SceneObject {
         constructor(text = "Text", options = {}) {
             super(options);
@@ -319,19 +1815,253 @@ const SciAnim = (() => {
              if (this.style.fill === 'gray' && (!options.style || options.style.fill === undefined)) {
                 this.style.fill = 'black';
             }
+            this.maxWidth = options.maxWidth ?? null; // Wrap width in pixels; null breaks lines at '\n' only
+            this.lineHeight = options.lineHeight ?? 1.2; // Distance between baselines, in multiples of the font size
+            this.revealProgress = 1; // Fraction of the characters shown, see typewriter()
+            this.writeProgress = 1; // Progress of write()
+            this._morph = null; // { from, to, progress } while morphTo() runs
+            this._lastMorph = null;
+        }
+        // Lines of `text` in the top-down frame drawn by _drawSelf: each with its text, width, the x of its left
+        // edge (after textAlign) and the y of its baseline (textBaseline applies to the block as a whole).
+        _layout(ctx, text = this.text) {
+            const font = this.style.font;
+            const step = fontPixelSize(font) * this.lineHeight;
+            const lines = wrapTextLines(text, font, this.maxWidth, ctx);
+            const shift = { middle: 0.5, bottom: 1, ideographic: 1 }[this.style.textBaseline] || 0;
+            return lines.map((line, i) => {
+                const width = measureTextWidth(line, font, ctx);
+                const x = { center: -width / 2, right: -width, end: -width }[this.style.textAlign] || 0;
+                return { text: line, width, x, y: (i - shift * (lines.length - 1)) * step };
+            });
+        }
+        // Characters of a layout with their left edges, skipping spaces; `index` counts every character, of which
+        // there are `total`.
+        _glyphs(lines, ctx) {
+            const glyphs = [];
+            const total = lines.reduce((sum, line) => sum + line.text.length, 0);
+            let index = 0;
+            for (const line of lines) {
+                for (let i = 0; i < line.text.length; i++, index++) {
+                    if (line.text[i] === ' ') continue;
+                    glyphs.push({ char: line.text[i], x: line.x + measureTextWidth(line.text.slice(0, i), this.style.font, ctx), y: line.y, index, total });
+                }
+            }
+            return glyphs;
+        }
+        // Glyphs to draw, with the opacity and outline progress of each, or null when the lines are drawn whole.
+        // A morph's glyphs are cut by the typewriter's revealProgress and written by writeProgress too.
+        _animatedGlyphs(lines, ctx) {
+            let glyphs;
+            if (this._morph) {
+                const { from, to, progress } = this._morph;
+                const start = this._glyphs(this._layout(ctx, from), ctx), end = this._glyphs(this._layout(ctx, to), ctx);
+                // Each character of the new text takes the place of the first unused equal character of the old one
+                const unused = new Map();
+                start.forEach(g => unused.set(g.char, [...(unused.get(g.char) || []), g]));
+                glyphs = [];
+                for (const g of end) {
+                    const match = (unused.get(g.char) || []).shift();
+                    if (match) {
+                        glyphs.push({ ...g, x: match.x + (g.x - match.x) * progress, y: match.y + (g.y - match.y) * progress, alpha: 1, outline: 1 });
+                    } else {
+                        glyphs.push({ ...g, alpha: progress, outline: 1 });
+                    }
+                }
+                for (const left of unused.values()) left.forEach(g => glyphs.push({ ...g, alpha: 1 - progress, outline: 1 }));
+            } else if (this.writeProgress >= 1) {
+                return null;
+            } else {
+                glyphs = this._glyphs(lines, ctx).map(g => ({ ...g, alpha: 1, outline: 1 }));
+            }
+            const reveal = Math.min(Math.max(this.revealProgress, 0), 1);
+            if (reveal < 1) glyphs = glyphs.filter(g => g.index < Math.floor(reveal * g.total + 1e-9));
+            if (this.writeProgress >= 1) return glyphs;
+            // Glyphs are written one after another, overlapping: each outlines itself, then fills in
+            const window = Math.min(1, 4 / (glyphs.length + 3));
+            return glyphs.map((g, i) => {
+                const start = glyphs.length > 1 ? i / (glyphs.length - 1) * (1 - window) : 0;
+                const t = Math.min(Math.max((this.writeProgress - start) / window, 0), 1);
+                return { ...g, alpha: g.alpha * Math.min(Math.max((t - 0.4) / 0.6, 0), 1), outline: g.outline * Math.min(t / 0.6, 1) };
+            });
+        }
+        // Lines cut to the typewriter's revealProgress.
+        _revealedLines(lines) {
+            const total = lines.reduce((sum, line) => sum + line.text.length, 0);
+            let left = Math.floor(Math.min(Math.max(this.revealProgress, 0), 1) * total + 1e-9);
+            return lines.map(line => {
+                const shown = line.text.slice(0, Math.max(left, 0));
+                left -= line.text.length;
+                return { ...line, text: shown, partial: shown.length < line.text.length };
+            });
+        }
+        // Outline length of one glyph, estimated from the font size, for drawing outlines progressively.
+        _outlineLength() {
+            return fontPixelSize(this.style.font) * 4;
         }
         _drawSelf(ctx) {
             ctx.font = this.style.font;
             ctx.textAlign = this.style.textAlign;
             ctx.textBaseline = this.style.textBaseline;
-            if (this.style.fill && this.style.fill !== 'none') {
-                ctx.fillStyle = this.style.fill;
-                ctx.fillText(this.text, 0, 0);
+            ctx.save();
+            if (isFlipped(ctx.getTransform())) ctx.scale(1, -1); // Upright on a Y-up canvas
+            const lines = this._layout(ctx);
+            const fill = this.style.fill && this.style.fill !== 'none' ? this.style.fill : null;
+            const stroke = this.style.stroke && this.style.stroke !== 'none' ? this.style.stroke : null;
+            const glyphs = this._animatedGlyphs(lines, ctx);
+            if (glyphs) {
+                const length = this._outlineLength();
+                ctx.textAlign = 'left';
+                for (const g of glyphs) {
+                    if (g.outline < 1 || stroke) {
+                        ctx.save();
+                        ctx.strokeStyle = stroke || fill || 'black';
+                        ctx.lineWidth = this.style.lineWidth;
+                        if (g.outline < 1) ctx.setLineDash([g.outline * length, length]);
+                        if (g.outline > 0) ctx.strokeText(g.char, g.x, g.y);
+                        ctx.restore();
+                    }
+                    if (fill && g.alpha > 0) {
+                        ctx.save();
+                        ctx.globalAlpha *= g.alpha;
+                        ctx.fillStyle = fill;
+                        ctx.fillText(g.char, g.x, g.y);
+                        ctx.restore();
+                    }
+                }
+                ctx.restore();
+                return;
             }
-            if (this.style.stroke && this.style.stroke !== 'none') {
-                ctx.strokeStyle = this.style.stroke;
-                ctx.lineWidth = this.style.lineWidth;
-                ctx.strokeText(this.text, 0, 0);
+            for (const line of this._revealedLines(lines)) {
+                if (!line.text) continue;
+                ctx.textAlign = line.partial ? 'left' : this.style.textAlign; // A cut line keeps the place of its first characters
+                const x = line.partial ? line.x : 0;
+                if (fill) {
+                    ctx.fillStyle = fill;
+                    ctx.fillText(line.text, x, line.y);
+                }
+                if (stroke) {
+                    ctx.strokeStyle = stroke;
+                    ctx.lineWidth = this.style.lineWidth;
+                    ctx.strokeText(line.text, x, line.y);
+                }
+            }
+            ctx.restore();
+        }
+        // Estimated from the font size and the measured width; drawn top-down when the canvas is Y-up.
+        _localBounds() {
+            const scene = this._scene();
+            const size = fontPixelSize(this.style.font);
+            const top = { top: 0, hanging: 0, middle: -size / 2, bottom: -size, ideographic: -size }[this.style.textBaseline] ?? -0.8 * size;
+            const flip = svgIsFlipped(scene) ? -1 : 1;
+            const texts = this._morph ? [this._morph.from, this._morph.to] : [this.text];
+            const points = [];
+            for (const text of texts) {
+                for (const line of this._layout(scene && scene.ctx, text)) {
+                    points.push(new Vec2(line.x, (line.y + top) * flip), new Vec2(line.x + line.width, (line.y + top + size) * flip));
+                }
+            }
+            return boundsOfPoints(points);
+        }
+        _containsLocal(p) {
+            const b = this._localBounds();
+            return p.x >= b.minX && p.x <= b.maxX && p.y >= b.minY && p.y <= b.maxY;
+        }
+        _toSVG(scene) {
+            const upright = svgIsFlipped(scene);
+            const flip = upright ? -1 : 1;
+            const lines = this._layout(scene && scene.ctx);
+            const style = { font: this.style.font, fill: this.style.fill, stroke: this.style.stroke, lineWidth: this.style.lineWidth, baseline: this.style.textBaseline, upright };
+            const glyphs = this._animatedGlyphs(lines, scene && scene.ctx);
+            if (glyphs) {
+                const length = this._outlineLength();
+                let out = '';
+                for (const g of glyphs) {
+                    const stroke = this.style.stroke && this.style.stroke !== 'none' ? this.style.stroke : null;
+                    if (g.outline > 0 && (g.outline < 1 || stroke)) {
+                        out += svgText(g.char, g.x, g.y * flip, {
+                            ...style, fill: 'none', stroke: stroke || this.style.fill, dash: g.outline < 1 ? [g.outline * length, length] : null,
+                        });
+                    }
+                    if (g.alpha > 0) {
+                        const text = svgText(g.char, g.x, g.y * flip, { ...style, stroke: 'none' });
+                        out += g.alpha < 1 ? `<g opacity="${svgNum(g.alpha)}">${text}</g>` : text;
+                    }
+                }
+                return out;
+            }
+            return this._revealedLines(lines).filter(line => line.text).map(line => svgText(line.text, line.partial ? line.x : 0, line.y * flip, {
+                ...style, align: line.partial ? 'left' : this.style.textAlign,
+            })).join('');
+        }
+        // Tween revealing the text one character at a time, in reading order.
+        typewriter(duration = 1, easing = Easing.linear) {
+            return this._progressTween('revealProgress', 'typewriter', duration, easing);
+        }
+        // Tween writing the text: each character's outline is drawn, then filled, a little after the one before.
+        write(duration = 1, easing = Easing.linear) {
+            return this._progressTween('writeProgress', 'write', duration, easing);
+        }
+        // Tween of revealProgress or writeProgress from 0 to 1. The old value is saved when the tween first moves,
+        // so a tween queued in a Timeline leaves the text alone until it starts, and moving the tween back to 0 (a
+        // Timeline seeking back) restores it.
+        _progressTween(key, method, duration, easing) {
+            const label = this;
+            let progress = 0;
+            const transition = {
+                saved: null,
+                get progress() { return progress; },
+                set progress(value) {
+                    progress = value;
+                    if (value <= 0) {
+                        if (this.saved !== null) label[key] = this.saved;
+                        this.saved = null;
+                        return;
+                    }
+                    if (this.saved === null) this.saved = label[key];
+                    label[key] = value;
+                },
+            };
+            const tween = new Tween(transition, 'progress', 1, duration, easing, this.sceneRef);
+            tween._factory = { object: this, method, args: [] };
+            return tween;
+        }
+        // Tween turning the text into `newText`: characters found in both move to their new places, the others
+        // fade out or in. The old text is read when the tween first moves, so morphs queued in a Timeline chain,
+        // and moving the tween back to 0 (a Timeline seeking back) restores it.
+        morphTo(newText, duration = 1, easing = Easing.linear) {
+            const label = this;
+            let progress = 0;
+            const transition = {
+                from: null, to: String(newText), previous: null,
+                get progress() { return progress; },
+                set progress(value) {
+                    progress = value;
+                    if (value <= 0) {
+                        label._rewindMorph(this);
+                        return;
+                    }
+                    if (this.from === null) {
+                        this.from = label.text;
+                        this.previous = label._lastMorph;
+                    }
+                    label._lastMorph = this;
+                    label.text = value >= 1 ? this.to : this.from;
+                    label._morph = value >= 1 ? null : { from: this.from, to: this.to, progress: value };
+                },
+            };
+            const tween = new Tween(transition, 'progress', 1, duration, easing, this.sceneRef);
+            tween._factory = { object: this, method: 'morphTo', args: [newText] };
+            return tween;
+        }
+        // Restores the text from before `transition` if the label shows it or a morph made after it.
+        _rewindMorph(transition) {
+            for (let t = this._lastMorph; t; t = t.previous) {
+                if (t !== transition) continue;
+                this.text = transition.from;
+                this._morph = null;
+                this._lastMorph = transition.previous;
+                return;
             }
         }
     }
@@ -367,333 +2097,450 @@ const SciAnim = (() => {
             }
         }
 
+        _localBounds() {
+            return boundsOfPoints(this.points);
+        }
+
+        _containsLocal(p) {
+            return pointInPolygon(p, this.points);
+        }
+
+        _toSVG() {
+            return svgPath(svgPolylinePath(this.points, true), this.style);
+        }
+
+        // The polygon as a closed BezierPath with the same transform and style.
+        toPath() {
+            const commands = this.points.map((p, i) => [i ? 'L' : 'M', p.x, p.y]);
+            return new BezierPath(commands.length ? [...commands, ['Z']] : [], pathOptionsFrom(this));
+        }
+
+        // Tweens the vertices to `targetPoints`. With a different number of points, both outlines are resampled by
+        // arc length (each keeping its corners) and aligned to start where they are closest; the polygon ends with
+        // exactly `targetPoints`, and moving the tween back to 0 (a Timeline seeking back) restores the old points.
         morphTo(targetPoints, duration, easing = Easing.linear) {
-            if (this.points.length !== targetPoints.length) {
-                console.error("PolygonShape.morphTo: Target points array must have the same length as current points array. Resampling not yet implemented.");
-                return { start: () => {}, then: () => {}, onProgress: () => {} }; 
+            const target = targetPoints.map(p => Array.isArray(p) ? new Vec2(p[0], p[1]) : p.clone());
+            if (this.points.length === target.length) {
+                return new Tween(this, 'points', target, duration, easing, this.sceneRef);
             }
-            const tween = new Tween(this, 'points', targetPoints.map(p => p.clone()), duration, easing, this.sceneRef);
+            const polygon = this;
+            let progress = 0;
+            const transition = {
+                from: null, pairs: null,
+                get progress() { return progress; },
+                set progress(value) {
+                    progress = value;
+                    if (value <= 0) {
+                        if (this.from) polygon.points = this.from.map(p => p.clone());
+                        return;
+                    }
+                    if (!this.from) {
+                        this.from = polygon.points.map(p => p.clone());
+                        this.pairs = matchOutlines({ points: this.from, closed: true }, { points: target, closed: true });
+                    }
+                    polygon.points = value >= 1
+                        ? target.map(p => p.clone())
+                        : this.pairs.from.map((p, i) => p.add(this.pairs.to[i].sub(p).mul(value)));
+                },
+            };
+            const tween = new Tween(transition, 'progress', 1, duration, easing, this.sceneRef);
+            tween._factory = { object: this, method: 'morphTo', args: [target.map(p => [p.x, p.y])] };
             return tween;
         }
     }
 
-    // --- SCIENTIFIC VISUALIZATION OBJECTS ---
-    class GridSystem extends SceneObject {
-        constructor(width, height, cellSize, options = {}) {
-            super(options);
-            this.gridWidth = width;
-            this.gridHeight = height;
-            this.cellSize = cellSize;
-            this.style.color = options.style?.color || "#cccccc";
-            this.style.lineWidth = options.style?.lineWidth || 0.5;
-            this.style.dashed = options.style?.dashed || false;
-            this.style.axisColor = options.style?.axisColor || "#888888";
-            this.style.axisLineWidth = options.style?.axisLineWidth || 1;
-            this.showLabels = options.showLabels || false;
-            this.labelStyle = {
-                font: '10px Arial',
-                fill: '#555555',
-                offset: 5,
-                ...(options.labelStyle || {})
-            };
+    // Path commands are arrays with absolute coordinates: ['M', x, y], ['L', x, y], ['Q', cx, cy, x, y],
+    // ['C', c1x, c1y, c2x, c2y, x, y] and ['Z']. Arcs are stored as cubic Bézier segments.
+
+    // Cubic segments along an ellipse centred at (cx, cy) and rotated by `angle`, from parameter `start` through
+    // `sweep` radians (negative sweeps go the other way), in pieces of at most a quarter turn.
+    function ellipseCubics(cx, cy, rx, ry, angle, start, sweep) {
+        const pieces = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9));
+        const step = sweep / pieces, k = 4 / 3 * Math.tan(step / 4);
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        const map = (x, y) => [cx + cos * x - sin * y, cy + sin * x + cos * y];
+        const commands = [];
+        for (let i = 0; i < pieces; i++) {
+            const t0 = start + i * step, t1 = t0 + step;
+            const c0 = Math.cos(t0), s0 = Math.sin(t0), c1 = Math.cos(t1), s1 = Math.sin(t1);
+            commands.push(['C', ...map(rx * (c0 - k * s0), ry * (s0 + k * c0)), ...map(rx * (c1 + k * s1), ry * (s1 - k * c1)), ...map(rx * c1, ry * s1)]);
         }
+        return commands;
+    }
 
-        _drawSelf(ctx, scene) {
-            ctx.strokeStyle = this.style.color;
-            ctx.lineWidth = this.style.lineWidth;
-            if (this.style.dashed) ctx.setLineDash([2, 2]);
-            else ctx.setLineDash([]);
-
-            const startX = -this.gridWidth / 2;
-            const endX = this.gridWidth / 2;
-            const startY = -this.gridHeight / 2;
-            const endY = this.gridHeight / 2;
+    // Cubic segments for an SVG elliptical arc from p1 to p2 (the endpoint form of the 'A' command, with radii
+    // scaled up when they cannot reach).
+    function svgArcCubics(p1, rx, ry, angle, largeArc, sweep, p2) {
+        if (p1.x === p2.x && p1.y === p2.y) return [];
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        if (!rx || !ry) return [['L', p2.x, p2.y]];
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        const dx = (p1.x - p2.x) / 2, dy = (p1.y - p2.y) / 2;
+        const x1 = cos * dx + sin * dy, y1 = -sin * dx + cos * dy;
+        const lambda = x1 * x1 / (rx * rx) + y1 * y1 / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+        const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+        const k = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / (rx * rx * y1 * y1 + ry * ry * x1 * x1)));
+        const cx1 = k * rx * y1 / ry, cy1 = -k * ry * x1 / rx;
+        const cx = cos * cx1 - sin * cy1 + (p1.x + p2.x) / 2, cy = sin * cx1 + cos * cy1 + (p1.y + p2.y) / 2;
+        const start = Math.atan2((y1 - cy1) / ry, (x1 - cx1) / rx);
+        let delta = Math.atan2((-y1 - cy1) / ry, (-x1 - cx1) / rx) - start;
+        if (sweep && delta < 0) delta += 2 * Math.PI;
+        else if (!sweep && delta > 0) delta -= 2 * Math.PI;
+        const commands = ellipseCubics(cx, cy, rx, ry, angle, start, delta);
+        commands[commands.length - 1].splice(5, 2, p2.x, p2.y); // End exactly on p2
+        return commands;
+    }
 
-            for (let x = 0; x <= this.gridWidth; x += this.cellSize) {
-                const currentX = startX + x;
-                ctx.beginPath();
-                ctx.moveTo(currentX, startY);
-                ctx.lineTo(currentX, endY);
-                ctx.stroke();
-                if (this.showLabels && x !== 0 && Math.abs(currentX) > this.cellSize/2) {
-                     this._drawText(ctx, currentX.toFixed(0), currentX, startY - this.labelStyle.offset, 'center', 'top');
+    // Parses SVG path data (the `d` attribute) into path commands. Relative commands, H/V, the smooth S/T forms and
+    // arcs are converted to the absolute M/L/Q/C/Z set. Errors are thrown as ExpressionErrors.
+    function parseSVGPath(d) {
+        const NUMBER = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+        const commands = [];
+        let pos = 0, command = null;
+        let current = new Vec2(), start = new Vec2(), control = null; // `control` is the last C/S or Q/T control point
+        const fail = (message, at = pos) => { throw new ExpressionError(message, at, d); };
+        const skip = () => { while (pos < d.length && /[\s,]/.test(d[pos])) pos++; };
+        const number = () => {
+            skip();
+            NUMBER.lastIndex = pos;
+            const match = NUMBER.exec(d);
+            if (!match) fail(`Expected a number for '${command}'`);
+            pos = NUMBER.lastIndex;
+            return parseFloat(match[0]);
+        };
+        const flag = () => {
+            skip();
+            if (d[pos] !== '0' && d[pos] !== '1') fail(`Expected an arc flag (0 or 1) for '${command}'`);
+            return d[pos++] === '1';
+        };
+        const point = relative => {
+            const x = number(), y = number();
+            return relative ? new Vec2(current.x + x, current.y + y) : new Vec2(x, y);
+        };
+        for (;;) {
+            skip();
+            if (pos >= d.length) break;
+            const at = pos;
+            if (/[a-zA-Z]/.test(d[pos])) {
+                command = d[pos++];
+                if (!'MmLlHhVvCcSsQqTtAaZz'.includes(command)) fail(`Unknown path command '${command}'`, at);
+            } else if (!command) {
+                fail('Path data must start with a move command (M or m)');
+            } else if (command === 'Z' || command === 'z') {
+                fail(`Unexpected number after '${command}'`);
+            } // Otherwise the previous command repeats
+            const type = command.toUpperCase(), relative = command !== type;
+            if (!commands.length && type !== 'M') fail('Path data must start with a move command (M or m)', at);
+            let nextControl = null;
+            switch (type) {
+                case 'M':
+                    current = start = point(relative);
+                    commands.push(['M', current.x, current.y]);
+                    command = relative ? 'l' : 'L'; // Further coordinate pairs are lines
+                    break;
+                case 'L':
+                    current = point(relative);
+                    commands.push(['L', current.x, current.y]);
+                    break;
+                case 'H':
+                    current = new Vec2((relative ? current.x : 0) + number(), current.y);
+                    commands.push(['L', current.x, current.y]);
+                    break;
+                case 'V':
+                    current = new Vec2(current.x, (relative ? current.y : 0) + number());
+                    commands.push(['L', current.x, current.y]);
+                    break;
+                case 'C': case 'S': {
+                    const reflected = control && control.cubic ? current.mul(2).sub(control.point) : current;
+                    const c1 = type === 'C' ? point(relative) : reflected;
+                    const c2 = point(relative), end = point(relative);
+                    commands.push(['C', c1.x, c1.y, c2.x, c2.y, end.x, end.y]);
+                    nextControl = { point: c2, cubic: true };
+                    current = end;
+                    break;
                 }
-            }
-            for (let y = 0; y <= this.gridHeight; y += this.cellSize) {
-                const currentY = startY + y;
-                ctx.beginPath();
-                ctx.moveTo(startX, currentY);
-                ctx.lineTo(endX, currentY);
-                ctx.stroke();
-                if (this.showLabels && y !== 0 && Math.abs(currentY) > this.cellSize/2) {
-                     this._drawText(ctx, currentY.toFixed(0), startX - this.labelStyle.offset, currentY, 'right', 'middle');
+                case 'Q': case 'T': {
+                    const c = type === 'Q' ? point(relative) : (control && !control.cubic ? current.mul(2).sub(control.point) : current);
+                    const end = point(relative);
+                    commands.push(['Q', c.x, c.y, end.x, end.y]);
+                    nextControl = { point: c, cubic: false };
+                    current = end;
+                    break;
+                }
+                case 'A': {
+                    const rx = number(), ry = number(), angle = degToRad(number()), largeArc = flag(), sweep = flag();
+                    const end = point(relative);
+                    commands.push(...svgArcCubics(current, rx, ry, angle, largeArc, sweep, end));
+                    current = end;
+                    break;
                 }
+                case 'Z':
+                    commands.push(['Z']);
+                    current = start;
+                    break;
             }
+            control = nextControl;
+        }
+        return commands;
+    }
 
-            if (startX < 0 && endX > 0) { 
-                ctx.strokeStyle = this.style.axisColor;
-                ctx.lineWidth = this.style.axisLineWidth;
-                ctx.setLineDash([]);
-                ctx.beginPath();
-                ctx.moveTo(startX, 0);
-                ctx.lineTo(endX, 0);
-                ctx.stroke();
-                if(this.showLabels) this._drawText(ctx, "0", startX - this.labelStyle.offset, 0, 'right', 'middle');
+    // SVG path data for path commands.
+    function pathCommandsToSVG(commands) {
+        return commands.map(([type, ...values]) => type + values.map(svgNum).join(' ')).join('');
+    }
+
+    // Subpaths of path commands as polylines ({ points, closed, length }); curves are sampled finely enough that
+    // lengths and partial strokes follow them closely. A closed subpath ends with its first point again.
+    function flattenPathCommands(commands) {
+        const subpaths = [];
+        let path = null, start = new Vec2(), current = new Vec2();
+        const pathFrom = point => {
+            path = { points: [point.clone()], closed: false, length: 0 };
+            subpaths.push(path);
+        };
+        for (const [type, ...v] of commands) {
+            if (type === 'M') {
+                start = current = new Vec2(v[0], v[1]);
+                pathFrom(current);
+                continue;
             }
-            if (startY < 0 && endY > 0) { 
-                ctx.strokeStyle = this.style.axisColor;
-                ctx.lineWidth = this.style.axisLineWidth;
-                ctx.setLineDash([]);
-                ctx.beginPath();
-                ctx.moveTo(0, startY);
-                ctx.lineTo(0, endY);
-                ctx.stroke();
+            if (type === 'Z') {
+                if (path && !path.closed) {
+                    path.points.push(start.clone());
+                    path.closed = true;
+                }
+                current = start;
+                path = null;
+                continue;
             }
-             if (this.style.dashed) ctx.setLineDash([2, 2]); // Restore dash setting
-             else ctx.setLineDash([]);
-        }
-
-        _drawText(ctx, text, x, y, align, baseline) {
-            ctx.fillStyle = this.labelStyle.fill;
-            ctx.font = this.labelStyle.font;
-            ctx.textAlign = align;
-            ctx.textBaseline = baseline;
-            const sceneYFlipped = ctx.getTransform().d < 0;
-            if (sceneYFlipped) {
-                ctx.save();
-                ctx.scale(1,-1);
-                ctx.fillText(text, x, -y);
-                ctx.restore();
+            if (!path) pathFrom(current); // Drawing on after a close starts a new subpath at the same point
+            const controls = [current];
+            for (let i = 0; i < v.length; i += 2) controls.push(new Vec2(v[i], v[i + 1]));
+            const end = controls[controls.length - 1];
+            if (type === 'L') {
+                path.points.push(end.clone());
             } else {
-                ctx.fillText(text, x, y);
+                let hull = 0;
+                for (let i = 1; i < controls.length; i++) hull += controls[i].sub(controls[i - 1]).mag();
+                const steps = Math.min(64, Math.max(16, Math.ceil(hull / 3)));
+                for (let i = 1; i <= steps; i++) {
+                    const t = i / steps, u = 1 - t;
+                    path.points.push(controls.length === 3
+                        ? controls[0].mul(u * u).add(controls[1].mul(2 * u * t)).add(controls[2].mul(t * t))
+                        : controls[0].mul(u * u * u).add(controls[1].mul(3 * u * u * t)).add(controls[2].mul(3 * u * t * t)).add(controls[3].mul(t * t * t)));
+                }
             }
+            current = end;
+        }
+        for (const subpath of subpaths) {
+            for (let i = 1; i < subpath.points.length; i++) subpath.length += subpath.points[i].sub(subpath.points[i - 1]).mag();
         }
+        return subpaths;
     }
-    
-    class Axes extends SceneObject {
-        constructor(xRange = [-10, 10], yRange = [-10, 10], options = {}) {
+
+    // A path of lines, quadratic and cubic Bézier curves and arcs, built with the canvas-style methods below or
+    // from SVG path data (BezierPath.fromSVG). Like the plots it can be drawn on with createAnimation().
+    class BezierPath extends SceneObject {
+        constructor(commands = [], options = {}) {
             super(options);
-            this.xRange = xRange;
-            this.yRange = yRange;
-            this.xTicks = options.xTicks || (xRange[1] - xRange[0]);
-            this.yTicks = options.yTicks || (yRange[1] - yRange[0]);
-            this.tickSize = options.tickSize || 5;
-            this.showLabels = options.showLabels === undefined ? true : options.showLabels;
-            this.labelPrecision = options.labelPrecision === undefined ? 1 : options.labelPrecision;
-            this.style.color = options.style?.color || "#333333";
-            this.style.lineWidth = options.style?.lineWidth || 1.5;
-            this.labelStyle = {
-                font: '12px Arial',
-                fill: '#333333',
-                offset: 8,
-                ...(options.labelStyle || {})
-            };
-            this.style.arrowSize = options.style?.arrowSize === undefined ? 8 : options.style?.arrowSize;
+            this.commands = typeof commands === 'string' ? parseSVGPath(commands) : commands.map(command => [...command]);
+            if (this.style.fill === 'gray' && (!options.style || options.style.fill === undefined)) {
+                this.style.fill = 'none';
+            }
+            if (this.style.stroke === 'none' && (!options.style || options.style.stroke === undefined)) {
+                this.style.stroke = 'black';
+            }
+            this.style.dash = options.style?.dash || [];
+            this.style.dashOffset = options.style?.dashOffset || 0; // Tween 'style.dashOffset' to march the dashes
+            this.drawProgress = options.drawProgress ?? 1; // Fraction of the length stroked, see createAnimation()
+            this._flat = null;
         }
 
-        _drawSelf(ctx, scene) {
-            ctx.strokeStyle = this.style.color;
-            ctx.fillStyle = this.labelStyle.fill; 
-            ctx.lineWidth = this.style.lineWidth;
-            ctx.font = this.labelStyle.font;
+        // Builds a path from SVG path data, e.g. BezierPath.fromSVG('M0 0 C 20 40, 60 40, 80 0'). SVG's y axis
+        // points down; on a Y-up canvas, give the path scale: { x: 1, y: -1 } to see the drawing the right way up.
+        static fromSVG(d, options = {}) {
+            return new BezierPath(parseSVGPath(d), options);
+        }
 
-            const sceneYFlipped = ctx.getTransform().d < 0;
-
-            ctx.beginPath();
-            ctx.moveTo(this.xRange[0], 0);
-            ctx.lineTo(this.xRange[1], 0);
-            ctx.stroke();
-            this._drawArrowHead(ctx, this.xRange[1], 0, 0); 
-
-            ctx.beginPath();
-            ctx.moveTo(0, this.yRange[0]);
-            ctx.lineTo(0, this.yRange[1]);
-            ctx.stroke();
-            this._drawArrowHead(ctx, 0, this.yRange[1], Math.PI / 2); 
-
-            const xTickStep = (this.xRange[1] - this.xRange[0]) / this.xTicks;
-            for (let i = 0; i <= this.xTicks; i++) {
-                const x = this.xRange[0] + i * xTickStep;
-                if (Math.abs(x) < 1e-9 && (i !== 0 || this.xRange[0] !== 0) ) continue; // Avoid double drawing origin if xRange[0] is 0
-                if (Math.abs(x) > 1e-9 && Math.abs(x) < xTickStep / 2) continue;  // Skip ticks too close to origin if origin is not a tick
-                
-                ctx.beginPath();
-                ctx.moveTo(x, -this.tickSize / 2);
-                ctx.lineTo(x, this.tickSize / 2);
-                ctx.stroke();
-                if (this.showLabels) {
-                    const label = (Math.abs(x) < 1e-9) ? "0" : x.toFixed(this.labelPrecision);
-                    if (label !== "0" || (Math.abs(x) < 1e-9)) { // Only draw "0" at actual origin
-                         this._drawText(ctx, label, x, -this.labelStyle.offset * (sceneYFlipped ? -1 : 1) , 'center', sceneYFlipped ? 'bottom' : 'top', sceneYFlipped);
-                    }
+        _end() {
+            for (let i = this.commands.length - 1; i >= 0; i--) {
+                const command = this.commands[i];
+                if (command[0] === 'Z') {
+                    for (let j = i - 1; j >= 0; j--) if (this.commands[j][0] === 'M') return new Vec2(this.commands[j][1], this.commands[j][2]);
+                    return new Vec2();
                 }
+                return new Vec2(command[command.length - 2], command[command.length - 1]);
             }
+            return null;
+        }
 
-            const yTickStep = (this.yRange[1] - this.yRange[0]) / this.yTicks;
-            for (let i = 0; i <= this.yTicks; i++) {
-                const y = this.yRange[0] + i * yTickStep;
-                if (Math.abs(y) < 1e-9 && (i !== 0 || this.yRange[0] !== 0) ) continue; 
-                if (Math.abs(y) > 1e-9 && Math.abs(y) < yTickStep / 2) continue;
-
-                ctx.beginPath();
-                ctx.moveTo(-this.tickSize / 2, y);
-                ctx.lineTo(this.tickSize / 2, y);
-                ctx.stroke();
-                if (this.showLabels) {
-                     const label = (Math.abs(y) < 1e-9) ? "0" : y.toFixed(this.labelPrecision);
-                    if (label !== "0" || (Math.abs(y) < 1e-9)) {
-                        this._drawText(ctx, label, -this.labelStyle.offset, y, 'right', 'middle', sceneYFlipped);
-                    }
-                }
-            }
-            
-            const isOriginXTick = Math.abs(this.xRange[0] % xTickStep) < 1e-9 || Math.abs( (0 - this.xRange[0]) % xTickStep) < 1e-9;
-            const isOriginYTick = Math.abs(this.yRange[0] % yTickStep) < 1e-9 || Math.abs( (0 - this.yRange[0]) % yTickStep) < 1e-9;
+        moveTo(x, y) {
+            this.commands.push(['M', x, y]);
+            return this;
+        }
+        lineTo(x, y) {
+            if (!this.commands.length) return this.moveTo(x, y);
+            this.commands.push(['L', x, y]);
+            return this;
+        }
+        quadraticCurveTo(cx, cy, x, y) {
+            if (!this.commands.length) this.moveTo(cx, cy);
+            this.commands.push(['Q', cx, cy, x, y]);
+            return this;
+        }
+        bezierCurveTo(c1x, c1y, c2x, c2y, x, y) {
+            if (!this.commands.length) this.moveTo(c1x, c1y);
+            this.commands.push(['C', c1x, c1y, c2x, c2y, x, y]);
+            return this;
+        }
+        // A circular arc as on a canvas: angles grow from +x towards +y unless `anticlockwise`. It is joined to the
+        // current point with a line.
+        arc(cx, cy, radius, startAngle, endAngle, anticlockwise = false) {
+            let sweep = endAngle - startAngle;
+            if (!anticlockwise && sweep < 0) sweep = sweep % (2 * Math.PI) + 2 * Math.PI;
+            else if (anticlockwise && sweep > 0) sweep = sweep % (2 * Math.PI) - 2 * Math.PI;
+            sweep = Math.max(-2 * Math.PI, Math.min(2 * Math.PI, sweep));
+            const start = [cx + radius * Math.cos(startAngle), cy + radius * Math.sin(startAngle)];
+            this.commands.push([this.commands.length && this.commands[this.commands.length - 1][0] !== 'Z' ? 'L' : 'M', ...start]);
+            this.commands.push(...ellipseCubics(cx, cy, radius, radius, 0, startAngle, sweep));
+            return this;
+        }
+        // An elliptical arc to (x, y), with the parameters of SVG's 'A' command (rotation in radians).
+        ellipticalArcTo(rx, ry, rotation, largeArc, sweep, x, y) {
+            const from = this._end();
+            if (!from) return this.moveTo(x, y);
+            this.commands.push(...svgArcCubics(from, rx, ry, rotation, !!largeArc, !!sweep, new Vec2(x, y)));
+            return this;
+        }
+        closePath() {
+            this.commands.push(['Z']);
+            return this;
+        }
 
-            if (this.showLabels && this.xRange[0] < 0 && this.xRange[1] > 0 && this.yRange[0] < 0 && this.yRange[1] > 0 && (!isOriginXTick || !isOriginYTick)) {
-                 // Draw "0" at origin if it wasn't drawn as a tick label
-                 if (!isOriginXTick && !isOriginYTick) { // Neither axis has 0 as a tick
-                     this._drawText(ctx, "0", -this.labelStyle.offset, -this.labelStyle.offset * (sceneYFlipped ? -1 : 1), 'right', sceneYFlipped ? 'bottom' : 'top', sceneYFlipped);
-                 } else if (!isOriginXTick && isOriginYTick) { // X axis doesn't have 0 as tick, Y does
-                     // The Y axis logic above should draw its "0". We might need to add "0" for X near origin.
-                     // This case is tricky; current tick logic tries to handle "0" labeling.
-                 } // Similar for !isOriginYTick && isOriginXTick
-            }
+        // SVG path data for the whole path.
+        toPathData() {
+            return pathCommandsToSVG(this.commands);
         }
-        
-        _drawArrowHead(ctx, tipX, tipY, axisAngle) {
-            if (this.style.arrowSize <= 0) return;
-            ctx.save();
-            ctx.translate(tipX, tipY);
-            ctx.rotate(axisAngle); 
 
-            const s = this.style.arrowSize;
-            const barbAngle = Math.PI / 6; 
+        // Polylines following the path, cached until the commands change.
+        _subpaths() {
+            const key = this.commands.join(';');
+            if (!this._flat || this._flat.key !== key) this._flat = { key, subpaths: flattenPathCommands(this.commands) };
+            return this._flat.subpaths;
+        }
 
-            ctx.beginPath();
-            ctx.moveTo(0, 0); 
-            ctx.lineTo(-s * Math.cos(barbAngle), s * Math.sin(barbAngle)); 
-            ctx.moveTo(0, 0); 
-            ctx.lineTo(-s * Math.cos(barbAngle), -s * Math.sin(barbAngle)); 
-            
-            ctx.strokeStyle = this.style.color;
-            ctx.lineWidth = this.style.lineWidth;
-            ctx.stroke();
-            ctx.restore();
+        // Total arc length of the path (all subpaths).
+        getLength() {
+            return this._subpaths().reduce((sum, subpath) => sum + subpath.length, 0);
         }
 
-        _drawText(ctx, text, x, y, align, baseline, sceneYFlipped) {
-            ctx.textAlign = align;
-            ctx.textBaseline = baseline;
-            if (sceneYFlipped) {
-                ctx.save();
-                ctx.scale(1, -1);
-                ctx.fillText(text, x, -y);
-                ctx.restore();
-            } else {
-                ctx.fillText(text, x, y);
+        // Local point and unit direction at a fraction (0 to 1) of the path's length.
+        _sample(fraction) {
+            const subpaths = this._subpaths().filter(subpath => subpath.points.length > 1);
+            if (!subpaths.length) return { point: this._end() || new Vec2(), direction: new Vec2(1, 0) };
+            let remaining = Math.min(Math.max(fraction, 0), 1) * this.getLength();
+            for (const { points } of subpaths) {
+                for (let i = 1; i < points.length; i++) {
+                    const segment = points[i].sub(points[i - 1]), length = segment.mag();
+                    if (length === 0) continue;
+                    if (remaining <= length) return { point: points[i - 1].add(segment.mul(remaining / length)), direction: segment.mul(1 / length) };
+                    remaining -= length;
+                }
             }
+            const { points } = subpaths[subpaths.length - 1];
+            const last = points[points.length - 1], before = points[points.length - 2];
+            const segment = last.sub(before);
+            return { point: last.clone(), direction: segment.mag() ? segment.mul(1 / segment.mag()) : new Vec2(1, 0) };
         }
-    }
-
-    class FunctionPlot extends SceneObject {
-        constructor(func, xMin = -10, xMax = 10, numPoints = 200, options = {}) {
-            super(options);
-            this.func = func;
-            this.xMin = xMin;
-            this.xMax = xMax;
-            this.numPoints = numPoints;
-            this.style.stroke = options.style?.stroke || "blue";
-            this.style.lineWidth = options.style?.lineWidth || 2;
-            
-            this.drawProgress = 1; 
 
-            this._morph = {
-                isActive: false,
-                oldFunc: null,
-                targetFunc: null,
-                progress: 0,
-            };
-            this._currentDisplayFunc = this.func;
+        // Point (local coordinates) at a fraction (0 to 1) of the path's length.
+        pointAt(fraction) {
+            return this._sample(fraction).point;
         }
 
-        update(deltaTime, scene) {
-            super.update(deltaTime, scene); 
-
-            if (this._morph.isActive) {
-                const p = this._morph.progress;
-                const oldF = this._morph.oldFunc;
-                const newF = this._morph.targetFunc;
-                
-                this._currentDisplayFunc = (x) => { 
-                    try {
-                        const y1 = oldF(x);
-                        const y2 = newF(x);
+        // Unit tangent (local coordinates, in the direction of travel) at a fraction of the path's length.
+        tangentAt(fraction) {
+            return this._sample(fraction).direction;
+        }
 
-                        if (Number.isFinite(y1) && Number.isFinite(y2)) {
-                            return (1 - p) * y1 + p * y2;
-                        } else if (Number.isFinite(y1) && p < 0.5) { 
-                            return y1 * (1 - (p*2)); 
-                        } else if (Number.isFinite(y1) && p >=0.5 && !Number.isFinite(y2)){ 
-                             return NaN; 
-                        }
-                         else if (Number.isFinite(y2) && p >= 0.5) { 
-                            return y2 * ((p-0.5)*2); 
-                        } else if (Number.isFinite(y2) && p < 0.5 && !Number.isFinite(y1)){ 
-                            return NaN; 
-                        }
-                        return NaN; 
-                    } catch (e) {
-                        return NaN;
-                    }
-                };
-            } else {
-                this._currentDisplayFunc = this.func;
+        // The subpaths' polylines up to drawProgress of the total length.
+        _visibleSubpaths() {
+            const subpaths = this._subpaths();
+            let remaining = Math.max(this.drawProgress, 0) * subpaths.reduce((sum, subpath) => sum + subpath.length, 0);
+            const visible = [];
+            for (const subpath of subpaths) {
+                if (remaining <= 0) break;
+                visible.push(subpath.length <= remaining ? subpath.points : revealPolyline(subpath.points, remaining / subpath.length));
+                remaining -= subpath.length;
             }
+            return visible;
         }
 
-        _drawSelf(ctx) {
-            ctx.strokeStyle = this.style.stroke;
-            ctx.lineWidth = this.style.lineWidth;
+        _tracePath(ctx) {
             ctx.beginPath();
+            for (const [type, ...v] of this.commands) {
+                if (type === 'M') ctx.moveTo(v[0], v[1]);
+                else if (type === 'L') ctx.lineTo(v[0], v[1]);
+                else if (type === 'Q') ctx.quadraticCurveTo(v[0], v[1], v[2], v[3]);
+                else if (type === 'C') ctx.bezierCurveTo(v[0], v[1], v[2], v[3], v[4], v[5]);
+                else if (type === 'Z') ctx.closePath();
+            }
+        }
 
-            const step = (this.xMax - this.xMin) / this.numPoints;
-            let firstPoint = true;
-            
-            const effectiveFunc = this._currentDisplayFunc;
-            const pointsToRender = Math.max(0, Math.floor(this.numPoints * this.drawProgress));
-
-            for (let i = 0; i <= pointsToRender; i++) {
-                const x = this.xMin + i * step;
-                let y;
-                try {
-                    y = effectiveFunc(x);
-                } catch (e) {
-                    if (!firstPoint) ctx.stroke();
-                    firstPoint = true;
-                    continue;
-                }
-
-                if (Number.isFinite(y)) {
-                    if (firstPoint) {
-                        ctx.moveTo(x, y);
-                        firstPoint = false;
-                    } else {
-                        ctx.lineTo(x, y);
-                    }
+        // The fill fades in while the outline is drawn.
+        _drawSelf(ctx) {
+            if (this.drawProgress <= 0 || !this.commands.length) return;
+            if (this.style.fill && this.style.fill !== 'none') {
+                this._tracePath(ctx);
+                ctx.save();
+                ctx.globalAlpha *= Math.min(this.drawProgress, 1);
+                ctx.fillStyle = this.style.fill;
+                ctx.fill();
+                ctx.restore();
+            }
+            if (this.style.stroke && this.style.stroke !== 'none') {
+                if (this.drawProgress >= 1) {
+                    this._tracePath(ctx);
                 } else {
-                    if (!firstPoint) ctx.stroke();
-                    firstPoint = true;
+                    ctx.beginPath();
+                    for (const line of this._visibleSubpaths()) line.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
                 }
+                ctx.strokeStyle = this.style.stroke;
+                ctx.lineWidth = this.style.lineWidth;
+                ctx.lineCap = this.style.lineCap;
+                ctx.lineJoin = this.style.lineJoin;
+                ctx.setLineDash(this.style.dash);
+                ctx.lineDashOffset = this.style.dashOffset;
+                ctx.stroke();
+                ctx.setLineDash([]);
+                ctx.lineDashOffset = 0;
             }
-            if(!firstPoint) ctx.stroke();
         }
-        
-        updateFunction(newFunc) { 
-            this.func = newFunc;
-            if (!this._morph.isActive) {
-                this._currentDisplayFunc = newFunc;
-            }
+
+        _localBounds() {
+            return boundsOfPoints(this._subpaths().flatMap(subpath => subpath.points));
+        }
+
+        // Inside the fill (even-odd over the subpaths, each closed) or on the stroke.
+        _containsLocal(p, tolerance) {
+            const subpaths = this._subpaths();
+            if (this.style.fill && this.style.fill !== 'none' && subpaths.filter(subpath => pointInPolygon(p, subpath.points)).length % 2) return true;
+            if (!this.style.stroke || this.style.stroke === 'none') return false;
+            return subpaths.some(subpath => distanceToPolyline(p, subpath.points) <= this.style.lineWidth / 2 + tolerance);
+        }
+
+        _toSVG() {
+            if (this.drawProgress <= 0 || !this.commands.length) return '';
+            const d = this.toPathData();
+            if (this.drawProgress >= 1) return svgPath(d, this.style);
+            const fill = this.style.fill && this.style.fill !== 'none'
+                ? `<g opacity="${svgNum(this.drawProgress)}">${svgPath(d, { fill: this.style.fill })}</g>` : '';
+            return fill + svgPath(this._visibleSubpaths().map(line => svgPolylinePath(line)).join(''), { ...this.style, fill: 'none' });
         }
 
         createAnimation(duration = 1, easing = Easing.linear) {
@@ -704,534 +2551,6134 @@ const SciAnim = (() => {
         uncreateAnimation(duration = 1, easing = Easing.linear) {
             return new Tween(this, 'drawProgress', 0, duration, easing, this.sceneRef);
         }
+    }
 
-        morphTo(newFunction, duration, easing = Easing.linear) {
-            if (this._morph.isActive) { 
-                this.func = this._morph.targetFunc;
+    // Options giving a path made from a shape the shape's transform, visibility and style.
+    function pathOptionsFrom(shape) {
+        return { position: shape.position, rotation: shape.rotation, scale: shape.scale, alpha: shape.alpha, visible: shape.visible, style: { ...shape.style } };
+    }
+
+    // --- SHAPE MORPHING ---
+    // Outlines are polylines { points, closed } (a closed outline does not repeat its first point). Two outlines are
+    // matched by sampling both at the same arc-length fractions, after choosing the direction and, for closed
+    // outlines, the starting point that keep corresponding points closest.
+
+    // Points at arc-length fractions (in any order) of a polyline.
+    function samplePolyline(points, fractions) {
+        if (points.length < 2) return fractions.map(() => (points[0] || new Vec2()).clone());
+        const vertexFractions = polylineFractions(points);
+        return fractions.map(f => {
+            let lo = 1, hi = points.length - 1;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (vertexFractions[mid] < f) lo = mid + 1;
+                else hi = mid;
             }
-            this._morph.isActive = true;
-            this._morph.oldFunc = this.func; 
-            this._morph.targetFunc = newFunction;
-            this._morph.progress = 0;
+            const f0 = vertexFractions[lo - 1], f1 = vertexFractions[lo];
+            const t = f1 > f0 ? Math.min(Math.max((f - f0) / (f1 - f0), 0), 1) : 0;
+            return points[lo - 1].add(points[lo].sub(points[lo - 1]).mul(t));
+        });
+    }
 
-            const tween = new Tween(this._morph, 'progress', 1, duration, easing, this.sceneRef);
-            tween.then(() => {
-                this.func = this._morph.targetFunc;
-                this._morph.isActive = false;
-                this._morph.oldFunc = null;
-                this._morph.progress = 0;
-                this._currentDisplayFunc = this.func; 
-            });
-            return tween;
+    // Equal-length point lists for two outlines: both keep their own vertices (so corners stay sharp throughout),
+    // `b` runs in the direction of `a`, and closed outlines start where the two are best aligned.
+    function matchOutlines(a, b) {
+        const SAMPLES = 64;
+        const lineA = a.closed ? [...a.points, a.points[0]] : a.points;
+        const lineB = b.closed ? [...b.points, b.points[0]] : b.points;
+        // Only one starting point moves: b's when both are closed, else that of the closed one (if any)
+        const shifted = b.closed ? 'b' : (a.closed ? 'a' : null);
+        const wrap = f => ((f % 1) + 1) % 1;
+        const fractionsA = (fs, shift) => (shifted === 'a' ? fs.map(f => wrap(f + shift)) : fs);
+        const fractionsB = (fs, shift, reversed) => fs.map(f => {
+            const g = reversed ? 1 - f : f;
+            return shifted === 'b' ? wrap(g + shift) : g;
+        });
+        const uniform = Array.from({ length: SAMPLES }, (_, i) => i / (SAMPLES - 1));
+        let best = { cost: Infinity, shift: 0, reversed: false };
+        for (const reversed of [false, true]) {
+            for (let k = 0; k < (shifted ? SAMPLES : 1); k++) {
+                const shift = k / SAMPLES;
+                const pa = samplePolyline(lineA, fractionsA(uniform, shift)), pb = samplePolyline(lineB, fractionsB(uniform, shift, reversed));
+                let cost = 0;
+                for (let i = 0; i < SAMPLES; i++) cost += (pa[i].x - pb[i].x) ** 2 + (pa[i].y - pb[i].y) ** 2;
+                if (cost < best.cost - 1e-9) best = { cost, shift, reversed };
+            }
         }
+        const { shift, reversed } = best;
+        // Every vertex of either outline, as a fraction along the matched outline
+        const ownA = polylineFractions(lineA).map(f => (shifted === 'a' ? wrap(f - shift) : f));
+        const ownB = polylineFractions(lineB).map(f => {
+            const g = shifted === 'b' ? wrap(f - shift) : f;
+            return reversed ? 1 - g : g;
+        });
+        const closed = a.closed && b.closed;
+        const fractions = [...ownA, ...ownB, 0, 1].sort((x, y) => x - y)
+            .filter((f, i, all) => i === 0 || f - all[i - 1] > 1e-9)
+            .filter(f => !closed || f < 1 - 1e-9);
+        return {
+            from: samplePolyline(lineA, fractionsA(fractions, shift)),
+            to: samplePolyline(lineB, fractionsB(fractions, shift, reversed)),
+            closed,
+        };
     }
 
-    // TWEEN CLASS
-    class Tween {
-        constructor(target, propertyPath, endValue, duration, easingFn = Easing.linear, sceneRef = null) {
-            this.target = target;
-            this.propertyPath = propertyPath.split('.');
-            this.endValue = endValue;
-            this.duration = duration; 
-            this.easingFn = easingFn;
-            this.sceneRef = sceneRef || (target && target.sceneRef) || null;
-
-            this.elapsedTime = 0;
-            this.isActive = false;
-            this.startValue = null;
-            this.rawStartValue = null; 
-            this.rawEndValue = null; // Store original endValue
-            this.onUpdate = null;
-            this.onComplete = null;
-            this._managedByTimeline = false; // Flag if controlled by a Timeline
+    // The outline of a shape in its own local coordinates. Shapes with several subpaths give their longest one.
+    function morphOutline(obj, caller = 'morph') {
+        if (obj instanceof PolygonShape) return { points: obj.points.map(p => p.clone()), closed: true };
+        if (obj instanceof LineSegment) return { points: [new Vec2(), obj.endPoint.clone()], closed: false };
+        const path = obj instanceof BezierPath ? obj : (typeof obj.toPath === 'function' ? obj.toPath() : null);
+        if (path) {
+            const subpaths = path._subpaths().filter(subpath => subpath.points.length > 1);
+            if (!subpaths.length) return { points: [new Vec2()], closed: false };
+            const longest = subpaths.reduce((a, b) => (b.length > a.length ? b : a));
+            return longest.closed ? { points: longest.points.slice(0, -1), closed: true } : { points: longest.points, closed: false };
+        }
+        if (typeof obj._polylines === 'function') { // Plots: the sampled curve, as drawn
+            return { points: obj._polylines(IDENTITY_MATRIX, null).flat(), closed: false };
         }
+        throw new Error(`${caller}: ${obj.constructor.name} has no outline. Use a Circle, Rectangle, PolygonShape, BezierPath, LineSegment or plot.`);
+    }
 
-        _getDeepProperty(obj, path) {
-            let current = obj;
-            for (let i = 0; i < path.length; i++) {
-                if (current === undefined || current === null) return undefined;
-                current = current[path[i]];
+    // Blends two paint colours; 'none' blends as the other colour made transparent.
+    function morphColor(from, to, t) {
+        const none = c => !c || c === 'none';
+        if (none(from) && none(to)) return 'none';
+        const clear = c => {
+            const { r, g, b } = parseColor(c) || { r: 0, g: 0, b: 0 };
+            return `rgba(${r},${g},${b},0)`;
+        };
+        return interpolateColor(none(from) ? clear(to) : from, none(to) ? clear(from) : to, t);
+    }
+
+    // Puts `obj` beside `anchor`: in the same parent, or in the scene.
+    function attachBeside(anchor, obj) {
+        if (anchor.parent) anchor.parent.add(obj);
+        else if (anchor.sceneRef) anchor.sceneRef.add(obj);
+    }
+
+    function detach(obj) {
+        if (obj.parent) obj.parent.remove(obj);
+        else if (obj.sceneRef) obj.sceneRef.remove(obj);
+    }
+
+    // Tween turning shape `a` into shape `b` (Circle, Rectangle, PolygonShape, BezierPath, LineSegment or a plot,
+    // in any combination). While it runs both are hidden and a path in between is drawn in their place, its outline
+    // resampled from both shapes and its fill, stroke, line width and opacity blended. At the end `b` is shown
+    // (added beside `a` if it is not in the scene yet) and `a` stays hidden. Both shapes are read when the tween
+    // first moves; moving it back to 0 (a Timeline seeking back) restores them.
+    function morph(a, b, duration = 1, easing = Easing.linear) {
+        const standIn = new BezierPath([]);
+        standIn._transient = true; // Not saved with the scene
+        let progress = 0, state = null;
+        const inScene = obj => !!(obj.parent || obj.sceneRef);
+        const paintOf = (obj, outline) => ({
+            fill: outline.closed && !obj._polylines ? obj.style.fill : 'none',
+            stroke: obj.style.stroke, lineWidth: obj.style.lineWidth, alpha: obj.alpha,
+        });
+        const transition = {
+            get progress() { return progress; },
+            set progress(value) {
+                progress = value;
+                if (value <= 0) {
+                    if (!state) return;
+                    a.visible = state.aVisible;
+                    b.visible = state.bVisible;
+                    if (state.addedB) detach(b);
+                    detach(standIn);
+                    state = null;
+                    return;
+                }
+                if (!state) {
+                    // Both outlines in the frame of a's parent, where the path in between is drawn
+                    const frame = invertMatrix(parentMatrix(a));
+                    const outlineIn = obj => {
+                        const outline = morphOutline(obj);
+                        const matrix = multiplyMatrices(frame, worldMatrix(obj));
+                        return { points: outline.points.map(p => applyMatrix(matrix, p)), closed: outline.closed, paint: paintOf(obj, outline) };
+                    };
+                    const from = outlineIn(a), to = outlineIn(b);
+                    state = {
+                        aVisible: a.visible, bVisible: b.visible, addedB: !inScene(b),
+                        pairs: matchOutlines(from, to), from: from.paint, to: to.paint,
+                    };
+                    if (state.addedB) attachBeside(a, b);
+                    standIn.axes = a.axes;
+                    standIn.style.lineJoin = 'round';
+                }
+                a.visible = false;
+                if (value >= 1) {
+                    detach(standIn);
+                    b.visible = true;
+                    return;
+                }
+                b.visible = false;
+                if (!inScene(standIn)) attachBeside(a, standIn);
+                const { pairs, from, to } = state;
+                standIn.commands = pairs.from.map((p, i) => {
+                    const q = pairs.to[i];
+                    return [i ? 'L' : 'M', p.x + (q.x - p.x) * value, p.y + (q.y - p.y) * value];
+                });
+                if (pairs.closed) standIn.commands.push(['Z']);
+                standIn.style.fill = morphColor(from.fill, to.fill, value);
+                standIn.style.stroke = morphColor(from.stroke, to.stroke, value);
+                standIn.style.lineWidth = from.lineWidth + (to.lineWidth - from.lineWidth) * value;
+                standIn.alpha = from.alpha + (to.alpha - from.alpha) * value;
+            },
+        };
+        const tween = new Tween(transition, 'progress', 1, duration, easing, a.sceneRef);
+        tween._transient = true; // Not saved with the scene; the shapes are saved as they are
+        return tween;
+    }
+
+    // --- MATH TYPESETTING ---
+    // A practical TeX subset for MathLabel. parseTeX() turns the source into a tree and layoutTeX() sets it as a box
+    // { width, ascent, descent, items } in a top-down frame whose origin is on the baseline at the left edge. Items are
+    // glyphs, rules and polylines, each tagged with the \class{...} parts it belongs to. Sizes are in pixels; metrics
+    // are estimated in ems (a glyph's widths come from the canvas when one is available).
+    const TEX_AXIS = 0.25; // Height of the math axis (fraction bars, centre of big operators) above the baseline
+
+    const TEX_SYMBOLS = {};
+    for (const [cls, entries] of Object.entries({
+        ord: {
+            alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η', theta: 'θ',
+            vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π', varpi: 'ϖ', rho: 'ρ',
+            varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+            Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+            infty: '∞', partial: '∂', nabla: '∇', hbar: 'ℏ', ell: 'ℓ', Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ', emptyset: '∅', varnothing: '∅',
+            forall: '∀', exists: '∃', neg: '¬', angle: '∠', triangle: '△', prime: '′', degree: '°', ldots: '…', cdots: '⋯',
+            vdots: '⋮', ddots: '⋱', dots: '…', '|': '‖', '%': '%', '$': '$', '#': '#', '&': '&', '_': '_',
+        },
+        bin: {
+            pm: '±', mp: '∓', times: '×', div: '÷', cdot: '⋅', ast: '∗', star: '⋆', circ: '∘', bullet: '∙', cup: '∪', cap: '∩',
+            setminus: '∖', wedge: '∧', land: '∧', vee: '∨', lor: '∨', oplus: '⊕', ominus: '⊖', otimes: '⊗',
+        },
+        rel: {
+            leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', equiv: '≡', sim: '∼', simeq: '≃', cong: '≅',
+            propto: '∝', ll: '≪', gg: '≫', in: '∈', notin: '∉', ni: '∋', subset: '⊂', supset: '⊃', subseteq: '⊆', supseteq: '⊇',
+            to: '→', rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔', Rightarrow: '⇒', Leftarrow: '⇐',
+            Leftrightarrow: '⇔', implies: '⟹', iff: '⟺', mapsto: '↦', longrightarrow: '⟶', uparrow: '↑', downarrow: '↓',
+            perp: '⊥', parallel: '∥', mid: '∣', coloneqq: '≔', doteq: '≐',
+        },
+        open: { langle: '⟨', lfloor: '⌊', lceil: '⌈', lbrace: '{', '{': '{' },
+        close: { rangle: '⟩', rfloor: '⌋', rceil: '⌉', rbrace: '}', '}': '}' },
+        punct: { colon: ':', ',': ' ' },
+    })) {
+        for (const [name, char] of Object.entries(entries)) TEX_SYMBOLS[name] = { char, cls };
+    }
+
+    // Big operators, and whether their limits go above and below in display style.
+    const TEX_BIG_OPERATORS = {
+        sum: ['∑', true], prod: ['∏', true], coprod: ['∐', true], bigcup: ['⋃', true], bigcap: ['⋂', true],
+        bigoplus: ['⨁', true], bigotimes: ['⨂', true], int: ['∫', false], iint: ['∬', false], iiint: ['∭', false], oint: ['∮', false],
+    };
+    const TEX_INTEGRALS = '∫∬∭∮';
+    const TEX_FUNCTIONS = new Set(['sin', 'cos', 'tan', 'sec', 'csc', 'cot', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+        'coth', 'log', 'ln', 'lg', 'exp', 'lim', 'limsup', 'liminf', 'max', 'min', 'sup', 'inf', 'det', 'dim', 'ker', 'deg', 'gcd', 'arg', 'Pr']);
+    const TEX_LIMIT_FUNCTIONS = new Set(['lim', 'limsup', 'liminf', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'Pr']);
+    const TEX_ACCENTS = new Set(['vec', 'hat', 'widehat', 'bar', 'overline', 'dot', 'ddot', 'tilde', 'widetilde']);
+    const TEX_SPACES = { ',': 3 / 18, ':': 4 / 18, '>': 4 / 18, ';': 5 / 18, ' ': 0.25, '!': -3 / 18, quad: 1, qquad: 2 };
+    const TEX_FONTS = { mathrm: { italic: false }, mathit: { italic: true }, mathbf: { italic: false, bold: true }, boldsymbol: { italic: true, bold: true } };
+    const TEX_MATRICES = { matrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'], vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'], cases: ['{', ''] };
+    const TEX_DELIMITERS = {
+        '(': '(', ')': ')', '[': '[', ']': ']', '|': '|', '/': '/', '.': '', '\\{': '{', '\\}': '}', '\\|': '‖', '\\vert': '|', '\\Vert': '‖',
+        '\\langle': '⟨', '\\rangle': '⟩', '\\lfloor': '⌊', '\\rfloor': '⌋', '\\lceil': '⌈', '\\rceil': '⌉', '\\lbrace': '{', '\\rbrace': '}',
+    };
+    const TEX_CHAR_CLASSES = { '+': 'bin', '-': 'bin', '*': 'bin', '=': 'rel', '<': 'rel', '>': 'rel', ':': 'rel', ',': 'punct', ';': 'punct', '(': 'open', '[': 'open', ')': 'close', ']': 'close', '!': 'close', '?': 'close' };
+    const TEX_CHARS = { '-': '−', '*': '∗' };
+    const TEX_DOUBLE_STRUCK = { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' };
+
+    // Parses TeX math into a tree of nodes ({ type: 'sym' | 'group' | 'scripts' | 'frac' | ... }). Errors are thrown
+    // as ExpressionErrors pointing at the offending character.
+    function parseTeX(source) {
+        let pos = 0;
+        let font = null; // { italic, bold } inside \mathrm{...} and friends
+        const fail = (message, at = pos) => { throw new ExpressionError(message, at, source); };
+        const skipSpaces = () => { while (pos < source.length && /\s/.test(source[pos])) pos++; };
+        const atCommand = name => source.startsWith('\\' + name, pos) && !/[a-zA-Z]/.test(source[pos + name.length + 1] || '');
+        const atStop = stops => pos >= source.length || stops.some(stop => stop[0] === '\\' && /[a-z]/.test(stop[1]) ? atCommand(stop.slice(1)) : source.startsWith(stop, pos));
+
+        const readCommand = () => {
+            const start = pos;
+            if (/[a-zA-Z]/.test(source[pos] || '')) while (/[a-zA-Z]/.test(source[pos] || '')) pos++;
+            else pos++;
+            return source.slice(start, pos);
+        };
+
+        // Raw text of a braced argument, such as the colour in \color{red}.
+        const readRaw = () => {
+            skipSpaces();
+            if (source[pos] !== '{') fail("Expected '{'");
+            const start = ++pos;
+            for (let depth = 1; depth; pos++) {
+                if (pos >= source.length) fail("Missing '}'", start - 1);
+                if (source[pos] === '{') depth++;
+                else if (source[pos] === '}') depth--;
             }
-            return current;
-        }
-        
-        _setDeepProperty(obj, path, value) {
-            let current = obj;
-            for (let i = 0; i < path.length -1; i++) {
-                current = current[path[i]];
-                 if (current === undefined || current === null) { console.error("Invalid path for tween target property:", path.join('.')); return; }
+            return source.slice(start, pos - 1);
+        };
+
+        const readDelimiter = () => {
+            skipSpaces();
+            const at = pos;
+            const token = source[pos] === '\\' ? (pos++, '\\' + readCommand()) : source[pos++];
+            if (TEX_DELIMITERS[token] === undefined) fail(`Unknown delimiter '${token || ''}'`, at);
+            return TEX_DELIMITERS[token];
+        };
+
+        const symbol = (char, cls = 'ord', italic = false) => ({
+            type: 'sym', char, cls, italic: font ? font.italic : italic, bold: !!(font && font.bold),
+        });
+
+        function parseList(stops) {
+            const list = [];
+            for (;;) {
+                skipSpaces();
+                if (atStop(stops)) return list;
+                const c = source[pos];
+                if (c === '^' || c === '_' || c === "'") {
+                    const at = pos++;
+                    const last = list[list.length - 1];
+                    const node = last && last.type === 'scripts' ? list.pop() : { type: 'scripts', base: list.pop() || { type: 'group', body: [] }, sup: null, sub: null };
+                    const key = c === '_' ? 'sub' : 'sup';
+                    if (node[key]) fail(c === '_' ? 'Double subscript' : 'Double superscript', at);
+                    node[key] = c === "'" ? symbol('′') : parseArgument();
+                    list.push(node);
+                } else {
+                    list.push(parseAtom());
+                }
             }
-            current[path[path.length-1]] = value;
         }
 
-        start() {
-            this.rawStartValue = this._getDeepProperty(this.target, this.propertyPath);
-            this.rawEndValue = this.endValue; // Store the initial endValue
+        function parseArgument() {
+            skipSpaces();
+            if (pos >= source.length || '^_&}'.includes(source[pos])) fail('Missing argument');
+            return parseAtom();
+        }
 
-            if (this.rawStartValue === undefined && this.propertyPath.join('.') !== '_dummyPropertyForColorTween') { 
-                console.error(`Tween: Property ${this.propertyPath.join('.')} not found on target`, this.target);
-                this.isActive = false; return this;
+        function parseAtom() {
+            skipSpaces();
+            const at = pos, c = source[pos];
+            if (c === '{') {
+                pos++;
+                const body = parseList(['}']);
+                if (source[pos] !== '}') fail("Missing '}'", at);
+                pos++;
+                return { type: 'group', body };
+            }
+            if (c === '}') fail("Unexpected '}'");
+            if (c === '\\') {
+                pos++;
+                return parseCommand(readCommand(), at);
             }
+            const char = String.fromCodePoint(source.codePointAt(pos));
+            pos += char.length;
+            return symbol(TEX_CHARS[char] || char, TEX_CHAR_CLASSES[char] || 'ord', /[A-Za-zα-ωϵϑϕϖϱς]/.test(char));
+        }
 
-            if (typeof this.rawStartValue === 'string' && typeof this.rawEndValue === 'string' &&
-                parseColor(this.rawStartValue) && parseColor(this.rawEndValue)) {
-                this.startValue = this.rawStartValue; 
-            } else if (this.rawStartValue instanceof Vec2 && this.rawEndValue instanceof Vec2) {
-                this.startValue = this.rawStartValue.clone();
-            } else if (Array.isArray(this.rawStartValue) && Array.isArray(this.rawEndValue) && this.rawStartValue.length === this.rawEndValue.length) {
-                if (this.rawStartValue.length === 0 || (this.rawStartValue[0] instanceof Vec2 && this.rawEndValue[0] instanceof Vec2)) {
-                    this.startValue = this.rawStartValue.map(v => v.clone()); 
-                } else if (this.rawStartValue.length === 0 || (typeof this.rawStartValue[0] === 'number' && typeof this.rawEndValue[0] === 'number')) {
-                    this.startValue = [...this.rawStartValue]; 
-                } else {
-                    console.error("Tween: Array elements are not consistently Vec2 or number, or types mismatch endValue.");
-                    this.isActive = false; return this;
+        function parseCommand(name, at) {
+            if (name === 'frac' || name === 'dfrac' || name === 'tfrac') return { type: 'frac', num: parseArgument(), den: parseArgument() };
+            if (name === 'sqrt') {
+                skipSpaces();
+                let index = null;
+                if (source[pos] === '[') {
+                    pos++;
+                    index = { type: 'group', body: parseList([']']) };
+                    if (source[pos] !== ']') fail("Missing ']'", at);
+                    pos++;
                 }
-            } else if (typeof this.rawStartValue === 'number' && typeof this.rawEndValue === 'number') {
-                this.startValue = this.rawStartValue;
-            } else if (typeof this.rawStartValue === 'object' && this.rawStartValue !== null && typeof this.rawEndValue === 'object' && this.rawEndValue !== null) {
-                this.startValue = { ...this.rawStartValue }; 
-            } else if (this.propertyPath.join('.') === '_dummyPropertyForColorTween') {
-                 this.startValue = 0; 
+                return { type: 'sqrt', index, body: parseArgument() };
             }
-             else {
-                console.error(`Tween: StartValue type (${typeof this.rawStartValue}) or EndValue type (${typeof this.rawEndValue}) not supported for tweening property ${this.propertyPath.join('.')}.`);
-                this.isActive = false; return this;
+            if (TEX_ACCENTS.has(name)) return { type: 'accent', accent: name, body: parseArgument() };
+            if (name === 'text' || name === 'textrm' || name === 'mbox' || name === 'textbf') return { type: 'text', text: readRaw(), bold: name === 'textbf' };
+            if (name === 'operatorname') return { type: 'op', text: readRaw(), big: false, limits: false };
+            if (TEX_FONTS[name]) {
+                const outer = font;
+                font = TEX_FONTS[name];
+                const node = parseArgument();
+                font = outer;
+                return node;
             }
-            
-            this.elapsedTime = 0;
-            this.isActive = true;
-            if (this.sceneRef && this.sceneRef.addTween && !this._managedByTimeline) {
-                this.sceneRef.addTween(this);
+            if (name === 'mathbb') {
+                return { type: 'group', body: [...readRaw().replace(/\s/g, '')].map(ch => ({ type: 'sym', char: TEX_DOUBLE_STRUCK[ch] || String.fromCodePoint(0x1D538 + ch.charCodeAt(0) - 65), cls: 'ord', italic: false, bold: false })) };
             }
-            return this;
-        }
-        
-        // Used by Timeline to drive the tween
-        setProgress(progressRatio) {
-            if (!this.isActive && progressRatio > 0 && progressRatio < 1 && this.startValue === null) {
-                // This case implies start() was not called, which is unexpected if timeline manages correctly.
-                // Timeline should call start() first. If this happens, it's a fallback.
-                console.warn("Tween.setProgress called before start() or on an inactive tween. Forcing start.");
-                this.start(); 
+            if (name === 'color') {
+                const color = readRaw();
+                return { type: 'style', color, part: null, body: parseArgument() };
             }
-            if (!this.isActive && progressRatio > 0 && progressRatio < 1) {
-                this.isActive = true; // Reactivate if it was reset and now moving
+            if (name === 'class') {
+                const part = readRaw().trim();
+                return { type: 'style', color: null, part, body: parseArgument() };
             }
+            if (name === 'left') {
+                const left = readDelimiter();
+                const body = parseList(['\\right']);
+                if (!atCommand('right')) fail('Missing \\right', at);
+                pos += 6;
+                return { type: 'leftright', left, right: readDelimiter(), body };
+            }
+            if (name === 'begin') {
+                const env = readRaw();
+                if (!TEX_MATRICES[env]) fail(`Unknown environment '${env}'. Use one of: ${Object.keys(TEX_MATRICES).join(', ')}`, at);
+                const rows = [[]];
+                for (;;) {
+                    const cellAt = pos;
+                    rows[rows.length - 1].push({ type: 'group', body: parseList(['&', '\\\\', '\\end']) });
+                    if (source[pos] === '&') pos++;
+                    else if (source.startsWith('\\\\', pos)) { pos += 2; rows.push([]); }
+                    else if (atCommand('end')) {
+                        pos += 4;
+                        const end = readRaw();
+                        if (end !== env) fail(`\\end{${end}} does not match \\begin{${env}}`, cellAt);
+                        break;
+                    } else fail(`Missing \\end{${env}}`, at);
+                }
+                const last = rows[rows.length - 1];
+                if (rows.length > 1 && last.length === 1 && !last[0].body.length) rows.pop(); // Trailing \\
+                return { type: 'matrix', rows, delimiters: TEX_MATRICES[env], align: env === 'cases' ? 'left' : 'center' };
+            }
+            if (name === 'right' || name === 'end') fail(`\\${name} without \\${name === 'right' ? 'left' : 'begin'}`, at);
+            if (name === '\\') fail('Line breaks (\\\\) are only allowed in matrices', at);
+            if (TEX_SPACES[name] !== undefined) return { type: 'space', em: TEX_SPACES[name] };
+            if (TEX_BIG_OPERATORS[name]) return { type: 'op', text: TEX_BIG_OPERATORS[name][0], big: true, limits: TEX_BIG_OPERATORS[name][1] };
+            if (TEX_FUNCTIONS.has(name)) return { type: 'op', text: name, big: false, limits: TEX_LIMIT_FUNCTIONS.has(name) };
+            const entry = TEX_SYMBOLS[name];
+            if (entry) return symbol(entry.char, entry.cls, /[α-ωϵϑϕϖϱς]/.test(entry.char));
+            fail(`Unknown command '\\${name}'`, at);
+        }
 
+        const body = parseList([]);
+        return { type: 'group', body };
+    }
 
-            this.elapsedTime = Math.min(Math.max(0, progressRatio), 1) * this.duration;
-            this.update(0); // Let update handle the rest with the new elapsedTime
+    // Names of the \class{...} parts of a parsed formula, outermost first.
+    function texPartNames(node, names = []) {
+        if (!node || typeof node !== 'object') return names;
+        if (node.type === 'style' && node.part && !names.includes(node.part)) names.push(node.part);
+        for (const value of Object.values(node)) {
+            if (Array.isArray(value)) value.flat().forEach(child => texPartNames(child, names));
+            else if (value && typeof value === 'object') texPartNames(value, names);
         }
+        return names;
+    }
 
-        // Resets tween to its initial state (before start() was called or to its captured startValue)
-        resetToStart() {
-            this.elapsedTime = 0;
-            this.isActive = false;
-            if (this.startValue !== null && this.rawStartValue !== null && this.propertyPath.join('.') !== '_dummyPropertyForColorTween') {
-                let valueToSet;
-                if (this.rawStartValue instanceof Vec2) {
-                    valueToSet = this.rawStartValue.clone();
-                } else if (Array.isArray(this.rawStartValue) && this.rawStartValue.length > 0 && this.rawStartValue[0] instanceof Vec2) {
-                    valueToSet = this.rawStartValue.map(v => v.clone());
-                } else if (Array.isArray(this.rawStartValue) && typeof this.rawStartValue[0] === 'number') {
-                    valueToSet = [...this.rawStartValue];
-                } else if (typeof this.rawStartValue === 'object' && this.rawStartValue !== null){
-                    valueToSet = {...this.rawStartValue};
-                }
-                 else {
-                    valueToSet = this.rawStartValue; 
-                }
-                this._setDeepProperty(this.target, this.propertyPath, valueToSet);
-            }
-            // this.endValue = this.rawEndValue; // Restore endValue if it was changed, start() will re-evaluate
-            return this;
+    function texBoxOf(width = 0, ascent = 0, descent = 0, items = []) {
+        return { width, ascent, descent, items };
+    }
+
+    // Copies the items of `box` into `target`, moved by (dx, dy).
+    function texPlace(target, box, dx, dy) {
+        for (const item of box.items) {
+            target.items.push(item.points
+                ? { ...item, points: item.points.map(p => ({ x: p.x + dx, y: p.y + dy })) }
+                : { ...item, x: item.x + dx, y: item.y + dy });
         }
+    }
 
+    // Boxes side by side on a common baseline.
+    function texRow(boxes) {
+        const row = texBoxOf();
+        for (const box of boxes) {
+            texPlace(row, box, row.width, 0);
+            row.width += box.width;
+            row.ascent = Math.max(row.ascent, box.ascent);
+            row.descent = Math.max(row.descent, box.descent);
+        }
+        return row;
+    }
 
-        update(deltaTime) {
-            if (!this.isActive) return;
+    function texGlyph(text, env, { italic = false, bold = false, scale = 1 } = {}) {
+        const size = env.size * scale;
+        const font = `${italic ? 'italic ' : ''}${bold ? 'bold ' : ''}${svgNum(size)}px ${env.family}`;
+        const width = env.measure(text, font);
+        // Lowercase letters without ascenders are x-height tall, so accents and scripts sit lower on them
+        const ascent = (/^[acemnorsuvwxzαγεικνοπστυωϵ]+$/.test(text) ? 0.48 : 0.72) * size;
+        const descent = (/[gjpqyβγζηξμρςφχψϕ,;()[\]{}|∫∬∭∮∑∏]/.test(text) ? 0.22 : 0.02) * size;
+        return texBoxOf(width, ascent, descent, [{ kind: 'glyph', text, font, x: 0, y: 0, width, ascent, descent, color: env.color, parts: env.parts }]);
+    }
 
-            // If not managed by timeline, deltaTime advances elapsedTime.
-            // If managed by timeline, timeline sets elapsedTime directly, and deltaTime passed here is usually 0.
-            if (!this._managedByTimeline) {
-                 this.elapsedTime += deltaTime;
-            }
+    function texPath(points, env, { lineWidth = Math.max(1, 0.055 * env.size), fill = false } = {}) {
+        return { kind: 'path', points, lineWidth, fill, color: env.color, parts: env.parts };
+    }
 
-            let progress = Math.min(this.elapsedTime / this.duration, 1);
-            let easedProgress = this.easingFn(progress);
+    function texClass(node) {
+        if (node.type === 'sym') return node.cls;
+        if (node.type === 'op') return 'op';
+        if (node.type === 'scripts') return texClass(node.base);
+        if (node.type === 'style') return node.body.type === 'group' && node.body.body.length !== 1 ? 'ord' : texClass(node.body.type === 'group' ? node.body.body[0] : node.body);
+        if (node.type === 'space') return null;
+        return 'ord';
+    }
 
-            let currentValue;
+    // Space in ems between atoms of two classes (TeX's spacing table, simplified).
+    function texSpacing(left, right, script) {
+        if (!left || !right) return 0;
+        if (left === 'op' && (right === 'ord' || right === 'op') || right === 'op' && left === 'ord') return 3 / 18;
+        if (script) return 0;
+        if (left === 'rel' || right === 'rel') return left === right || right === 'punct' ? 0 : 5 / 18;
+        if (left === 'bin' || right === 'bin') return 4 / 18;
+        if (left === 'punct') return 3 / 18;
+        return 0;
+    }
 
-            if (typeof this.rawStartValue === 'string' && typeof this.rawEndValue === 'string' &&
-                parseColor(this.rawStartValue) && parseColor(this.rawEndValue)) {
-                currentValue = interpolateColor(this.rawStartValue, this.rawEndValue, easedProgress);
-            } else if (this.startValue instanceof Vec2 && this.rawEndValue instanceof Vec2) {
-                currentValue = new Vec2(
-                    this.startValue.x + (this.rawEndValue.x - this.startValue.x) * easedProgress,
-                    this.startValue.y + (this.rawEndValue.y - this.startValue.y) * easedProgress
-                );
-            } else if (Array.isArray(this.startValue) && Array.isArray(this.rawEndValue) && this.startValue.length === this.rawEndValue.length) {
-                if (this.startValue.length === 0) { currentValue = []; }
-                else if (this.startValue[0] instanceof Vec2) { 
-                    currentValue = this.startValue.map((sv, i) => {
-                        const ev = this.rawEndValue[i];
-                        return new Vec2(
-                            sv.x + (ev.x - sv.x) * easedProgress,
-                            sv.y + (ev.y - sv.y) * easedProgress
-                        );
-                    });
-                } else if (typeof this.startValue[0] === 'number') { 
-                     currentValue = this.startValue.map((sv, i) => sv + (this.rawEndValue[i] - sv) * easedProgress);
-                } else { 
-                    currentValue = this.rawEndValue; 
-                }
-            } else if (typeof this.startValue === 'number' && typeof this.rawEndValue === 'number') {
-                currentValue = this.startValue + (this.rawEndValue - this.startValue) * easedProgress;
-            } else if (typeof this.startValue === 'object' && this.startValue !== null && typeof this.rawEndValue === 'object' && this.rawEndValue !== null) {
-                currentValue = { ...this.startValue }; 
-                for (const key in this.rawEndValue) { 
-                    if (this.startValue.hasOwnProperty(key) && this.rawEndValue.hasOwnProperty(key)) {
-                        if (typeof this.startValue[key] === 'number' && typeof this.rawEndValue[key] === 'number') {
-                            currentValue[key] = this.startValue[key] + (this.rawEndValue[key] - this.startValue[key]) * easedProgress;
-                        } else if (typeof this.startValue[key] === 'string' && typeof this.rawEndValue[key] === 'string' &&
-                                   parseColor(this.startValue[key]) && parseColor(this.rawEndValue[key])) {
-                            currentValue[key] = interpolateColor(this.startValue[key], this.rawEndValue[key], easedProgress);
-                        } else {
-                             if (progress >= 1) currentValue[key] = this.rawEndValue[key];
-                        }
-                    }
-                }
-            } else {
-                 if (this.propertyPath.join('.') === '_dummyPropertyForColorTween') {
-                    // No op for value.
-                 } else {
-                    console.error("Tween: Unsupported property type for tweening during update.");
-                    this.isActive = false;
-                    return;
-                 }
+    function texList(nodes, env) {
+        const classes = nodes.map(texClass);
+        const previous = i => { for (let j = i - 1; j >= 0; j--) if (classes[j]) return classes[j]; return null; };
+        const next = i => { for (let j = i + 1; j < classes.length; j++) if (classes[j]) return classes[j]; return null; };
+        // A binary operator with nothing to its left (or right) is unary, like the minus in "-x" or "(-1)"
+        classes.forEach((cls, i) => {
+            if (cls === 'bin' && ([null, 'bin', 'rel', 'open', 'punct', 'op'].includes(previous(i)) || [null, 'rel', 'close', 'punct'].includes(next(i)))) classes[i] = 'ord';
+        });
+        const boxes = [];
+        let last = null;
+        nodes.forEach((node, i) => {
+            if (classes[i]) {
+                const space = texSpacing(last, classes[i], env.script);
+                if (space) boxes.push(texBoxOf(space * env.size));
+                last = classes[i];
             }
-            
-            if (this.propertyPath.join('.') !== '_dummyPropertyForColorTween') {
-                 this._setDeepProperty(this.target, this.propertyPath, currentValue);
+            boxes.push(texBox(node, env));
+        });
+        return texRow(boxes);
+    }
+
+    // A delimiter stretched from `top` to `bottom` (top-down), drawn as strokes.
+    function texDelimiter(delim, top, bottom, env) {
+        if (!delim) return texBoxOf(0.1 * env.size); // \left. or \right.
+        const s = env.size, h = bottom - top, mid = (top + bottom) / 2, lw = Math.max(1, 0.055 * s), pad = 0.08 * s;
+        const w = Math.min(0.4 * s, 0.12 * s + 0.08 * h);
+        const closing = ')]}⟩⌋⌉'.includes(delim);
+        const open = { ')': '(', ']': '[', '}': '{', '⟩': '⟨', '⌋': '⌊', '⌉': '⌈' }[delim] || delim;
+        let lines, width = w + 2 * pad;
+        const l = pad, r = pad + w, c = pad + w / 2;
+        switch (open) {
+            case '(':
+                lines = [Array.from({ length: 17 }, (_, i) => ({ x: r - (w - lw) * Math.sin(Math.PI * i / 16), y: top + h * i / 16 }))];
+                break;
+            case '[':
+                lines = [[{ x: r, y: top }, { x: l + w / 3, y: top }, { x: l + w / 3, y: bottom }, { x: r, y: bottom }]];
+                break;
+            case '⌊':
+                lines = [[{ x: l + w / 3, y: top }, { x: l + w / 3, y: bottom }, { x: r, y: bottom }]];
+                break;
+            case '⌈':
+                lines = [[{ x: r, y: top }, { x: l + w / 3, y: top }, { x: l + w / 3, y: bottom }]];
+                break;
+            case '{': {
+                const k = Math.min(0.15 * h, 0.25 * s);
+                lines = [[{ x: r, y: top }, { x: c, y: top + k }, { x: c, y: mid - k }, { x: l, y: mid }, { x: c, y: mid + k }, { x: c, y: bottom - k }, { x: r, y: bottom }]];
+                break;
             }
+            case '⟨':
+                lines = [[{ x: r, y: top }, { x: l, y: mid }, { x: r, y: bottom }]];
+                break;
+            case '/':
+                lines = [[{ x: r, y: top }, { x: l, y: bottom }]];
+                break;
+            case '‖':
+                width = 0.25 * s + 2 * pad;
+                lines = [[{ x: pad, y: top }, { x: pad, y: bottom }], [{ x: width - pad, y: top }, { x: width - pad, y: bottom }]];
+                break;
+            default: // |
+                width = 2 * pad;
+                lines = [[{ x: pad, y: top }, { x: pad, y: bottom }]];
+        }
+        if (closing) lines = lines.map(line => line.map(p => ({ x: width - p.x, y: p.y })));
+        return texBoxOf(width, -top, bottom, lines.map(points => texPath(points, env, { lineWidth: lw })));
+    }
 
-            if (this.onUpdate) this.onUpdate(currentValue, progress);
+    // Delimiters around a box, centred on the math axis and tall enough to cover it.
+    function texFence(left, right, body, env) {
+        const s = env.size, a = TEX_AXIS * s;
+        const extent = Math.max(body.ascent - a, body.descent + a, 0.5 * s) + 0.1 * s;
+        return texRow([texDelimiter(left, -a - extent, -a + extent, env), body, texDelimiter(right, -a - extent, -a + extent, env)]);
+    }
 
-            if (progress >= 1) {
-                this.isActive = false; // Mark as inactive
-                // Ensure final value is set precisely using rawEndValue
-                if (this.propertyPath.join('.') !== '_dummyPropertyForColorTween') {
-                    let finalValueToSet = this.rawEndValue;
-                    if (typeof this.rawEndValue === 'object' && this.rawEndValue !== null && !(this.rawEndValue instanceof Vec2) && !Array.isArray(this.rawEndValue)) {
-                         // For generic objects, merge rawEndValue into the target property.
-                        let finalTargetObj = this._getDeepProperty(this.target, this.propertyPath);
-                        if (typeof finalTargetObj === 'object' && finalTargetObj !== null) {
-                            for(const key in this.rawEndValue) {
-                                if (finalTargetObj.hasOwnProperty(key)) { // Only update existing keys or all?
-                                    finalTargetObj[key] = this.rawEndValue[key];
-                                }
-                            }
-                           finalValueToSet = finalTargetObj; // The object itself was modified.
-                        } else { // Target property is not an object, direct set
-                             this._setDeepProperty(this.target, this.propertyPath, this.rawEndValue);
-                        }
-                    } else { // Primitives, Vec2, Arrays are set directly
-                         this._setDeepProperty(this.target, this.propertyPath, this.rawEndValue);
+    function texBox(node, env) {
+        const s = env.size;
+        const scriptEnv = () => ({ ...env, size: Math.max(s * 0.7, env.baseSize * 0.5), display: false, script: true });
+        switch (node.type) {
+            case 'group':
+                return texList(node.body, env);
+            case 'sym':
+                return texGlyph(node.char, env, node);
+            case 'text':
+                return texGlyph(node.text, env, { bold: node.bold });
+            case 'space':
+                return texBoxOf(node.em * s);
+            case 'style':
+                return texBox(node.body, { ...env, color: node.color ?? env.color, parts: node.part ? [...env.parts, node.part] : env.parts });
+            case 'op': {
+                if (!node.big) return texGlyph(node.text, env);
+                const integral = TEX_INTEGRALS.includes(node.text);
+                const scale = integral ? (env.display ? 1.8 : 1.3) : (env.display ? 1.5 : 1.15);
+                const glyph = texGlyph(node.text, env, { scale });
+                const box = texBoxOf(glyph.width + (integral ? 0.1 * s : 0));
+                const dy = TEX_AXIS * s * (scale - 1); // Centred on the axis
+                texPlace(box, glyph, 0, dy);
+                box.ascent = glyph.ascent - dy;
+                box.descent = glyph.descent + dy;
+                return box;
+            }
+            case 'scripts': {
+                const base = texBox(node.base, env);
+                const sup = node.sup && texBox(node.sup, scriptEnv()), sub = node.sub && texBox(node.sub, scriptEnv());
+                const box = texBoxOf();
+                if (node.base.type === 'op' && node.base.limits && env.display) { // Limits above and below
+                    const gap = 0.12 * s;
+                    box.width = Math.max(base.width, sup ? sup.width : 0, sub ? sub.width : 0);
+                    texPlace(box, base, (box.width - base.width) / 2, 0);
+                    box.ascent = base.ascent;
+                    box.descent = base.descent;
+                    if (sup) {
+                        texPlace(box, sup, (box.width - sup.width) / 2, -(base.ascent + gap + sup.descent));
+                        box.ascent += gap + sup.descent + sup.ascent;
                     }
+                    if (sub) {
+                        texPlace(box, sub, (box.width - sub.width) / 2, base.descent + gap + sub.ascent);
+                        box.descent += gap + sub.ascent + sub.descent;
+                    }
+                    return box;
                 }
-
-                if (this.onComplete) this.onComplete();
-                
-                if (this.sceneRef && this.sceneRef.removeTween && !this._managedByTimeline) {
-                    this.sceneRef.removeTween(this);
+                texPlace(box, base, 0, 0);
+                let up = sup ? Math.max(0.42 * s, base.ascent - 0.3 * s) : 0;
+                let down = sub ? Math.max(0.22 * s, base.descent - 0.1 * s) : 0;
+                if (sup && sub) down = Math.max(down, sub.ascent - (up - sup.descent) + 0.15 * s);
+                const integral = node.base.type === 'op' && TEX_INTEGRALS.includes(node.base.text);
+                const x = base.width + 0.04 * s;
+                if (sup) texPlace(box, sup, x, -up);
+                if (sub) texPlace(box, sub, integral ? x - 0.3 * s : x, down); // Under the slant of an integral sign
+                box.width = x + Math.max(sup ? sup.width : 0, sub ? sub.width - (integral ? 0.3 * s : 0) : 0) + 0.04 * s;
+                box.ascent = Math.max(base.ascent, sup ? up + sup.ascent : 0);
+                box.descent = Math.max(base.descent, sub ? down + sub.descent : 0);
+                return box;
+            }
+            case 'frac': {
+                const childEnv = env.display ? { ...env, display: false } : scriptEnv();
+                const num = texBox(node.num, childEnv), den = texBox(node.den, childEnv);
+                const t = Math.max(1, 0.05 * s), gap = 0.14 * s, a = TEX_AXIS * s, pad = 0.1 * s;
+                const box = texBoxOf(Math.max(num.width, den.width) + 2 * pad);
+                const numY = -(a + t / 2 + gap + num.descent), denY = -a + t / 2 + gap + den.ascent;
+                texPlace(box, num, (box.width - num.width) / 2, numY);
+                texPlace(box, den, (box.width - den.width) / 2, denY);
+                box.items.push({ kind: 'rule', x: pad / 2, y: -a - t / 2, width: box.width - pad, height: t, color: env.color, parts: env.parts });
+                box.ascent = num.ascent - numY;
+                box.descent = denY + den.descent;
+                return box;
+            }
+            case 'sqrt': {
+                const body = texBox(node.body, env);
+                const t = Math.max(1, 0.05 * s), gap = 0.12 * s;
+                const top = -(Math.max(body.ascent, 0.72 * s) + gap + t / 2), bottom = Math.max(body.descent, 0.1 * s) + 0.05 * s;
+                const h = bottom - top, yTick = top + 0.62 * h;
+                const index = node.index && texBox(node.index, { ...env, size: Math.max(s * 0.5, env.baseSize * 0.4), display: false, script: true });
+                const x0 = index ? Math.max(0, index.width - 0.25 * s) : 0;
+                const box = texBoxOf(x0 + 0.6 * s + body.width + 0.1 * s);
+                box.items.push(texPath([
+                    { x: x0, y: yTick + 0.04 * s }, { x: x0 + 0.1 * s, y: yTick - 0.02 * s }, { x: x0 + 0.28 * s, y: bottom },
+                    { x: x0 + 0.55 * s, y: top }, { x: box.width - 0.05 * s, y: top },
+                ], env, { lineWidth: t }));
+                texPlace(box, body, x0 + 0.6 * s, 0);
+                box.ascent = -top + t / 2;
+                box.descent = bottom;
+                if (index) {
+                    const indexY = yTick - 0.12 * s - index.descent;
+                    texPlace(box, index, x0 + 0.25 * s - index.width, indexY);
+                    box.ascent = Math.max(box.ascent, index.ascent - indexY);
+                }
+                return box;
+            }
+            case 'accent': {
+                const body = texBox(node.body, env);
+                const lw = Math.max(1, 0.05 * s);
+                const single = node.body.type === 'sym' && node.body.italic;
+                const cx = body.width / 2 + (single ? 0.06 * s : 0); // Italic letters lean right
+                const y = -(body.ascent + 0.1 * s);
+                const half = node.accent === 'overline' ? body.width / 2 : Math.max(0.2 * s, Math.min(body.width / 2, ['hat', 'tilde', 'dot', 'ddot'].includes(node.accent) ? 0.3 * s : Infinity));
+                const box = texBoxOf(body.width, body.ascent, body.descent);
+                texPlace(box, body, 0, 0);
+                const dot = (x, yy) => texPath(Array.from({ length: 8 }, (_, i) => ({ x: x + 0.055 * s * Math.cos(i * Math.PI / 4), y: yy + 0.055 * s * Math.sin(i * Math.PI / 4) })), env, { fill: true });
+                let height = 0.2 * s;
+                switch (node.accent) {
+                    case 'vec':
+                        box.items.push(texPath([{ x: cx - half, y: y - 0.1 * s }, { x: cx + half, y: y - 0.1 * s }], env, { lineWidth: lw }));
+                        box.items.push(texPath([{ x: cx + half - 0.12 * s, y: y - 0.19 * s }, { x: cx + half, y: y - 0.1 * s }, { x: cx + half - 0.12 * s, y: y - 0.01 * s }], env, { lineWidth: lw }));
+                        break;
+                    case 'hat': case 'widehat':
+                        box.items.push(texPath([{ x: cx - half, y }, { x: cx, y: y - 0.18 * s }, { x: cx + half, y }], env, { lineWidth: lw }));
+                        break;
+                    case 'tilde': case 'widetilde':
+                        box.items.push(texPath(Array.from({ length: 13 }, (_, i) => ({ x: cx - half + 2 * half * i / 12, y: y - 0.08 * s - 0.05 * s * Math.sin(2 * Math.PI * i / 12) })), env, { lineWidth: lw }));
+                        break;
+                    case 'dot':
+                        box.items.push(dot(cx, y - 0.06 * s));
+                        height = 0.15 * s;
+                        break;
+                    case 'ddot':
+                        box.items.push(dot(cx - 0.12 * s, y - 0.06 * s), dot(cx + 0.12 * s, y - 0.06 * s));
+                        height = 0.15 * s;
+                        break;
+                    default: // bar, overline
+                        box.items.push(texPath([{ x: cx - half, y: y - 0.04 * s }, { x: cx + half, y: y - 0.04 * s }], env, { lineWidth: lw }));
+                        height = 0.1 * s;
                 }
+                box.ascent = -y + height;
+                return box;
             }
+            case 'matrix': {
+                const cellEnv = { ...env, display: false };
+                const cells = node.rows.map(row => row.map(cell => texBox(cell, cellEnv)));
+                const columns = Math.max(...cells.map(row => row.length));
+                const widths = Array.from({ length: columns }, (_, c) => Math.max(0, ...cells.map(row => (row[c] ? row[c].width : 0))));
+                const colGap = 0.9 * s, rowGap = 0.3 * s;
+                const rows = cells.map(row => ({ ascent: Math.max(0.72 * s, ...row.map(b => b.ascent)), descent: Math.max(0.22 * s, ...row.map(b => b.descent)) }));
+                const height = rows.reduce((sum, row) => sum + row.ascent + row.descent, 0) + rowGap * (rows.length - 1);
+                const top = -TEX_AXIS * s - height / 2;
+                const body = texBoxOf(widths.reduce((a, b) => a + b, 0) + colGap * (columns - 1), -top, top + height);
+                let y = top;
+                cells.forEach((row, r) => {
+                    y += rows[r].ascent;
+                    let x = 0;
+                    row.forEach((cell, c) => {
+                        texPlace(body, cell, node.align === 'left' ? x : x + (widths[c] - cell.width) / 2, y);
+                        x += widths[c] + colGap;
+                    });
+                    y += rows[r].descent + rowGap;
+                });
+                const [left, right] = node.delimiters;
+                if (!left && !right) return body;
+                const inner = texRow([texBoxOf(0.1 * s), body, texBoxOf(0.1 * s)]);
+                return texFence(left, right, inner, env);
+            }
+            case 'leftright':
+                return texFence(node.left, node.right, texList(node.body, env), env);
         }
+        return texBoxOf();
+    }
 
-        then(callback) { this.onComplete = callback; return this; }
-        onProgress(callback) { this.onUpdate = callback; return this; }
+    // Lays out a parsed formula at `size` pixels. `measure(text, font)` returns text widths. Also returns the bounds of
+    // every part, with the chain of parts (outermost first) that moves it.
+    function layoutTeX(tree, { size, family, measure }) {
+        const box = texBox(tree, { size, baseSize: size, family, measure, display: true, script: false, color: null, parts: [] });
+        box.partBounds = {};
+        for (const item of box.items) {
+            const bounds = texItemBounds(item);
+            item.parts.forEach((name, i) => {
+                const entry = box.partBounds[name] || (box.partBounds[name] = { bounds: null, chain: item.parts.slice(0, i + 1) });
+                entry.bounds = unionBounds(entry.bounds, bounds);
+            });
+        }
+        return box;
     }
 
-    // TIMELINE CLASS
-    class Timeline {
-        constructor(sceneRef = null) {
-            this.sceneRef = sceneRef;
-            this.tweensWithMeta = []; // Stores { tween, startTime, _hasStartedInternal }
-            this.currentTime = 0;
-            this.isPlaying = false;
-            this.timeScale = 1;
-            this.duration = 0; // Total duration of the timeline
-            this.loop = false;
-            this.onCompleteCallback = null;
+    function texItemBounds(item) {
+        if (item.kind === 'glyph') return { minX: item.x, minY: item.y - item.ascent, maxX: item.x + item.width, maxY: item.y + item.descent };
+        if (item.kind === 'rule') return { minX: item.x, minY: item.y, maxX: item.x + item.width, maxY: item.y + item.height };
+        const b = boundsOfPoints(item.points);
+        const h = item.lineWidth / 2;
+        return { minX: b.minX - h, minY: b.minY - h, maxX: b.maxX + h, maxY: b.maxY + h };
+    }
 
-            if (this.sceneRef && this.sceneRef.addTimeline) {
-                this.sceneRef.addTimeline(this);
+    // A formula typeset from a TeX subset, e.g. new MathLabel('E = mc^2') or new MathLabel('\\frac{a}{b}'). Parts
+    // marked with \class{name}{...} are listed in `parts`, whose fill, alpha, offset, scale and rotation can be set
+    // or tweened on their own (e.g. new Tween(label, 'parts.rhs.alpha', 0, 1)).
+    class MathLabel extends SceneObject {
+        constructor(tex = '', options = {}) {
+            super({ ...options, style: { font: '24px "Times New Roman", Times, serif', ...(options.style || {}) } });
+            if (this.style.fill === 'gray' && (!options.style || options.style.fill === undefined)) {
+                this.style.fill = 'black';
             }
+            this.parts = {};
+            this.tex = tex;
         }
 
-        _recalculateDuration() {
-            this.duration = 0;
-            for (const item of this.tweensWithMeta) {
-                this.duration = Math.max(this.duration, item.startTime + item.tween.duration);
-            }
+        get tex() {
+            return this._tex;
         }
 
-        add(tween, startTime = 0) {
-            if (!(tween instanceof Tween)) {
-                console.error("Timeline.add: Only Tween instances can be added.");
-                return this;
+        // Setting the source re-parses it (throwing an ExpressionError if it is invalid); parts that keep their
+        // names keep their settings.
+        set tex(source) {
+            const tree = parseTeX(String(source));
+            this._tex = String(source);
+            this._tree = tree;
+            this._layoutCache = null;
+            const parts = {};
+            for (const name of texPartNames(tree)) {
+                parts[name] = this.parts[name] || { fill: null, alpha: 1, offset: new Vec2(), scale: 1, rotation: 0 };
             }
-            tween._managedByTimeline = true;
-            this.tweensWithMeta.push({
-                tween: tween,
-                startTime: startTime,
-                _hasStartedInternal: false,
-            });
-            this._recalculateDuration();
-            return this;
+            this.parts = parts;
         }
 
-        sequence(tweens, options = {}) {
-            const sequenceOffset = options.offset || this.duration; // Start after existing tweens or at specified offset
-            const gap = options.gap || 0;
-            let currentTimeMarker = sequenceOffset;
+        // { width, ascent, descent } of the formula in pixels (ascent above the baseline, descent below it).
+        measure() {
+            const scene = this._scene();
+            const { width, ascent, descent } = this._layout(scene && scene.ctx);
+            return { width, ascent, descent };
+        }
 
-            for (const tween of tweens) {
-                this.add(tween, currentTimeMarker);
-                currentTimeMarker += tween.duration + gap;
+        _layout(ctx = null) {
+            const key = `${this.style.font}|${ctx ? 'measured' : 'estimated'}`;
+            const cache = this._layoutCache;
+            if (cache && cache.key === key) return cache.box;
+            const family = (/\d+(?:\.\d+)?px(?:\/\S+)?\s+(.+)$/.exec(this.style.font) || [0, 'serif'])[1];
+            const box = layoutTeX(this._tree, { size: fontPixelSize(this.style.font), family, measure: (text, font) => measureTextWidth(text, font, ctx) });
+            this._layoutCache = { key, box };
+            return box;
+        }
+
+        // Top-down position of the box's origin for style.textAlign and style.textBaseline, as for TextLabel.
+        _anchor(box) {
+            const x = { center: -box.width / 2, right: -box.width, end: -box.width }[this.style.textAlign] || 0;
+            const y = { top: box.ascent, hanging: box.ascent, middle: (box.ascent - box.descent) / 2, bottom: -box.descent, ideographic: -box.descent }[this.style.textBaseline] || 0;
+            return new Vec2(x, y);
+        }
+
+        // Top-down matrix moving the items of a chain of parts: each part's offset, then its rotation and scale
+        // about its centre. `flip` is -1 when the frame is mirrored from the label's Y-up local coordinates.
+        _partMatrix(chain, box, flip) {
+            let m = IDENTITY_MATRIX;
+            for (const name of chain) {
+                const part = this.parts[name], b = box.partBounds[name].bounds;
+                if (!part || (!part.offset.x && !part.offset.y && part.scale === 1 && !part.rotation)) continue;
+                const cx = (b.minX + b.maxX) / 2, cy = (b.minY + b.maxY) / 2;
+                const cos = Math.cos(part.rotation * flip) * part.scale, sin = Math.sin(part.rotation * flip) * part.scale;
+                const e = part.offset.x + cx - cos * cx + sin * cy, f = part.offset.y * flip + cy - sin * cx - cos * cy;
+                m = multiplyMatrices(m, { a: cos, b: sin, c: -sin, d: cos, e, f });
             }
-            return this;
+            return m;
         }
 
-        parallel(tweens, options = {}) {
-            const parallelOffset = options.offset || this.duration; // Start after existing content or at specified offset
-            for (const tween of tweens) {
-                this.add(tween, parallelOffset);
+        // Colour (innermost part fill, then \color, then style.fill) and opacity of an item.
+        _paint(item) {
+            let color = null, alpha = 1;
+            for (let i = item.parts.length - 1; i >= 0; i--) {
+                const part = this.parts[item.parts[i]];
+                if (!part) continue;
+                if (color === null && part.fill) color = part.fill;
+                alpha *= part.alpha;
             }
-            return this;
+            return { color: color || item.color || this.style.fill, alpha };
         }
-        
-        play() {
-            if (this.isPlaying) return;
-            this.isPlaying = true;
-            if (this.currentTime >= this.duration && !this.loop) { // If at end and not looping, play from start
-                this.currentTime = 0;
-                this.resetAllTweensState();
+
+        _drawSelf(ctx) {
+            const box = this._layout(ctx);
+            const flipped = isFlipped(ctx.getTransform());
+            const anchor = this._anchor(box);
+            ctx.save();
+            if (flipped) ctx.scale(1, -1); // Lay out top-down with upright glyphs on a Y-up canvas
+            ctx.translate(anchor.x, anchor.y);
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'alphabetic';
+            for (const item of box.items) {
+                const { color, alpha } = this._paint(item);
+                if (alpha <= 0 || !color || color === 'none') continue;
+                ctx.save();
+                ctx.globalAlpha *= alpha;
+                if (item.parts.length) {
+                    const m = this._partMatrix(item.parts, box, flipped ? -1 : 1);
+                    ctx.transform(m.a, m.b, m.c, m.d, m.e, m.f);
+                }
+                if (item.kind === 'glyph') {
+                    ctx.font = item.font;
+                    ctx.fillStyle = color;
+                    ctx.fillText(item.text, item.x, item.y);
+                } else if (item.kind === 'rule') {
+                    ctx.fillStyle = color;
+                    ctx.fillRect(item.x, item.y, item.width, item.height);
+                } else {
+                    ctx.beginPath();
+                    item.points.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+                    if (item.fill) {
+                        ctx.closePath();
+                        ctx.fillStyle = color;
+                        ctx.fill();
+                    } else {
+                        ctx.strokeStyle = color;
+                        ctx.lineWidth = item.lineWidth;
+                        ctx.lineCap = 'round';
+                        ctx.lineJoin = 'round';
+                        ctx.stroke();
+                    }
+                }
+                ctx.restore();
             }
+            ctx.restore();
         }
 
-        playFromStart() {
-            this.currentTime = 0;
-            this.resetAllTweensState();
-            this.isPlaying = true;
+        _toSVG(scene) {
+            const box = this._layout(scene && scene.ctx);
+            const flip = svgIsFlipped(scene) ? -1 : 1;
+            const anchor = this._anchor(box);
+            let out = '';
+            for (const item of box.items) {
+                const { color, alpha } = this._paint(item);
+                if (alpha <= 0 || !color || color === 'none') continue;
+                let markup;
+                if (item.kind === 'glyph') markup = svgText(item.text, item.x, item.y, { font: item.font, fill: color });
+                else if (item.kind === 'rule') markup = svgPath(`M${svgNum(item.x)} ${svgNum(item.y)}h${svgNum(item.width)}v${svgNum(item.height)}h${svgNum(-item.width)}Z`, { fill: color });
+                else if (item.fill) markup = svgPath(svgPolylinePath(item.points, true), { fill: color });
+                else markup = svgPath(svgPolylinePath(item.points), { stroke: color, lineWidth: item.lineWidth, lineCap: 'round', lineJoin: 'round' });
+                const m = item.parts.length ? this._partMatrix(item.parts, box, flip) : IDENTITY_MATRIX;
+                const moved = m !== IDENTITY_MATRIX ? ` transform="matrix(${[m.a, m.b, m.c, m.d, m.e, m.f].map(svgNum).join(' ')})"` : '';
+                out += moved || alpha !== 1 ? `<g${moved}${alpha !== 1 ? ` opacity="${svgNum(alpha)}"` : ''}>${markup}</g>` : markup;
+            }
+            if (anchor.x || anchor.y) out = `<g transform="translate(${svgNum(anchor.x)} ${svgNum(anchor.y)})">${out}</g>`;
+            return flip < 0 ? `<g transform="scale(1 -1)">${out}</g>` : out;
         }
 
-        pause() {
-            this.isPlaying = false;
+        // Local-from-layout matrix: the anchor offset, then the flip back to Y-up local coordinates if needed.
+        _layoutMatrix(box, flip) {
+            const anchor = this._anchor(box);
+            return { a: 1, b: 0, c: 0, d: flip, e: anchor.x, f: anchor.y * flip };
         }
 
-        seek(time) {
-            this.currentTime = Math.max(0, Math.min(time, this.duration));
-            // Update tweens to reflect the new currentTime state
-            for (const item of this.tweensWithMeta) {
-                const tween = item.tween;
-                const tweenEndTime = item.startTime + tween.duration;
+        _localBounds() {
+            const scene = this._scene();
+            const box = this._layout(scene && scene.ctx);
+            const corners = boundsCorners({ minX: 0, minY: -box.ascent, maxX: box.width, maxY: box.descent });
+            return boundsOfPoints(corners, this._layoutMatrix(box, svgIsFlipped(scene) ? -1 : 1));
+        }
 
-                if (this.currentTime >= item.startTime && this.currentTime < tweenEndTime) { // Tween should be active
-                    if (!item._hasStartedInternal) {
-                        tween.start();
-                        item._hasStartedInternal = true;
-                    }
-                    tween.setProgress((this.currentTime - item.startTime) / tween.duration);
-                } else if (this.currentTime >= tweenEndTime) { // Tween should be finished
+        _containsLocal(p) {
+            const b = this._localBounds();
+            return p.x >= b.minX && p.x <= b.maxX && p.y >= b.minY && p.y <= b.maxY;
+        }
+
+        // Scene-coordinate bounds of a part as currently drawn (offset, scale and rotation included), or null.
+        getPartBounds(name) {
+            const scene = this._scene();
+            const box = this._layout(scene && scene.ctx), entry = box.partBounds[name];
+            if (!entry) return null;
+            const flip = svgIsFlipped(scene) ? -1 : 1;
+            const m = multiplyMatrices(multiplyMatrices(worldMatrix(this), this._layoutMatrix(box, flip)), this._partMatrix(entry.chain, box, flip));
+            return boundsOfPoints(boundsCorners(entry.bounds), m);
+        }
+    }
+
+    // --- SCIENTIFIC VISUALIZATION OBJECTS ---
+    class GridSystem extends SceneObject {
+        constructor(width, height, cellSize, options = {}) {
+            super(options);
+            this.gridWidth = width;
+            this.gridHeight = height;
+            this.cellSize = cellSize;
+            this.axes = options.axes || null; // With axes, the lines follow their ticks across their rectangle instead
+            this.minor = options.minor ?? null; // Minor lines (as Axes minorTicks); null: as the axes' minorTicks
+            this.style.color = options.style?.color || "#cccccc";
+            this.style.minorColor = options.style?.minorColor || "#eeeeee";
+            this.style.lineWidth = options.style?.lineWidth || 0.5;
+            this.style.dashed = options.style?.dashed || false;
+            this.style.axisColor = options.style?.axisColor || "#888888";
+            this.style.axisLineWidth = options.style?.axisLineWidth || 1;
+            this.showLabels = options.showLabels || false;
+            this.labelStyle = {
+                font: '10px Arial',
+                fill: '#555555',
+                offset: 5,
+                ...(options.labelStyle || {})
+            };
+        }
+
+        // Line positions and labels, shared by canvas drawing and SVG export.
+        _layout() {
+            if (this.axes) return this._axesLayout();
+            const startX = -this.gridWidth / 2;
+            const endX = this.gridWidth / 2;
+            const startY = -this.gridHeight / 2;
+            const endY = this.gridHeight / 2;
+            const vertical = [], horizontal = [], labels = [];
+
+            for (let x = 0; x <= this.gridWidth; x += this.cellSize) {
+                const currentX = startX + x;
+                vertical.push(currentX);
+                if (this.showLabels && x !== 0 && Math.abs(currentX) > this.cellSize/2) {
+                    labels.push({ text: currentX.toFixed(0), x: currentX, y: startY - this.labelStyle.offset, align: 'center', baseline: 'top' });
+                }
+            }
+            for (let y = 0; y <= this.gridHeight; y += this.cellSize) {
+                const currentY = startY + y;
+                horizontal.push(currentY);
+                if (this.showLabels && y !== 0 && Math.abs(currentY) > this.cellSize/2) {
+                    labels.push({ text: currentY.toFixed(0), x: startX - this.labelStyle.offset, y: currentY, align: 'right', baseline: 'middle' });
+                }
+            }
+
+            const xAxis = startX < 0 && endX > 0;
+            const yAxis = startY < 0 && endY > 0;
+            if (xAxis && this.showLabels) {
+                labels.push({ text: "0", x: startX - this.labelStyle.offset, y: 0, align: 'right', baseline: 'middle' });
+            }
+            return { startX, endX, startY, endY, vertical, horizontal, minorVertical: [], minorHorizontal: [], labels, xAxis, yAxis };
+        }
+
+        // Lines at the linked axes' ticks (drawn in the axes' frame), without labels or axis lines of its own.
+        _axesLayout() {
+            const axes = this.axes, minor = this.minor ?? axes.minorTicks;
+            const [x, y] = [axes.getTicks('x', minor), axes.getTicks('y', minor)];
+            const start = axes._c2l(axes.xRange[0], axes.yRange[0]), end = axes._c2l(axes.xRange[1], axes.yRange[1]);
+            const xs = values => values.map(v => axes._c2l(v, axes.yRange[0]).x), ys = values => values.map(v => axes._c2l(axes.xRange[0], v).y);
+            return {
+                startX: start.x, endX: end.x, startY: start.y, endY: end.y,
+                vertical: xs(x.major), horizontal: ys(y.major), minorVertical: xs(x.minor), minorHorizontal: ys(y.minor),
+                labels: [], xAxis: false, yAxis: false,
+            };
+        }
+
+        _drawSelf(ctx, scene) {
+            const layout = this._layout();
+            ctx.strokeStyle = this.style.color;
+            ctx.lineWidth = this.style.lineWidth;
+            if (this.style.dashed) ctx.setLineDash([2, 2]);
+            else ctx.setLineDash([]);
+
+            if (layout.minorVertical.length || layout.minorHorizontal.length) {
+                ctx.strokeStyle = this.style.minorColor;
+                ctx.beginPath();
+                for (const x of layout.minorVertical) {
+                    ctx.moveTo(x, layout.startY);
+                    ctx.lineTo(x, layout.endY);
+                }
+                for (const y of layout.minorHorizontal) {
+                    ctx.moveTo(layout.startX, y);
+                    ctx.lineTo(layout.endX, y);
+                }
+                ctx.stroke();
+                ctx.strokeStyle = this.style.color;
+            }
+
+            for (const x of layout.vertical) {
+                ctx.beginPath();
+                ctx.moveTo(x, layout.startY);
+                ctx.lineTo(x, layout.endY);
+                ctx.stroke();
+            }
+            for (const y of layout.horizontal) {
+                ctx.beginPath();
+                ctx.moveTo(layout.startX, y);
+                ctx.lineTo(layout.endX, y);
+                ctx.stroke();
+            }
+
+            if (layout.xAxis) { 
+                ctx.strokeStyle = this.style.axisColor;
+                ctx.lineWidth = this.style.axisLineWidth;
+                ctx.setLineDash([]);
+                ctx.beginPath();
+                ctx.moveTo(layout.startX, 0);
+                ctx.lineTo(layout.endX, 0);
+                ctx.stroke();
+            }
+            if (layout.yAxis) { 
+                ctx.strokeStyle = this.style.axisColor;
+                ctx.lineWidth = this.style.axisLineWidth;
+                ctx.setLineDash([]);
+                ctx.beginPath();
+                ctx.moveTo(0, layout.startY);
+                ctx.lineTo(0, layout.endY);
+                ctx.stroke();
+            }
+            for (const label of layout.labels) {
+                this._drawText(ctx, label.text, label.x, label.y, label.align, label.baseline);
+            }
+             if (this.style.dashed) ctx.setLineDash([2, 2]); // Restore dash setting
+             else ctx.setLineDash([]);
+        }
+
+        _localBounds() {
+            const { startX, endX, startY, endY } = this._layout();
+            return boundsOfPoints([new Vec2(startX, startY), new Vec2(endX, endY)]);
+        }
+
+        _toSVG(scene) {
+            const layout = this._layout();
+            const dash = this.style.dashed ? [2, 2] : null;
+            let minor = '';
+            for (const x of layout.minorVertical) minor += `M${svgNum(x)} ${svgNum(layout.startY)}V${svgNum(layout.endY)}`;
+            for (const y of layout.minorHorizontal) minor += `M${svgNum(layout.startX)} ${svgNum(y)}H${svgNum(layout.endX)}`;
+            let out = minor ? svgPath(minor, { stroke: this.style.minorColor, lineWidth: this.style.lineWidth, dash }) : '';
+            let lines = '';
+            for (const x of layout.vertical) lines += `M${svgNum(x)} ${svgNum(layout.startY)}V${svgNum(layout.endY)}`;
+            for (const y of layout.horizontal) lines += `M${svgNum(layout.startX)} ${svgNum(y)}H${svgNum(layout.endX)}`;
+            out += svgPath(lines, { stroke: this.style.color, lineWidth: this.style.lineWidth, dash });
+            let axes = '';
+            if (layout.xAxis) axes += `M${svgNum(layout.startX)} 0H${svgNum(layout.endX)}`;
+            if (layout.yAxis) axes += `M0 ${svgNum(layout.startY)}V${svgNum(layout.endY)}`;
+            if (axes) out += svgPath(axes, { stroke: this.style.axisColor, lineWidth: this.style.axisLineWidth });
+            for (const label of layout.labels) {
+                out += svgText(label.text, label.x, label.y, {
+                    font: this.labelStyle.font, fill: this.labelStyle.fill,
+                    align: label.align, baseline: label.baseline, upright: svgIsFlipped(scene),
+                });
+            }
+            return out;
+        }
+
+        _drawText(ctx, text, x, y, align, baseline) {
+            ctx.fillStyle = this.labelStyle.fill;
+            ctx.font = this.labelStyle.font;
+            ctx.textAlign = align;
+            ctx.textBaseline = baseline;
+            const sceneYFlipped = isFlipped(ctx.getTransform());
+            if (sceneYFlipped) {
+                ctx.save();
+                ctx.scale(1,-1);
+                ctx.fillText(text, x, -y);
+                ctx.restore();
+            } else {
+                ctx.fillText(text, x, y);
+            }
+        }
+    }
+    
+    // X and Y axes with ticks and labels, mapping data coordinates (xRange x yRange) onto a rectangle of
+    // xLength x yLength scene units. Plots linked to the axes are drawn through that mapping, so they follow
+    // when the axes move or their ranges are tweened.
+    class Axes extends SceneObject {
+        constructor(xRange = [-10, 10], yRange = [-10, 10], options = {}) {
+            super(options);
+            this.xRange = xRange;
+            this.yRange = yRange;
+            // Scene units. By default one per data unit, or more for small ranges, so that the longer axis is at least
+            // 300 units long (the same scale on both axes)
+            const unit = Math.max(1, 300 / Math.max(Math.abs(xRange[1] - xRange[0]), Math.abs(yRange[1] - yRange[0])));
+            this.xLength = options.xLength ?? (xRange[1] - xRange[0]) * unit;
+            this.yLength = options.yLength ?? (yRange[1] - yRange[0]) * unit;
+            this.xScale = options.xScale ?? 'linear'; // 'linear', 'log', 'symlog' or { type, base, linthresh } (see scaleFor)
+            this.yScale = options.yScale ?? 'linear';
+            // Local position of the corner (xRange[0], yRange[0]). It stays put when the ranges change, so zooming
+            // redraws the data inside the same rectangle. By default the point where the axes cross is at the position.
+            this.corner = options.corner ? new Vec2(options.corner.x, options.corner.y) : new Vec2(
+                0 - this._fraction('x', axisCrossing(xRange, scaleFor(this.xScale))) * this.xLength,
+                0 - this._fraction('y', axisCrossing(yRange, scaleFor(this.yScale))) * this.yLength
+            );
+            this.xTicks = options.xTicks ?? null; // Approximate number of major intervals or an array of values; null: about ten
+            this.yTicks = options.yTicks ?? null;
+            this.minorTicks = options.minorTicks ?? false; // true, or a number of subdivisions per major interval
+            this.tickSize = options.tickSize || 5;
+            this.showLabels = options.showLabels === undefined ? true : options.showLabels;
+            this.labelPrecision = options.labelPrecision ?? null; // Decimals; null: enough for the tick step
+            this.labelFormat = options.labelFormat ?? 'auto'; // See tickFormatter
+            this.xLabelFormat = options.xLabelFormat ?? null; // Overrides labelFormat for one axis
+            this.yLabelFormat = options.yLabelFormat ?? null;
+            this.xTitle = options.xTitle ?? '';
+            this.yTitle = options.yTitle ?? '';
+            this.style.color = options.style?.color || "#333333";
+            this.style.lineWidth = options.style?.lineWidth || 1.5;
+            this.labelStyle = {
+                font: '12px Arial',
+                fill: '#333333',
+                offset: 8,
+                ...(options.labelStyle || {})
+            };
+            this.titleStyle = {
+                font: '14px Arial',
+                fill: '#333333',
+                offset: 6,
+                ...(options.titleStyle || {})
+            };
+            this.style.arrowSize = options.style?.arrowSize === undefined ? 8 : options.style?.arrowSize;
+
+            this._attached = []; // { object, x, y } kept at data coordinates by update()
+        }
+
+        // Position of a data value along an axis ('x' or 'y'), from 0 at the start of its range to 1 at the end.
+        _fraction(axis, value) {
+            const scale = scaleFor(this[axis + 'Scale']), [a, b] = this[axis + 'Range'];
+            const start = scale.forward(a);
+            return (scale.forward(value) - start) / (scale.forward(b) - start);
+        }
+
+        // The inverse of _fraction.
+        _fromFraction(axis, fraction) {
+            const scale = scaleFor(this[axis + 'Scale']), [a, b] = this[axis + 'Range'];
+            const start = scale.forward(a);
+            return scale.inverse(start + fraction * (scale.forward(b) - start));
+        }
+
+        // Data coordinates to the axes' local coordinates.
+        _c2l(x, y) {
+            return new Vec2(this.corner.x + this._fraction('x', x) * this.xLength, this.corner.y + this._fraction('y', y) * this.yLength);
+        }
+
+        // Local coordinates back to data coordinates.
+        _l2c(p) {
+            return new Vec2(
+                this._fromFraction('x', (p.x - this.corner.x) / this.xLength),
+                this._fromFraction('y', (p.y - this.corner.y) / this.yLength)
+            );
+        }
+
+        // Data coordinates (two numbers or a point) to a point in the axes' parent (the scene for top-level axes),
+        // i.e. where an object added next to the axes must be placed to sit at those coordinates.
+        c2p(x, y) {
+            if (typeof x === 'object') ({ x, y } = x);
+            const p = this._c2l(x, y);
+            const scaled = new Vec2(p.x * this.scale.x, p.y * this.scale.y);
+            const cos = Math.cos(this.rotation), sin = Math.sin(this.rotation);
+            return new Vec2(
+                this.position.x + scaled.x * cos - scaled.y * sin,
+                this.position.y + scaled.x * sin + scaled.y * cos
+            );
+        }
+
+        // The inverse of c2p: data coordinates of a point in the axes' parent.
+        p2c(point) {
+            const dx = point.x - this.position.x, dy = point.y - this.position.y;
+            const cos = Math.cos(this.rotation), sin = Math.sin(this.rotation);
+            return this._l2c(new Vec2((dx * cos + dy * sin) / this.scale.x, (-dx * sin + dy * cos) / this.scale.y));
+        }
+
+        // A FunctionPlot of func in data coordinates, over options.xRange or, by default, the x range the axes
+        // currently show. Other options are passed to FunctionPlot. Add the plot to the scene next to the axes.
+        plot(func, options = {}) {
+            const [xMin, xMax] = options.xRange || [null, null];
+            return new FunctionPlot(func, xMin, xMax, options.numPoints ?? 200, { ...options, axes: this });
+        }
+
+        // Keeps an object (sharing the axes' parent, usually the scene) at data coordinates (x, y) while the axes
+        // move or their ranges change. Attaching an object again updates its coordinates.
+        attach(object, x, y) {
+            this.detach(object);
+            this._attached.push({ object, x, y });
+            const p = this.c2p(x, y);
+            object.position.set(p.x, p.y);
+            return object;
+        }
+
+        detach(object) {
+            this._attached = this._attached.filter(item => item.object !== object);
+            return object;
+        }
+
+        update(deltaTime, scene) {
+            super.update(deltaTime, scene);
+            for (const { object, x, y } of this._attached) {
+                const p = this.c2p(x, y);
+                object.position.set(p.x, p.y);
+            }
+        }
+
+        // Ranges and tick counts covering some data, with ticks on 1-2-5 steps. `items` is a plot, an array of plots,
+        // or data in any form accepted by ScatterPlot. The result can be passed straight to the constructor:
+        //   const r = Axes.autoRange([plotA, plotB]); new Axes(r.xRange, r.yRange, r);
+        static autoRange(items, options = {}) {
+            const isPlot = item => item instanceof ScatterPlot;
+            const points = isPlot(items) ? items.data
+                : (Array.isArray(items) && items.length && items.every(isPlot)) ? items.flatMap(plot => plot.data)
+                : parseData(items);
+            const targetTicks = options.ticks ?? 8;
+            const includeZero = options.includeZero ?? true; // The axes cross at the origin
+            const padding = options.padding ?? 0; // Extra space as a fraction of the data span
+
+            const fit = (values) => {
+                let [min, max] = extentOf(values);
+                if (!values.length) [min, max] = [0, 1];
+                if (includeZero) [min, max] = [Math.min(min, 0), Math.max(max, 0)];
+                const span = max - min || Math.abs(max) || 1;
+                min -= span * padding;
+                max += span * padding;
+                if (min === max) [min, max] = [min - span / 2, max + span / 2];
+                const step = niceStep(max - min, targetTicks);
+                const range = [Math.floor(min / step + 1e-9) * step, Math.ceil(max / step - 1e-9) * step];
+                return { range, ticks: Math.round((range[1] - range[0]) / step), step };
+            };
+            const x = fit(points.map(p => p.x)), y = fit(points.map(p => p.y));
+            return {
+                xRange: x.range, yRange: y.range, xTicks: x.ticks, yTicks: y.ticks,
+                labelPrecision: Math.max(stepDecimals(x.step), stepDecimals(y.step)),
+            };
+        }
+
+        // The labelFormat option in effect for 'x' or 'y'.
+        _labelFormat(axis) {
+            return this[axis + 'LabelFormat'] ?? this.labelFormat;
+        }
+
+        // Major and minor tick values along 'x' or 'y' ({ major, minor, step }, see locateTicks); `minor` overrides
+        // the minorTicks option. A GridSystem linked to the axes draws its lines at the same values.
+        getTicks(axis = 'x', minor = this.minorTicks) {
+            const count = this[axis + 'Ticks'] ?? 10; // About ten intervals of the data range, unit steps on [-5, 5]
+            const format = this._labelFormat(axis);
+            const unit = (format === 'pi' || format?.format === 'pi') ? Math.PI : 1;
+            return locateTicks(scaleFor(this[axis + 'Scale']), this[axis + 'Range'], count, minor, unit);
+        }
+
+        // A GridSystem whose lines follow these axes' ticks (options as for GridSystem). Add it to the scene before
+        // the axes so it is drawn underneath.
+        grid(options = {}) {
+            return new GridSystem(this.xLength, this.yLength, 0, { ...options, axes: this });
+        }
+
+        // Tick values and labels, shared by canvas drawing and SVG export. The tick where the other axis crosses is
+        // left out when that axis runs through its label; a single "0" then marks an origin inside both ranges.
+        _ticks() {
+            const crossing = { x: axisCrossing(this.xRange, scaleFor(this.xScale)), y: axisCrossing(this.yRange, scaleFor(this.yScale)) };
+            const covered = {
+                x: crossing.y > Math.min(...this.yRange), // The y axis extends below the x axis
+                y: crossing.x > Math.min(...this.xRange),
+            };
+            const result = {};
+            for (const axis of ['x', 'y']) {
+                const { major, minor, step } = this.getTicks(axis);
+                let spec = this._labelFormat(axis);
+                // Powers of the base spanning very large or small values are all written as powers, 10⁻³ … 10⁶
+                const auto = spec === 'auto' || (typeof spec === 'object' && spec && (spec.format ?? 'auto') === 'auto');
+                if (auto && step === null && major.some(v => v !== 0 && (Math.abs(v) >= 1e6 || Math.abs(v) < 1e-4))) {
+                    spec = { ...(typeof spec === 'object' ? spec : {}), format: 'scientific' };
+                }
+                const format = tickFormatter(spec, { precision: this.labelPrecision });
+                const span = Math.abs(this[axis + 'Range'][1] - this[axis + 'Range'][0]);
+                const atCrossing = value => Math.abs(value - crossing[axis]) <= span * 1e-9;
+                result[axis] = {
+                    major: major.filter(value => !(covered[axis] && atCrossing(value)))
+                        .map(value => ({ value, label: this.showLabels ? format(value, step ?? Math.abs(value)) : null })),
+                    minor: minor.filter(value => !(covered[axis] && atCrossing(value))),
+                    crossing: crossing[axis],
+                };
+            }
+            const originLabel = this.showLabels && covered.x && covered.y ? tickFormatter(this._labelFormat('x'), { precision: this.labelPrecision })(0, 1) : null;
+            return { x: result.x, y: result.y, originLabel };
+        }
+
+        // Local positions of the axis lines, ticks, labels and titles, shared by canvas drawing and SVG export.
+        _layout() {
+            const ticks = this._ticks();
+            const cx = ticks.x.crossing, cy = ticks.y.crossing;
+            const xAxis = [this._c2l(this.xRange[0], cy), this._c2l(this.xRange[1], cy)];
+            const yAxis = [this._c2l(cx, this.yRange[0]), this._c2l(cx, this.yRange[1])];
+            const beyond = Math.max(this.style.arrowSize, 0) + this.titleStyle.offset; // Titles sit past the arrowheads
+            return {
+                xAxis, yAxis,
+                xTicks: ticks.x.major.map(tick => ({ position: this._c2l(tick.value, cy), label: tick.label })),
+                yTicks: ticks.y.major.map(tick => ({ position: this._c2l(cx, tick.value), label: tick.label })),
+                xMinor: ticks.x.minor.map(value => this._c2l(value, cy)),
+                yMinor: ticks.y.minor.map(value => this._c2l(cx, value)),
+                origin: ticks.originLabel !== null ? { position: this._c2l(cx, cy), label: ticks.originLabel } : null,
+                xTitle: this.xTitle ? { text: this.xTitle, position: xAxis[1].add(new Vec2(beyond, 0)) } : null,
+                yTitle: this.yTitle ? { text: this.yTitle, position: yAxis[1].add(new Vec2(0, beyond)) } : null,
+            };
+        }
+
+        _drawSelf(ctx, scene) {
+            ctx.strokeStyle = this.style.color;
+            ctx.fillStyle = this.labelStyle.fill; 
+            ctx.lineWidth = this.style.lineWidth;
+            ctx.font = this.labelStyle.font;
+
+            const sceneYFlipped = isFlipped(ctx.getTransform());
+            const layout = this._layout();
+            const half = this.tickSize / 2;
+            const xLabelOffset = sceneYFlipped ? -this.labelStyle.offset : this.labelStyle.offset; // Below the x axis
+            const xBaseline = 'top';
+
+            for (const [[start, end], angle] of [[layout.xAxis, 0], [layout.yAxis, Math.PI / 2]]) {
+                ctx.beginPath();
+                ctx.moveTo(start.x, start.y);
+                ctx.lineTo(end.x, end.y);
+                ctx.stroke();
+                this._drawArrowHead(ctx, end.x, end.y, angle);
+            }
+
+            for (const { position, label } of layout.xTicks) {
+                ctx.beginPath();
+                ctx.moveTo(position.x, position.y - half);
+                ctx.lineTo(position.x, position.y + half);
+                ctx.stroke();
+                if (label !== null) {
+                    this._drawText(ctx, label, position.x, position.y + xLabelOffset, 'center', xBaseline, sceneYFlipped);
+                }
+            }
+
+            for (const { position, label } of layout.yTicks) {
+                ctx.beginPath();
+                ctx.moveTo(position.x - half, position.y);
+                ctx.lineTo(position.x + half, position.y);
+                ctx.stroke();
+                if (label !== null) {
+                    this._drawText(ctx, label, position.x - this.labelStyle.offset, position.y, 'right', 'middle', sceneYFlipped);
+                }
+            }
+
+            ctx.beginPath(); // Minor ticks, half as long
+            for (const p of layout.xMinor) {
+                ctx.moveTo(p.x, p.y - half / 2);
+                ctx.lineTo(p.x, p.y + half / 2);
+            }
+            for (const p of layout.yMinor) {
+                ctx.moveTo(p.x - half / 2, p.y);
+                ctx.lineTo(p.x + half / 2, p.y);
+            }
+            ctx.stroke();
+
+            if (layout.origin) {
+                const { position, label } = layout.origin;
+                this._drawText(ctx, label, position.x - this.labelStyle.offset, position.y + xLabelOffset, 'right', xBaseline, sceneYFlipped);
+            }
+
+            ctx.font = this.titleStyle.font;
+            ctx.fillStyle = this.titleStyle.fill;
+            if (layout.xTitle) this._drawText(ctx, layout.xTitle.text, layout.xTitle.position.x, layout.xTitle.position.y, 'left', 'middle', sceneYFlipped);
+            if (layout.yTitle) this._drawText(ctx, layout.yTitle.text, layout.yTitle.position.x, layout.yTitle.position.y, 'center', sceneYFlipped ? 'bottom' : 'top', sceneYFlipped);
+        }
+
+        // The data rectangle (arrowheads, labels and titles not included).
+        _localBounds() {
+            const { xAxis, yAxis } = this._layout();
+            return boundsOfPoints([...xAxis, ...yAxis]);
+        }
+
+        _toSVG(scene) {
+            const flipped = svgIsFlipped(scene);
+            const layout = this._layout();
+            const half = this.tickSize / 2;
+            let d = '';
+            for (const [[start, end], angle] of [[layout.xAxis, 0], [layout.yAxis, Math.PI / 2]]) {
+                d += svgPolylinePath([start, end]) + this._arrowHeadPath(end.x, end.y, angle);
+            }
+            for (const { position: p } of layout.xTicks) d += `M${svgNum(p.x)} ${svgNum(p.y - half)}V${svgNum(p.y + half)}`;
+            for (const { position: p } of layout.yTicks) d += `M${svgNum(p.x - half)} ${svgNum(p.y)}H${svgNum(p.x + half)}`;
+            for (const p of layout.xMinor) d += `M${svgNum(p.x)} ${svgNum(p.y - half / 2)}V${svgNum(p.y + half / 2)}`;
+            for (const p of layout.yMinor) d += `M${svgNum(p.x - half / 2)} ${svgNum(p.y)}H${svgNum(p.x + half / 2)}`;
+            let out = svgPath(d, { stroke: this.style.color, lineWidth: this.style.lineWidth });
+
+            const labelOptions = { font: this.labelStyle.font, fill: this.labelStyle.fill, upright: flipped };
+            const xLabelOffset = flipped ? -this.labelStyle.offset : this.labelStyle.offset;
+            const xBaseline = 'top';
+            for (const { position: p, label } of layout.xTicks) {
+                if (label !== null) out += svgText(label, p.x, p.y + xLabelOffset, { ...labelOptions, align: 'center', baseline: xBaseline });
+            }
+            for (const { position: p, label } of layout.yTicks) {
+                if (label !== null) out += svgText(label, p.x - this.labelStyle.offset, p.y, { ...labelOptions, align: 'right', baseline: 'middle' });
+            }
+            if (layout.origin) {
+                const { position: p, label } = layout.origin;
+                out += svgText(label, p.x - this.labelStyle.offset, p.y + xLabelOffset, { ...labelOptions, align: 'right', baseline: xBaseline });
+            }
+            const titleOptions = { font: this.titleStyle.font, fill: this.titleStyle.fill, upright: flipped };
+            if (layout.xTitle) out += svgText(layout.xTitle.text, layout.xTitle.position.x, layout.xTitle.position.y, { ...titleOptions, align: 'left', baseline: 'middle' });
+            if (layout.yTitle) out += svgText(layout.yTitle.text, layout.yTitle.position.x, layout.yTitle.position.y, { ...titleOptions, align: 'center', baseline: flipped ? 'bottom' : 'top' });
+            return out;
+        }
+
+        _arrowHeadPath(tipX, tipY, axisAngle) {
+            if (this.style.arrowSize <= 0) return '';
+            const s = this.style.arrowSize;
+            const barbAngle = Math.PI / 6;
+            const cos = Math.cos(axisAngle), sin = Math.sin(axisAngle);
+            const barb = (bx, by) => `M${svgNum(tipX)} ${svgNum(tipY)}L${svgNum(tipX + bx * cos - by * sin)} ${svgNum(tipY + bx * sin + by * cos)}`;
+            return barb(-s * Math.cos(barbAngle), s * Math.sin(barbAngle)) + barb(-s * Math.cos(barbAngle), -s * Math.sin(barbAngle));
+        }
+
+        _drawArrowHead(ctx, tipX, tipY, axisAngle) {
+            if (this.style.arrowSize <= 0) return;
+            ctx.save();
+            ctx.translate(tipX, tipY);
+            ctx.rotate(axisAngle); 
+
+            const s = this.style.arrowSize;
+            const barbAngle = Math.PI / 6; 
+
+            ctx.beginPath();
+            ctx.moveTo(0, 0); 
+            ctx.lineTo(-s * Math.cos(barbAngle), s * Math.sin(barbAngle)); 
+            ctx.moveTo(0, 0); 
+            ctx.lineTo(-s * Math.cos(barbAngle), -s * Math.sin(barbAngle)); 
+            
+            ctx.strokeStyle = this.style.color;
+            ctx.lineWidth = this.style.lineWidth;
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        _drawText(ctx, text, x, y, align, baseline, sceneYFlipped) {
+            ctx.textAlign = align;
+            ctx.textBaseline = baseline;
+            if (sceneYFlipped) {
+                ctx.save();
+                ctx.scale(1, -1);
+                ctx.fillText(text, x, -y);
+                ctx.restore();
+            } else {
+                ctx.fillText(text, x, y);
+            }
+        }
+    }
+
+    class FunctionPlot extends SceneObject {
+        constructor(func, xMin = -10, xMax = 10, numPoints = 200, options = {}) {
+            super(options);
+            this.params = options.params || {}; // Values for named parameters in expression strings, e.g. { a: 2 } for "a*sin(x)"
+            this.func = this._toFunction(func);
+            this.axes = options.axes || null; // Axes whose data coordinates the curve is in (see Axes.plot)
+            this.xMin = xMin; // null: the axes' current x range
+            this.xMax = xMax;
+            this.numPoints = numPoints; // Initial uniform steps; adaptive sampling refines them where needed
+            this.tolerance = options.tolerance ?? 0.5; // Maximum deviation from the true curve, in pixels
+            this.maxDepth = options.maxDepth ?? 8; // Maximum number of bisections of a step
+            this.style.stroke = options.style?.stroke || "blue";
+            this.style.lineWidth = options.style?.lineWidth || 2;
+            
+            this.drawProgress = 1; 
+
+            this._morph = {
+                isActive: false,
+                oldFunc: null,
+                targetFunc: null,
+                progress: 0,
+            };
+            this._currentDisplayFunc = this.func;
+        }
+
+        update(deltaTime, scene) {
+            super.update(deltaTime, scene); 
+
+            if (this._morph.isActive) {
+                const p = this._morph.progress;
+                const oldF = this._morph.oldFunc;
+                const newF = this._morph.targetFunc;
+                
+                this._currentDisplayFunc = (x) => { 
+                    try {
+                        const y1 = oldF(x);
+                        const y2 = newF(x);
+
+                        if (Number.isFinite(y1) && Number.isFinite(y2)) {
+                            return (1 - p) * y1 + p * y2;
+                        } else if (Number.isFinite(y1) && p < 0.5) { 
+                            return y1 * (1 - (p*2)); 
+                        } else if (Number.isFinite(y1) && p >=0.5 && !Number.isFinite(y2)){ 
+                             return NaN; 
+                        }
+                         else if (Number.isFinite(y2) && p >= 0.5) { 
+                            return y2 * ((p-0.5)*2); 
+                        } else if (Number.isFinite(y2) && p < 0.5 && !Number.isFinite(y1)){ 
+                            return NaN; 
+                        }
+                        return NaN; 
+                    } catch (e) {
+                        return NaN;
+                    }
+                };
+            } else {
+                this._currentDisplayFunc = this.func;
+            }
+        }
+
+        // y of the curve as displayed (mid-morph included) at x, in data units with axes, and its slope there.
+        valueAt(x) {
+            return this._currentDisplayFunc(x);
+        }
+
+        slopeAt(x) {
+            const h = 1e-5 * Math.max(1, Math.abs(x));
+            return (this._currentDisplayFunc(x + h) - this._currentDisplayFunc(x - h)) / (2 * h);
+        }
+
+        // Samples the displayed function adaptively (see sampleCurve). Non-finite values, jumps and poles split the
+        // curve into separate polylines; drawProgress keeps that fraction of the on-screen arc length. On a linked
+        // axes' log or symlog x scale the steps are even in scale space. Expression strings are sampled once until
+        // the function, its params, the range, the axes or the frame change (see cachedSamples).
+        _polylines(matrix, viewport) {
+            const effectiveFunc = this._currentDisplayFunc;
+            const xMin = this.xMin ?? this.axes?.xRange[0] ?? -10, xMax = this.xMax ?? this.axes?.xRange[1] ?? 10;
+            const axes = this.axes;
+            const key = JSON.stringify([
+                xMin, xMax, this.numPoints, this.tolerance, this.maxDepth, this.drawProgress,
+                [matrix.a, matrix.b, matrix.c, matrix.d, matrix.e, matrix.f], viewport,
+                axes && [axes.xRange, axes.yRange, axes.xScale, axes.yScale, axes.xLength, axes.yLength, axes.corner],
+            ]);
+            return cachedSamples(this, [effectiveFunc], key, () => {
+                const scale = scaleFor(axes ? axes.xScale : 'linear');
+                const pointAt = u => {
+                    const x = scale.inverse(u);
+                    return this._toLocal({ x, y: effectiveFunc(x) });
+                };
+                return sampleCurve(pointAt, scale.forward(xMin), scale.forward(xMax), {
+                    numPoints: this.numPoints, tolerance: this.tolerance, maxDepth: this.maxDepth,
+                    matrix, viewport, progress: this.drawProgress,
+                });
+            });
+        }
+
+        _drawSelf(ctx) {
+            ctx.strokeStyle = this.style.stroke;
+            ctx.lineWidth = this.style.lineWidth;
+            ctx.beginPath();
+            for (const line of this._polylines(ctx.getTransform(), { width: ctx.canvas.width, height: ctx.canvas.height })) {
+                ctx.moveTo(line[0].x, line[0].y);
+                for (let i = 1; i < line.length; i++) ctx.lineTo(line[i].x, line[i].y);
+            }
+            ctx.stroke();
+        }
+
+        // The sampled curve, kept inside the rectangle of the linked axes (a pole would otherwise run off to huge values).
+        _localBounds() {
+            const bounds = boundsOfPoints(this._polylines(IDENTITY_MATRIX, null).flat());
+            const box = this.axes && this.axes._localBounds();
+            if (!bounds || !box) return bounds;
+            return {
+                minX: Math.max(bounds.minX, box.minX), minY: Math.max(bounds.minY, box.minY),
+                maxX: Math.min(bounds.maxX, box.maxX), maxY: Math.min(bounds.maxY, box.maxY),
+            };
+        }
+
+        _containsLocal(p, tolerance) {
+            const reach = this.style.lineWidth / 2 + tolerance;
+            return this._polylines(IDENTITY_MATRIX, null).some(line => distanceToPolyline(p, line) <= reach);
+        }
+
+        _toSVG(scene) {
+            const { matrix, viewport } = svgSamplingFrame(this, scene);
+            const d = this._polylines(matrix, viewport).map(line => svgPolylinePath(line)).join('');
+            return svgPath(d, { stroke: this.style.stroke, lineWidth: this.style.lineWidth });
+        }
+        
+        // Accepts a function of x or an expression string such as "a*sin(x/30)" (compiled against this.params).
+        _toFunction(func) {
+            return typeof func === 'string' ? compileExpression(func, { variables: ['x'], params: this.params }) : func;
+        }
+
+        updateFunction(newFunc) { 
+            newFunc = this._toFunction(newFunc);
+            this.func = newFunc;
+            if (!this._morph.isActive) {
+                this._currentDisplayFunc = newFunc;
+            }
+        }
+
+        createAnimation(duration = 1, easing = Easing.linear) {
+            this.drawProgress = 0;
+            return new Tween(this, 'drawProgress', 1, duration, easing, this.sceneRef);
+        }
+
+        uncreateAnimation(duration = 1, easing = Easing.linear) {
+            return new Tween(this, 'drawProgress', 0, duration, easing, this.sceneRef);
+        }
+
+        morphTo(newFunction, duration, easing = Easing.linear) {
+            if (this._morph.isActive) { 
+                this.func = this._morph.targetFunc;
+            }
+            this._morph.isActive = true;
+            this._morph.oldFunc = this.func; 
+            this._morph.targetFunc = this._toFunction(newFunction);
+            this._morph.progress = 0;
+
+            const tween = new Tween(this._morph, 'progress', 1, duration, easing, this.sceneRef);
+            tween._factory = { object: this, method: 'morphTo', args: [newFunction] };
+            tween.then(() => {
+                this.func = this._morph.targetFunc;
+                this._morph.isActive = false;
+                this._morph.oldFunc = null;
+                this._morph.progress = 0;
+                this._currentDisplayFunc = this.func; 
+            });
+            return tween;
+        }
+    }
+
+    class ParametricPlot extends SceneObject {
+        constructor(fx, fy, tMin = 0, tMax = 2 * Math.PI, numPoints = 200, options = {}) {
+            super(options);
+            this.params = options.params || {}; // Values for named parameters in expression strings
+            this._setFunctions(this._toFunctions(fx, fy));
+            this.tMin = tMin;
+            this.tMax = tMax;
+            this.numPoints = numPoints; // Initial uniform steps; adaptive sampling refines them where needed
+            this.tolerance = options.tolerance ?? 0.5;
+            this.maxDepth = options.maxDepth ?? 8;
+            this.style.stroke = options.style?.stroke || "blue";
+            this.style.lineWidth = options.style?.lineWidth || 2;
+
+            this.drawProgress = 1;
+
+            this._morph = {
+                isActive: false,
+                oldFuncs: null,
+                targetFuncs: null,
+                progress: 0,
+            };
+        }
+
+        // Parameter name used by expression strings.
+        get _variable() { return 't'; }
+
+        _toFunction(func) {
+            return typeof func === 'string' ? compileExpression(func, { variables: [this._variable], params: this.params }) : func;
+        }
+
+        _toFunctions(fx, fy) { return { fx: this._toFunction(fx), fy: this._toFunction(fy) }; }
+        _functions() { return { fx: this.fx, fy: this.fy }; }
+        _setFunctions({ fx, fy }) { this.fx = fx; this.fy = fy; }
+        _pointFrom({ fx, fy }, t) { return new Vec2(fx(t), fy(t)); }
+
+        _morphedPoint(t) {
+            const p = this._morph.progress;
+            const from = this._pointFrom(this._morph.oldFuncs, t);
+            const to = this._pointFrom(this._morph.targetFuncs, t);
+            return from.mul(1 - p).add(to.mul(p));
+        }
+
+        // Point of the displayed curve (including an active morph) at parameter t, in the plot's own coordinates.
+        localPointAt(t) {
+            return this._morph.isActive ? this._morphedPoint(t) : this._pointFrom(this._functions(), t);
+        }
+
+        // Point at parameter t in the coordinates of the plot's parent (the scene for top-level plots),
+        // i.e. where an object added next to the plot must be placed to sit on the curve.
+        pointAt(t) {
+            const p = this.localPointAt(t);
+            const scaled = new Vec2(p.x * this.scale.x, p.y * this.scale.y);
+            const cos = Math.cos(this.rotation), sin = Math.sin(this.rotation);
+            return new Vec2(
+                this.position.x + scaled.x * cos - scaled.y * sin,
+                this.position.y + scaled.x * sin + scaled.y * cos
+            );
+        }
+
+        // Samples the displayed curve; expression strings are cached as for FunctionPlot (see cachedSamples).
+        _polylines(matrix, viewport) {
+            const morph = this._morph;
+            const funcs = Object.values(this._functions());
+            if (morph.isActive) funcs.push(...Object.values(morph.oldFuncs), ...Object.values(morph.targetFuncs));
+            const key = JSON.stringify([
+                this.tMin, this.tMax, this.numPoints, this.tolerance, this.maxDepth, this.drawProgress,
+                morph.isActive && morph.progress, [matrix.a, matrix.b, matrix.c, matrix.d, matrix.e, matrix.f], viewport,
+            ]);
+            return cachedSamples(this, funcs, key, () => sampleCurve(t => this.localPointAt(t), this.tMin, this.tMax, {
+                numPoints: this.numPoints, tolerance: this.tolerance, maxDepth: this.maxDepth,
+                matrix, viewport, progress: this.drawProgress,
+            }));
+        }
+
+        _drawSelf(ctx) {
+            ctx.strokeStyle = this.style.stroke;
+            ctx.lineWidth = this.style.lineWidth;
+            ctx.beginPath();
+            for (const line of this._polylines(ctx.getTransform(), { width: ctx.canvas.width, height: ctx.canvas.height })) {
+                ctx.moveTo(line[0].x, line[0].y);
+                for (let i = 1; i < line.length; i++) ctx.lineTo(line[i].x, line[i].y);
+            }
+            ctx.stroke();
+        }
+
+        _localBounds() {
+            return boundsOfPoints(this._polylines(IDENTITY_MATRIX, null).flat());
+        }
+
+        _containsLocal(p, tolerance) {
+            const reach = this.style.lineWidth / 2 + tolerance;
+            return this._polylines(IDENTITY_MATRIX, null).some(line => distanceToPolyline(p, line) <= reach);
+        }
+
+        _toSVG(scene) {
+            const { matrix, viewport } = svgSamplingFrame(this, scene);
+            const d = this._polylines(matrix, viewport).map(line => svgPolylinePath(line)).join('');
+            return svgPath(d, { stroke: this.style.stroke, lineWidth: this.style.lineWidth });
+        }
+
+        updateFunctions(fx, fy) {
+            this._setFunctions(this._toFunctions(fx, fy));
+        }
+
+        createAnimation(duration = 1, easing = Easing.linear) {
+            this.drawProgress = 0;
+            return new Tween(this, 'drawProgress', 1, duration, easing, this.sceneRef);
+        }
+
+        uncreateAnimation(duration = 1, easing = Easing.linear) {
+            return new Tween(this, 'drawProgress', 0, duration, easing, this.sceneRef);
+        }
+
+        morphTo(newFx, newFy, duration, easing = Easing.linear) {
+            return this._morphToFunctions(this._toFunctions(newFx, newFy), [newFx, newFy], duration, easing);
+        }
+
+        _morphToFunctions(targetFuncs, factoryArgs, duration, easing) {
+            if (this._morph.isActive) {
+                this._setFunctions(this._morph.targetFuncs);
+            }
+            this._morph.isActive = true;
+            this._morph.oldFuncs = this._functions();
+            this._morph.targetFuncs = targetFuncs;
+            this._morph.progress = 0;
+
+            const tween = new Tween(this._morph, 'progress', 1, duration, easing, this.sceneRef);
+            tween._factory = { object: this, method: 'morphTo', args: factoryArgs };
+            tween.then(() => {
+                this._setFunctions(this._morph.targetFuncs);
+                this._morph.isActive = false;
+                this._morph.oldFuncs = null;
+                this._morph.progress = 0;
+            });
+            return tween;
+        }
+    }
+
+    // Polar curve r = r(theta), drawn as the parametric curve (r cos theta, r sin theta).
+    class PolarPlot extends ParametricPlot {
+        constructor(r, thetaMin = 0, thetaMax = 2 * Math.PI, numPoints = 200, options = {}) {
+            super(r, null, thetaMin, thetaMax, numPoints, options);
+        }
+
+        get _variable() { return 'theta'; }
+
+        get thetaMin() { return this.tMin; }
+        set thetaMin(value) { this.tMin = value; }
+        get thetaMax() { return this.tMax; }
+        set thetaMax(value) { this.tMax = value; }
+
+        _toFunctions(r) { return { r: this._toFunction(r) }; }
+        _functions() { return { r: this.r }; }
+        _setFunctions({ r }) { this.r = r; }
+
+        _pointFrom({ r }, theta) {
+            const radius = r(theta);
+            return new Vec2(radius * Math.cos(theta), radius * Math.sin(theta));
+        }
+
+        // Morphs interpolate the radius rather than the Cartesian point, so circles stay round.
+        _morphedPoint(theta) {
+            const p = this._morph.progress;
+            const radius = (1 - p) * this._morph.oldFuncs.r(theta) + p * this._morph.targetFuncs.r(theta);
+            return new Vec2(radius * Math.cos(theta), radius * Math.sin(theta));
+        }
+
+        updateFunction(newR) {
+            this._setFunctions(this._toFunctions(newR));
+        }
+
+        morphTo(newR, duration, easing = Easing.linear) {
+            return this._morphToFunctions(this._toFunctions(newR), [newR], duration, easing);
+        }
+    }
+
+    // Level sets f(x, y) = level, extracted with marching squares (see traceContours).
+    class ImplicitPlot extends SceneObject {
+        constructor(func, xRange = [-10, 10], yRange = [-10, 10], resolution = 100, options = {}) {
+            super(options);
+            this.params = options.params || {}; // Values for named parameters in expression strings
+            this.func = this._toFunction(func);
+            this.xRange = xRange;
+            this.yRange = yRange;
+            this.resolution = resolution; // Cells along each axis, or [cellsX, cellsY]
+            this.levels = options.levels ?? [0]; // Iso-values; several values draw a contour set
+            this.style.stroke = options.style?.stroke || "blue";
+            this.style.lineWidth = options.style?.lineWidth || 2;
+
+            this.drawProgress = 1;
+
+            this._morph = {
+                isActive: false,
+                oldFunc: null,
+                targetFunc: null,
+                progress: 0,
+            };
+            this._cache = { key: null, funcs: [], contours: [] };
+        }
+
+        // Accepts a function of (x, y) or an expression string; strings may be equations such as "x^2 + y^2 = 25".
+        _toFunction(func) {
+            return typeof func === 'string' ? compileExpression(func, { variables: ['x', 'y'], params: this.params, equation: true }) : func;
+        }
+
+        _displayFunc() {
+            if (!this._morph.isActive) return this.func;
+            const { oldFunc, targetFunc, progress } = this._morph;
+            return (x, y) => (1 - progress) * oldFunc(x, y) + progress * targetFunc(x, y);
+        }
+
+        // Contours for each level, recomputed only when something they depend on has changed.
+        getContours() {
+            const [nx, ny] = Array.isArray(this.resolution) ? this.resolution : [this.resolution, this.resolution];
+            const levels = Array.isArray(this.levels) ? this.levels : [this.levels];
+            const key = [
+                this.xRange.join(), this.yRange.join(), nx, ny, levels.join(), JSON.stringify(this.params),
+                this._morph.isActive ? this._morph.progress : '',
+            ].join('|');
+            const funcs = [this.func, this._morph.oldFunc, this._morph.targetFunc];
+            if (key !== this._cache.key || funcs.some((f, i) => f !== this._cache.funcs[i])) {
+                const grid = sampleGrid(this._displayFunc(), this.xRange, this.yRange, Math.max(1, Math.round(nx)), Math.max(1, Math.round(ny)));
+                this._cache = { key, funcs, contours: levels.map(level => ({ level, polylines: traceContours(grid, level) })) };
+            }
+            return this._cache.contours;
+        }
+
+        // Forces the contours to be recomputed, e.g. after changing a function's behaviour in place.
+        invalidate() {
+            this._cache.key = null;
+        }
+
+        // All contour polylines, each cut to drawProgress of its length so every curve is drawn at the same time.
+        _polylines() {
+            const polylines = this.getContours().flatMap(contour => contour.polylines);
+            return this.drawProgress >= 1 ? polylines : polylines.map(line => revealPolyline(line, this.drawProgress)).filter(line => line.length > 1);
+        }
+
+        _drawSelf(ctx) {
+            ctx.strokeStyle = this.style.stroke;
+            ctx.lineWidth = this.style.lineWidth;
+            ctx.beginPath();
+            for (const line of this._polylines()) {
+                ctx.moveTo(line[0].x, line[0].y);
+                for (let i = 1; i < line.length; i++) ctx.lineTo(line[i].x, line[i].y);
+            }
+            ctx.stroke();
+        }
+
+        _localBounds() {
+            return boundsOfPoints(this._polylines().flat());
+        }
+
+        _toSVG() {
+            const d = this._polylines().map(line => svgPolylinePath(line)).join('');
+            return svgPath(d, { stroke: this.style.stroke, lineWidth: this.style.lineWidth });
+        }
+
+        updateFunction(newFunc) {
+            this.func = this._toFunction(newFunc);
+        }
+
+        createAnimation(duration = 1, easing = Easing.linear) {
+            this.drawProgress = 0;
+            return new Tween(this, 'drawProgress', 1, duration, easing, this.sceneRef);
+        }
+
+        uncreateAnimation(duration = 1, easing = Easing.linear) {
+            return new Tween(this, 'drawProgress', 0, duration, easing, this.sceneRef);
+        }
+
+        // Blends the two fields, f = (1 - p) * old + p * new, so the contours deform continuously into the new ones.
+        morphTo(newFunction, duration, easing = Easing.linear) {
+            if (this._morph.isActive) {
+                this.func = this._morph.targetFunc;
+            }
+            this._morph.isActive = true;
+            this._morph.oldFunc = this.func;
+            this._morph.targetFunc = this._toFunction(newFunction);
+            this._morph.progress = 0;
+
+            const tween = new Tween(this._morph, 'progress', 1, duration, easing, this.sceneRef);
+            tween._factory = { object: this, method: 'morphTo', args: [newFunction] };
+            tween.then(() => {
+                this.func = this._morph.targetFunc;
+                this._morph.isActive = false;
+                this._morph.oldFunc = null;
+                this._morph.progress = 0;
+            });
+            return tween;
+        }
+    }
+
+    // Arrows of a 2D vector field on a regular grid, coloured and scaled by magnitude, optionally with particles
+    // advected through the field (RK4) that leave fading trails.
+    class VectorField extends SceneObject {
+        constructor(func, xRange = [-200, 200], yRange = [-200, 200], spacing = 40, options = {}) {
+            super(options);
+            this.params = options.params || {}; // Values for named parameters in expression strings
+            this.func = this._toFunction(func);
+            this.xRange = xRange;
+            this.yRange = yRange;
+            this.spacing = spacing;
+            this.showArrows = options.showArrows ?? true;
+            this.colors = options.colors || ['#2c7bb6', '#abd9e9', '#fdae61', '#d7191c']; // Low to high magnitude
+            this.magnitudeRange = options.magnitudeRange || null; // [min, max] for colours/lengths; null: from the visible arrows
+            this.lengthScale = options.lengthScale ?? null; // Pixels per unit of magnitude; null: longest arrow fills maxLength
+            this.maxLength = options.maxLength ?? spacing * 0.9;
+            this.arrowSize = options.arrowSize ?? 6;
+            this.style.lineWidth = options.style?.lineWidth || 1.5;
+
+            this.particles = null;
+            if (options.particles) this.enableParticles(options.particles === true ? {} : options.particles);
+
+            this._morph = {
+                isActive: false,
+                oldFunc: null,
+                targetFunc: null,
+                progress: 0,
+            };
+        }
+
+        // Accepts a function (x, y) => Vec2 | [vx, vy] | {x, y}, or a pair of component expressions such as ['-y', 'x'].
+        _toFunction(func) {
+            if (!Array.isArray(func)) return func;
+            const [fx, fy] = func.map(component => typeof component === 'string'
+                ? compileExpression(component, { variables: ['x', 'y'], params: this.params })
+                : component);
+            const combined = (x, y) => new Vec2(fx(x, y), fy(x, y));
+            combined.components = [fx, fy];
+            return combined;
+        }
+
+        // Field value at (x, y) in the plot's coordinates (including an active morph), or null where undefined.
+        valueAt(x, y) {
+            const read = (f) => {
+                let v;
+                try {
+                    v = f(x, y);
+                } catch (e) {
+                    return null;
+                }
+                if (!v) return null;
+                const vx = Array.isArray(v) ? v[0] : v.x, vy = Array.isArray(v) ? v[1] : v.y;
+                return Number.isFinite(vx) && Number.isFinite(vy) ? new Vec2(vx, vy) : null;
+            };
+            if (!this._morph.isActive) return read(this.func);
+            const a = read(this._morph.oldFunc), b = read(this._morph.targetFunc);
+            if (!a || !b) return null;
+            return a.mul(1 - this._morph.progress).add(b.mul(this._morph.progress));
+        }
+
+        // Grid arrows: { position, vector, magnitude, length, color }, centred on their grid point.
+        // The magnitude range used for colours and lengths is attached as `magnitudeRange`.
+        getArrows() {
+            const [xMin, xMax] = this.xRange, [yMin, yMax] = this.yRange;
+            const samples = [];
+            const epsilon = this.spacing * 1e-6;
+            for (let y = yMin; y <= yMax + epsilon; y += this.spacing) {
+                for (let x = xMin; x <= xMax + epsilon; x += this.spacing) {
+                    const vector = this.valueAt(x, y);
+                    if (vector) samples.push({ position: new Vec2(x, y), vector, magnitude: vector.mag() });
+                }
+            }
+            let [minMag, maxMag] = [Infinity, -Infinity]; // In a loop: spreading a dense grid would overflow the stack
+            for (const sample of samples) {
+                minMag = Math.min(minMag, sample.magnitude);
+                maxMag = Math.max(maxMag, sample.magnitude);
+            }
+            if (this.magnitudeRange) [minMag, maxMag] = this.magnitudeRange;
+            for (const sample of samples) {
+                const t = maxMag > minMag ? (sample.magnitude - minMag) / (maxMag - minMag) : 1;
+                sample.color = gradientColor(this.colors, t);
+                sample.length = this.lengthScale !== null
+                    ? Math.min(sample.magnitude * this.lengthScale, this.maxLength)
+                    : (maxMag > 0 ? this.maxLength * sample.magnitude / maxMag : 0);
+            }
+            samples.magnitudeRange = [minMag, maxMag];
+            return samples;
+        }
+
+        // Line and head outline of one arrow
+        _arrowGeometry({ position, vector, length }) {
+            const direction = vector.normalize();
+            const tail = position.sub(direction.mul(length / 2));
+            const tip = position.add(direction.mul(length / 2));
+            const head = Math.min(this.arrowSize, length * 0.4);
+            const angle = Math.atan2(direction.y, direction.x);
+            const left = tip.sub(Vec2.fromAngle(angle - Math.PI / 6, head));
+            const right = tip.sub(Vec2.fromAngle(angle + Math.PI / 6, head));
+            return { tail, tip, left, right };
+        }
+
+        // --- Particles ---
+
+        enableParticles(options = {}) {
+            this.particles = {
+                count: options.count ?? 300,
+                speed: options.speed ?? 1, // Multiplier on the field value (units per second)
+                lifetime: options.lifetime ?? 4, // Seconds before a particle respawns
+                trailLength: options.trailLength ?? 20, // Number of trail points kept
+                color: options.color || null, // null: colour by magnitude like the arrows
+                lineWidth: options.lineWidth ?? 1.5,
+                seed: options.seed ?? 1,
+                list: [],
+            };
+            this.resetParticles();
+            return this;
+        }
+
+        disableParticles() {
+            this.particles = null;
+            return this;
+        }
+
+        // Respawns every particle from the seed, so the same motion replays (e.g. before rendering frames).
+        resetParticles() {
+            if (!this.particles) return;
+            this._random = createRandom(this.particles.seed);
+            this.particles.list = [];
+            for (let i = 0; i < this.particles.count; i++) {
+                const particle = this._spawnParticle();
+                particle.age = this._random() * this.particles.lifetime; // Stagger respawns
+                this.particles.list.push(particle);
+            }
+        }
+
+        _spawnParticle() {
+            const [xMin, xMax] = this.xRange, [yMin, yMax] = this.yRange;
+            const position = new Vec2(xMin + this._random() * (xMax - xMin), yMin + this._random() * (yMax - yMin));
+            return { position, trail: [position], age: 0 };
+        }
+
+        // One classic Runge-Kutta step of size h; null if the field is undefined along the way.
+        _rk4Step(p, h) {
+            const k1 = this.valueAt(p.x, p.y);
+            if (!k1) return null;
+            const k2 = this.valueAt(p.x + k1.x * h / 2, p.y + k1.y * h / 2);
+            if (!k2) return null;
+            const k3 = this.valueAt(p.x + k2.x * h / 2, p.y + k2.y * h / 2);
+            if (!k3) return null;
+            const k4 = this.valueAt(p.x + k3.x * h, p.y + k3.y * h);
+            if (!k4) return null;
+            return new Vec2(
+                p.x + h / 6 * (k1.x + 2 * k2.x + 2 * k3.x + k4.x),
+                p.y + h / 6 * (k1.y + 2 * k2.y + 2 * k3.y + k4.y)
+            );
+        }
+
+        update(deltaTime, scene) {
+            super.update(deltaTime, scene);
+            if (!this.particles || deltaTime <= 0) return;
+            const { speed, lifetime, trailLength } = this.particles;
+            const [xMin, xMax] = this.xRange, [yMin, yMax] = this.yRange;
+            const substeps = Math.max(1, Math.ceil(deltaTime * 60)); // Keep steps near 1/60 s for long frames
+            const h = deltaTime * speed / substeps;
+
+            for (let k = 0; k < this.particles.list.length; k++) {
+                let particle = this.particles.list[k];
+                particle.age += deltaTime;
+                let next = particle.position;
+                for (let s = 0; s < substeps && next; s++) next = this._rk4Step(next, h);
+                const outside = !next || next.x < xMin || next.x > xMax || next.y < yMin || next.y > yMax;
+                if (outside || particle.age > lifetime) {
+                    particle = this._spawnParticle();
+                    this.particles.list[k] = particle;
+                    continue;
+                }
+                particle.position = next;
+                particle.trail.push(next);
+                if (particle.trail.length > trailLength) particle.trail.shift();
+            }
+        }
+
+        // Trail segments grouped into a few opacity levels (fading towards the tail and at birth/death),
+        // so they can be stroked as a handful of paths: [{ alpha, color, segments: [[from, to], ...] }]
+        _trailBatches(magnitudeRange) {
+            const { lifetime, color } = this.particles;
+            const levels = 6;
+            const batches = new Map();
+            const palette = new Map();
+            for (const { trail, age, position } of this.particles.list) {
+                if (trail.length < 2) continue;
+                const life = Math.min(1, age / 0.3, (lifetime - age) / 0.3);
+                let trailColor = color;
+                if (!trailColor) {
+                    const v = this.valueAt(position.x, position.y);
+                    const [minMag, maxMag] = magnitudeRange;
+                    const t = v && maxMag > minMag ? (v.mag() - minMag) / (maxMag - minMag) : 1;
+                    const step = Math.round(t * 15); // Quantized to keep batches few
+                    if (!palette.has(step)) palette.set(step, gradientColor(this.colors, step / 15));
+                    trailColor = palette.get(step);
+                }
+                if (!batches.has(trailColor)) {
+                    batches.set(trailColor, Array.from({ length: levels }, (_, i) => ({ alpha: (i + 1) / levels, color: trailColor, segments: [] })));
+                }
+                const byLevel = batches.get(trailColor);
+                for (let i = 1; i < trail.length; i++) {
+                    const level = Math.ceil(life * levels * i / (trail.length - 1));
+                    if (level > 0) byLevel[level - 1].segments.push([trail[i - 1], trail[i]]);
+                }
+            }
+            return [...batches.values()].flat().filter(batch => batch.segments.length);
+        }
+
+        _drawSelf(ctx) {
+            const arrows = this.getArrows();
+            if (this.showArrows) {
+                ctx.lineWidth = this.style.lineWidth;
+                for (const arrow of arrows) {
+                    if (arrow.length <= 0) continue;
+                    const { tail, tip, left, right } = this._arrowGeometry(arrow);
+                    ctx.strokeStyle = arrow.color;
+                    ctx.fillStyle = arrow.color;
+                    ctx.beginPath();
+                    ctx.moveTo(tail.x, tail.y);
+                    ctx.lineTo(tip.x, tip.y);
+                    ctx.stroke();
+                    ctx.beginPath();
+                    ctx.moveTo(tip.x, tip.y);
+                    ctx.lineTo(left.x, left.y);
+                    ctx.lineTo(right.x, right.y);
+                    ctx.closePath();
+                    ctx.fill();
+                }
+            }
+            if (this.particles) {
+                const baseAlpha = ctx.globalAlpha;
+                ctx.lineWidth = this.particles.lineWidth;
+                ctx.lineCap = 'round';
+                for (const batch of this._trailBatches(arrows.magnitudeRange)) {
+                    ctx.globalAlpha = baseAlpha * batch.alpha;
+                    ctx.strokeStyle = batch.color;
+                    ctx.beginPath();
+                    for (const [from, to] of batch.segments) {
+                        ctx.moveTo(from.x, from.y);
+                        ctx.lineTo(to.x, to.y);
+                    }
+                    ctx.stroke();
+                }
+                ctx.globalAlpha = baseAlpha;
+            }
+        }
+
+        _localBounds() {
+            return boundsOfPoints([new Vec2(this.xRange[0], this.yRange[0]), new Vec2(this.xRange[1], this.yRange[1])]);
+        }
+
+        _toSVG() {
+            const arrows = this.getArrows();
+            let svg = '';
+            if (this.showArrows) {
+                for (const arrow of arrows) {
+                    if (arrow.length <= 0) continue;
+                    const { tail, tip, left, right } = this._arrowGeometry(arrow);
+                    svg += svgPath(svgPolylinePath([tail, tip]), { stroke: arrow.color, lineWidth: this.style.lineWidth });
+                    svg += svgPath(svgPolylinePath([tip, left, right], true), { fill: arrow.color });
+                }
+            }
+            if (this.particles) {
+                for (const batch of this._trailBatches(arrows.magnitudeRange)) {
+                    const d = batch.segments.map(segment => svgPolylinePath(segment)).join('');
+                    svg += `<g opacity="${svgNum(batch.alpha)}">${svgPath(d, { stroke: batch.color, lineWidth: this.particles.lineWidth, lineCap: 'round' })}</g>`;
+                }
+            }
+            return svg;
+        }
+
+        updateFunction(newFunc) {
+            this.func = this._toFunction(newFunc);
+        }
+
+        // Blends the two fields, F = (1 - p) * old + p * new; particles keep flowing through the blended field.
+        morphTo(newFunction, duration, easing = Easing.linear) {
+            if (this._morph.isActive) {
+                this.func = this._morph.targetFunc;
+            }
+            this._morph.isActive = true;
+            this._morph.oldFunc = this.func;
+            this._morph.targetFunc = this._toFunction(newFunction);
+            this._morph.progress = 0;
+
+            const tween = new Tween(this._morph, 'progress', 1, duration, easing, this.sceneRef);
+            tween._factory = { object: this, method: 'morphTo', args: [newFunction] };
+            tween.then(() => {
+                this.func = this._morph.targetFunc;
+                this._morph.isActive = false;
+                this._morph.oldFunc = null;
+                this._morph.progress = 0;
+            });
+            return tween;
+        }
+    }
+
+    // A scalar field f(x, y) or a matrix of values drawn as coloured cells through a colormap. The cells are painted
+    // into an offscreen buffer that is redrawn only when the field, ranges or colours change, then scaled onto the
+    // xRange x yRange rectangle. Matrix rows run from yMin upwards: matrix[j][i] is the cell in column i, row j.
+    class Heatmap extends SceneObject {
+        constructor(source, xRange = [-10, 10], yRange = [-10, 10], options = {}) {
+            super(options);
+            this.params = options.params || {}; // Values for named parameters in expression strings
+            this.source = this._toSource(source);
+            this.axes = options.axes || null; // Axes whose data coordinates the ranges are in
+            this.xRange = xRange;
+            this.yRange = yRange;
+            this.resolution = options.resolution ?? 100; // Samples along each axis for functions, or [cols, rows]
+            this.colormap = options.colormap ?? 'viridis'; // A COLORMAPS name or an array of colours
+            this.valueRange = options.valueRange || null; // [min, max] mapped to the colormap's ends; null: the field's extent
+            this.smooth = options.smooth ?? true; // Blend neighbouring cells when the buffer is scaled up
+
+            this._morph = {
+                isActive: false,
+                oldSource: null,
+                targetSource: null,
+                progress: 0,
+            };
+            this._cache = { grids: [], blend: null, buffer: null };
+        }
+
+        // Accepts a function of (x, y), an expression string in x and y, or a matrix (array of rows).
+        _toSource(source) {
+            return typeof source === 'string' ? compileExpression(source, { variables: ['x', 'y'], params: this.params }) : source;
+        }
+
+        // Columns and rows sampled for a source: a matrix's own size, or the resolution for functions.
+        _dims(source) {
+            if (Array.isArray(source)) return [source[0]?.length || 1, source.length || 1];
+            const [cols, rows] = Array.isArray(this.resolution) ? this.resolution : [this.resolution, this.resolution];
+            return [Math.max(1, Math.round(cols)), Math.max(1, Math.round(rows))];
+        }
+
+        // The field of a source as a function of (x, y); matrices are interpolated between cell centres.
+        _sampler(source) {
+            return Array.isArray(source) ? gridSampler(this._gridOf(source, this._dims(source))) : source;
+        }
+
+        // Values of a source at the cell centres of a cols x rows grid (see sampleCellCentres), cached per source.
+        _gridOf(source, [cols, rows]) {
+            const key = [this.xRange.join(), this.yRange.join(), cols, rows, JSON.stringify(this.params)].join('|');
+            const cached = this._cache.grids.find(entry => entry.source === source && entry.key === key);
+            if (cached) return cached.grid;
+
+            let grid;
+            const [sourceCols, sourceRows] = this._dims(source);
+            if (Array.isArray(source) && sourceCols === cols && sourceRows === rows) {
+                grid = sampleCellCentres((x, y) => NaN, this.xRange, this.yRange, cols, rows);
+                source.forEach((row, j) => row.forEach((value, i) => { grid.values[j * cols + i] = Number(value); }));
+            } else {
+                grid = sampleCellCentres(this._sampler(source), this.xRange, this.yRange, cols, rows);
+            }
+            let min = Infinity, max = -Infinity;
+            for (const value of grid.values) {
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+            grid.extent = min <= max ? [min, max] : [0, 1];
+            this._cache.grids = [{ source, key, grid }, ...this._cache.grids.slice(0, 3)];
+            return grid;
+        }
+
+        // The displayed grid (see sampleGrid() for the layout); during a morph, the blend of the two fields.
+        getGrid() {
+            if (!this._morph.isActive) return this._gridOf(this.source, this._dims(this.source));
+            const { oldSource, targetSource, progress } = this._morph;
+            const [oldCols, oldRows] = this._dims(oldSource), [newCols, newRows] = this._dims(targetSource);
+            const dims = [Math.max(oldCols, newCols), Math.max(oldRows, newRows)];
+            const a = this._gridOf(oldSource, dims), b = this._gridOf(targetSource, dims);
+            const blend = this._cache.blend;
+            if (blend && blend.a === a && blend.b === b && blend.progress === progress) return blend.grid;
+
+            const values = new Float64Array(a.values.length);
+            for (let i = 0; i < values.length; i++) values[i] = (1 - progress) * a.values[i] + progress * b.values[i];
+            // Colour range of both ends, so the colours do not drift during the morph
+            const grid = { ...a, values, extent: [Math.min(a.extent[0], b.extent[0]), Math.max(a.extent[1], b.extent[1])] };
+            this._cache.blend = { a, b, progress, grid };
+            return grid;
+        }
+
+        // The [min, max] values mapped to the ends of the colormap.
+        getValueRange() {
+            return this.valueRange || this.getGrid().extent;
+        }
+
+        // Field value at (x, y) in the plot's coordinates (including an active morph).
+        valueAt(x, y) {
+            const read = source => {
+                try {
+                    return this._sampler(source)(x, y);
+                } catch (e) {
+                    return NaN;
+                }
+            };
+            if (!this._morph.isActive) return read(this.source);
+            const p = this._morph.progress;
+            return (1 - p) * read(this._morph.oldSource) + p * read(this._morph.targetSource);
+        }
+
+        // Forces the field to be resampled, e.g. after changing a function's behaviour or a matrix in place.
+        invalidate() {
+            this._cache = { grids: [], blend: null, buffer: null };
+        }
+
+        // Position (0 to 1) along the colormap of a value.
+        _colorPosition(value, [min, max]) {
+            return max > min ? (value - min) / (max - min) : 0.5;
+        }
+
+        // Fills `image` (an ImageData) with the grid's colours; undefined values stay transparent.
+        _paint(image, grid, range) {
+            const table = colormapTable(this.colormap);
+            const { data } = image;
+            for (let i = 0; i < grid.values.length; i++) {
+                const value = grid.values[i];
+                if (!Number.isFinite(value)) continue;
+                const t = Math.min(Math.max(this._colorPosition(value, range), 0), 1);
+                const entry = Math.round(t * 255) * 3;
+                data[i * 4] = table[entry];
+                data[i * 4 + 1] = table[entry + 1];
+                data[i * 4 + 2] = table[entry + 2];
+                data[i * 4 + 3] = 255;
+            }
+        }
+
+        _bufferSize(grid) {
+            return [grid.nx + 1, grid.ny + 1];
+        }
+
+        // Offscreen canvas holding the coloured cells, row 0 at yMin. Repainted only when its inputs change.
+        _buffer() {
+            const grid = this.getGrid();
+            const range = this.getValueRange();
+            const key = [this.colormap, range.join(), this._bufferKey()].join('|');
+            const cached = this._cache.buffer;
+            if (cached && cached.grid === grid && cached.key === key) return cached;
+
+            const [width, height] = this._bufferSize(grid);
+            const canvas = cached && cached.canvas.width === width && cached.canvas.height === height ? cached.canvas : createScratchCanvas(width, height);
+            const ctx = canvas.getContext('2d');
+            const image = ctx.createImageData(width, height);
+            this._paint(image, grid, range);
+            ctx.putImageData(image, 0, 0);
+            this._cache.buffer = { grid, key, canvas, image };
+            return this._cache.buffer;
+        }
+
+        // Extra inputs of _paint() that invalidate the buffer (see ContourPlot).
+        _bufferKey() {
+            return '';
+        }
+
+        _drawSelf(ctx) {
+            const { canvas } = this._buffer();
+            const [a, b] = this._corners();
+            ctx.imageSmoothingEnabled = this.smooth;
+            ctx.drawImage(canvas, a.x, a.y, b.x - a.x, b.y - a.y);
+        }
+
+        // Local coordinates of the corners (xMin, yMin) and (xMax, yMax).
+        _corners() {
+            return [this._toLocal({ x: this.xRange[0], y: this.yRange[0] }), this._toLocal({ x: this.xRange[1], y: this.yRange[1] })];
+        }
+
+        // An embedded PNG where a DOM canvas is available, otherwise one rectangle per run of equal pixels.
+        _localBounds() {
+            return boundsOfPoints(this._corners());
+        }
+
+        _toSVG() {
+            const { image } = this._buffer();
+            const [a, b] = this._corners();
+            const [x0, y0] = [a.x, a.y];
+            const w = b.x - x0, h = b.y - y0;
+            if (typeof document !== 'undefined' && typeof document.createElement === 'function') {
+                const el = document.createElement('canvas');
+                el.width = image.width;
+                el.height = image.height;
+                const elCtx = el.getContext && el.getContext('2d');
+                if (elCtx && typeof el.toDataURL === 'function') {
+                    elCtx.putImageData(image, 0, 0);
+                    return `<image x="${svgNum(x0)}" y="${svgNum(y0)}" width="${svgNum(w)}" height="${svgNum(h)}" preserveAspectRatio="none"` +
+                        (this.smooth ? '' : ' style="image-rendering: pixelated"') + ` href="${el.toDataURL('image/png')}"/>`;
+                }
+            }
+            const cw = w / image.width, ch = h / image.height;
+            let out = '';
+            for (let j = 0; j < image.height; j++) {
+                for (let i = 0; i < image.width;) {
+                    const at = (j * image.width + i) * 4;
+                    const rgba = Array.from(image.data.subarray(at, at + 4)).join();
+                    let end = i + 1;
+                    while (end < image.width && Array.from(image.data.subarray((j * image.width + end) * 4, (j * image.width + end) * 4 + 4)).join() === rgba) end++;
+                    if (image.data[at + 3] > 0) {
+                        const fill = `rgb(${image.data[at]},${image.data[at + 1]},${image.data[at + 2]})`;
+                        out += svgPath(`M${svgNum(x0 + i * cw)} ${svgNum(y0 + j * ch)}H${svgNum(x0 + end * cw)}V${svgNum(y0 + (j + 1) * ch)}H${svgNum(x0 + i * cw)}Z`, { fill });
+                    }
+                    i = end;
+                }
+            }
+            return out;
+        }
+
+        updateSource(newSource) {
+            this.source = this._toSource(newSource);
+        }
+
+        // Blends the two fields, f = (1 - p) * old + p * new. Matrices of different sizes (or a matrix and a
+        // function) are both sampled on the finer of the two grids.
+        morphTo(newSource, duration, easing = Easing.linear) {
+            if (this._morph.isActive) {
+                this.source = this._morph.targetSource;
+            }
+            this._morph.isActive = true;
+            this._morph.oldSource = this.source;
+            this._morph.targetSource = this._toSource(newSource);
+            this._morph.progress = 0;
+
+            const tween = new Tween(this._morph, 'progress', 1, duration, easing, this.sceneRef);
+            tween._factory = { object: this, method: 'morphTo', args: [newSource] };
+            tween.then(() => {
+                this.source = this._morph.targetSource;
+                this._morph.isActive = false;
+                this._morph.oldSource = null;
+                this._morph.progress = 0;
+            });
+            return tween;
+        }
+    }
+
+    // A Heatmap in colour bands between contour levels, with the contour lines drawn on top. The bands are painted
+    // from the field interpolated at up to four times the sampling resolution, so their edges follow the lines.
+    class ContourPlot extends Heatmap {
+        constructor(source, xRange = [-10, 10], yRange = [-10, 10], options = {}) {
+            super(source, xRange, yRange, { resolution: 60, ...options });
+            this.levels = options.levels ?? 10; // Number of bands, or an array of contour values
+            this.filled = options.filled ?? true;
+            this.showLines = options.showLines ?? true;
+            this.style.stroke = options.style?.stroke || 'rgba(0,0,0,0.5)';
+            this.style.lineWidth = options.style?.lineWidth || 1;
+            this._contourCache = { grid: null, key: null, contours: [] };
+        }
+
+        // Contour values: the given array, or the value range split into `levels` equal bands.
+        getLevels() {
+            if (Array.isArray(this.levels)) return [...this.levels].sort((a, b) => a - b);
+            const [min, max] = this.getValueRange();
+            const bands = Math.max(1, Math.round(this.levels));
+            return Array.from({ length: bands - 1 }, (_, i) => min + (max - min) * (i + 1) / bands);
+        }
+
+        // Contour lines at each level: [{ level, polylines }], recomputed only when the field or levels change.
+        getContours() {
+            const grid = this.getGrid();
+            const levels = this.getLevels();
+            const key = levels.join();
+            if (this._contourCache.grid !== grid || this._contourCache.key !== key) {
+                this._contourCache = { grid, key, contours: levels.map(level => ({ level, polylines: traceContours(grid, level) })) };
+            }
+            return this._contourCache.contours;
+        }
+
+        _bufferKey() {
+            return this.getLevels().join();
+        }
+
+        _bufferSize(grid) {
+            const factor = Math.max(1, Math.min(4, Math.floor(512 / Math.max(grid.nx + 1, grid.ny + 1))));
+            return [(grid.nx + 1) * factor, (grid.ny + 1) * factor];
+        }
+
+        // Each pixel takes the colour of its band's middle value.
+        _paint(image, grid, range) {
+            const table = colormapTable(this.colormap);
+            const levels = this.getLevels();
+            const bounds = [Math.min(range[0], levels[0] ?? range[0]), ...levels, Math.max(range[1], levels[levels.length - 1] ?? range[1])];
+            const bandColors = bounds.slice(1).map((upper, k) => {
+                const t = Math.min(Math.max(this._colorPosition((bounds[k] + upper) / 2, range), 0), 1);
+                return Math.round(t * 255) * 3;
+            });
+            // Pixel centres in grid-index coordinates are separable, so interpolation weights are worked out per row and column
+            const weights = (pixels, n) => Array.from({ length: pixels }, (_, p) => {
+                const g = Math.min(Math.max((p + 0.5) / pixels * (n + 1) - 0.5, 0), n);
+                const i = Math.min(Math.floor(g), Math.max(n - 1, 0));
+                return [i, Math.min(i + 1, n), g - i];
+            });
+            const { width, height, data } = image;
+            const columns = weights(width, grid.nx), rows = weights(height, grid.ny);
+            const { values } = grid, stride = grid.nx + 1;
+            for (let py = 0; py < height; py++) {
+                const [j0, j1, fy] = rows[py];
+                for (let px = 0; px < width; px++) {
+                    const [i0, i1, fx] = columns[px];
+                    const bottom = values[j0 * stride + i0] + (values[j0 * stride + i1] - values[j0 * stride + i0]) * fx;
+                    const top = values[j1 * stride + i0] + (values[j1 * stride + i1] - values[j1 * stride + i0]) * fx;
+                    const value = bottom + (top - bottom) * fy;
+                    if (!Number.isFinite(value)) continue;
+                    let band = 0;
+                    while (band < levels.length && value >= levels[band]) band++;
+                    const entry = bandColors[band], at = (py * width + px) * 4;
+                    data[at] = table[entry];
+                    data[at + 1] = table[entry + 1];
+                    data[at + 2] = table[entry + 2];
+                    data[at + 3] = 255;
+                }
+            }
+        }
+
+        _drawSelf(ctx) {
+            if (this.filled) super._drawSelf(ctx);
+            if (!this.showLines || this.style.stroke === 'none') return;
+            ctx.strokeStyle = this.style.stroke;
+            ctx.lineWidth = this.style.lineWidth;
+            ctx.beginPath();
+            for (const line of this._localLines()) {
+                ctx.moveTo(line[0].x, line[0].y);
+                for (let i = 1; i < line.length; i++) ctx.lineTo(line[i].x, line[i].y);
+            }
+            ctx.stroke();
+        }
+
+        // Contour lines in local coordinates.
+        _localLines() {
+            const lines = this.getContours().flatMap(contour => contour.polylines);
+            return this.axes ? lines.map(line => line.map(p => this._toLocal(p))) : lines;
+        }
+
+        _toSVG(scene) {
+            let out = this.filled ? super._toSVG(scene) : '';
+            if (this.showLines) {
+                const d = this._localLines().map(line => svgPolylinePath(line)).join('');
+                out += svgPath(d, { stroke: this.style.stroke, lineWidth: this.style.lineWidth });
+            }
+            return out;
+        }
+    }
+
+    // A colour scale with tick labels for a Heatmap or ContourPlot (read every frame, so it follows the plot's
+    // colormap and value range), or for a plain { colormap, range, levels }. The object's position is the
+    // bar's low-value end; the bar extends along +y (vertical) or +x (horizontal) with the labels beside it.
+    class Colorbar extends SceneObject {
+        constructor(source, options = {}) {
+            super(options);
+            this.source = source;
+            this.length = options.length ?? 200;
+            this.thickness = options.thickness ?? 16;
+            this.orientation = options.orientation ?? 'vertical';
+            this.ticks = options.ticks ?? 5; // Approximate number of ticks, or an array of values
+            this.labelPrecision = options.labelPrecision ?? null; // Decimals; null: enough for the tick step
+            this.title = options.title ?? '';
+            this.labelStyle = {
+                font: '12px Arial',
+                fill: '#333333',
+                offset: 6,
+                ...(options.labelStyle || {})
+            };
+            this.style.stroke = options.style?.stroke ?? '#333333';
+        }
+
+        // { colormap, range, levels } currently shown.
+        _scale() {
+            const source = this.source;
+            if (source instanceof Heatmap) {
+                return { colormap: source.colormap, range: source.getValueRange(), levels: source instanceof ContourPlot && source.filled ? source.getLevels() : null };
+            }
+            return { colormap: source.colormap ?? 'viridis', range: source.range || [0, 1], levels: source.levels || null };
+        }
+
+        // Tick values and labels within the range.
+        _ticks([min, max]) {
+            if (Array.isArray(this.ticks)) {
+                const decimals = this.labelPrecision ?? 2;
+                return this.ticks.map(value => ({ value, label: value.toFixed(decimals) }));
+            }
+            const step = niceStep(max - min, this.ticks);
+            const decimals = this.labelPrecision ?? Math.max(0, -Math.floor(Math.log10(step) + 1e-9));
+            const ticks = [];
+            for (let value = Math.ceil(min / step - 1e-9) * step; value <= max + step * 1e-9; value += step) {
+                ticks.push({ value, label: (Math.abs(value) < step * 1e-9 ? 0 : value).toFixed(decimals) });
+            }
+            return ticks;
+        }
+
+        // Bar geometry in local coordinates: the bar's rectangle, where a value sits along it, and the colour
+        // segments [{ from, to, color }] (a fine gradient, or one segment per band for filled contours).
+        _layout() {
+            const { colormap, range, levels } = this._scale();
+            const [min, max] = range;
+            const along = value => (max > min ? (value - min) / (max - min) : 0.5) * this.length;
+            let segments;
+            if (levels) {
+                const bounds = [min, ...levels.filter(level => level > min && level < max), max];
+                segments = bounds.slice(1).map((upper, k) => ({
+                    from: along(bounds[k]), to: along(upper), color: colormapColor(colormap, along((bounds[k] + upper) / 2) / this.length),
+                }));
+            } else {
+                const count = 64;
+                segments = Array.from({ length: count }, (_, k) => ({
+                    from: this.length * k / count, to: this.length * (k + 1) / count, color: colormapColor(colormap, (k + 0.5) / count),
+                }));
+            }
+            const ticks = this._ticks(range).filter(tick => tick.value >= Math.min(min, max) && tick.value <= Math.max(min, max))
+                .map(tick => ({ ...tick, at: along(tick.value) }));
+            return { segments, ticks };
+        }
+
+        // Local point at distance `along` the bar and `across` it (0 to thickness).
+        _point(along, across) {
+            return this.orientation === 'horizontal' ? new Vec2(along, -across) : new Vec2(across, along);
+        }
+
+        _rectPath(path, along0, along1) {
+            const a = this._point(along0, 0), b = this._point(along1, this.thickness);
+            path.moveTo(a.x, a.y);
+            path.lineTo(b.x, a.y);
+            path.lineTo(b.x, b.y);
+            path.lineTo(a.x, b.y);
+            path.closePath();
+        }
+
+        // Tick labels (and the title) with their anchor and alignment.
+        _texts(ticks) {
+            const offset = this.labelStyle.offset, tickLength = 4;
+            const texts = ticks.map(tick => {
+                const anchor = this._point(tick.at, this.thickness + tickLength + offset);
+                return this.orientation === 'horizontal'
+                    ? { text: tick.label, position: anchor, align: 'center', baseline: 'top' }
+                    : { text: tick.label, position: anchor, align: 'left', baseline: 'middle' };
+            });
+            if (this.title) {
+                texts.push(this.orientation === 'horizontal'
+                    ? { text: this.title, position: this._point(this.length / 2, this.thickness + tickLength + offset * 2 + 14), align: 'center', baseline: 'top' }
+                    : { text: this.title, position: this._point(this.length + offset, this.thickness / 2), align: 'center', baseline: 'bottom' });
+            }
+            return texts;
+        }
+
+        _drawSelf(ctx) {
+            const { segments, ticks } = this._layout();
+            for (const segment of segments) {
+                ctx.fillStyle = segment.color;
+                ctx.beginPath();
+                // Overlap the next segment slightly so no seams show between them
+                this._rectPath(ctx, segment.from, Math.min(segment.to + 0.5, this.length));
+                ctx.fill();
+            }
+            if (this.style.stroke && this.style.stroke !== 'none') {
+                ctx.strokeStyle = this.style.stroke;
+                ctx.lineWidth = this.style.lineWidth;
+                ctx.beginPath();
+                this._rectPath(ctx, 0, this.length);
+                for (const tick of ticks) {
+                    const a = this._point(tick.at, this.thickness), b = this._point(tick.at, this.thickness + 4);
+                    ctx.moveTo(a.x, a.y);
+                    ctx.lineTo(b.x, b.y);
+                }
+                ctx.stroke();
+            }
+
+            const sceneYFlipped = isFlipped(ctx.getTransform());
+            ctx.fillStyle = this.labelStyle.fill;
+            ctx.font = this.labelStyle.font;
+            for (const { text, position, align, baseline } of this._texts(ticks)) {
+                ctx.textAlign = align;
+                ctx.textBaseline = baseline;
+                if (sceneYFlipped) {
+                    ctx.save();
+                    ctx.scale(1, -1);
+                    ctx.fillText(text, position.x, -position.y);
+                    ctx.restore();
+                } else {
+                    ctx.fillText(text, position.x, position.y);
+                }
+            }
+        }
+
+        _toSVG(scene) {
+            const { segments, ticks } = this._layout();
+            let out = '';
+            for (const segment of segments) {
+                const path = svgPathBuilder();
+                this._rectPath(path, segment.from, Math.min(segment.to + 0.5, this.length));
+                out += svgPath(path.d, { fill: segment.color });
+            }
+            const outline = svgPathBuilder();
+            this._rectPath(outline, 0, this.length);
+            for (const tick of ticks) {
+                const a = this._point(tick.at, this.thickness), b = this._point(tick.at, this.thickness + 4);
+                outline.moveTo(a.x, a.y);
+                outline.lineTo(b.x, b.y);
+            }
+            out += svgPath(outline.d, { stroke: this.style.stroke, lineWidth: this.style.lineWidth });
+            const upright = svgIsFlipped(scene);
+            for (const { text, position, align, baseline } of this._texts(ticks)) {
+                out += svgText(text, position.x, position.y, { font: this.labelStyle.font, fill: this.labelStyle.fill, align, baseline, upright });
+            }
+            return out;
+        }
+    }
+
+    // Traces a marker centred on (x, y) into `path` (a canvas context or svgPathBuilder()).
+    // Returns false for stroke-only shapes (cross, plus).
+    const MARKER_SHAPES = ['circle', 'square', 'triangle', 'diamond', 'cross', 'plus', 'none'];
+    function traceMarker(path, shape, x, y, size) {
+        const r = size / 2;
+        switch (shape) {
+            case 'square':
+                path.moveTo(x - r, y - r); path.lineTo(x + r, y - r); path.lineTo(x + r, y + r); path.lineTo(x - r, y + r); path.closePath();
+                return true;
+            case 'triangle': { // Equilateral, pointing towards +y
+                const h = r * 1.2;
+                path.moveTo(x, y + h); path.lineTo(x + h * 0.866, y - h / 2); path.lineTo(x - h * 0.866, y - h / 2); path.closePath();
+                return true;
+            }
+            case 'diamond':
+                path.moveTo(x, y + r * 1.2); path.lineTo(x + r, y); path.lineTo(x, y - r * 1.2); path.lineTo(x - r, y); path.closePath();
+                return true;
+            case 'cross':
+                path.moveTo(x - r, y - r); path.lineTo(x + r, y + r); path.moveTo(x - r, y + r); path.lineTo(x + r, y - r);
+                return false;
+            case 'plus':
+                path.moveTo(x - r, y); path.lineTo(x + r, y); path.moveTo(x, y - r); path.lineTo(x, y + r);
+                return false;
+            case 'none':
+                return true;
+            default: // circle
+                path.moveTo(x + r, y);
+                path.arc(x, y, r, 0, Math.PI * 2);
+                return true;
+        }
+    }
+
+    // Minimal path recorder with the canvas path API used by traceMarker (arcs are full circles only).
+    function svgPathBuilder() {
+        let d = '';
+        return {
+            moveTo(x, y) { d += `M${svgNum(x)} ${svgNum(y)}`; },
+            lineTo(x, y) { d += `L${svgNum(x)} ${svgNum(y)}`; },
+            arc(x, y, r) { d += `M${svgNum(x + r)} ${svgNum(y)}A${svgNum(r)} ${svgNum(r)} 0 1 0 ${svgNum(x - r)} ${svgNum(y)}A${svgNum(r)} ${svgNum(r)} 0 1 0 ${svgNum(x + r)} ${svgNum(y)}`; },
+            closePath() { d += 'Z'; },
+            get d() { return d; },
+        };
+    }
+
+    // Markers at measured data points. Accepts the data forms of parseData(), or parallel arrays: new ScatterPlot(xs, ys, options).
+    class ScatterPlot extends SceneObject {
+        constructor(data = [], ...rest) {
+            const [ys, options = {}] = Array.isArray(rest[0]) ? rest : [null, rest[0]];
+            super(options);
+            this.data = ys ? parseData({ x: data, y: ys }) : parseData(data, options);
+            this.axes = options.axes || null; // Axes whose data coordinates the points are in
+            this.label = options.label ?? ''; // Series name shown by Legend
+            this.marker = options.marker ?? 'circle'; // One of MARKER_SHAPES
+            this.markerSize = options.markerSize ?? 6;
+            this.revealWindow = options.revealWindow ?? 0.3; // Fraction of createAnimation each point takes to grow in
+            if (this.style.fill === 'gray' && options.style?.fill === undefined) this.style.fill = 'steelblue';
+
+            this.drawProgress = 1;
+
+            this._morph = {
+                isActive: false,
+                from: [],
+                to: [],
+                target: null,
+                progress: 0,
+            };
+        }
+
+        // Replaces the data immediately (any data form accepted by the constructor's first argument).
+        setData(data, options = {}) {
+            this.data = parseData(data, options);
+            return this;
+        }
+
+        // Size factor (0 to 1) of each marker while drawProgress reveals the points one after another.
+        _revealFactors(positions) {
+            const n = positions.length;
+            const window = Math.min(Math.max(this.revealWindow, 1e-6), 1);
+            return positions.map((_, i) => {
+                const start = n > 1 ? i / (n - 1) * (1 - window) : 0;
+                return Math.min(Math.max((this.drawProgress - start) / window, 0), 1);
+            });
+        }
+
+        // Markers to draw: [{ position (local), size }], including reveal and morph state.
+        _markers() {
+            let markers;
+            if (this._morph.isActive) {
+                const p = this._morph.progress;
+                markers = this._morph.from.map((from, i) => {
+                    const to = this._morph.to[i];
+                    return {
+                        position: this._toLocal(from.point.mul(1 - p).add(to.point.mul(p))),
+                        size: this.markerSize * ((1 - p) * from.size + p * to.size),
+                    };
+                });
+            } else {
+                markers = this.data.map(point => ({ position: this._toLocal(point), size: this.markerSize }));
+            }
+            if (this.drawProgress < 1) {
+                const factors = this._revealFactors(markers.map(marker => marker.position));
+                markers.forEach((marker, i) => { marker.size *= factors[i]; });
+            }
+            return markers;
+        }
+
+        _drawMarkers(ctx) {
+            if (this.marker === 'none') return;
+            ctx.fillStyle = this.style.fill;
+            ctx.strokeStyle = this.style.stroke !== 'none' ? this.style.stroke : this.style.fill;
+            ctx.lineWidth = this.style.lineWidth;
+            ctx.beginPath();
+            let filled = true;
+            for (const { position, size } of this._markers()) {
+                if (size > 0) filled = traceMarker(ctx, this.marker, position.x, position.y, size);
+            }
+            if (filled && this.style.fill !== 'none') ctx.fill();
+            if (!filled || (this.style.stroke && this.style.stroke !== 'none')) ctx.stroke();
+        }
+
+        _markersSVG() {
+            if (this.marker === 'none') return '';
+            const path = svgPathBuilder();
+            let filled = true;
+            for (const { position, size } of this._markers()) {
+                if (size > 0) filled = traceMarker(path, this.marker, position.x, position.y, size);
+            }
+            const stroke = filled ? this.style.stroke : (this.style.stroke !== 'none' ? this.style.stroke : this.style.fill);
+            return svgPath(path.d, { fill: filled ? this.style.fill : 'none', stroke, lineWidth: this.style.lineWidth });
+        }
+
+        _drawSelf(ctx) {
+            this._drawMarkers(ctx);
+        }
+
+        _localBounds() {
+            return boundsOfPoints(this._markers().map(marker => marker.position));
+        }
+
+        _toSVG() {
+            return this._markersSVG();
+        }
+
+        // What Legend shows for this series.
+        legendEntry() {
+            return {
+                label: this.label,
+                line: null,
+                marker: { shape: this.marker, size: this.markerSize, fill: this.style.fill, stroke: this.style.stroke, lineWidth: this.style.lineWidth },
+            };
+        }
+
+        // Grows the points in one after another.
+        createAnimation(duration = 1, easing = Easing.linear) {
+            this.drawProgress = 0;
+            return new Tween(this, 'drawProgress', 1, duration, easing, this.sceneRef);
+        }
+
+        uncreateAnimation(duration = 1, easing = Easing.linear) {
+            return new Tween(this, 'drawProgress', 0, duration, easing, this.sceneRef);
+        }
+
+        // Moves point i to new point i. With different lengths, surplus old points shrink away where they are
+        // and surplus new points grow in at their final positions.
+        _morphPairs(oldData, newData) {
+            const count = Math.max(oldData.length, newData.length);
+            const from = [], to = [];
+            for (let i = 0; i < count; i++) {
+                const a = oldData[i], b = newData[i];
+                from.push({ point: (a || b).clone(), size: a ? 1 : 0 });
+                to.push({ point: (b || a).clone(), size: b ? 1 : 0 });
+            }
+            return { from, to };
+        }
+
+        // Tweens the plot to a new dataset, which may have a different number of points.
+        morphTo(newData, duration, easing = Easing.linear) {
+            if (this._morph.isActive) {
+                this.data = this._morph.target;
+            }
+            const target = parseData(newData);
+            Object.assign(this._morph, this._morphPairs(this.data, target), { isActive: true, target, progress: 0 });
+
+            const tween = new Tween(this._morph, 'progress', 1, duration, easing, this.sceneRef);
+            tween._factory = { object: this, method: 'morphTo', args: [target.map(p => [p.x, p.y])] };
+            tween.then(() => {
+                this.data = this._morph.target;
+                this._morph.isActive = false;
+                this._morph.from = [];
+                this._morph.to = [];
+                this._morph.progress = 0;
+            });
+            return tween;
+        }
+    }
+
+    // Data points joined by a line, with optional markers (none by default).
+    class LinePlot extends ScatterPlot {
+        constructor(data = [], ...rest) {
+            const [ys, options = {}] = Array.isArray(rest[0]) ? rest : [null, rest[0]];
+            const lineOptions = { marker: 'none', ...options };
+            super(...(ys ? [data, ys, lineOptions] : [data, lineOptions]));
+            if (this.style.stroke === 'none' && options.style?.stroke === undefined) this.style.stroke = 'steelblue';
+            if (options.style?.fill === undefined) this.style.fill = this.style.stroke;
+            this.style.lineWidth = options.style?.lineWidth || 2;
+            this.style.dash = options.style?.dash || [];
+        }
+
+        // Markers pop in as the line reaches them (by arc-length fraction).
+        _revealFactors(positions) {
+            return polylineFractions(positions).map(f => Math.min(Math.max((this.drawProgress - f) / 0.05, 0), 1));
+        }
+
+        // The line's vertices in local coordinates. During a morph between datasets of different lengths, the
+        // shorter line is sampled at the arc-length positions of the longer one's vertices so both ends stay exact.
+        _linePoints() {
+            if (!this._morph.isActive) return this.data.map(p => this._toLocal(p));
+            const p = this._morph.progress;
+            return this._morph.lineFrom.map((from, i) => this._toLocal(from.mul(1 - p).add(this._morph.lineTo[i].mul(p))));
+        }
+
+        _morphPairs(oldData, newData) {
+            const pairs = super._morphPairs(oldData, newData);
+            if (oldData.length === newData.length) {
+                pairs.lineFrom = oldData.map(p => p.clone());
+                pairs.lineTo = newData.map(p => p.clone());
+            } else if (oldData.length > newData.length) {
+                pairs.lineFrom = oldData.map(p => p.clone());
+                pairs.lineTo = pointsAtFractions(newData, polylineFractions(oldData));
+            } else {
+                pairs.lineFrom = pointsAtFractions(oldData, polylineFractions(newData));
+                pairs.lineTo = newData.map(p => p.clone());
+            }
+            return pairs;
+        }
+
+        _visibleLine() {
+            const points = this._linePoints();
+            return this.drawProgress >= 1 ? points : revealPolyline(points, this.drawProgress);
+        }
+
+        _drawSelf(ctx) {
+            const line = this._visibleLine();
+            if (line.length > 1 && this.style.stroke !== 'none') {
+                ctx.strokeStyle = this.style.stroke;
+                ctx.lineWidth = this.style.lineWidth;
+                ctx.lineJoin = this.style.lineJoin;
+                ctx.setLineDash(this.style.dash);
+                ctx.beginPath();
+                ctx.moveTo(line[0].x, line[0].y);
+                for (let i = 1; i < line.length; i++) ctx.lineTo(line[i].x, line[i].y);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+            this._drawMarkers(ctx);
+        }
+
+        _toSVG() {
+            const line = this._visibleLine();
+            return svgPath(svgPolylinePath(line), {
+                stroke: this.style.stroke, lineWidth: this.style.lineWidth, lineJoin: this.style.lineJoin, dash: this.style.dash,
+            }) + this._markersSVG();
+        }
+
+        legendEntry() {
+            return {
+                label: this.label,
+                line: { stroke: this.style.stroke, lineWidth: this.style.lineWidth, dash: this.style.dash },
+                marker: this.marker === 'none' ? null : { shape: this.marker, size: this.markerSize, fill: this.style.fill, stroke: 'none' },
+            };
+        }
+    }
+
+    // A box listing series: for each item a line and/or marker sample and its label. Items are plots (anything
+    // with legendEntry()) or plain entries { label, color } / { label, line: {...}, marker: {...} }.
+    // The object's position is the top-left corner of the box.
+    class Legend extends SceneObject {
+        constructor(items = [], options = {}) {
+            super(options);
+            this.items = items;
+            this.padding = options.padding ?? 8;
+            this.symbolWidth = options.symbolWidth ?? 24;
+            this.labelStyle = {
+                font: '14px Arial',
+                fill: '#333333',
+                ...(options.labelStyle || {})
+            };
+            this.style.fill = options.style?.fill ?? 'rgba(255,255,255,0.85)'; // Box background
+            this.style.stroke = options.style?.stroke ?? '#999999';
+        }
+
+        _entries() {
+            return this.items.map(item => {
+                if (typeof item.legendEntry === 'function') return item.legendEntry();
+                if (item.line || item.marker) return { label: item.label ?? '', line: item.line || null, marker: item.marker || null };
+                return { label: item.label ?? '', line: null, marker: { shape: 'square', size: 10, fill: item.color || 'gray', stroke: 'none' } };
+            });
+        }
+
+        // Box size and rows in a Y-down frame whose origin is the top-left corner.
+        _layout(measure) {
+            const entries = this._entries();
+            const fontSize = fontPixelSize(this.labelStyle.font);
+            const rowHeight = Math.max(fontSize * 1.4, ...entries.map(e => (e.marker ? e.marker.size + 4 : 0)));
+            const textWidth = Math.max(0, ...entries.map(e => measure(e.label)));
+            const width = this.padding * 3 + this.symbolWidth + textWidth;
+            const height = this.padding * 2 + rowHeight * entries.length;
+            const rows = entries.map((entry, i) => ({ entry, y: this.padding + rowHeight * (i + 0.5) }));
+            return { width, height, rows };
+        }
+
+        _drawSelf(ctx) {
+            ctx.save();
+            if (isFlipped(ctx.getTransform())) ctx.scale(1, -1); // Lay out top-down with upright text on a Y-up canvas
+            ctx.font = this.labelStyle.font;
+            const { width, height, rows } = this._layout(text => ctx.measureText(text).width);
+            if (this.style.fill && this.style.fill !== 'none') {
+                ctx.fillStyle = this.style.fill;
+                ctx.fillRect(0, 0, width, height);
+            }
+            if (this.style.stroke && this.style.stroke !== 'none') {
+                ctx.strokeStyle = this.style.stroke;
+                ctx.lineWidth = this.style.lineWidth;
+                ctx.strokeRect(0, 0, width, height);
+            }
+            const symbolX = this.padding, symbolCentre = this.padding + this.symbolWidth / 2;
+            for (const { entry, y } of rows) {
+                if (entry.line) {
+                    ctx.strokeStyle = entry.line.stroke;
+                    ctx.lineWidth = entry.line.lineWidth ?? 2;
+                    ctx.setLineDash(entry.line.dash || []);
+                    ctx.beginPath();
+                    ctx.moveTo(symbolX, y);
+                    ctx.lineTo(symbolX + this.symbolWidth, y);
+                    ctx.stroke();
+                    ctx.setLineDash([]);
+                }
+                if (entry.marker && entry.marker.shape !== 'none') {
+                    const { shape, size, fill, stroke, lineWidth = 1 } = entry.marker;
+                    ctx.beginPath();
+                    const filled = traceMarker(ctx, shape, symbolCentre, y, size);
+                    ctx.fillStyle = fill;
+                    ctx.strokeStyle = stroke && stroke !== 'none' ? stroke : fill;
+                    ctx.lineWidth = lineWidth;
+                    if (filled && fill !== 'none') ctx.fill();
+                    if (!filled || (stroke && stroke !== 'none')) ctx.stroke();
+                }
+                ctx.fillStyle = this.labelStyle.fill;
+                ctx.textAlign = 'left';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(entry.label, this.padding * 2 + this.symbolWidth, y);
+            }
+            ctx.restore();
+        }
+
+        _toSVG(scene) {
+            const ctx = scene && scene.ctx;
+            if (ctx) ctx.font = this.labelStyle.font;
+            const fontSize = fontPixelSize(this.labelStyle.font);
+            const { width, height, rows } = this._layout(text => ctx ? ctx.measureText(text).width : text.length * fontSize * 0.6);
+            let out = svgPath(`M0 0H${svgNum(width)}V${svgNum(height)}H0Z`, { fill: this.style.fill, stroke: this.style.stroke, lineWidth: this.style.lineWidth });
+            const symbolX = this.padding, symbolCentre = this.padding + this.symbolWidth / 2;
+            for (const { entry, y } of rows) {
+                if (entry.line) {
+                    out += svgPath(`M${svgNum(symbolX)} ${svgNum(y)}H${svgNum(symbolX + this.symbolWidth)}`, {
+                        stroke: entry.line.stroke, lineWidth: entry.line.lineWidth ?? 2, dash: entry.line.dash,
+                    });
+                }
+                if (entry.marker && entry.marker.shape !== 'none') {
+                    const { shape, size, fill, stroke, lineWidth = 1 } = entry.marker;
+                    const path = svgPathBuilder();
+                    const filled = traceMarker(path, shape, symbolCentre, y, size);
+                    out += svgPath(path.d, { fill: filled ? fill : 'none', stroke: filled ? stroke : (stroke && stroke !== 'none' ? stroke : fill), lineWidth });
+                }
+                out += svgText(entry.label, this.padding * 2 + this.symbolWidth, y, { font: this.labelStyle.font, fill: this.labelStyle.fill, baseline: 'middle' });
+            }
+            return svgIsFlipped(scene) ? `<g transform="scale(1 -1)">${out}</g>` : out;
+        }
+    }
+
+    // Bars of categorical values, drawn upwards from y = 0 in data units. Values are an array of numbers, an array of
+    // { label, value, color } or an object mapping labels to values. With an `axes` option the chart is drawn in the
+    // axes' data coordinates (add both to the scene; the chart follows the axes) and the bars spread along its
+    // positive x axis. Changes (morphTo, sortBars) return Tweens that slide, grow and shrink the bars.
+    class BarChart extends SceneObject {
+        constructor(values = [], options = {}) {
+            super(options);
+            this.axes = options.axes || null;
+            this._nextKey = 0;
+            this.bars = this._toBars(values, [], options.labels, options.colors);
+            this.barWidth = options.barWidth ?? 0.8; // Fraction of each slot covered by its bar
+            this.start = options.start ?? (this.axes ? Math.max(this.axes.xRange[0], 0) : 0); // x of the first slot's left edge
+            this.spacing = options.spacing ?? (this.axes ? (this.axes.xRange[1] - this.start) / (this.bars.length + 0.5) : 40); // Slot width
+            this.revealWindow = options.revealWindow ?? 0.5; // Fraction of createAnimation each bar takes to grow
+            this.labelStyle = {
+                font: '12px Arial',
+                fill: '#333333',
+                offset: 8,
+                ...(options.labelStyle || {})
+            };
+            if (this.style.fill === 'gray' && options.style?.fill === undefined) this.style.fill = 'steelblue';
+
+            this.drawProgress = 1;
+
+            this._morph = {
+                isActive: false,
+                from: [],
+                to: [],
+                progress: 0,
+            };
+            this._lastTransition = null; // Most recent change applied, for rewinding
+        }
+
+        // Bars for new values. Bar i keeps the key (and label/colour, unless given) of previous[i], so it morphs in place.
+        _toBars(values, previous = [], labels = null, colors = null) {
+            const entries = Array.isArray(values) ? values
+                : Object.entries(values).map(([label, value]) => ({ label, value }));
+            return entries.map((entry, i) => {
+                const item = typeof entry === 'number' ? { value: entry } : entry;
+                const old = previous[i];
+                const color = item.color ?? (colors ? colors[i % colors.length] : old?.color ?? null);
+                return {
+                    key: old ? old.key : this._nextKey++,
+                    label: String(item.label ?? labels?.[i] ?? old?.label ?? ''),
+                    value: Number(item.value) || 0,
+                    color,
+                };
+            });
+        }
+
+        // Rectangles { key, x0, x1, height, color, label } for a list of bars, in data units.
+        _rectsOf(bars) {
+            return bars.map((bar, i) => {
+                const centre = this.start + (i + 0.5) * this.spacing;
+                const half = this.spacing * this.barWidth / 2;
+                return { key: bar.key, x0: centre - half, x1: centre + half, height: bar.value, color: bar.color || this.style.fill, label: bar.label };
+            });
+        }
+
+        // Rectangles as drawn now: mid-morph interpolation, then the createAnimation reveal.
+        _rects() {
+            let rects;
+            if (this._morph.isActive) {
+                const p = this._morph.progress;
+                rects = this._morph.from.map((from, i) => {
+                    const to = this._morph.to[i];
+                    return {
+                        x0: from.x0 + (to.x0 - from.x0) * p,
+                        x1: from.x1 + (to.x1 - from.x1) * p,
+                        height: from.height + (to.height - from.height) * p,
+                        color: from.color === to.color ? to.color : interpolateColor(from.color, to.color, p),
+                        label: to.label,
+                    };
+                });
+            } else {
+                rects = this._rectsOf(this.bars);
+            }
+            if (this.drawProgress < 1) {
+                const order = rects.map((rect, i) => i).sort((a, b) => rects[a].x0 - rects[b].x0); // Grow left to right
+                const window = Math.min(Math.max(this.revealWindow, 1e-6), 1);
+                order.forEach((index, rank) => {
+                    const start = rects.length > 1 ? rank / (rects.length - 1) * (1 - window) : 0;
+                    rects[index].height *= Math.min(Math.max((this.drawProgress - start) / window, 0), 1);
+                });
+            }
+            return rects;
+        }
+
+        // y the bars grow from: 0, or where the x axis of the linked axes runs (the bottom of a log scale).
+        _baseline() {
+            return this.axes ? axisCrossing(this.axes.yRange, scaleFor(this.axes.yScale)) : 0;
+        }
+
+        // Local-coordinate corners of a rectangle. Heights a log scale cannot show collapse onto the baseline.
+        _corners(rect) {
+            const base = this._toLocal({ x: rect.x0, y: this._baseline() });
+            const top = this._toLocal({ x: rect.x1, y: rect.height });
+            return [base, Number.isFinite(top.y) ? top : new Vec2(top.x, base.y)];
+        }
+
+        // Category labels under the bars: [{ text, position (local) }].
+        _labels(rects) {
+            const base = this._baseline();
+            return rects.filter(rect => rect.label).map(rect => ({ text: rect.label, position: this._toLocal({ x: (rect.x0 + rect.x1) / 2, y: base }) }));
+        }
+
+        _drawSelf(ctx) {
+            const rects = this._rects();
+            ctx.lineWidth = this.style.lineWidth;
+            for (const rect of rects) {
+                if (rect.height === 0) continue;
+                const [a, b] = this._corners(rect);
+                if (rect.color && rect.color !== 'none') {
+                    ctx.fillStyle = rect.color;
+                    ctx.fillRect(a.x, a.y, b.x - a.x, b.y - a.y);
+                }
+                if (this.style.stroke && this.style.stroke !== 'none') {
+                    ctx.strokeStyle = this.style.stroke;
+                    ctx.strokeRect(a.x, a.y, b.x - a.x, b.y - a.y);
+                }
+            }
+
+            const sceneYFlipped = isFlipped(ctx.getTransform());
+            ctx.fillStyle = this.labelStyle.fill;
+            ctx.font = this.labelStyle.font;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            for (const { text, position } of this._labels(rects)) {
+                if (sceneYFlipped) {
+                    ctx.save();
+                    ctx.scale(1, -1);
+                    ctx.fillText(text, position.x, -(position.y - this.labelStyle.offset));
+                    ctx.restore();
+                } else {
+                    ctx.fillText(text, position.x, position.y + this.labelStyle.offset);
+                }
+            }
+        }
+
+        _localBounds() {
+            return boundsOfPoints(this._rects().flatMap(rect => this._corners(rect)));
+        }
+
+        _toSVG(scene) {
+            const rects = this._rects();
+            let out = '';
+            for (const rect of rects) {
+                if (rect.height === 0) continue;
+                const [a, b] = this._corners(rect);
+                out += svgPath(`M${svgNum(a.x)} ${svgNum(a.y)}H${svgNum(b.x)}V${svgNum(b.y)}H${svgNum(a.x)}Z`, {
+                    fill: rect.color, stroke: this.style.stroke, lineWidth: this.style.lineWidth,
+                });
+            }
+            const flipped = svgIsFlipped(scene);
+            const offset = this.labelStyle.offset * (flipped ? -1 : 1);
+            for (const { text, position } of this._labels(rects)) {
+                out += svgText(text, position.x, position.y + offset, {
+                    font: this.labelStyle.font, fill: this.labelStyle.fill, align: 'center', baseline: 'top', upright: flipped,
+                });
+            }
+            return out;
+        }
+
+        // Grows the bars from zero, left to right.
+        createAnimation(duration = 1, easing = Easing.linear) {
+            this.drawProgress = 0;
+            return new Tween(this, 'drawProgress', 1, duration, easing, this.sceneRef);
+        }
+
+        uncreateAnimation(duration = 1, easing = Easing.linear) {
+            return new Tween(this, 'drawProgress', 0, duration, easing, this.sceneRef);
+        }
+
+        // Bars and anything else a transition changes.
+        _state() {
+            return { bars: this.bars };
+        }
+
+        _setState(state) {
+            this.bars = state.bars;
+        }
+
+        // Start and end rectangles for a change of bars, paired by key: bars that only exist on one side grow
+        // from or shrink to zero height where they stand.
+        _pairRects(fromBars, toBars) {
+            const fromRects = this._rectsOf(fromBars), toRects = this._rectsOf(toBars);
+            const toByKey = new Map(toRects.map(rect => [rect.key, rect]));
+            const fromKeys = new Set(fromRects.map(rect => rect.key));
+            const from = [], to = [];
+            for (const rect of fromRects) {
+                from.push(rect);
+                to.push(toByKey.get(rect.key) || { ...rect, height: 0 });
+            }
+            for (const rect of toRects) {
+                if (fromKeys.has(rect.key)) continue;
+                from.push({ ...rect, height: 0 });
+                to.push(rect);
+            }
+            return { from, to };
+        }
+
+        // A change driven by a Tween on `progress`. `makeTarget(fromState)` is called when the progress first moves
+        // rather than when the tween is built, so changes queued in a Timeline each start from the previous one's end.
+        // Moving the progress back to 0 (a Timeline seeking back) rewinds the chart to before the change.
+        _transition(makeTarget, factory, duration, easing) {
+            const chart = this;
+            let progress = 0;
+            const transition = {
+                from: null, to: null, rects: null, previous: null,
+                get progress() { return progress; },
+                set progress(value) {
+                    progress = value;
+                    if (!this.from) {
+                        if (value <= 0) return;
+                        this.previous = chart._lastTransition;
+                        this.from = chart._state();
+                        this.to = makeTarget(this.from);
+                        this.rects = chart._pairRects(this.from.bars, this.to.bars);
+                    }
+                    if (value <= 0) {
+                        chart._rewind(this);
+                        return;
+                    }
+                    chart._lastTransition = this;
+                    chart._setState(value >= 1 ? this.to : this.from);
+                    Object.assign(chart._morph, { isActive: value < 1, ...this.rects, progress: value });
+                },
+            };
+            const tween = new Tween(transition, 'progress', 1, duration, easing, this.sceneRef);
+            tween._factory = { object: this, ...factory };
+            return tween;
+        }
+
+        // Restores the state before `transition` if the chart currently shows it or a change made after it.
+        _rewind(transition) {
+            for (let t = this._lastTransition; t; t = t.previous) {
+                if (t !== transition) continue;
+                this._setState(transition.from);
+                this._lastTransition = transition.previous;
+                this._morph.isActive = false;
+                return;
+            }
+        }
+
+        // Replaces the values immediately (same forms as the constructor).
+        setValues(values) {
+            this.bars = this._toBars(values, this.bars);
+            return this;
+        }
+
+        // Tweens the bar heights to new values (same forms as the constructor). Values are matched to bars by
+        // position and keep their labels unless new ones are given; extra bars grow in, missing ones shrink away.
+        morphTo(newValues, duration, easing = Easing.linear) {
+            return this._transition(from => ({ ...from, bars: this._toBars(newValues, from.bars) }),
+                { method: 'morphTo', args: [newValues] }, duration, easing);
+        }
+
+        // Slides the bars into sorted order. `order` is 'ascending', 'descending', 'label' or a compare function of two bars.
+        sortBars(order = 'descending', duration = 1, easing = Easing.linear) {
+            const compare = typeof order === 'function' ? order
+                : order === 'ascending' ? (a, b) => a.value - b.value
+                : order === 'label' ? (a, b) => a.label.localeCompare(b.label)
+                : (a, b) => b.value - a.value;
+            return this._transition(from => ({ ...from, bars: [...from.bars].sort(compare) }),
+                { method: 'sortBars', args: [order] }, duration, easing);
+        }
+    }
+
+    function quantile(sorted, q) {
+        const position = (sorted.length - 1) * q;
+        const i = Math.floor(position);
+        return i + 1 < sorted.length ? sorted[i] + (sorted[i + 1] - sorted[i]) * (position - i) : sorted[i];
+    }
+
+    // Bin counts for the automatic binning rules, from the sample size or a bin width.
+    const BINNING_RULES = {
+        sturges: values => Math.ceil(Math.log2(values.length)) + 1,
+        sqrt: values => Math.ceil(Math.sqrt(values.length)),
+        rice: values => Math.ceil(2 * Math.cbrt(values.length)),
+        scott: (values, span) => {
+            const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+            const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / Math.max(values.length - 1, 1));
+            return span / (3.49 * sd * Math.cbrt(1 / values.length));
+        },
+        'freedman-diaconis': (values, span) => {
+            const sorted = [...values].sort((a, b) => a - b);
+            const iqr = quantile(sorted, 0.75) - quantile(sorted, 0.25);
+            return span / (2 * iqr * Math.cbrt(1 / values.length));
+        },
+    };
+    BINNING_RULES.fd = BINNING_RULES['freedman-diaconis'];
+
+    // Distribution of samples as contiguous bars. `bins` is a bin count, an array of edges or one of the BINNING_RULES
+    // names (default 'sturges'). Heights are counts, or densities (total area 1) with `density: true`.
+    class Histogram extends BarChart {
+        constructor(data = [], options = {}) {
+            super([], { barWidth: 1, ...options, style: { stroke: '#ffffff', ...options.style } });
+            this.binSpec = options.bins ?? 'sturges';
+            this.range = options.range || null; // [min, max] of the binned interval; the data's extent by default
+            this.density = !!options.density;
+            this.data = this._toData(data);
+            this.bars = this._binBars(this.data, this.binSpec);
+        }
+
+        // Bin edges for some values: `bins` as in the constructor, `range` defaults to the values' extent.
+        static binEdges(values, bins = 'sturges', range = null) {
+            if (Array.isArray(bins)) return [...bins].sort((a, b) => a - b);
+            let [min, max] = range || extentOf(values);
+            if (!values.length && !range) [min, max] = [0, 1];
+            if (min === max) [min, max] = [min - 0.5, max + 0.5];
+            let count = bins;
+            if (typeof bins === 'string') {
+                const rule = BINNING_RULES[bins.toLowerCase()];
+                if (!rule) throw new Error(`Histogram: Unknown binning rule '${bins}'. Use one of: ${Object.keys(BINNING_RULES).join(', ')}`);
+                count = values.length > 1 ? rule(values, max - min) : 1;
+                if (!Number.isFinite(count)) count = BINNING_RULES.sturges(values); // Zero spread
+            }
+            count = Math.min(Math.max(Math.ceil(count) || 1, 1), 1000);
+            return Array.from({ length: count + 1 }, (_, i) => min + (max - min) * i / count);
+        }
+
+        _toData(data) {
+            return Array.from(data, Number).filter(Number.isFinite);
+        }
+
+        // One bar per bin (keyed by bin index, so rebinning slides the edges), the last bin closed on the right.
+        _binBars(data, bins) {
+            const edges = Histogram.binEdges(data, bins, this.range);
+            const counts = new Array(edges.length - 1).fill(0);
+            for (const v of data) {
+                if (v < edges[0] || v > edges[edges.length - 1]) continue;
+                let lo = 0, hi = counts.length - 1;
+                while (lo < hi) { // Last bin whose left edge is <= v
+                    const mid = (lo + hi + 1) >> 1;
+                    if (edges[mid] <= v) lo = mid; else hi = mid - 1;
+                }
+                counts[lo]++;
+            }
+            return counts.map((count, i) => {
+                const width = edges[i + 1] - edges[i];
+                return {
+                    key: i, label: '', color: null, x0: edges[i], x1: edges[i + 1],
+                    value: this.density ? (data.length && width > 0 ? count / (data.length * width) : 0) : count,
+                    count,
+                };
+            });
+        }
+
+        // Bin edges and counts: [{ x0, x1, count, value }].
+        getBins() {
+            return this.bars.map(({ x0, x1, count, value }) => ({ x0, x1, count, value }));
+        }
+
+        _rectsOf(bars) {
+            return bars.map(bar => {
+                const centre = (bar.x0 + bar.x1) / 2, half = (bar.x1 - bar.x0) * this.barWidth / 2;
+                return { key: bar.key, x0: centre - half, x1: centre + half, height: bar.value, color: bar.color || this.style.fill, label: bar.label };
+            });
+        }
+
+        _state() {
+            return { bars: this.bars, data: this.data, binSpec: this.binSpec };
+        }
+
+        _setState(state) {
+            this.bars = state.bars;
+            this.data = state.data;
+            this.binSpec = state.binSpec;
+        }
+
+        // Bins are keyed by index, so surplus bins are the last ones; they start or end with zero width at the far
+        // edge, which keeps the bars contiguous while the edges slide.
+        _pairRects(fromBars, toBars) {
+            const { from, to } = super._pairRects(fromBars, toBars);
+            if (fromBars.length > 0) {
+                const edge = from[fromBars.length - 1].x1;
+                for (let i = fromBars.length; i < from.length; i++) from[i] = { ...from[i], x0: edge, x1: edge };
+            }
+            if (toBars.length > 0) {
+                const edge = to[toBars.length - 1].x1;
+                for (let i = toBars.length; i < to.length; i++) to[i] = { ...to[i], x0: edge, x1: edge };
+            }
+            return { from, to };
+        }
+
+        // Replaces the samples immediately.
+        setData(data) {
+            this.data = this._toData(data);
+            this.bars = this._binBars(this.data, this.binSpec);
+            return this;
+        }
+
+        // Tweens to the histogram of new samples, binned with the current rule.
+        morphTo(newData, duration, easing = Easing.linear) {
+            const data = this._toData(newData);
+            return this._transition(from => ({ ...from, data, bars: this._binBars(data, from.binSpec) }),
+                { method: 'morphTo', args: [data] }, duration, easing);
+        }
+
+        // Tweens to a different binning (count, edges or rule name); the bin edges slide to their new places.
+        rebin(bins, duration, easing = Easing.linear) {
+            return this._transition(from => ({ ...from, binSpec: bins, bars: this._binBars(from.data, bins) }),
+                { method: 'rebin', args: [bins] }, duration, easing);
+        }
+
+        sortBars() {
+            throw new Error('Histogram: Bins keep their order along the x axis and cannot be sorted.');
+        }
+
+        setValues() {
+            throw new Error('Histogram: Bar heights come from the data; use setData() or morphTo().');
+        }
+    }
+
+    // --- INTERACTIVE WIDGETS ---
+    // Controls drawn on the canvas (so they show in exports and recordings), each bound to a named entry of a params
+    // object: give the same object to plots as their `params` and they follow the control on the next frame. Moving
+    // a control writes the parameter and fires 'change' with { name, value, previous }. Clicking a control gives it
+    // the keyboard focus (see Scene.focus).
+    class ParamWidget extends SceneObject {
+        constructor(params, name, options = {}) {
+            super(options);
+            this.params = params;
+            this.name = name;
+            this.dependents = options.dependents || []; // Objects with cached output (e.g. Heatmap) to invalidate() on change
+            this.focusable = true;
+            this.hovered = false;
+            this.labelStyle = {
+                font: '14px Arial',
+                fill: '#333333',
+                offset: 8,
+                ...(options.labelStyle || {})
+            };
+            this.style.focus = options.style?.focus || 'rgba(70,130,180,0.4)'; // Focus ring
+            this.on('enter', () => { this.hovered = true; });
+            this.on('leave', () => { this.hovered = false; });
+            this.on('keydown', event => {
+                if (this._key(event) && event.originalEvent && event.originalEvent.preventDefault) event.originalEvent.preventDefault();
+            });
+        }
+
+        get focused() {
+            const scene = this._scene();
+            return !!scene && scene.focused === this;
+        }
+
+        // Writes the parameter (after snapping/clamping) and fires 'change' when it differs from the current value.
+        setValue(value) {
+            const next = this._coerce(value), previous = this.value;
+            if (this._equal(next, previous)) return this;
+            this._store(next);
+            for (const obj of this.dependents) if (typeof obj.invalidate === 'function') obj.invalidate();
+            this._emit('change', { type: 'change', target: this, currentTarget: this, name: this.name, value: this.value, previous });
+            return this;
+        }
+
+        _coerce(value) { return value; }
+
+        _equal(a, b) { return a === b; }
+
+        _store(value) {
+            this.params[this.name] = value;
+        }
+
+        _key(event) { return false; /* Subclasses handle keys here and return true when they used one */ }
+    }
+
+    // Horizontal slider for a number between min and max, drawn from its position to the right (`length` units)
+    // with the label and current value above. Drag the knob or click the track; arrow keys step (by 10 with Shift),
+    // Page Up/Down step by 10 and Home/End jump to the ends.
+    class Slider extends ParamWidget {
+        constructor(params, name, options = {}) {
+            super(params, name, options);
+            this.min = options.min ?? 0;
+            this.max = options.max ?? 1;
+            this.step = options.step ?? null; // Values snap to min + k * step
+            this.valueScale = options.valueScale ?? 'linear'; // 'log' spaces the track by ratios (see Axes xScale)
+            this.length = options.length ?? 200;
+            this.knobRadius = options.knobRadius ?? 8;
+            this.label = options.label ?? name;
+            this.labelFormat = options.labelFormat ?? 'auto'; // As for Axes ticks; null hides the value
+            this.style.track = options.style?.track || '#cccccc';
+            this.style.lineWidth = options.style?.lineWidth ?? 4; // Track thickness
+            if (this.style.fill === 'gray' && options.style?.fill === undefined) this.style.fill = 'steelblue';
+            if (params[name] === undefined) params[name] = this._coerce(options.value ?? this.min);
+
+            this.on('pointerdown', event => this._setFromLocal(event.local));
+            this.on('drag', event => this._setFromLocal(event.local));
+        }
+
+        get value() {
+            return Number(this.params[this.name]);
+        }
+
+        _coerce(value) {
+            const lo = Math.min(this.min, this.max), hi = Math.max(this.min, this.max);
+            let v = Math.min(Math.max(Number(value), lo), hi);
+            if (this.step) v = Math.min(Math.max(cleanTick(this.min + Math.round((v - this.min) / this.step) * this.step), lo), hi);
+            return v;
+        }
+
+        // Position along the track (0 at min, 1 at max) and back.
+        _fraction(value) {
+            const scale = scaleFor(this.valueScale), start = scale.forward(this.min);
+            return Math.min(Math.max((scale.forward(value) - start) / (scale.forward(this.max) - start), 0), 1);
+        }
+
+        _fromFraction(fraction) {
+            const scale = scaleFor(this.valueScale), start = scale.forward(this.min);
+            return scale.inverse(start + fraction * (scale.forward(this.max) - start));
+        }
+
+        _setFromLocal(local) {
+            if (local) this.setValue(this._fromFraction(local.x / this.length));
+        }
+
+        _nudge(steps) {
+            if (this.step) this.setValue(this.value + steps * this.step);
+            else this.setValue(this._fromFraction(this._fraction(this.value) + steps / 100));
+        }
+
+        _key(event) {
+            const n = event.shiftKey ? 10 : 1;
+            switch (event.key) {
+                case 'ArrowRight': case 'ArrowUp': this._nudge(n); break;
+                case 'ArrowLeft': case 'ArrowDown': this._nudge(-n); break;
+                case 'PageUp': this._nudge(10); break;
+                case 'PageDown': this._nudge(-10); break;
+                case 'Home': this.setValue(this.min); break;
+                case 'End': this.setValue(this.max); break;
+                default: return false;
+            }
+            return true;
+        }
+
+        _text() {
+            if (this.labelFormat === null) return this.label;
+            const value = tickFormatter(this.labelFormat)(this.value, this.step || Math.abs(this.max - this.min) / 100);
+            return this.label ? `${this.label} = ${value}` : value;
+        }
+
+        _containsLocal(p, tolerance) {
+            const r = this.knobRadius + tolerance;
+            return p.x >= -r && p.x <= this.length + r && Math.abs(p.y) <= r;
+        }
+
+        _localBounds() {
+            const r = this.knobRadius, top = r + this.labelStyle.offset + fontPixelSize(this.labelStyle.font);
+            return boundsOfPoints([new Vec2(-r, -top), new Vec2(this.length + r, top)]);
+        }
+
+        _drawSelf(ctx) {
+            const x = this._fraction(this.value) * this.length, r = this.knobRadius;
+            ctx.save();
+            if (isFlipped(ctx.getTransform())) ctx.scale(1, -1); // Lay out top-down with upright text on a Y-up canvas
+            ctx.lineCap = 'round';
+            ctx.lineWidth = this.style.lineWidth;
+            for (const [stroke, end] of [[this.style.track, this.length], [this.style.fill, x]]) {
+                ctx.strokeStyle = stroke;
+                ctx.beginPath();
+                ctx.moveTo(0, 0);
+                ctx.lineTo(end, 0);
+                ctx.stroke();
+            }
+            if (this.focused) {
+                ctx.strokeStyle = this.style.focus;
+                ctx.lineWidth = 4;
+                ctx.beginPath();
+                ctx.arc(x, 0, r + 4, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+            ctx.fillStyle = '#ffffff';
+            ctx.strokeStyle = this.style.fill;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(x, 0, this.hovered ? r * 1.15 : r, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            ctx.font = this.labelStyle.font;
+            ctx.fillStyle = this.labelStyle.fill;
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(this._text(), 0, -(r + this.labelStyle.offset));
+            ctx.restore();
+        }
+
+        _toSVG(scene) {
+            const x = this._fraction(this.value) * this.length, r = this.knobRadius;
+            const knob = svgPathBuilder();
+            knob.arc(x, 0, r);
+            const out = svgPath(`M0 0H${svgNum(this.length)}`, { stroke: this.style.track, lineWidth: this.style.lineWidth, lineCap: 'round' }) +
+                svgPath(`M0 0H${svgNum(x)}`, { stroke: this.style.fill, lineWidth: this.style.lineWidth, lineCap: 'round' }) +
+                svgPath(knob.d, { fill: '#ffffff', stroke: this.style.fill, lineWidth: 2 }) +
+                svgText(this._text(), 0, -(r + this.labelStyle.offset), { font: this.labelStyle.font, fill: this.labelStyle.fill, baseline: 'bottom' });
+            return svgIsFlipped(scene) ? `<g transform="scale(1 -1)">${out}</g>` : out;
+        }
+    }
+
+    // On/off control for a boolean, drawn as a switch (or a checkbox with appearance: 'checkbox') from its position
+    // to the right, with its label after it. Click it, or press Space or Enter while it has the focus.
+    class Toggle extends ParamWidget {
+        constructor(params, name, options = {}) {
+            super(params, name, options);
+            this.appearance = options.appearance ?? 'switch'; // 'switch' or 'checkbox'
+            this.size = options.size ?? 20; // Height of the switch or side of the box
+            this.label = options.label ?? name;
+            this.style.track = options.style?.track || '#cccccc'; // Switch background when off
+            if (this.style.fill === 'gray' && options.style?.fill === undefined) this.style.fill = 'steelblue';
+            if (params[name] === undefined) params[name] = !!options.value;
+
+            this.on('click', () => this.toggle());
+        }
+
+        get value() {
+            return !!this.params[this.name];
+        }
+
+        _coerce(value) { return !!value; }
+
+        toggle() {
+            return this.setValue(!this.value);
+        }
+
+        _key(event) {
+            if (event.key !== ' ' && event.key !== 'Enter') return false;
+            this.toggle();
+            return true;
+        }
+
+        _boxWidth() {
+            return this.appearance === 'checkbox' ? this.size : this.size * 1.8;
+        }
+
+        _width(ctx) {
+            return this._boxWidth() + (this.label ? this.labelStyle.offset + measureTextWidth(this.label, this.labelStyle.font, ctx) : 0);
+        }
+
+        _containsLocal(p, tolerance) {
+            const scene = this._scene();
+            return p.x >= -tolerance && p.x <= this._width(scene && scene.ctx) + tolerance && Math.abs(p.y) <= this.size / 2 + tolerance;
+        }
+
+        _localBounds() {
+            const scene = this._scene();
+            return boundsOfPoints([new Vec2(0, -this.size / 2), new Vec2(this._width(scene && scene.ctx), this.size / 2)]);
+        }
+
+        // Box or switch track, and the knob/check mark, as paths in a top-down frame centred on y = 0.
+        _shapes(path) {
+            const s = this.size, h = s / 2, w = this._boxWidth();
+            if (this.appearance === 'checkbox') {
+                path.moveTo(0, -h);
+                path.lineTo(s, -h);
+                path.lineTo(s, h);
+                path.lineTo(0, h);
+                path.closePath();
+                return { mark: [[s * 0.22, 0], [s * 0.42, s * 0.2], [s * 0.78, -s * 0.22]] };
+            }
+            path.moveTo(h, -h);
+            path.lineTo(w - h, -h);
+            path.arc(w - h, 0, h, -Math.PI / 2, Math.PI / 2);
+            path.lineTo(h, h);
+            path.arc(h, 0, h, Math.PI / 2, Math.PI * 1.5);
+            path.closePath();
+            return { knob: [this.value ? w - h : h, 0, h - 3] };
+        }
+
+        _drawSelf(ctx) {
+            const on = this.value;
+            ctx.save();
+            if (isFlipped(ctx.getTransform())) ctx.scale(1, -1); // Lay out top-down with upright text on a Y-up canvas
+            ctx.beginPath();
+            const { mark, knob } = this._shapes(ctx);
+            if (this.focused) {
+                ctx.strokeStyle = this.style.focus;
+                ctx.lineWidth = 6;
+                ctx.stroke();
+            }
+            ctx.lineWidth = 2;
+            if (mark) {
+                ctx.fillStyle = on ? this.style.fill : '#ffffff';
+                ctx.strokeStyle = this.hovered || on ? this.style.fill : '#888888';
+                ctx.fill();
+                ctx.stroke();
+                if (on) {
+                    ctx.strokeStyle = '#ffffff';
+                    ctx.lineCap = 'round';
+                    ctx.beginPath();
+                    mark.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+                    ctx.stroke();
+                }
+            } else {
+                ctx.fillStyle = on ? this.style.fill : this.style.track;
+                ctx.fill();
+                ctx.fillStyle = '#ffffff';
+                ctx.beginPath();
+                ctx.arc(knob[0], knob[1], this.hovered ? knob[2] + 1 : knob[2], 0, Math.PI * 2);
+                ctx.fill();
+            }
+            if (this.label) {
+                ctx.font = this.labelStyle.font;
+                ctx.fillStyle = this.labelStyle.fill;
+                ctx.textAlign = 'left';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(this.label, this._boxWidth() + this.labelStyle.offset, 0);
+            }
+            ctx.restore();
+        }
+
+        _toSVG(scene) {
+            const on = this.value, path = svgPathBuilder();
+            // svgPathBuilder draws full circles only, so the switch track is built here with two arcs
+            const s = this.size, h = s / 2, w = this._boxWidth();
+            let out;
+            if (this.appearance === 'checkbox') {
+                const { mark } = this._shapes(path);
+                out = svgPath(path.d, { fill: on ? this.style.fill : '#ffffff', stroke: on ? this.style.fill : '#888888', lineWidth: 2 });
+                if (on) out += svgPath(svgPolylinePath(mark.map(([x, y]) => new Vec2(x, y))), { stroke: '#ffffff', lineWidth: 2, lineCap: 'round' });
+            } else {
+                const d = `M${svgNum(h)} ${svgNum(-h)}H${svgNum(w - h)}A${svgNum(h)} ${svgNum(h)} 0 0 1 ${svgNum(w - h)} ${svgNum(h)}` +
+                    `H${svgNum(h)}A${svgNum(h)} ${svgNum(h)} 0 0 1 ${svgNum(h)} ${svgNum(-h)}Z`;
+                const knob = svgPathBuilder();
+                knob.arc(on ? w - h : h, 0, h - 3);
+                out = svgPath(d, { fill: on ? this.style.fill : this.style.track }) + svgPath(knob.d, { fill: '#ffffff' });
+            }
+            if (this.label) {
+                out += svgText(this.label, w + this.labelStyle.offset, 0, { font: this.labelStyle.font, fill: this.labelStyle.fill, baseline: 'middle' });
+            }
+            return svgIsFlipped(scene) ? `<g transform="scale(1 -1)">${out}</g>` : out;
+        }
+    }
+
+    // Draggable point setting a position: `name` is one parameter holding a Vec2, or a pair of names [xName, yName]
+    // holding the two coordinates. With an `axes` option the position is in the axes' data coordinates (add both to
+    // the scene; the point follows the axes). Arrow keys move it by the snap step (by 10 steps with Shift).
+    class DragPoint extends ParamWidget {
+        constructor(params, name, options = {}) {
+            super(params, name, options);
+            this.axes = options.axes || null;
+            this.radius = options.radius ?? 7;
+            this.snap = options.snap ?? null; // Grid step (a number, or [xStep, yStep]) or a function (Vec2) => Vec2
+            this.xRange = options.xRange ?? null; // Limits of each coordinate, [min, max]
+            this.yRange = options.yRange ?? null;
+            this.label = options.label ?? '';
+            this.style.stroke = options.style?.stroke ?? '#ffffff';
+            this.style.lineWidth = options.style?.lineWidth ?? 2;
+            if (this.style.fill === 'gray' && options.style?.fill === undefined) this.style.fill = 'crimson';
+            if (Array.isArray(name)) name.forEach(n => { if (params[n] === undefined) params[n] = 0; });
+            else if (params[name] === undefined) params[name] = new Vec2();
+
+            this._grab = new Vec2();
+            this.on('dragstart', event => {
+                this._grab = event.local ? this._toLocal(this.value).sub(event.local) : new Vec2(); // The point does not jump to the pointer
+            });
+            this.on('drag', event => {
+                if (event.local) this.setValue(this._fromLocal(event.local.add(this._grab)));
+            });
+        }
+
+        get value() {
+            if (Array.isArray(this.name)) return new Vec2(Number(this.params[this.name[0]]), Number(this.params[this.name[1]]));
+            const p = this.params[this.name];
+            return new Vec2(p.x, p.y);
+        }
+
+        _coerce(point) {
+            let p = new Vec2(point.x, point.y);
+            if (typeof this.snap === 'function') p = this.snap(p);
+            else if (this.snap) {
+                const [sx, sy] = Array.isArray(this.snap) ? this.snap : [this.snap, this.snap];
+                p = new Vec2(sx ? cleanTick(Math.round(p.x / sx) * sx) : p.x, sy ? cleanTick(Math.round(p.y / sy) * sy) : p.y);
+            }
+            const clamp = (v, range) => range ? Math.min(Math.max(v, Math.min(range[0], range[1])), Math.max(range[0], range[1])) : v;
+            return new Vec2(clamp(p.x, this.xRange), clamp(p.y, this.yRange));
+        }
+
+        _equal(a, b) {
+            return a.x === b.x && a.y === b.y;
+        }
+
+        _store(point) {
+            if (Array.isArray(this.name)) {
+                this.params[this.name[0]] = point.x;
+                this.params[this.name[1]] = point.y;
+            } else {
+                this.params[this.name] = point;
+            }
+        }
+
+        // Local coordinates back to parameter coordinates (the inverse of _toLocal).
+        _fromLocal(p) {
+            return this.axes ? this.axes._l2c(p) : p;
+        }
+
+        // One arrow-key step: the snap grid, or a hundredth of the axes' ranges (one unit without axes).
+        _keyStep() {
+            if (typeof this.snap === 'number' && this.snap) return [this.snap, this.snap];
+            if (Array.isArray(this.snap)) return this.snap;
+            if (this.axes) return [this.axes.xRange, this.axes.yRange].map(([a, b]) => Math.abs(b - a) / 100);
+            return [1, 1];
+        }
+
+        _key(event) {
+            const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, 1], ArrowDown: [0, -1] };
+            const move = moves[event.key];
+            if (!move) return false;
+            const [sx, sy] = this._keyStep(), n = event.shiftKey ? 10 : 1;
+            const scene = this._scene();
+            const up = this.axes || (scene && isFlipped(scene._viewMatrix())) ? 1 : -1; // ArrowUp moves up on screen
+            const p = this.value;
+            this.setValue(new Vec2(p.x + move[0] * sx * n, p.y + move[1] * sy * n * up));
+            return true;
+        }
+
+        _containsLocal(p, tolerance) {
+            return p.sub(this._toLocal(this.value)).mag() <= this.radius + tolerance;
+        }
+
+        _localBounds() {
+            const c = this._toLocal(this.value), r = this.radius;
+            return boundsOfPoints([new Vec2(c.x - r, c.y - r), new Vec2(c.x + r, c.y + r)]);
+        }
+
+        _drawSelf(ctx) {
+            const c = this._toLocal(this.value), r = this.hovered ? this.radius * 1.2 : this.radius;
+            if (this.focused) {
+                ctx.strokeStyle = this.style.focus;
+                ctx.lineWidth = 4;
+                ctx.beginPath();
+                ctx.arc(c.x, c.y, r + 4, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+            ctx.fillStyle = this.style.fill;
+            ctx.strokeStyle = this.style.stroke;
+            ctx.lineWidth = this.style.lineWidth;
+            ctx.beginPath();
+            ctx.arc(c.x, c.y, r, 0, Math.PI * 2);
+            ctx.fill();
+            if (this.style.stroke !== 'none') ctx.stroke();
+            if (this.label) {
+                const flip = isFlipped(ctx.getTransform()) ? -1 : 1;
+                ctx.save();
+                ctx.scale(1, flip); // Upright text on a Y-up canvas
+                ctx.font = this.labelStyle.font;
+                ctx.fillStyle = this.labelStyle.fill;
+                ctx.textAlign = 'left';
+                ctx.textBaseline = 'bottom';
+                ctx.fillText(this.label, c.x + this.radius + this.labelStyle.offset / 2, flip * c.y - this.radius);
+                ctx.restore();
+            }
+        }
+
+        _toSVG(scene) {
+            const c = this._toLocal(this.value), path = svgPathBuilder();
+            path.arc(c.x, c.y, this.radius);
+            let out = svgPath(path.d, this.style);
+            if (this.label) {
+                const upright = svgIsFlipped(scene);
+                out += svgText(this.label, c.x + this.radius + this.labelStyle.offset / 2, c.y + (upright ? this.radius : -this.radius), {
+                    font: this.labelStyle.font, fill: this.labelStyle.fill, baseline: 'bottom', upright,
+                });
+            }
+            return out;
+        }
+    }
+
+    // TWEEN CLASS
+    class Tween {
+        constructor(target, propertyPath, endValue, duration, easingFn = Easing.linear, sceneRef = null) {
+            this.target = target;
+            this.propertyPath = propertyPath.split('.');
+            this.endValue = endValue;
+            this.duration = duration; 
+            this.easingFn = easingFn;
+            this.sceneRef = sceneRef || (target && target.sceneRef) || null;
+
+            this.elapsedTime = 0;
+            this.isActive = false;
+            this.startValue = null;
+            this.rawStartValue = null; 
+            this.rawEndValue = null; // Store original endValue
+            this.onUpdate = null;
+            this.onComplete = null;
+            this.colorSpace = 'rgb'; // Space colour strings are blended in (see interpolateColor)
+            this._managedByTimeline = false; // Flag if controlled by a Timeline
+        }
+
+        _getDeepProperty(obj, path) {
+            let current = obj;
+            for (let i = 0; i < path.length; i++) {
+                if (current === undefined || current === null) return undefined;
+                current = current[path[i]];
+            }
+            return current;
+        }
+        
+        _setDeepProperty(obj, path, value) {
+            let current = obj;
+            for (let i = 0; i < path.length -1; i++) {
+                current = current[path[i]];
+                 if (current === undefined || current === null) { console.error("Invalid path for tween target property:", path.join('.')); return; }
+            }
+            current[path[path.length-1]] = value;
+        }
+
+        start() {
+            this.rawStartValue = this._getDeepProperty(this.target, this.propertyPath);
+            this.rawEndValue = this.endValue; // Store the initial endValue
+
+            if (this.rawStartValue === undefined && this.propertyPath.join('.') !== '_dummyPropertyForColorTween') { 
+                console.error(`Tween: Property ${this.propertyPath.join('.')} not found on target`, this.target);
+                this.isActive = false; return this;
+            }
+
+            if (typeof this.rawStartValue === 'string' && typeof this.rawEndValue === 'string' &&
+                parseColor(this.rawStartValue) && parseColor(this.rawEndValue)) {
+                this.startValue = this.rawStartValue; 
+            } else if (this.rawStartValue instanceof Vec2 && this.rawEndValue instanceof Vec2) {
+                this.startValue = this.rawStartValue.clone();
+            } else if (Array.isArray(this.rawStartValue) && Array.isArray(this.rawEndValue) && this.rawStartValue.length === this.rawEndValue.length) {
+                if (this.rawStartValue.length === 0 || (this.rawStartValue[0] instanceof Vec2 && this.rawEndValue[0] instanceof Vec2)) {
+                    this.startValue = this.rawStartValue.map(v => v.clone()); 
+                } else if (this.rawStartValue.length === 0 || (typeof this.rawStartValue[0] === 'number' && typeof this.rawEndValue[0] === 'number')) {
+                    this.startValue = [...this.rawStartValue]; 
+                } else {
+                    console.error("Tween: Array elements are not consistently Vec2 or number, or types mismatch endValue.");
+                    this.isActive = false; return this;
+                }
+            } else if (typeof this.rawStartValue === 'number' && typeof this.rawEndValue === 'number') {
+                this.startValue = this.rawStartValue;
+            } else if (typeof this.rawStartValue === 'object' && this.rawStartValue !== null && typeof this.rawEndValue === 'object' && this.rawEndValue !== null) {
+                this.startValue = { ...this.rawStartValue }; 
+            } else if (this.propertyPath.join('.') === '_dummyPropertyForColorTween') {
+                 this.startValue = 0; 
+            }
+             else {
+                console.error(`Tween: StartValue type (${typeof this.rawStartValue}) or EndValue type (${typeof this.rawEndValue}) not supported for tweening property ${this.propertyPath.join('.')}.`);
+                this.isActive = false; return this;
+            }
+            
+            this.elapsedTime = 0;
+            this.isActive = true;
+            if (this.sceneRef && this.sceneRef.addTween && !this._managedByTimeline) {
+                this.sceneRef.addTween(this);
+            }
+            return this;
+        }
+        
+        // Used by Timeline to drive the tween
+        setProgress(progressRatio) {
+            if (!this.isActive && progressRatio > 0 && progressRatio < 1 && this.startValue === null) {
+                // This case implies start() was not called, which is unexpected if timeline manages correctly.
+                // Timeline should call start() first. If this happens, it's a fallback.
+                console.warn("Tween.setProgress called before start() or on an inactive tween. Forcing start.");
+                this.start(); 
+            }
+            if (!this.isActive && progressRatio >= 0 && progressRatio < 1 && this.startValue !== null) {
+                this.isActive = true; // Reactivate if it was reset or finished and is now moving (or seeked to its start)
+            }
+
+
+            this.elapsedTime = Math.min(Math.max(0, progressRatio), 1) * this.duration;
+            this.update(0); // Let update handle the rest with the new elapsedTime
+        }
+
+        // Resets tween to its initial state (before start() was called or to its captured startValue)
+        resetToStart() {
+            this.elapsedTime = 0;
+            this.isActive = false;
+            if (this.startValue !== null && this.rawStartValue !== null && this.propertyPath.join('.') !== '_dummyPropertyForColorTween') {
+                let valueToSet;
+                if (this.rawStartValue instanceof Vec2) {
+                    valueToSet = this.rawStartValue.clone();
+                } else if (Array.isArray(this.rawStartValue) && this.rawStartValue.length > 0 && this.rawStartValue[0] instanceof Vec2) {
+                    valueToSet = this.rawStartValue.map(v => v.clone());
+                } else if (Array.isArray(this.rawStartValue) && typeof this.rawStartValue[0] === 'number') {
+                    valueToSet = [...this.rawStartValue];
+                } else if (typeof this.rawStartValue === 'object' && this.rawStartValue !== null){
+                    valueToSet = {...this.rawStartValue};
+                }
+                 else {
+                    valueToSet = this.rawStartValue; 
+                }
+                this._setDeepProperty(this.target, this.propertyPath, valueToSet);
+            }
+            // this.endValue = this.rawEndValue; // Restore endValue if it was changed, start() will re-evaluate
+            return this;
+        }
+
+
+        update(deltaTime) {
+            if (!this.isActive) return;
+
+            // If not managed by timeline, deltaTime advances elapsedTime.
+            // If managed by timeline, timeline sets elapsedTime directly, and deltaTime passed here is usually 0.
+            if (!this._managedByTimeline) {
+                 this.elapsedTime += deltaTime;
+            }
+
+            let progress = Math.min(this.elapsedTime / this.duration, 1);
+            let easedProgress = this.easingFn(progress);
+
+            let currentValue;
+
+            if (typeof this.rawStartValue === 'string' && typeof this.rawEndValue === 'string' &&
+                parseColor(this.rawStartValue) && parseColor(this.rawEndValue)) {
+                currentValue = interpolateColor(this.rawStartValue, this.rawEndValue, easedProgress, this.colorSpace);
+            } else if (this.startValue instanceof Vec2 && this.rawEndValue instanceof Vec2) {
+                currentValue = new Vec2(
+                    this.startValue.x + (this.rawEndValue.x - this.startValue.x) * easedProgress,
+                    this.startValue.y + (this.rawEndValue.y - this.startValue.y) * easedProgress
+                );
+            } else if (Array.isArray(this.startValue) && Array.isArray(this.rawEndValue) && this.startValue.length === this.rawEndValue.length) {
+                if (this.startValue.length === 0) { currentValue = []; }
+                else if (this.startValue[0] instanceof Vec2) { 
+                    currentValue = this.startValue.map((sv, i) => {
+                        const ev = this.rawEndValue[i];
+                        return new Vec2(
+                            sv.x + (ev.x - sv.x) * easedProgress,
+                            sv.y + (ev.y - sv.y) * easedProgress
+                        );
+                    });
+                } else if (typeof this.startValue[0] === 'number') { 
+                     currentValue = this.startValue.map((sv, i) => sv + (this.rawEndValue[i] - sv) * easedProgress);
+                } else { 
+                    currentValue = this.rawEndValue; 
+                }
+            } else if (typeof this.startValue === 'number' && typeof this.rawEndValue === 'number') {
+                currentValue = this.startValue + (this.rawEndValue - this.startValue) * easedProgress;
+            } else if (typeof this.startValue === 'object' && this.startValue !== null && typeof this.rawEndValue === 'object' && this.rawEndValue !== null) {
+                currentValue = { ...this.startValue }; 
+                for (const key in this.rawEndValue) { 
+                    if (this.startValue.hasOwnProperty(key) && this.rawEndValue.hasOwnProperty(key)) {
+                        if (typeof this.startValue[key] === 'number' && typeof this.rawEndValue[key] === 'number') {
+                            currentValue[key] = this.startValue[key] + (this.rawEndValue[key] - this.startValue[key]) * easedProgress;
+                        } else if (typeof this.startValue[key] === 'string' && typeof this.rawEndValue[key] === 'string' &&
+                                   parseColor(this.startValue[key]) && parseColor(this.rawEndValue[key])) {
+                            currentValue[key] = interpolateColor(this.startValue[key], this.rawEndValue[key], easedProgress, this.colorSpace);
+                        } else {
+                             if (progress >= 1) currentValue[key] = this.rawEndValue[key];
+                        }
+                    }
+                }
+            } else {
+                 if (this.propertyPath.join('.') === '_dummyPropertyForColorTween') {
+                    // No op for value.
+                 } else {
+                    console.error("Tween: Unsupported property type for tweening during update.");
+                    this.isActive = false;
+                    return;
+                 }
+            }
+            
+            if (this.propertyPath.join('.') !== '_dummyPropertyForColorTween') {
+                 this._setDeepProperty(this.target, this.propertyPath, currentValue);
+            }
+
+            if (this.onUpdate) this.onUpdate(currentValue, progress);
+
+            if (progress >= 1) {
+                this.isActive = false; // Mark as inactive
+                // Ensure final value is set precisely using rawEndValue
+                if (this.propertyPath.join('.') !== '_dummyPropertyForColorTween') {
+                    let finalValueToSet = this.rawEndValue;
+                    if (typeof this.rawEndValue === 'object' && this.rawEndValue !== null && !(this.rawEndValue instanceof Vec2) && !Array.isArray(this.rawEndValue)) {
+                         // For generic objects, merge rawEndValue into the target property.
+                        let finalTargetObj = this._getDeepProperty(this.target, this.propertyPath);
+                        if (typeof finalTargetObj === 'object' && finalTargetObj !== null) {
+                            for(const key in this.rawEndValue) {
+                                if (finalTargetObj.hasOwnProperty(key)) { // Only update existing keys or all?
+                                    finalTargetObj[key] = this.rawEndValue[key];
+                                }
+                            }
+                           finalValueToSet = finalTargetObj; // The object itself was modified.
+                        } else { // Target property is not an object, direct set
+                             this._setDeepProperty(this.target, this.propertyPath, this.rawEndValue);
+                        }
+                    } else { // Primitives, Vec2, Arrays are set directly
+                         this._setDeepProperty(this.target, this.propertyPath, this.rawEndValue);
+                    }
+                }
+
+                if (this.onComplete) this.onComplete();
+                
+                if (this.sceneRef && this.sceneRef.removeTween && !this._managedByTimeline) {
+                    this.sceneRef.removeTween(this);
+                }
+            }
+        }
+
+        then(callback) { this.onComplete = callback; return this; }
+        onProgress(callback) { this.onUpdate = callback; return this; }
+
+        // 'rgb' (default), 'hsl', 'oklab' or 'oklch'. OKLab/OKLCH fades keep their brightness and avoid muddy greys.
+        setColorSpace(space) {
+            colorSpaceFor(space); // Throws for unknown spaces
+            this.colorSpace = space;
+            return this;
+        }
+    }
+
+    // TIMELINE CLASS
+    class Timeline {
+        constructor(sceneRef = null) {
+            this.sceneRef = sceneRef;
+            this.tweensWithMeta = []; // Stores { tween, startTime, _hasStartedInternal }
+            this.currentTime = 0;
+            this.isPlaying = false;
+            this.timeScale = 1;
+            this.duration = 0; // Total duration of the timeline
+            this.loop = false;
+            this.onCompleteCallback = null;
+
+            if (this.sceneRef && this.sceneRef.addTimeline) {
+                this.sceneRef.addTimeline(this);
+            }
+        }
+
+        _recalculateDuration() {
+            this.duration = 0;
+            for (const item of this.tweensWithMeta) {
+                this.duration = Math.max(this.duration, item.startTime + item.tween.duration);
+            }
+        }
+
+        add(tween, startTime = 0) {
+            if (!(tween instanceof Tween)) {
+                console.error("Timeline.add: Only Tween instances can be added.");
+                return this;
+            }
+            tween._managedByTimeline = true;
+            // Kept in order of start time (then of adding), the order in which seek() and update() apply them
+            let index = this.tweensWithMeta.length;
+            while (index > 0 && this.tweensWithMeta[index - 1].startTime > startTime) index--;
+            this.tweensWithMeta.splice(index, 0, {
+                tween: tween,
+                startTime: startTime,
+                _hasStartedInternal: false,
+            });
+            this._recalculateDuration();
+            return this;
+        }
+
+        sequence(tweens, options = {}) {
+            const sequenceOffset = options.offset || this.duration; // Start after existing tweens or at specified offset
+            const gap = options.gap || 0;
+            let currentTimeMarker = sequenceOffset;
+
+            for (const tween of tweens) {
+                this.add(tween, currentTimeMarker);
+                currentTimeMarker += tween.duration + gap;
+            }
+            return this;
+        }
+
+        parallel(tweens, options = {}) {
+            const parallelOffset = options.offset || this.duration; // Start after existing content or at specified offset
+            for (const tween of tweens) {
+                this.add(tween, parallelOffset);
+            }
+            return this;
+        }
+        
+        play() {
+            if (this.isPlaying) return;
+            this.isPlaying = true;
+            if (this.currentTime >= this.duration && !this.loop) { // If at end and not looping, play from start
+                this.currentTime = 0;
+                this.resetAllTweensState();
+            }
+        }
+
+        playFromStart() {
+            this.currentTime = 0;
+            this.resetAllTweensState();
+            this.isPlaying = true;
+        }
+
+        pause() {
+            this.isPlaying = false;
+        }
+
+        seek(time) {
+            this.currentTime = Math.max(0, Math.min(time, this.duration));
+            this._rewind(this.tweensWithMeta.filter(item => item._hasStartedInternal && this.currentTime < item.startTime));
+            // Update tweens to reflect the new currentTime state
+            for (const item of this.tweensWithMeta) {
+                const tween = item.tween;
+                const tweenEndTime = item.startTime + tween.duration;
+
+                if (this.currentTime >= item.startTime && this.currentTime < tweenEndTime) { // Tween should be active
+                    if (!item._hasStartedInternal) {
+                        tween.start();
+                        item._hasStartedInternal = true;
+                    }
+                    tween.setProgress((this.currentTime - item.startTime) / tween.duration);
+                } else if (this.currentTime >= tweenEndTime) { // Tween should be finished
                     if (item._hasStartedInternal && tween.isActive) {
                         tween.setProgress(1);
-                    } else if (!item._hasStartedInternal) { // Skipped to end
-                        tween.start(); // Capture start values
-                        tween.setProgress(1); // Set to end
-                        item._hasStartedInternal = true; // Mark as started for consistency
+                    } else if (!item._hasStartedInternal) { // Skipped to end
+                        tween.start(); // Capture start values
+                        tween.setProgress(1); // Set to end
+                        item._hasStartedInternal = true; // Mark as started for consistency
+                    }
+                }
+            }
+        }
+
+        update(deltaTime) {
+            if (!this.isPlaying) return;
+
+            this.currentTime += deltaTime * this.timeScale;
+            this._rewind(this.tweensWithMeta.filter(item => item._hasStartedInternal && this.currentTime < item.startTime)); // Negative time scale
+
+            let allComplete = true;
+            for (const item of this.tweensWithMeta) {
+                const tween = item.tween;
+                const tweenEndTime = item.startTime + tween.duration;
+
+                if (this.currentTime >= item.startTime && this.currentTime < tweenEndTime) {
+                    allComplete = false;
+                    if (!item._hasStartedInternal) {
+                        tween.start(); // Captures start values.
+                        tween.isActive = true; 
+                        item._hasStartedInternal = true;
+                    }
+                    tween.setProgress((this.currentTime - item.startTime) / tween.duration);
+                } else if (this.currentTime >= tweenEndTime) {
+                    if (item._hasStartedInternal && tween.isActive) { // If it started and is still marked active
+                        tween.setProgress(1); // Ensure it sets final state and calls its onComplete
+                    } else if (!item._hasStartedInternal) { // Stepped over in a single update (a short tween or a long frame)
+                        tween.start();
+                        tween.setProgress(1);
+                        item._hasStartedInternal = true;
+                    }
+                }
+                 if (!tween.isActive && item._hasStartedInternal && this.currentTime < tweenEndTime) {
+                    // This implies tween finished prematurely, or was reset. If currentTime is still in its range, it might need to run.
+                    // This path should ideally not be hit if logic is correct.
+                 }
+                 if(item._hasStartedInternal && !tween.isActive && this.currentTime < tweenEndTime) {
+                    // If a tween is not active but should be (e.g. after seeking back and playing forward)
+                    // Handled by the first `if` block mostly.
+                 }
+                 if(tween.isActive) allComplete = false; // If any tween is still active, timeline is not complete
+            }
+
+            if (this.currentTime >= this.duration) {
+                if (this.loop) {
+                    this.currentTime = this.currentTime % this.duration; // Or = 0 for strict loop start
+                    this.resetAllTweensState();
+                     // After reset, re-evaluate initial states for the new loop iteration
+                    this.update(0); // Call update with 0 delta to set initial states for new loop
+                } else {
+                    this.isPlaying = false;
+                    // Ensure all tweens are set to their final state if currentTime slightly overshot.
+                    for (const item of this.tweensWithMeta) {
+                        if (item._hasStartedInternal && item.tween.isActive) {
+                            item.tween.setProgress(1);
+                        }
+                    }
+                    if (this.onCompleteCallback) this.onCompleteCallback();
+                }
+            }
+        }
+        
+        resetAllTweensState() {
+            this._rewind(this.tweensWithMeta);
+        }
+
+        // Moves tweens back to their start, the latest starting first: each then puts back what the one before it
+        // left, and the properties end as they were before all of them, however the tweens overlap.
+        _rewind(items) {
+            for (const item of [...items].reverse()) {
+                item.tween.resetToStart();
+                item._hasStartedInternal = false;
+            }
+        }
+
+        setLoop(loop) { this.loop = loop; return this; }
+        setTimeScale(scale) { this.timeScale = scale; return this; }
+        then(callback) { this.onCompleteCallback = callback; return this; }
+
+        dispose() {
+            if (this.sceneRef && this.sceneRef.removeTimeline) {
+                this.sceneRef.removeTimeline(this);
+            }
+            this.tweensWithMeta.forEach(item => {
+                // Clean up tween's _managedByTimeline if necessary, though tweens might be reused.
+                // item.tween._managedByTimeline = false; 
+            });
+            this.tweensWithMeta = [];
+        }
+    }
+
+
+    // ANIMATION PRESETS
+    // Ready-made effects for any SceneObject. Each is a single Tween, so it goes into Timeline.add()/sequence() like
+    // any other. A preset saves the properties it changes when its tween first moves and sets them from those saved
+    // values at every step, so a Timeline can seek anywhere; moving the tween back to 0 puts them back. A property is
+    // only put back while no later preset has taken it over (that one is rewound first when seeking back over both).
+    // Helper strokes (Circumscribe, FlashAround) are in the scene only while their tween runs.
+
+    // Properties a preset may change: the object's own, or 'fill' and 'stroke' of its style.
+    const PRESET_STYLE_KEYS = ['fill', 'stroke'];
+
+    function readPresetKeys(obj, keys) {
+        const saved = {};
+        for (const key of keys) {
+            const value = PRESET_STYLE_KEYS.includes(key) ? obj.style[key] : obj[key];
+            saved[key] = value instanceof Vec2 ? value.clone() : value;
+        }
+        return saved;
+    }
+
+    function writePresetKey(obj, key, value) {
+        if (PRESET_STYLE_KEYS.includes(key)) obj.style[key] = value;
+        else obj[key] = value instanceof Vec2 ? value.clone() : value;
+    }
+
+    // Centre of an object's bounds (children included, shown or not) in its parent's coordinates; its position when
+    // it has no extent.
+    function presetCentre(obj) {
+        const visible = obj.visible;
+        obj.visible = true;
+        const bounds = obj.getBounds();
+        obj.visible = visible;
+        const inverse = invertMatrix(parentMatrix(obj));
+        if (!bounds || !inverse) return obj.position.clone();
+        return applyMatrix(inverse, new Vec2((bounds.minX + bounds.maxX) / 2, (bounds.minY + bounds.maxY) / 2));
+    }
+
+    // Position that keeps the centre still while the object is scaled by k and turned by `angle` from its saved
+    // transform; `offset` runs from the saved position to the centre.
+    function positionAboutCentre(saved, offset, k, angle) {
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        const turned = new Vec2(cos * offset.x - sin * offset.y, sin * offset.x + cos * offset.y);
+        return saved.position.add(offset).sub(turned.mul(k));
+    }
+
+    // The Tween behind every preset. `keys` lists the properties it changes; effect.prepare(saved) returns whatever
+    // the effect works from (read when the tween first moves), effect.apply(saved, data, t) sets the properties for
+    // 0 < t < 1 and effect.finish(saved, data) at the end (apply at t = 1 if not given). effect.clear(data) removes
+    // helper objects when the tween ends or is moved back to 0.
+    function presetTween(obj, keys, effect, { duration = 1, easing = Easing.linear } = {}) {
+        let progress = 0, saved = null, data = null;
+        const previous = {}; // Key -> preset that last changed it before this one
+        const transition = {
+            get progress() { return progress; },
+            set progress(value) {
+                progress = value;
+                if (value <= 0) {
+                    if (!saved) return;
+                    if (effect.clear) effect.clear(data);
+                    const owners = obj._presetOwners;
+                    let restored = 0;
+                    for (const key of keys) {
+                        let owner = owners[key];
+                        while (owner && owner !== transition) owner = owner._previous[key];
+                        if (!owner) continue; // A later preset has it now
+                        writePresetKey(obj, key, saved[key]);
+                        owners[key] = previous[key];
+                        restored++;
                     }
-                } else { // currentTime < item.startTime, tween should be reset
-                    if (item._hasStartedInternal) {
-                        tween.resetToStart();
-                        item._hasStartedInternal = false;
+                    if (restored === keys.length) saved = data = null; // Read afresh next time
+                    return;
+                }
+                if (!saved) {
+                    const owners = (obj._presetOwners ||= {});
+                    for (const key of keys) previous[key] = owners[key] || null;
+                    saved = readPresetKeys(obj, keys);
+                    data = effect.prepare ? effect.prepare(saved) : null;
+                }
+                for (const key of keys) obj._presetOwners[key] = transition;
+                if (value < 1) {
+                    effect.apply(saved, data, value);
+                } else {
+                    if (effect.finish) effect.finish(saved, data);
+                    else effect.apply(saved, data, 1);
+                    if (effect.clear) effect.clear(data);
+                }
+            },
+        };
+        transition._previous = previous;
+        const tween = new Tween(transition, 'progress', 1, duration, easing, obj._scene());
+        tween._transient = true; // Not saved with the scene; the objects are saved as they are
+        return tween;
+    }
+
+    // A stroke-only path drawn in scene coordinates around an object while a preset runs.
+    function presetStroke(obj, options) {
+        const path = new BezierPath([], { style: { stroke: options.color || 'gold', lineWidth: options.lineWidth ?? 3, lineCap: 'round', lineJoin: 'round' } });
+        path._transient = true;
+        const scene = obj._scene();
+        return {
+            path,
+            show() { if (scene && !path.sceneRef) scene.add(path); },
+            hide() { if (path.sceneRef) path.sceneRef.remove(path); },
+        };
+    }
+
+    // Scene bounds of an object, or a point at its position when it has no extent.
+    function presetBounds(obj) {
+        const bounds = obj.getBounds();
+        if (bounds) return bounds;
+        const p = obj.localToWorld(new Vec2());
+        return { minX: p.x, minY: p.y, maxX: p.x, maxY: p.y };
+    }
+
+    // Fades the object in from transparent to its alpha, moving by `shift` (a Vec2) on the way, and shows it.
+    function FadeIn(obj, options = {}) {
+        const shift = options.shift || new Vec2();
+        return presetTween(obj, ['visible', 'alpha', 'position'], {
+            apply(saved, data, t) {
+                obj.visible = true;
+                obj.alpha = saved.alpha * t;
+                obj.position = saved.position.sub(shift.mul(1 - t));
+            },
+        }, options);
+    }
+
+    // Fades the object out, moving by `shift` (a Vec2). At the end it is hidden, with its alpha and position as before.
+    function FadeOut(obj, options = {}) {
+        const shift = options.shift || new Vec2();
+        return presetTween(obj, ['visible', 'alpha', 'position'], {
+            apply(saved, data, t) {
+                obj.visible = saved.visible;
+                obj.alpha = saved.alpha * (1 - t);
+                obj.position = saved.position.add(shift.mul(t));
+            },
+            finish(saved) {
+                obj.visible = false;
+                obj.alpha = saved.alpha;
+                obj.position = saved.position.clone();
+            },
+        }, options);
+    }
+
+    // Grows the object from nothing at the centre of its bounds, and shows it.
+    function GrowFromCenter(obj, options = {}) {
+        return presetTween(obj, ['visible', 'scale', 'position'], {
+            prepare: saved => presetCentre(obj).sub(saved.position),
+            apply(saved, offset, t) {
+                obj.visible = true;
+                obj.scale = saved.scale.mul(t);
+                obj.position = positionAboutCentre(saved, offset, t, 0);
+            },
+        }, options);
+    }
+
+    // Shrinks the object into the centre of its bounds. At the end it is hidden, at its former size and position.
+    function ShrinkToCenter(obj, options = {}) {
+        return presetTween(obj, ['visible', 'scale', 'position'], {
+            prepare: saved => presetCentre(obj).sub(saved.position),
+            apply(saved, offset, t) {
+                obj.visible = saved.visible;
+                obj.scale = saved.scale.mul(1 - t);
+                obj.position = positionAboutCentre(saved, offset, 1 - t, 0);
+            },
+            finish(saved) {
+                obj.visible = false;
+                obj.scale = saved.scale.clone();
+                obj.position = saved.position.clone();
+            },
+        }, options);
+    }
+
+    // Draws attention to the object: it swells by `scaleFactor` about its centre while its fill and stroke flash
+    // to `color`, then returns to how it was.
+    function Indicate(obj, options = {}) {
+        const { scaleFactor = 1.2, color = 'gold' } = options;
+        const flash = (from, u) => (from === 'none' || !parseColor(from) ? from : interpolateColor(from, color, u));
+        return presetTween(obj, ['scale', 'position', 'fill', 'stroke'], {
+            prepare: saved => presetCentre(obj).sub(saved.position),
+            apply(saved, offset, t) {
+                const u = Math.sin(Math.PI * t), k = 1 + (scaleFactor - 1) * u;
+                obj.scale = saved.scale.mul(k);
+                obj.position = positionAboutCentre(saved, offset, k, 0);
+                obj.style.fill = flash(saved.fill, u);
+                obj.style.stroke = flash(saved.stroke, u);
+            },
+            finish(saved) {
+                for (const key of ['scale', 'position', 'fill', 'stroke']) writePresetKey(obj, key, saved[key]);
+            },
+        }, options);
+    }
+
+    // Traces a rectangle (shape: 'rectangle') or circle (shape: 'circle') around the object, `buff` scene units
+    // clear of its bounds, and fades it away again. The object itself is not changed.
+    function Circumscribe(obj, options = {}) {
+        const { shape = 'rectangle', buff = 6 } = options;
+        const stroke = presetStroke(obj, options);
+        return presetTween(obj, [], {
+            prepare() {
+                const { minX, minY, maxX, maxY } = presetBounds(obj);
+                const path = stroke.path;
+                path.commands = [];
+                if (shape === 'circle') {
+                    const radius = Math.hypot(maxX - minX, maxY - minY) / 2 + buff;
+                    path.arc((minX + maxX) / 2, (minY + maxY) / 2, radius, 0, 2 * Math.PI).closePath();
+                } else {
+                    path.moveTo(minX - buff, minY - buff).lineTo(maxX + buff, minY - buff)
+                        .lineTo(maxX + buff, maxY + buff).lineTo(minX - buff, maxY + buff).closePath();
+                }
+            },
+            apply(saved, data, t) {
+                stroke.show();
+                stroke.path.drawProgress = Math.min(2 * t, 1); // Drawn in the first half, faded in the second
+                stroke.path.alpha = Math.min(2 - 2 * t, 1);
+            },
+            finish() {},
+            clear: () => stroke.hide(),
+        }, options);
+    }
+
+    // Short lines that burst outwards around the object: `lines` of them, `length` scene units long, starting
+    // `buff` clear of its bounds. The object itself is not changed.
+    function FlashAround(obj, options = {}) {
+        const { lines = 12, length = 16, buff = 8 } = options;
+        const stroke = presetStroke(obj, options);
+        return presetTween(obj, [], {
+            prepare() {
+                const { minX, minY, maxX, maxY } = presetBounds(obj);
+                return { centre: new Vec2((minX + maxX) / 2, (minY + maxY) / 2), radius: Math.hypot(maxX - minX, maxY - minY) / 2 + buff };
+            },
+            apply(saved, { centre, radius }, t) {
+                stroke.show();
+                // Each line's head runs out in the first half and its tail catches up in the second
+                const head = radius + length * Math.min(2 * t, 1), tail = radius + length * Math.max(2 * t - 1, 0);
+                stroke.path.commands = [];
+                for (let i = 0; i < lines; i++) {
+                    const angle = 2 * Math.PI * i / lines;
+                    const from = centre.add(Vec2.fromAngle(angle, tail)), to = centre.add(Vec2.fromAngle(angle, head));
+                    stroke.path.commands.push(['M', from.x, from.y], ['L', to.x, to.y]);
+                }
+            },
+            finish() {},
+            clear: () => stroke.hide(),
+        }, options);
+    }
+
+    // Rocks the object about its centre, `wiggles` swings of up to `angle` radians, while it swells by `scaleFactor`.
+    function Wiggle(obj, options = {}) {
+        const { angle = 0.2, scaleFactor = 1.1, wiggles = 6 } = options;
+        return presetTween(obj, ['scale', 'rotation', 'position'], {
+            prepare: saved => presetCentre(obj).sub(saved.position),
+            apply(saved, offset, t) {
+                const envelope = Math.sin(Math.PI * t);
+                const turn = angle * envelope * Math.sin(wiggles * Math.PI * t), k = 1 + (scaleFactor - 1) * envelope;
+                obj.scale = saved.scale.mul(k);
+                obj.rotation = saved.rotation + turn;
+                obj.position = positionAboutCentre(saved, offset, k, turn);
+            },
+            finish(saved) {
+                for (const key of ['scale', 'rotation', 'position']) writePresetKey(obj, key, saved[key]);
+            },
+        }, { duration: 2, ...options });
+    }
+
+    // Moves the object's origin along `path` (a BezierPath, Circle, Rectangle, PolygonShape, LineSegment or plot,
+    // anywhere in the scene) at constant speed, from its start to its end. With rotate: true it also turns as the
+    // path does, keeping its starting orientation relative to the path.
+    function MoveAlongPath(obj, path, options = {}) {
+        morphOutline(path, 'MoveAlongPath'); // Fails here rather than when the tween first moves
+        const rotate = !!options.rotate;
+        // Direction of the path at fraction f, across the seam where a closed outline starts and ends
+        const heading = (line, closed, f) => {
+            const around = closed ? [(f + 1 - 1e-3) % 1, (f + 1e-3) % 1] : [Math.max(f - 1e-3, 0), Math.min(f + 1e-3, 1)];
+            const [a, b] = samplePolyline(line, around);
+            return Math.atan2(b.y - a.y, b.x - a.x);
+        };
+        return presetTween(obj, rotate ? ['position', 'rotation'] : ['position'], {
+            prepare() {
+                // The path as a polyline in the frame of the object's parent
+                const outline = morphOutline(path, 'MoveAlongPath');
+                const inverse = invertMatrix(parentMatrix(obj)) || IDENTITY_MATRIX;
+                const matrix = multiplyMatrices(inverse, worldMatrix(path));
+                const points = outline.points.map(p => applyMatrix(matrix, p));
+                const line = outline.closed ? [...points, points[0]] : points;
+                return { line, closed: outline.closed, startHeading: rotate ? heading(line, outline.closed, 0) : 0 };
+            },
+            apply(saved, { line, closed, startHeading }, t) {
+                obj.position = samplePolyline(line, [t])[0];
+                if (rotate) obj.rotation = saved.rotation + heading(line, closed, t) - startHeading;
+            },
+        }, options);
+    }
+
+    const PRESETS = { FadeIn, FadeOut, GrowFromCenter, ShrinkToCenter, Indicate, Circumscribe, Wiggle, FlashAround, MoveAlongPath };
+
+
+    // PHYSICS
+    // A rigid point-mass body bound to a SceneObject: the world moves it by writing object.position
+    // (the object's parent coordinates, i.e. scene coordinates for top-level objects). Rotation is not simulated.
+    class PhysicsBody {
+        constructor(object, options = {}) {
+            this.object = object;
+            this.mass = options.mass ?? 1;
+            this.isStatic = !!options.isStatic || this.mass === Infinity;
+            this.velocity = options.velocity ? new Vec2(options.velocity.x, options.velocity.y) : new Vec2();
+            this.force = new Vec2(); // Constant external force, applied every step until changed
+            this.restitution = options.restitution ?? 0.8; // Bounciness in collisions (0: inelastic, 1: elastic)
+            this.drag = options.drag ?? 0; // Linear drag coefficient: force = -drag * velocity
+            this.collides = options.collides ?? true;
+            this.shape = options.shape || this._inferShape();
+
+            this._initial = { position: this.position.clone(), velocity: this.velocity.clone() };
+        }
+
+        // Circles collide as circles, everything else as its axis-aligned box.
+        _inferShape() {
+            if (this.object instanceof Circle) return { type: 'circle', radius: this.object.radius };
+            if (this.object instanceof Rectangle) return { type: 'box', width: this.object.width, height: this.object.height };
+            return { type: 'circle', radius: 0 };
+        }
+
+        get position() { return this.object.position; }
+        set position(value) { this.object.position.set(value.x, value.y); }
+
+        get inverseMass() { return this.isStatic ? 0 : 1 / this.mass; }
+
+        applyImpulse(impulse) {
+            if (!this.isStatic) this.velocity = this.velocity.add(impulse.mul(1 / this.mass));
+            return this;
+        }
+
+        // Collision extents, following the object's current size and scale.
+        _extents() {
+            const sx = Math.abs(this.object.scale.x), sy = Math.abs(this.object.scale.y);
+            if (this.shape.type === 'circle') {
+                const radius = (this.object instanceof Circle ? this.object.radius : this.shape.radius) * Math.max(sx, sy);
+                return { type: 'circle', radius };
+            }
+            const width = this.object instanceof Rectangle ? this.object.width : this.shape.width;
+            const height = this.object instanceof Rectangle ? this.object.height : this.shape.height;
+            return { type: 'box', halfWidth: width * sx / 2, halfHeight: height * sy / 2 };
+        }
+    }
+
+    const PHYSICS_INTEGRATORS = ['euler', 'semi-implicit', 'verlet', 'rk4'];
+
+    // Fixed-step simulation of bodies, springs, distance constraints and collisions. Like a Timeline, a world passed
+    // a scene is updated by Scene.update(). Time is consumed in steps of exactly `substep` seconds (the remainder
+    // carries over to the next frame), so the same sequence of frame times always produces the same motion.
+    class PhysicsWorld {
+        constructor(sceneRef = null, options = {}) {
+            this.sceneRef = sceneRef;
+            this.gravity = options.gravity ? new Vec2(options.gravity.x, options.gravity.y) : new Vec2(0, -500); // Units/s², Y-up
+            this.integrator = options.integrator || 'semi-implicit';
+            this.substep = options.substep ?? 1 / 240;
+            this.maxSubsteps = options.maxSubsteps ?? 100; // Per update; extra time is dropped after a long stall
+            this.iterations = options.iterations ?? 8; // Constraint and collision relaxation passes per step
+            this.bounds = options.bounds || null; // { xMin, xMax, yMin, yMax }: walls the bodies bounce off
+            this.timeScale = 1;
+            this.isPlaying = true;
+            this.time = 0;
+            this.bodies = [];
+            this.springs = [];
+            this.constraints = [];
+            this.forceFields = [];
+            this._accumulator = 0;
+
+            if (!PHYSICS_INTEGRATORS.includes(this.integrator)) {
+                throw new Error(`PhysicsWorld: Unknown integrator '${this.integrator}'. Use one of: ${PHYSICS_INTEGRATORS.join(', ')}.`);
+            }
+            if (this.sceneRef && this.sceneRef.addPhysicsWorld) {
+                this.sceneRef.addPhysicsWorld(this);
+            }
+        }
+
+        addBody(object, options = {}) {
+            const body = new PhysicsBody(object, options);
+            this.bodies.push(body);
+            return body;
+        }
+
+        removeBody(body) {
+            this.bodies = this.bodies.filter(b => b !== body);
+            this.springs = this.springs.filter(s => s.bodyA !== body && s.bodyB !== body);
+            this.constraints = this.constraints.filter(c => c.bodyA !== body && c.bodyB !== body);
+            return this;
+        }
+
+        // Hooke spring between two bodies, or between a body and a fixed point (a Vec2).
+        addSpring(bodyA, bodyB, options = {}) {
+            const spring = {
+                bodyA, bodyB,
+                stiffness: options.stiffness ?? 50,
+                damping: options.damping ?? 0,
+                restLength: options.restLength ?? this._endPoint(bodyA).sub(this._endPoint(bodyB)).mag(),
+            };
+            this.springs.push(spring);
+            return spring;
+        }
+
+        // Keeps two bodies (or a body and a fixed point) at a fixed distance: pendulum rods, chains.
+        // stiffness 1 is a rigid rod; lower values let it stretch like a stiff rope.
+        addDistanceConstraint(bodyA, bodyB, options = {}) {
+            const constraint = {
+                bodyA, bodyB,
+                length: options.length ?? this._endPoint(bodyA).sub(this._endPoint(bodyB)).mag(),
+                stiffness: options.stiffness ?? 1,
+            };
+            this.constraints.push(constraint);
+            return constraint;
+        }
+
+        // Extra force on every dynamic body: fn(position, velocity, body) => Vec2 (e.g. an electric field).
+        addForceField(fn) {
+            this.forceFields.push(fn);
+            return this;
+        }
+
+        removeForceField(fn) {
+            this.forceFields = this.forceFields.filter(f => f !== fn);
+            return this;
+        }
+
+        play() { this.isPlaying = true; return this; }
+        pause() { this.isPlaying = false; return this; }
+
+        // Restores every body to its state when it was added, so a simulation can be replayed (e.g. for recording).
+        reset() {
+            for (const body of this.bodies) {
+                body.position = body._initial.position;
+                body.velocity = body._initial.velocity.clone();
+            }
+            this.time = 0;
+            this._accumulator = 0;
+            return this;
+        }
+
+        update(deltaTime) {
+            if (!this.isPlaying) return;
+            this._accumulator += deltaTime * this.timeScale;
+            let steps = 0;
+            while (this._accumulator >= this.substep * (1 - 1e-9) && steps < this.maxSubsteps) {
+                this.step(this.substep);
+                this._accumulator -= this.substep;
+                steps++;
+            }
+            if (steps === this.maxSubsteps) this._accumulator = 0;
+        }
+
+        // Advances the simulation by exactly h seconds.
+        step(h) {
+            const dynamic = this.bodies.filter(body => !body.isStatic);
+            const positions = dynamic.map(body => body.position.clone());
+            const velocities = dynamic.map(body => body.velocity.clone());
+            const accelerations = (pos, vel) => this._accelerations(dynamic, pos, vel);
+            let newPositions, newVelocities;
+
+            if (this.integrator === 'euler') { // Explicit Euler: both updates use the state at the start of the step
+                const a = accelerations(positions, velocities);
+                newPositions = positions.map((p, i) => p.add(velocities[i].mul(h)));
+                newVelocities = velocities.map((v, i) => v.add(a[i].mul(h)));
+            } else if (this.integrator === 'semi-implicit') { // Velocity first, then position with the new velocity
+                const a = accelerations(positions, velocities);
+                newVelocities = velocities.map((v, i) => v.add(a[i].mul(h)));
+                newPositions = positions.map((p, i) => p.add(newVelocities[i].mul(h)));
+            } else if (this.integrator === 'verlet') { // Velocity Verlet
+                const a = accelerations(positions, velocities);
+                newPositions = positions.map((p, i) => p.add(velocities[i].mul(h)).add(a[i].mul(h * h / 2)));
+                const predicted = velocities.map((v, i) => v.add(a[i].mul(h)));
+                const a2 = accelerations(newPositions, predicted);
+                newVelocities = velocities.map((v, i) => v.add(a[i].add(a2[i]).mul(h / 2)));
+            } else { // Classic fourth-order Runge-Kutta on the whole system
+                const offset = (base, deltas, scale) => base.map((b, i) => b.add(deltas[i].mul(scale)));
+                const k1v = accelerations(positions, velocities), k1p = velocities;
+                const p2 = offset(positions, k1p, h / 2), v2 = offset(velocities, k1v, h / 2);
+                const k2v = accelerations(p2, v2), k2p = v2;
+                const p3 = offset(positions, k2p, h / 2), v3 = offset(velocities, k2v, h / 2);
+                const k3v = accelerations(p3, v3), k3p = v3;
+                const p4 = offset(positions, k3p, h), v4 = offset(velocities, k3v, h);
+                const k4v = accelerations(p4, v4), k4p = v4;
+                const combine = (base, k1, k2, k3, k4) => base.map((b, i) => b.add(k1[i].add(k2[i].mul(2)).add(k3[i].mul(2)).add(k4[i]).mul(h / 6)));
+                newPositions = combine(positions, k1p, k2p, k3p, k4p);
+                newVelocities = combine(velocities, k1v, k2v, k3v, k4v);
+            }
+
+            dynamic.forEach((body, i) => {
+                body.position = newPositions[i];
+                body.velocity = newVelocities[i];
+            });
+            for (let i = 0; i < this.iterations; i++) {
+                this._solveConstraints();
+                this._solveCollisions();
+            }
+            this.time += h;
+        }
+
+        // Acceleration of each dynamic body for the given candidate positions and velocities.
+        _accelerations(dynamic, positions, velocities) {
+            const index = new Map(dynamic.map((body, i) => [body, i]));
+            const forces = dynamic.map((body, i) => {
+                let force = this.gravity.mul(body.mass).add(body.force).sub(velocities[i].mul(body.drag));
+                for (const field of this.forceFields) {
+                    const extra = field(positions[i], velocities[i], body);
+                    if (extra) force = force.add(extra);
+                }
+                return force;
+            });
+            const stateOf = (end) => {
+                if (end instanceof Vec2) return { position: end, velocity: new Vec2() };
+                const i = index.get(end);
+                return i === undefined ? { position: end.position, velocity: end.velocity } : { position: positions[i], velocity: velocities[i] };
+            };
+            for (const spring of this.springs) {
+                const a = stateOf(spring.bodyA), b = stateOf(spring.bodyB);
+                const delta = b.position.sub(a.position);
+                const length = delta.mag();
+                if (length === 0) continue;
+                const direction = delta.div(length);
+                const relativeSpeed = (b.velocity.x - a.velocity.x) * direction.x + (b.velocity.y - a.velocity.y) * direction.y;
+                const force = direction.mul(spring.stiffness * (length - spring.restLength) + spring.damping * relativeSpeed);
+                if (index.has(spring.bodyA)) forces[index.get(spring.bodyA)] = forces[index.get(spring.bodyA)].add(force);
+                if (index.has(spring.bodyB)) forces[index.get(spring.bodyB)] = forces[index.get(spring.bodyB)].sub(force);
+            }
+            return forces.map((force, i) => force.div(dynamic[i].mass));
+        }
+
+        _endPoint(end) {
+            return end instanceof Vec2 ? end : end.position;
+        }
+
+        _inverseMassOf(end) {
+            return end instanceof Vec2 ? 0 : end.inverseMass;
+        }
+
+        // Moves both ends along the constraint, weighted by inverse mass, and removes the velocity along it.
+        _solveConstraints() {
+            for (const constraint of this.constraints) {
+                const { bodyA, bodyB } = constraint;
+                const wA = this._inverseMassOf(bodyA), wB = this._inverseMassOf(bodyB);
+                if (wA + wB === 0) continue;
+                const delta = this._endPoint(bodyB).sub(this._endPoint(bodyA));
+                const length = delta.mag();
+                if (length === 0) continue;
+                const n = delta.div(length);
+                const correction = n.mul((length - constraint.length) * constraint.stiffness / (wA + wB));
+                if (wA) bodyA.position = bodyA.position.add(correction.mul(wA));
+                if (wB) bodyB.position = bodyB.position.sub(correction.mul(wB));
+
+                const vA = bodyA instanceof Vec2 ? new Vec2() : bodyA.velocity;
+                const vB = bodyB instanceof Vec2 ? new Vec2() : bodyB.velocity;
+                const separating = (vB.x - vA.x) * n.x + (vB.y - vA.y) * n.y;
+                const impulse = n.mul(separating * constraint.stiffness / (wA + wB));
+                if (wA) bodyA.velocity = bodyA.velocity.add(impulse.mul(wA));
+                if (wB) bodyB.velocity = bodyB.velocity.sub(impulse.mul(wB));
+            }
+        }
+
+        _solveCollisions() {
+            const bodies = this.bodies.filter(body => body.collides);
+            for (let i = 0; i < bodies.length; i++) {
+                for (let j = i + 1; j < bodies.length; j++) {
+                    const a = bodies[i], b = bodies[j];
+                    if (a.isStatic && b.isStatic) continue;
+                    const contact = physicsContact(a.position, a._extents(), b.position, b._extents());
+                    if (contact) this._resolveContact(a, b, contact.normal, contact.depth);
+                }
+            }
+            if (this.bounds) {
+                const { xMin = -Infinity, xMax = Infinity, yMin = -Infinity, yMax = Infinity } = this.bounds;
+                for (const body of bodies) {
+                    if (body.isStatic) continue;
+                    const extents = body._extents();
+                    const hw = extents.type === 'circle' ? extents.radius : extents.halfWidth;
+                    const hh = extents.type === 'circle' ? extents.radius : extents.halfHeight;
+                    const walls = [
+                        [new Vec2(1, 0), xMin + hw - body.position.x], [new Vec2(-1, 0), body.position.x + hw - xMax],
+                        [new Vec2(0, 1), yMin + hh - body.position.y], [new Vec2(0, -1), body.position.y + hh - yMax],
+                    ];
+                    for (const [normal, depth] of walls) {
+                        if (depth > 0) this._resolveContact(null, body, normal, depth);
                     }
                 }
             }
         }
 
+        // Separates a and b (a may be null for a wall) along `normal` (pointing from a to b) and applies the
+        // restitution impulse if they are approaching. The smaller restitution of the two is used.
+        _resolveContact(a, b, normal, depth) {
+            const wA = a ? a.inverseMass : 0, wB = b.inverseMass;
+            if (wA + wB === 0) return;
+            const push = normal.mul(depth / (wA + wB));
+            if (wA) a.position = a.position.sub(push.mul(wA));
+            if (wB) b.position = b.position.add(push.mul(wB));
+
+            const vA = a ? a.velocity : new Vec2();
+            const approaching = (b.velocity.x - vA.x) * normal.x + (b.velocity.y - vA.y) * normal.y;
+            if (approaching >= 0) return;
+            const restitution = a ? Math.min(a.restitution, b.restitution) : b.restitution;
+            const impulse = normal.mul(-(1 + restitution) * approaching / (wA + wB));
+            if (wA) a.velocity = a.velocity.sub(impulse.mul(wA));
+            if (wB) b.velocity = b.velocity.add(impulse.mul(wB));
+        }
+    }
+
+    // Overlap of two shapes: { normal (unit, from a to b), depth } or null.
+    function physicsContact(pa, a, pb, b) {
+        if (a.type === 'circle' && b.type === 'circle') {
+            const delta = pb.sub(pa);
+            const distance = delta.mag();
+            const depth = a.radius + b.radius - distance;
+            if (depth <= 0) return null;
+            return { normal: distance > 0 ? delta.div(distance) : new Vec2(0, 1), depth };
+        }
+        if (a.type === 'box' && b.type === 'box') {
+            const dx = pb.x - pa.x, dy = pb.y - pa.y;
+            const overlapX = a.halfWidth + b.halfWidth - Math.abs(dx);
+            const overlapY = a.halfHeight + b.halfHeight - Math.abs(dy);
+            if (overlapX <= 0 || overlapY <= 0) return null;
+            return overlapX < overlapY
+                ? { normal: new Vec2(dx < 0 ? -1 : 1, 0), depth: overlapX }
+                : { normal: new Vec2(0, dy < 0 ? -1 : 1), depth: overlapY };
+        }
+        if (a.type === 'box') { // Box and circle: reuse the circle-box case with the normal reversed
+            const contact = physicsContact(pb, b, pa, a);
+            return contact && { normal: contact.normal.mul(-1), depth: contact.depth };
+        }
+        // Circle a against box b: closest point of the box to the circle's centre
+        const local = pa.sub(pb);
+        const closest = new Vec2(
+            Math.max(-b.halfWidth, Math.min(b.halfWidth, local.x)),
+            Math.max(-b.halfHeight, Math.min(b.halfHeight, local.y))
+        );
+        const inside = closest.x === local.x && closest.y === local.y;
+        if (inside) { // Centre inside the box: push out through the nearest face
+            const toX = b.halfWidth - Math.abs(local.x), toY = b.halfHeight - Math.abs(local.y);
+            return toX < toY
+                ? { normal: new Vec2(local.x < 0 ? 1 : -1, 0), depth: toX + a.radius }
+                : { normal: new Vec2(0, local.y < 0 ? 1 : -1), depth: toY + a.radius };
+        }
+        const delta = local.sub(closest);
+        const distance = delta.mag();
+        const depth = a.radius - distance;
+        if (depth <= 0) return null;
+        return { normal: delta.div(-distance), depth }; // From the circle (a) towards the box (b)
+    }
+
+    // CAMERA
+    // The view of a Scene. `position` is the scene point shown at the canvas origin, `zoom` scales the scene about it
+    // and `rotation` (radians) turns the view, so content appears turned the other way. All three are plain properties
+    // that can be tweened like any other (e.g. new Tween(scene.camera, 'zoom', 2, 1)). The camera is applied on top of
+    // the canvas' coordinate system, so it behaves the same whether Y points up or down.
+    class Camera {
+        constructor(scene, options = {}) {
+            this.sceneRef = scene; // Tweens on the camera's properties register with this scene
+            this.position = options.position ? new Vec2(options.position.x, options.position.y) : new Vec2();
+            this.zoom = options.zoom ?? 1;
+            this.rotation = options.rotation || 0;
+            this.minZoom = options.minZoom ?? 0.01; // Limits applied by frame() and the wheel control
+            this.maxZoom = options.maxZoom ?? 100;
+            this._follow = null;
+            this._controls = null;
+        }
+
+        // View-from-scene matrix: translate by -position, turn by -rotation, scale by zoom.
+        matrix() {
+            const cos = Math.cos(this.rotation) * this.zoom, sin = -Math.sin(this.rotation) * this.zoom;
+            const { x, y } = this.position;
+            return { a: cos, b: sin, c: -sin, d: cos, e: -(cos * x - sin * y), f: -(sin * x + cos * y) };
+        }
+
+        apply(ctx) {
+            const m = this.matrix();
+            ctx.transform(m.a, m.b, m.c, m.d, m.e, m.f);
+        }
+
+        // Scene coordinates to CSS pixels from the canvas' top-left corner, and back.
+        worldToScreen(point) {
+            return applyMatrix(this.sceneRef._viewMatrix(), point);
+        }
+
+        screenToWorld(point) {
+            const inverse = invertMatrix(this.sceneRef._viewMatrix());
+            return inverse ? applyMatrix(inverse, point) : this.position.clone(); // At zoom 0 everything is at `position`
+        }
+
+        _clampZoom(zoom) {
+            return Math.min(Math.max(zoom, this.minZoom), this.maxZoom);
+        }
+
+        // Keeps an object at the canvas origin (plus `offset`, in scene units) as it moves. With `lag` (seconds) the
+        // camera eases towards it instead of locking on. Applied after the objects update each frame.
+        follow(object, { offset = new Vec2(), lag = 0 } = {}) {
+            this._follow = { object, offset: new Vec2(offset.x, offset.y), lag };
+            return this;
+        }
+
+        unfollow() {
+            this._follow = null;
+            return this;
+        }
+
+        update(deltaTime) {
+            if (!this._follow) return;
+            const { object, offset, lag } = this._follow;
+            const m = worldMatrix(object);
+            const target = new Vec2(m.e + offset.x, m.f + offset.y);
+            const k = lag > 0 ? 1 - Math.exp(-deltaTime / lag) : 1;
+            this.position = this.position.add(target.sub(this.position).mul(k));
+        }
+
+        // Scene bounds of a frame() target: a SceneObject, bounds {minX, minY, maxX, maxY}, or an array of either.
+        _targetBounds(target) {
+            if (Array.isArray(target)) return target.reduce((bounds, item) => unionBounds(bounds, this._targetBounds(item)), null);
+            if (target instanceof SceneObject) return target.getBounds();
+            return target && Number.isFinite(target.minX) ? target : null;
+        }
+
+        // Position and zoom that fit a target inside the canvas (less `padding` pixels on each side) at the current
+        // rotation, centred on the canvas. `zoom` fixes the zoom and only centres. Null when there is nothing to fit.
+        _fit(target, { padding = 20, zoom = null } = {}) {
+            const bounds = this._targetBounds(target);
+            if (!bounds) return null;
+            const canvas = this.sceneRef.canvas;
+            if (zoom === null) {
+                const cos = Math.cos(this.rotation), sin = Math.sin(this.rotation);
+                const view = boundsOfPoints(boundsCorners(bounds).map(p => new Vec2(p.x * cos + p.y * sin, -p.x * sin + p.y * cos)));
+                const width = view.maxX - view.minX, height = view.maxY - view.minY;
+                zoom = Math.min(
+                    width > 0 ? Math.max(canvas.cssWidth - 2 * padding, 1) / width : Infinity,
+                    height > 0 ? Math.max(canvas.cssHeight - 2 * padding, 1) / height : Infinity
+                );
+                if (!Number.isFinite(zoom)) zoom = this.zoom; // A single point: only centre it
+            }
+            zoom = this._clampZoom(zoom);
+            // The canvas centre, relative to the origin in view units, must show the centre of the bounds
+            const origin = canvas.origin;
+            const d = new Vec2(canvas.cssWidth / 2 - origin.x, (canvas.cssHeight / 2 - origin.y) * canvas.scaleY).div(zoom);
+            const cos = Math.cos(this.rotation), sin = Math.sin(this.rotation);
+            const centre = new Vec2((bounds.minX + bounds.maxX) / 2, (bounds.minY + bounds.maxY) / 2);
+            return { position: centre.sub(new Vec2(d.x * cos - d.y * sin, d.x * sin + d.y * cos)), zoom };
+        }
+
+        // Moves and zooms immediately so the target fills the canvas. Options: padding (pixels, default 20), zoom.
+        frame(target, options = {}) {
+            const fit = this._fit(target, options);
+            if (fit) {
+                this.position = fit.position;
+                this.zoom = fit.zoom;
+            }
+            return this;
+        }
+
+        // Animated frame(). The target's bounds are read when the tween first moves, so in a Timeline it frames
+        // where the target is by then; moving the progress back to 0 restores the view from before. The zoom changes
+        // geometrically, so zooming in by 100x looks as steady as by 2x.
+        frameTo(target, duration = 1, easing = Easing.linear, options = {}) {
+            const camera = this;
+            let progress = 0;
+            const transition = {
+                from: null, to: null,
+                get progress() { return progress; },
+                set progress(value) {
+                    progress = value;
+                    if (!this.from) {
+                        if (value <= 0) return;
+                        this.from = { position: camera.position.clone(), zoom: camera.zoom };
+                        this.to = camera._fit(target, options) || this.from;
+                    }
+                    const t = Math.max(value, 0);
+                    camera.position = this.from.position.mul(1 - t).add(this.to.position.mul(t));
+                    camera.zoom = this.from.zoom * Math.pow(this.to.zoom / this.from.zoom, t);
+                },
+            };
+            const tween = new Tween(transition, 'progress', 1, duration, easing, this.sceneRef);
+            if (!this._targetHasObjects(target)) tween._factory = { object: this, method: 'frameTo', args: [target, options] };
+            return tween;
+        }
+
+        _targetHasObjects(target) {
+            return Array.isArray(target) ? target.some(item => this._targetHasObjects(item)) : target instanceof SceneObject;
+        }
+
+        // Built-in mouse controls on the scene's canvas: the wheel zooms about the cursor, dragging pans (and stops
+        // following). Options: wheelZoom, dragPan (both true by default), zoomSpeed (per wheel delta unit).
+        enableControls({ wheelZoom = true, dragPan = true, zoomSpeed = 0.0015 } = {}) {
+            this.disableControls();
+            const element = this.sceneRef.canvas.canvas;
+            const screenPoint = event => {
+                const rect = element.getBoundingClientRect();
+                return new Vec2(event.clientX - rect.left, event.clientY - rect.top);
+            };
+            const handlers = {};
+            if (wheelZoom) {
+                handlers.wheel = event => {
+                    event.preventDefault();
+                    const screen = screenPoint(event);
+                    const anchor = this.screenToWorld(screen);
+                    this.zoom = this._clampZoom(this.zoom * Math.exp(-event.deltaY * zoomSpeed));
+                    this.position = this.position.add(anchor.sub(this.screenToWorld(screen))); // Keep the point under the cursor
+                };
+            }
+            if (dragPan) {
+                let last = null;
+                handlers.pointerdown = event => {
+                    if (event.button !== 0 || this.sceneRef._capturesPointer()) return; // The scene is dragging an object or using a control
+                    last = screenPoint(event);
+                    if (element.setPointerCapture) element.setPointerCapture(event.pointerId);
+                };
+                handlers.pointermove = event => {
+                    if (!last) return;
+                    const point = screenPoint(event);
+                    this.unfollow();
+                    this.position = this.position.add(this.screenToWorld(last).sub(this.screenToWorld(point)));
+                    last = point;
+                };
+                handlers.pointerup = handlers.pointercancel = () => { last = null; };
+            }
+            for (const [type, handler] of Object.entries(handlers)) {
+                element.addEventListener(type, handler, type === 'wheel' ? { passive: false } : undefined);
+            }
+            this._controls = { element, handlers };
+            return this;
+        }
+
+        disableControls() {
+            if (!this._controls) return this;
+            const { element, handlers } = this._controls;
+            for (const [type, handler] of Object.entries(handlers)) element.removeEventListener(type, handler);
+            this._controls = null;
+            return this;
+        }
+    }
+
+    // SCENE CLASS
+    class Scene {
+        constructor(canvas) {
+            this.canvas = canvas;
+            this.ctx = canvas.ctx; 
+            this.objects = [];
+            this.backgroundColor = null;
+            this.activeTweens = [];
+            this.activeTimelines = []; // For managing timelines
+            this.physicsWorlds = [];
+            this.camera = new Camera(this);
+            canvas.camera = this.camera; // So canvas.getWorldMousePosition() sees through it
+            this.interactive = true; // Dispatch pointer events to objects
+            this.hitTolerance = 4; // Pixels around lines and curves that still hit them
+            this._pointer = { hover: null, down: null, drag: null, cursor: null };
+            this.focused = null; // Object receiving key presses (see focus())
+            this._attachPointerEvents();
+        }
+
+        add(object) {
+            if (object instanceof SceneObject) {
+                this.objects.push(object);
+                object.sceneRef = this; 
+            } else {
+                console.warn("Attempted to add non-SceneObject to scene:", object);
+            }
+            return this;
+        }
+
+        remove(object) {
+            const index = this.objects.indexOf(object);
+            if (index > -1) {
+                this.objects.splice(index, 1);
+                object.sceneRef = null;
+            }
+            return this;
+        }
+        
+        addTween(tween) {
+            if (!this.activeTweens.includes(tween)) {
+                this.activeTweens.push(tween);
+            }
+        }
+
+        removeTween(tween) {
+            const index = this.activeTweens.indexOf(tween);
+            if (index > -1) {
+                this.activeTweens.splice(index, 1);
+            }
+        }
+
+        addTimeline(timeline) {
+            if (!this.activeTimelines.includes(timeline)) {
+                this.activeTimelines.push(timeline);
+                timeline.sceneRef = this;
+            }
+        }
+
+        removeTimeline(timeline) {
+            const index = this.activeTimelines.indexOf(timeline);
+            if (index > -1) {
+                this.activeTimelines.splice(index, 1);
+            }
+        }
+
+        addPhysicsWorld(world) {
+            if (!this.physicsWorlds.includes(world)) {
+                this.physicsWorlds.push(world);
+                world.sceneRef = this;
+            }
+        }
+
+        removePhysicsWorld(world) {
+            const index = this.physicsWorlds.indexOf(world);
+            if (index > -1) {
+                this.physicsWorlds.splice(index, 1);
+            }
+        }
+
+
         update(deltaTime) {
-            if (!this.isPlaying) return;
+            // Update standalone tweens
+            for (let i = this.activeTweens.length - 1; i >= 0; i--) {
+                const tween = this.activeTweens[i];
+                if (tween.isActive) { 
+                    tween.update(deltaTime);
+                } else { 
+                    // If a tween became inactive not through its own onComplete->removeTween cycle
+                    // (e.g. externally set isActive = false), remove it.
+                    this.removeTween(tween); 
+                }
+            }
+            // Update timelines
+            for (let i = this.activeTimelines.length - 1; i >= 0; i--) {
+                const timeline = this.activeTimelines[i];
+                if (timeline.isPlaying) {
+                    timeline.update(deltaTime);
+                } else if (!timeline.isPlaying && timeline.currentTime >= timeline.duration && !timeline.loop) {
+                    // Non-looping timeline finished, can be removed if desired (or keep for seeking)
+                    // For now, let them persist unless explicitly disposed.
+                }
+            }
+            // Step physics after tweens, so bodies start from any positions the tweens set this frame
+            this.physicsWorlds.forEach(world => world.update(deltaTime));
+            this.objects.forEach(obj => obj.update(deltaTime, this));
+            // Updaters see every tween, physics and update() result of this frame
+            [...this.objects].forEach(obj => obj._runUpdaters(deltaTime, this));
+            this.camera.update(deltaTime); // Follows objects where this frame left them
+        }
 
-            this.currentTime += deltaTime * this.timeScale;
+        // Topmost visible object whose shape contains a scene point, or null. Children are drawn over their parent,
+        // later objects over earlier ones. The default tolerance is hitTolerance pixels at the current zoom.
+        hitTest(point, tolerance = this.hitTolerance / this.camera.zoom) {
+            const visit = obj => {
+                if (!obj.visible) return null;
+                for (let i = obj.children.length - 1; i >= 0; i--) {
+                    const hit = visit(obj.children[i]);
+                    if (hit) return hit;
+                }
+                return obj.containsPoint(point, tolerance) ? obj : null;
+            };
+            for (let i = this.objects.length - 1; i >= 0; i--) {
+                const hit = visit(this.objects[i]);
+                if (hit) return hit;
+            }
+            return null;
+        }
 
-            let allComplete = true;
-            for (const item of this.tweensWithMeta) {
-                const tween = item.tween;
-                const tweenEndTime = item.startTime + tween.duration;
+        // Pointer input on the canvas goes to the object under the pointer, and key presses to the focused object.
+        // Only the scene currently drawing on the canvas (the one whose camera it holds) dispatches, so a scene
+        // replaced by fromJSON() falls silent.
+        _attachPointerEvents() {
+            const element = this.canvas.canvas;
+            if (!element || typeof element.addEventListener !== 'function') return;
+            const handlers = {};
+            for (const type of ['pointerdown', 'pointermove', 'pointerup', 'pointercancel', 'pointerleave']) {
+                handlers[type] = event => {
+                    if (this.interactive && this.canvas.camera === this.camera) this._handlePointer(type, event);
+                };
+            }
+            handlers.keydown = event => {
+                if (!this.interactive || this.canvas.camera !== this.camera) return;
+                if (this.focused && this.focused._scene() === this) {
+                    this._dispatch(this.focused, 'keydown', null, event, { key: event.key, shiftKey: !!event.shiftKey });
+                }
+            };
+            for (const [type, handler] of Object.entries(handlers)) element.addEventListener(type, handler);
+            this._listeners = { element, handlers };
+        }
 
-                if (this.currentTime >= item.startTime && this.currentTime < tweenEndTime) {
-                    allComplete = false;
-                    if (!item._hasStartedInternal) {
-                        tween.start(); // Captures start values.
-                        tween.isActive = true; 
-                        item._hasStartedInternal = true;
-                    }
-                    tween.setProgress((this.currentTime - item.startTime) / tween.duration);
-                } else if (this.currentTime >= tweenEndTime) {
-                    if (item._hasStartedInternal && tween.isActive) { // If it started and is still marked active
-                        tween.setProgress(1); // Ensure it sets final state and calls its onComplete
-                    }
-                } else if (this.currentTime < item.startTime && item._hasStartedInternal) { // Looped or seeked back
-                    allComplete = false;
-                    tween.resetToStart();
-                    item._hasStartedInternal = false;
+        // Removes the scene's pointer and key listeners (and the camera's controls) from the canvas element, so a
+        // scene that is no longer used can be garbage collected.
+        dispose() {
+            this.camera.disableControls();
+            if (!this._listeners) return;
+            const { element, handlers } = this._listeners;
+            for (const [type, handler] of Object.entries(handlers)) element.removeEventListener(type, handler);
+            this._listeners = null;
+        }
+
+        // Gives `object` (a focusable object such as a Slider, or null) the keyboard focus. Clicking an object
+        // focuses it, or its nearest focusable ancestor; clicking elsewhere clears the focus.
+        focus(object) {
+            this.focused = object || null;
+            const element = this.canvas.canvas;
+            if (this.focused && element && typeof element.focus === 'function') {
+                if (!(element.tabIndex >= 0)) element.tabIndex = 0; // Canvases only take focus with a tab index
+                element.focus();
+            }
+            return this;
+        }
+
+        // Whether the pointer went down on something the scene handles (a drag or a control), so the camera must
+        // not pan with it.
+        _capturesPointer() {
+            const state = this._pointer;
+            return !!(state.drag || (state.down && this._focusTarget(state.down.target)));
+        }
+
+        _focusTarget(target) {
+            for (let obj = target; obj; obj = obj.parent) {
+                if (obj.focusable) return obj;
+            }
+            return null;
+        }
+
+        // The object a drag on `target` moves: the nearest of it and its ancestors that is draggable or listens to 'drag'.
+        _dragHandle(target) {
+            for (let obj = target; obj; obj = obj.parent) {
+                if (obj.draggable || obj._listeners.drag?.length) return obj;
+            }
+            return null;
+        }
+
+        _handlePointer(type, event) {
+            const point = this.canvas.getWorldMousePosition(event);
+            const state = this._pointer;
+            const drag = state.drag;
+
+            if (type === 'pointerdown') {
+                const target = this.hitTest(point);
+                state.down = target && { target, clientX: event.clientX, clientY: event.clientY };
+                this._setHover(target, point, event); // Touch input has no hover before it goes down
+                if (event.button === undefined || event.button === 0) this.focus(this._focusTarget(target));
+                if (!target) return;
+                this._dispatch(target, 'pointerdown', point, event);
+                const handle = this._dragHandle(target);
+                if (handle) {
+                    state.drag = { object: handle, last: point, state: handle.draggable ? handle._beginDrag(point) : null };
+                    const element = this.canvas.canvas;
+                    if (element.setPointerCapture && event.pointerId !== undefined) element.setPointerCapture(event.pointerId);
+                    this._dispatch(handle, 'dragstart', point, event);
+                    this._updateCursor();
                 }
-                 if (!tween.isActive && item._hasStartedInternal && this.currentTime < tweenEndTime) {
-                    // This implies tween finished prematurely, or was reset. If currentTime is still in its range, it might need to run.
-                    // This path should ideally not be hit if logic is correct.
-                 }
-                 if(item._hasStartedInternal && !tween.isActive && this.currentTime < tweenEndTime) {
-                    // If a tween is not active but should be (e.g. after seeking back and playing forward)
-                    // Handled by the first `if` block mostly.
-                 }
-                 if(tween.isActive) allComplete = false; // If any tween is still active, timeline is not complete
+            } else if (type === 'pointermove') {
+                if (drag) {
+                    if (drag.state) drag.object._dragTo(drag.state, point);
+                    this._dispatch(drag.object, 'drag', point, event, { delta: point.sub(drag.last) });
+                    drag.last = point;
+                }
+                this._setHover(drag ? drag.object : this.hitTest(point), point, event);
+                if (state.hover) this._dispatch(state.hover, 'pointermove', point, event);
+            } else if (type === 'pointerleave') {
+                if (!drag) this._setHover(null, point, event);
+            } else { // pointerup, pointercancel
+                const hit = this.hitTest(point);
+                const target = drag ? drag.object : hit;
+                if (target) this._dispatch(target, type, point, event);
+                if (drag) {
+                    state.drag = null;
+                    this._dispatch(drag.object, 'dragend', point, event);
+                }
+                const down = state.down;
+                state.down = null;
+                if (type === 'pointerup' && down && hit === down.target &&
+                    Math.hypot(event.clientX - down.clientX, event.clientY - down.clientY) <= this.hitTolerance) {
+                    this._dispatch(hit, 'click', point, event);
+                }
+                this._setHover(hit, point, event);
+                this._updateCursor();
             }
+        }
 
-            if (this.currentTime >= this.duration) {
-                if (this.loop) {
-                    this.currentTime = this.currentTime % this.duration; // Or = 0 for strict loop start
-                    this.resetAllTweensState();
-                     // After reset, re-evaluate initial states for the new loop iteration
-                    this.update(0); // Call update with 0 delta to set initial states for new loop
-                } else {
-                    this.isPlaying = false;
-                    // Ensure all tweens are set to their final state if currentTime slightly overshot.
-                    for (const item of this.tweensWithMeta) {
-                        if (item._hasStartedInternal && item.tween.isActive) {
-                            item.tween.setProgress(1);
-                        }
+        // Sends 'leave' to the object the pointer left and 'enter' to the one it is over now (neither bubbles).
+        _setHover(target, point, event) {
+            const previous = this._pointer.hover;
+            if (target === previous) return;
+            this._pointer.hover = target;
+            if (previous) this._dispatch(previous, 'leave', point, event, {}, false);
+            if (target) this._dispatch(target, 'enter', point, event, {}, false);
+            this._updateCursor();
+        }
+
+        // 'grab' over draggable objects and 'grabbing' while dragging; the cursor is left alone otherwise.
+        _updateCursor() {
+            const state = this._pointer, style = this.canvas.canvas.style;
+            const cursor = state.drag ? 'grabbing' : state.hover && this._dragHandle(state.hover) ? 'grab' : null;
+            if (cursor === state.cursor || !style) return;
+            style.cursor = cursor || '';
+            state.cursor = cursor;
+        }
+
+        // Calls the handlers of `target` and then, unless bubbles is false or a handler calls stopPropagation(),
+        // of its ancestors. Handlers receive { type, target, currentTarget, point (scene), local (currentTarget's
+        // coordinates), originalEvent, stopPropagation() }, plus `delta` (scene units since the last one) for 'drag'
+        // and `key`, `shiftKey` for 'keydown' (which has no point).
+        _dispatch(target, type, point, originalEvent, extra = {}, bubbles = true) {
+            const event = {
+                type, target, currentTarget: null, point, local: null, originalEvent, ...extra,
+                stopped: false,
+                stopPropagation() { this.stopped = true; },
+            };
+            for (let obj = target; obj && !event.stopped; obj = bubbles ? obj.parent : null) {
+                event.currentTarget = obj;
+                event.local = point && obj.worldToLocal(point);
+                obj._emit(type, event);
+            }
+            return event;
+        }
+
+        // CSS-pixel-from-scene matrix: the canvas' origin and Y orientation, then the camera.
+        _viewMatrix() {
+            const origin = this.canvas.origin;
+            return multiplyMatrices({ a: 1, b: 0, c: 0, d: this.canvas.scaleY, e: origin.x, f: origin.y }, this.camera.matrix());
+        }
+
+        // Plain-data snapshot of the scene (objects, their hierarchy and the timelines driving them).
+        toJSON() {
+            const ids = new Map();
+            const objects = this.objects.map(obj => serializeObject(obj, ids)).filter(Boolean);
+            ids.set(this.camera, 'camera'); // Tweens may target the camera
+            const camera = { position: serializeValue(this.camera.position), zoom: this.camera.zoom, rotation: this.camera.rotation };
+            const timelines = this.activeTimelines.map(timeline => ({
+                loop: timeline.loop,
+                timeScale: timeline.timeScale,
+                tweens: timeline.tweensWithMeta
+                    .map(item => {
+                        const tween = serializeTween(item.tween, ids);
+                        return tween && { startTime: item.startTime, ...tween };
+                    })
+                    .filter(Boolean),
+            }));
+            // Plots linked to an Axes, as [plot id, axes id], once every object has an id
+            const axesLinks = [...ids].filter(([obj]) => obj.axes && ids.has(obj.axes)).map(([obj, id]) => [id, ids.get(obj.axes)]);
+            // Ids of objects sharing one params object (e.g. a Slider and the plots it drives), so they share it again
+            const paramsGroups = new Map();
+            for (const [obj, id] of ids) {
+                if (obj.params && typeof obj.params === 'object') paramsGroups.set(obj.params, [...(paramsGroups.get(obj.params) || []), id]);
+            }
+            const sharedParams = [...paramsGroups.values()].filter(group => group.length > 1);
+            return { version: 1, backgroundColor: this.backgroundColor, camera, objects, axesLinks, sharedParams, timelines };
+        }
+
+        static fromJSON(canvas, data) {
+            if (typeof data === 'string') data = JSON.parse(data);
+            const scene = new Scene(canvas);
+            scene.backgroundColor = data.backgroundColor === undefined ? null : data.backgroundColor;
+            if (data.camera) {
+                scene.camera.position = deserializeValue(data.camera.position);
+                scene.camera.zoom = data.camera.zoom;
+                scene.camera.rotation = data.camera.rotation;
+            }
+            const objectsById = new Map([['camera', scene.camera]]);
+            const sharedParams = new Map();
+            for (const ids of data.sharedParams || []) {
+                const group = { params: null };
+                for (const id of ids) sharedParams.set(id, group);
+            }
+            for (const objData of data.objects || []) {
+                const obj = deserializeObject(objData, objectsById, sharedParams);
+                if (obj) scene.add(obj);
+            }
+            for (const [id, axesId] of data.axesLinks || []) {
+                const obj = objectsById.get(id), axes = objectsById.get(axesId);
+                if (obj && axes) obj.axes = axes;
+            }
+            for (const timelineData of data.timelines || []) {
+                const timeline = new Timeline(scene);
+                timeline.setLoop(!!timelineData.loop);
+                timeline.setTimeScale(timelineData.timeScale === undefined ? 1 : timelineData.timeScale);
+                for (const tweenData of timelineData.tweens || []) {
+                    const tween = deserializeTween(tweenData, objectsById, scene);
+                    if (tween) timeline.add(tween, tweenData.startTime);
+                }
+            }
+            return scene;
+        }
+
+        // Vector export of the whole scene graph, using the canvas' origin and Y orientation and the camera.
+        toSVG(options = {}) {
+            const width = this.canvas.cssWidth;
+            const height = this.canvas.cssHeight;
+            const view = this._viewMatrix();
+            const background = options.background !== undefined ? options.background : this.backgroundColor;
+            let body = '';
+            if (background) body += `<rect width="${svgNum(width)}" height="${svgNum(height)}" fill="${escapeXML(background)}"/>\n`;
+            const content = this.objects.map(obj => obj.toSVG(this)).join('\n');
+            body += `<g transform="matrix(${[view.a, view.b, view.c, view.d, view.e, view.f].map(svgNum).join(' ')})">\n${content}\n</g>`;
+            return `<svg xmlns="http://www.w3.org/2000/svg" width="${svgNum(width)}" height="${svgNum(height)}" viewBox="0 0 ${svgNum(width)} ${svgNum(height)}">\n${body}\n</svg>`;
+        }
+
+        render() {
+            this.canvas.clear(this.backgroundColor);
+            this.ctx.save();
+            this.camera.apply(this.ctx);
+            this.objects.forEach(obj => {
+                if (obj.visible) {
+                    obj.draw(this.ctx, this);
+                }
+            });
+            this.ctx.restore();
+        }
+    }
+
+    // RECORDING BACKENDS
+    // A recorder receives every frame rendered between Animation.startRecording() and stopRecording():
+    //   start(canvasEl, options)    Prepares the backend. Throws if it cannot run here.
+    //   capture(canvasEl, frame)    Stores one frame ({ index, time }). May return a Promise; renderFrames() waits for it.
+    //   stop()                      Returns a Promise resolving to the finished Blob (or null if frames were streamed).
+    //   abort()                     Discards everything captured so far.
+    // `fileExtension` names the extension used when the result is downloaded.
+
+    function canvasToBlob(canvasEl, type = 'image/png', quality) {
+        if (typeof canvasEl.convertToBlob === 'function') { // OffscreenCanvas
+            return canvasEl.convertToBlob({ type, quality });
+        }
+        return new Promise((resolve, reject) => {
+            canvasEl.toBlob(blob => blob ? resolve(blob) : reject(new Error(`Could not encode frame as ${type}`)), type, quality);
+        });
+    }
+
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function createScratchCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+        const el = document.createElement('canvas');
+        el.width = width;
+        el.height = height;
+        return el;
+    }
+
+    // Reads the pixels of a frame, resampled to width x height if those differ from the canvas size.
+    function readFramePixels(canvasEl, width, height) {
+        let source = canvasEl;
+        if (width !== canvasEl.width || height !== canvasEl.height) {
+            source = createScratchCanvas(width, height);
+            source.getContext('2d').drawImage(canvasEl, 0, 0, width, height);
+        }
+        return source.getContext('2d').getImageData(0, 0, width, height);
+    }
+
+    function concatBytes(parts) {
+        let length = 0;
+        for (const part of parts) length += part.length;
+        const out = new Uint8Array(length);
+        let offset = 0;
+        for (const part of parts) {
+            out.set(part, offset);
+            offset += part.length;
+        }
+        return out;
+    }
+
+    const CRC32_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 255] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // Minimal ZIP writer (entries are stored uncompressed; PNG and JPEG data is already compressed).
+    class ZipWriter {
+        constructor() {
+            this.parts = [];
+            this.centralDirectory = [];
+            this.offset = 0;
+        }
+
+        addFile(name, bytes) {
+            const nameBytes = new TextEncoder().encode(name);
+            const crc = crc32(bytes);
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true); // Local file header signature
+            header.setUint16(4, 20, true);         // Version needed to extract
+            header.setUint16(8, 0, true);          // Compression: stored
+            header.setUint32(14, crc, true);
+            header.setUint32(18, bytes.length, true);
+            header.setUint32(22, bytes.length, true);
+            header.setUint16(26, nameBytes.length, true);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true); // Central directory header signature
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, bytes.length, true);
+            entry.setUint32(24, bytes.length, true);
+            entry.setUint16(28, nameBytes.length, true);
+            entry.setUint32(42, this.offset, true);
+
+            this.parts.push(new Uint8Array(header.buffer), nameBytes, bytes);
+            this.centralDirectory.push(new Uint8Array(entry.buffer), nameBytes);
+            this.offset += 30 + nameBytes.length + bytes.length;
+        }
+
+        finish() {
+            const directory = concatBytes(this.centralDirectory);
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054b50, true); // End of central directory signature
+            end.setUint16(8, this.centralDirectory.length / 2, true);
+            end.setUint16(10, this.centralDirectory.length / 2, true);
+            end.setUint32(12, directory.length, true);
+            end.setUint32(16, this.offset, true);
+            return new Blob([...this.parts, directory, new Uint8Array(end.buffer)], { type: 'application/zip' });
+        }
+    }
+
+    // PNG/JPEG image sequence. Frames are either streamed to options.onFrame(blob, index, filename)
+    // or collected into a single ZIP archive.
+    class FrameSequenceRecorder {
+        start(canvasEl, options = {}) {
+            const format = (options.format || 'png').toLowerCase();
+            this.mimeType = (format === 'jpg' || format === 'jpeg') ? 'image/jpeg' : 'image/png';
+            this.imageExtension = this.mimeType === 'image/jpeg' ? 'jpg' : 'png';
+            this.quality = options.quality;
+            this.name = options.name || 'frame';
+            this.onFrame = options.onFrame || null;
+            this.zip = this.onFrame ? null : new ZipWriter();
+            this.fileExtension = 'zip';
+            this._pending = Promise.resolve();
+        }
+
+        capture(canvasEl, frame) {
+            const filename = `${this.name}-${String(frame.index).padStart(5, '0')}.${this.imageExtension}`;
+            // The canvas is encoded immediately so the next frame cannot overwrite it; storing is chained to keep order.
+            const encoded = canvasToBlob(canvasEl, this.mimeType, this.quality);
+            this._pending = this._pending.then(() => encoded).then(async blob => {
+                if (this.onFrame) {
+                    await this.onFrame(blob, frame.index, filename);
+                } else if (this.zip) {
+                    this.zip.addFile(filename, new Uint8Array(await blob.arrayBuffer()));
+                }
+            });
+            return this._pending;
+        }
+
+        async stop() {
+            await this._pending;
+            return this.zip ? this.zip.finish() : null;
+        }
+
+        abort() {
+            this.zip = null;
+            this.onFrame = null;
+        }
+    }
+
+    // Pure-JS animated GIF encoder: one 256-colour palette per frame (median cut), LZW-compressed.
+    class GifRecorder {
+        start(canvasEl, options = {}) {
+            this.width = Math.round(options.width || canvasEl.width);
+            this.height = Math.round(options.height || (options.width ? canvasEl.height * options.width / canvasEl.width : canvasEl.height));
+            this.framerate = options.framerate || 30;
+            this.background = parseColor(options.background || 'white') || { r: 255, g: 255, b: 255 };
+            this.repeat = options.repeat === undefined ? 0 : options.repeat; // 0 loops forever, -1 plays once
+            this.fileExtension = 'gif';
+            this.parts = [this._header()];
+        }
+
+        capture(canvasEl, frame) {
+            const image = readFramePixels(canvasEl, this.width, this.height);
+            const { palette, indices } = this._quantize(image.data);
+            // Delays are in hundredths of a second; rounding the running total keeps the clip length exact.
+            const delay = Math.round((frame.index + 1) * 100 / this.framerate) - Math.round(frame.index * 100 / this.framerate);
+            this.parts.push(this._frame(palette, indices, Math.max(delay, 2)));
+        }
+
+        async stop() {
+            this.parts.push(new Uint8Array([0x3B])); // Trailer
+            const blob = new Blob(this.parts, { type: 'image/gif' });
+            this.parts = [];
+            return blob;
+        }
+
+        abort() {
+            this.parts = [];
+        }
+
+        _header() {
+            const bytes = [0x47, 0x49, 0x46, 0x38, 0x39, 0x61]; // "GIF89a"
+            bytes.push(this.width & 255, this.width >> 8, this.height & 255, this.height >> 8, 0, 0, 0);
+            if (this.repeat >= 0) { // NETSCAPE2.0 looping extension
+                bytes.push(0x21, 0xFF, 0x0B, ...Array.from('NETSCAPE2.0', ch => ch.charCodeAt(0)), 0x03, 0x01,
+                    this.repeat & 255, this.repeat >> 8, 0x00);
+            }
+            return new Uint8Array(bytes);
+        }
+
+        _quantize(rgba) {
+            const pixelCount = rgba.length / 4;
+            const bg = this.background;
+            const keys = new Uint16Array(pixelCount);
+            const counts = new Uint32Array(32768);
+            const sums = new Float64Array(32768 * 3);
+            for (let i = 0; i < pixelCount; i++) {
+                const a = rgba[i * 4 + 3] / 255;
+                const r = rgba[i * 4] * a + bg.r * (1 - a);
+                const g = rgba[i * 4 + 1] * a + bg.g * (1 - a);
+                const b = rgba[i * 4 + 2] * a + bg.b * (1 - a);
+                const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+                keys[i] = key;
+                counts[key]++;
+                sums[key * 3] += r;
+                sums[key * 3 + 1] += g;
+                sums[key * 3 + 2] += b;
+            }
+
+            // Median cut over the 15-bit colour buckets, weighted by pixel count.
+            const makeBox = bucketKeys => {
+                const min = [31, 31, 31], max = [0, 0, 0];
+                let count = 0;
+                for (const key of bucketKeys) {
+                    const c = [key >> 10, (key >> 5) & 31, key & 31];
+                    for (let ch = 0; ch < 3; ch++) {
+                        if (c[ch] < min[ch]) min[ch] = c[ch];
+                        if (c[ch] > max[ch]) max[ch] = c[ch];
                     }
-                    if (this.onCompleteCallback) this.onCompleteCallback();
+                    count += counts[key];
+                }
+                const ranges = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+                const channel = ranges.indexOf(Math.max(...ranges));
+                return { keys: bucketKeys, channel, score: ranges[channel] * count };
+            };
+            const used = [];
+            for (let key = 0; key < 32768; key++) if (counts[key] > 0) used.push(key);
+            const boxes = [makeBox(used)];
+            while (boxes.length < 256) {
+                let target = null;
+                for (const box of boxes) {
+                    if (box.keys.length > 1 && box.score > 0 && (!target || box.score > target.score)) target = box;
+                }
+                if (!target) break;
+                const shift = [10, 5, 0][target.channel];
+                const sorted = target.keys.slice().sort((k1, k2) => ((k1 >> shift) & 31) - ((k2 >> shift) & 31));
+                let half = 0, total = 0;
+                for (const key of sorted) total += counts[key];
+                let split = 1;
+                for (let i = 0; i < sorted.length - 1; i++) {
+                    half += counts[sorted[i]];
+                    split = i + 1;
+                    if (half * 2 >= total) break;
+                }
+                boxes.splice(boxes.indexOf(target), 1, makeBox(sorted.slice(0, split)), makeBox(sorted.slice(split)));
+            }
+
+            const palette = new Uint8Array(256 * 3);
+            const lookup = new Uint8Array(32768);
+            boxes.forEach((box, i) => {
+                let r = 0, g = 0, b = 0, n = 0;
+                for (const key of box.keys) {
+                    r += sums[key * 3];
+                    g += sums[key * 3 + 1];
+                    b += sums[key * 3 + 2];
+                    n += counts[key];
+                    lookup[key] = i;
                 }
+                palette[i * 3] = Math.round(r / n);
+                palette[i * 3 + 1] = Math.round(g / n);
+                palette[i * 3 + 2] = Math.round(b / n);
+            });
+
+            const indices = new Uint8Array(pixelCount);
+            for (let i = 0; i < pixelCount; i++) indices[i] = lookup[keys[i]];
+            return { palette, indices };
+        }
+
+        _frame(palette, indices, delay) {
+            const head = [
+                0x21, 0xF9, 0x04, 0x00, delay & 255, delay >> 8, 0x00, 0x00, // Graphic control extension
+                0x2C, 0, 0, 0, 0, this.width & 255, this.width >> 8, this.height & 255, this.height >> 8,
+                0x87, // Local colour table with 256 entries
+            ];
+            const data = lzwEncode(indices, 8);
+            const blocks = [];
+            for (let i = 0; i < data.length; i += 255) {
+                const size = Math.min(255, data.length - i);
+                blocks.push(size, ...data.subarray(i, i + size));
             }
+            blocks.push(0x00);
+            return concatBytes([new Uint8Array(head), palette, new Uint8Array([8]), new Uint8Array(blocks)]);
         }
-        
-        resetAllTweensState() {
-            for (const item of this.tweensWithMeta) {
-                item.tween.resetToStart();
-                item._hasStartedInternal = false;
+    }
+
+    function lzwEncode(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const out = [];
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+        let buffer = 0, bufferBits = 0;
+
+        const emit = code => {
+            buffer |= code << bufferBits;
+            bufferBits += codeSize;
+            while (bufferBits >= 8) {
+                out.push(buffer & 255);
+                buffer >>>= 8;
+                bufferBits -= 8;
+            }
+        };
+
+        emit(clearCode);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const k = indices[i];
+            const key = (prefix << 8) | k;
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+            emit(prefix);
+            if (nextCode === 4096) { // Table full: start over
+                emit(clearCode);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
             }
+            prefix = k;
         }
+        emit(prefix);
+        emit(endCode);
+        if (bufferBits > 0) out.push(buffer & 255);
+        return new Uint8Array(out);
+    }
 
-        setLoop(loop) { this.loop = loop; return this; }
-        setTimeScale(scale) { this.timeScale = scale; return this; }
-        then(callback) { this.onCompleteCallback = callback; return this; }
+    // EBML helpers for the WebM muxer. Element sizes always use the 8-byte form for simplicity.
+    function ebml(id, ...children) {
+        const payload = concatBytes(children.map(c => c instanceof Uint8Array ? c : new Uint8Array(c)));
+        const idBytes = [];
+        for (let v = id; v > 0; v = Math.floor(v / 256)) idBytes.unshift(v & 255);
+        const size = [0x01];
+        for (let i = 6; i >= 0; i--) size.push(Math.floor(payload.length / Math.pow(2, i * 8)) & 255);
+        return concatBytes([new Uint8Array(idBytes), new Uint8Array(size), payload]);
+    }
 
-        dispose() {
-            if (this.sceneRef && this.sceneRef.removeTimeline) {
-                this.sceneRef.removeTimeline(this);
-            }
-            this.tweensWithMeta.forEach(item => {
-                // Clean up tween's _managedByTimeline if necessary, though tweens might be reused.
-                // item.tween._managedByTimeline = false; 
-            });
-            this.tweensWithMeta = [];
-        }
+    function ebmlUint(id, value) {
+        const bytes = [];
+        do {
+            bytes.unshift(value & 255);
+            value = Math.floor(value / 256);
+        } while (value > 0);
+        return ebml(id, bytes);
     }
 
+    function ebmlFloat(id, value) {
+        const view = new DataView(new ArrayBuffer(8));
+        view.setFloat64(0, value);
+        return ebml(id, new Uint8Array(view.buffer));
+    }
 
-    // SCENE CLASS
-    class Scene {
-        constructor(canvas) {
-            this.canvas = canvas;
-            this.ctx = canvas.ctx; 
-            this.objects = [];
-            this.backgroundColor = null;
-            this.activeTweens = [];
-            this.activeTimelines = []; // For managing timelines
-        }
+    function ebmlString(id, value) {
+        return ebml(id, new TextEncoder().encode(value));
+    }
 
-        add(object) {
-            if (object instanceof SceneObject) {
-                this.objects.push(object);
-                object.sceneRef = this; 
-            } else {
-                console.warn("Attempted to add non-SceneObject to scene:", object);
+    function muxWebM(chunks, { width, height, codecId, durationMs }) {
+        const header = ebml(0x1A45DFA3,
+            ebmlUint(0x4286, 1), ebmlUint(0x42F7, 1), ebmlUint(0x42F2, 4), ebmlUint(0x42F3, 8),
+            ebmlString(0x4282, 'webm'), ebmlUint(0x4287, 2), ebmlUint(0x4285, 2));
+        const info = ebml(0x1549A966,
+            ebmlUint(0x2AD7B1, 1000000), // Timestamps in milliseconds
+            ebmlString(0x4D80, 'SciAnim'), ebmlString(0x5741, 'SciAnim'),
+            ebmlFloat(0x4489, durationMs));
+        const tracks = ebml(0x1654AE6B, ebml(0xAE,
+            ebmlUint(0xD7, 1), ebmlUint(0x73C5, 1), ebmlUint(0x9C, 0),
+            ebmlString(0x86, codecId), ebmlUint(0x83, 1),
+            ebml(0xE0, ebmlUint(0xB0, width), ebmlUint(0xBA, height))));
+
+        const clusters = [];
+        let clusterStart = 0, blocks = [];
+        const flush = () => {
+            if (blocks.length) clusters.push(ebml(0x1F43B675, ebmlUint(0xE7, clusterStart), ...blocks));
+            blocks = [];
+        };
+        for (const chunk of chunks) {
+            const timeMs = Math.round(chunk.timestamp / 1000);
+            if (blocks.length === 0 || chunk.key || timeMs - clusterStart > 30000) {
+                flush();
+                clusterStart = timeMs;
             }
-            return this;
+            const relative = timeMs - clusterStart;
+            blocks.push(ebml(0xA3, [0x81, (relative >> 8) & 255, relative & 255, chunk.key ? 0x80 : 0x00], chunk.data));
         }
+        flush();
+        return new Blob([header, ebml(0x18538067, info, tracks, ...clusters)], { type: 'video/webm' });
+    }
 
-        remove(object) {
-            const index = this.objects.indexOf(object);
-            if (index > -1) {
-                this.objects.splice(index, 1);
-                object.sceneRef = null;
+    // WebM video. Uses WebCodecs (exact frame timestamps, suitable for renderFrames) when available,
+    // otherwise falls back to MediaRecorder, which timestamps frames with the wall clock.
+    class WebMRecorder {
+        start(canvasEl, options = {}) {
+            this.framerate = options.framerate || 30;
+            this.fileExtension = 'webm';
+            this._error = null;
+            if (typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined' && options.webCodecs !== false) {
+                this.mode = 'webcodecs';
+                this.width = canvasEl.width - (canvasEl.width % 2);
+                this.height = canvasEl.height - (canvasEl.height % 2);
+                this.codecId = options.codec === 'vp9' ? 'V_VP9' : 'V_VP8';
+                this.keyInterval = Math.max(1, Math.round(this.framerate * 2));
+                this.chunks = [];
+                this.encoder = new VideoEncoder({
+                    output: chunk => {
+                        const data = new Uint8Array(chunk.byteLength);
+                        chunk.copyTo(data);
+                        this.chunks.push({ data, timestamp: chunk.timestamp, key: chunk.type === 'key' });
+                    },
+                    error: e => { this._error = e; },
+                });
+                this.encoder.configure({
+                    codec: options.codec === 'vp9' ? 'vp09.00.10.08' : 'vp8',
+                    width: this.width,
+                    height: this.height,
+                    bitrate: options.bitrate || 8000000,
+                    framerate: this.framerate,
+                });
+            } else if (typeof MediaRecorder !== 'undefined' && typeof canvasEl.captureStream === 'function') {
+                this.mode = 'mediarecorder';
+                const stream = canvasEl.captureStream(0); // Frames are pushed explicitly in capture()
+                this.track = stream.getVideoTracks()[0];
+                const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+                    .find(type => MediaRecorder.isTypeSupported(type));
+                this.parts = [];
+                this.mediaRecorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: options.bitrate || 8000000 });
+                this.mediaRecorder.ondataavailable = e => { if (e.data && e.data.size > 0) this.parts.push(e.data); };
+                this.mediaRecorder.start();
+            } else {
+                throw new Error("WebM recording needs WebCodecs (VideoEncoder) or MediaRecorder with canvas.captureStream().");
             }
-            return this;
         }
-        
-        addTween(tween) {
-            if (!this.activeTweens.includes(tween)) {
-                this.activeTweens.push(tween);
+
+        capture(canvasEl, frame) {
+            if (this._error) throw this._error;
+            if (this.mode === 'webcodecs') {
+                const videoFrame = new VideoFrame(canvasEl, {
+                    timestamp: Math.round(frame.index * 1e6 / this.framerate),
+                    duration: Math.round(1e6 / this.framerate),
+                });
+                this.encoder.encode(videoFrame, { keyFrame: frame.index % this.keyInterval === 0 });
+                videoFrame.close();
+                this.frameCount = frame.index + 1;
+                if (this.encoder.encodeQueueSize > 16) return this.encoder.flush(); // Back-pressure for offline rendering
+            } else if (this.track && this.track.requestFrame) {
+                this.track.requestFrame();
             }
         }
 
-        removeTween(tween) {
-            const index = this.activeTweens.indexOf(tween);
-            if (index > -1) {
-                this.activeTweens.splice(index, 1);
+        async stop() {
+            if (this.mode === 'webcodecs') {
+                await this.encoder.flush();
+                this.encoder.close();
+                if (this._error) throw this._error;
+                return muxWebM(this.chunks, {
+                    width: this.width,
+                    height: this.height,
+                    codecId: this.codecId,
+                    durationMs: (this.frameCount || 0) * 1000 / this.framerate,
+                });
             }
+            await new Promise(resolve => {
+                this.mediaRecorder.onstop = resolve;
+                this.mediaRecorder.stop();
+            });
+            this.track.stop();
+            return new Blob(this.parts, { type: 'video/webm' });
         }
 
-        addTimeline(timeline) {
-            if (!this.activeTimelines.includes(timeline)) {
-                this.activeTimelines.push(timeline);
-                timeline.sceneRef = this;
-            }
+        abort() {
+            try {
+                if (this.mode === 'webcodecs') this.encoder.close();
+                else {
+                    this.mediaRecorder.stop();
+                    this.track.stop();
+                }
+            } catch (e) { /* already closed */ }
         }
+    }
 
-        removeTimeline(timeline) {
-            const index = this.activeTimelines.indexOf(timeline);
-            if (index > -1) {
-                this.activeTimelines.splice(index, 1);
+    // Adapter for CCapture.js, used by default when the CCapture global is loaded.
+    class CCaptureRecorder {
+        start(canvasEl, options = {}) {
+            if (typeof CCapture === 'undefined') {
+                throw new Error("CCapture.js is not loaded. Please include it or choose a built-in recorder backend.");
             }
+            const format = options.format || 'webm';
+            this.fileExtension = (format === 'png' || format === 'jpg') ? 'tar' : format;
+            this.capturer = new CCapture(options);
+            this.capturer.start();
         }
 
+        capture(canvasEl) {
+            this.capturer.capture(canvasEl);
+        }
 
-        update(deltaTime) {
-            // Update standalone tweens
-            for (let i = this.activeTweens.length - 1; i >= 0; i--) {
-                const tween = this.activeTweens[i];
-                if (tween.isActive) { 
-                    tween.update(deltaTime);
-                } else { 
-                    // If a tween became inactive not through its own onComplete->removeTween cycle
-                    // (e.g. externally set isActive = false), remove it.
-                    this.removeTween(tween); 
-                }
-            }
-            // Update timelines
-            for (let i = this.activeTimelines.length - 1; i >= 0; i--) {
-                const timeline = this.activeTimelines[i];
-                if (timeline.isPlaying) {
-                    timeline.update(deltaTime);
-                } else if (!timeline.isPlaying && timeline.currentTime >= timeline.duration && !timeline.loop) {
-                    // Non-looping timeline finished, can be removed if desired (or keep for seeking)
-                    // For now, let them persist unless explicitly disposed.
-                }
-            }
-            this.objects.forEach(obj => obj.update(deltaTime, this));
+        stop() {
+            this.capturer.stop();
+            return new Promise(resolve => this.capturer.save(blob => resolve(blob)));
         }
 
-        render() {
-            this.canvas.clear(this.backgroundColor);
-            this.objects.forEach(obj => {
-                if (obj.visible) {
-                    obj.draw(this.ctx, this);
-                }
-            });
+        abort() {
+            try {
+                this.capturer.stop(); // CCapture has no abort; stopping without save() frees what it can
+            } catch (e) { /* ignore errors on abort-like stop */ }
         }
     }
 
@@ -1244,9 +8691,12 @@ const SciAnim = (() => {
             this.rafId = null;
             this.targetFPS = targetFPS;
             this.frameInterval = targetFPS ? 1000 / targetFPS : 0;
+            this.isRenderingFrames = false;
+            this._abortRenderFrames = false;
 
-            this.capturer = null;
+            this.capturer = null; // Active recorder backend
             this.isRecording = false;
+            this.recordedFrameCount = 0;
             this.recordingOptions = {
                 format: 'webm',
                 framerate: this.targetFPS || 60, // Default to targetFPS or 60
@@ -1259,7 +8709,7 @@ const SciAnim = (() => {
         }
 
         start() {
-            if (this.isRunning) return;
+            if (this.isRunning || this.isRenderingFrames) return;
             this.isRunning = true;
             this.lastTime = performance.now();
             
@@ -1276,19 +8726,83 @@ const SciAnim = (() => {
                 this.lastTime = currentTime - (this.targetFPS ? deltaTimeMs % this.frameInterval : 0);
                 const deltaTimeSeconds = (this.targetFPS ? this.frameInterval : deltaTimeMs) / 1000;
 
-                this.scene.update(deltaTimeSeconds);
-                this.scene.render();
+                this._step(deltaTimeSeconds);
+            };
+            this.rafId = requestAnimationFrame(animate);
+        }
 
-                if (this.isRecording && this.capturer) {
-                    try {
-                        this.capturer.capture(this.scene.canvas.canvas);
-                    } catch (e) {
-                        console.error("CCapture.js: Error during frame capture.", e);
-                        this.stopRecording(false); // Stop recording without saving if capture fails
+        // Advances the scene by exactly deltaTimeSeconds, draws it and hands the frame to the recorder.
+        // Returns the recorder's Promise when it captures asynchronously.
+        _step(deltaTimeSeconds) {
+            this.scene.update(deltaTimeSeconds);
+            this.scene.render();
+
+            if (this.isRecording && this.capturer) {
+                const frame = { index: this.recordedFrameCount, time: this.recordedFrameCount / this._recordingFramerate };
+                this.recordedFrameCount++;
+                try {
+                    const result = this.capturer.capture(this.scene.canvas.canvas, frame);
+                    if (result && typeof result.then === 'function') {
+                        return result.catch(e => this._onCaptureError(e));
                     }
+                } catch (e) {
+                    this._onCaptureError(e);
                 }
-            };
-            this.rafId = requestAnimationFrame(animate);
+            }
+            return null;
+        }
+
+        _onCaptureError(e) {
+            console.error("Animation: Error during frame capture.", e);
+            if (this.isRecording) this.stopRecording(false); // Stop recording without saving if capture fails
+        }
+
+        // Offline rendering on a virtual clock: every frame advances the scene by exactly 1/fps seconds,
+        // regardless of how long the frame takes to produce. Frame i shows the scene at time i / fps.
+        async renderFrames(options = {}) {
+            if (this.isRenderingFrames) {
+                console.warn("Animation.renderFrames: Offline rendering is already in progress.");
+                return 0;
+            }
+            const fps = options.fps || this.targetFPS || 60;
+            const duration = options.duration === undefined ? 0 : options.duration;
+            const frameCount = options.frameCount !== undefined ? options.frameCount : Math.round(duration * fps);
+            const deltaTime = 1 / fps;
+            const onFrame = options.onFrame || null;
+
+            if (!(fps > 0) || !Number.isFinite(frameCount) || frameCount < 0) {
+                console.error("Animation.renderFrames: 'fps' must be positive and 'duration' (or 'frameCount') finite.");
+                return 0;
+            }
+
+            // The real-time loop must not advance the scene while frames are being produced.
+            const wasRunning = this.isRunning;
+            if (wasRunning) this.stop();
+            this.isRenderingFrames = true;
+            this._abortRenderFrames = false;
+
+            let rendered = 0;
+            try {
+                for (let i = 0; i < frameCount; i++) {
+                    if (this._abortRenderFrames) break;
+                    const captured = this._step(i === 0 ? 0 : deltaTime);
+                    if (captured) await captured;
+                    rendered++;
+                    if (onFrame) {
+                        const result = await onFrame(this.scene.canvas.canvas, i, i * deltaTime);
+                        if (result === false) break; // Returning false from onFrame ends rendering early
+                    }
+                }
+            } finally {
+                this.isRenderingFrames = false;
+                this._abortRenderFrames = false;
+                if (wasRunning && options.resume !== false) this.start();
+            }
+            return rendered;
+        }
+
+        cancelRenderFrames() {
+            if (this.isRenderingFrames) this._abortRenderFrames = true;
         }
 
         stop() {
@@ -1299,65 +8813,122 @@ const SciAnim = (() => {
             }
         }
 
-        startRecording(options = {}) {
-            if (typeof CCapture === 'undefined') {
-                console.error("CCapture.js is not loaded. Please include it to use recording features.");
-                // alert("CCapture.js is not loaded. Recording disabled.");
-                return false;
+        static registerRecorder(name, RecorderClass) {
+            Animation.recorders[name] = RecorderClass;
+        }
+
+        _createRecorder(options) {
+            let recorder = options.recorder;
+            if (!recorder) {
+                if (options.backend) {
+                    recorder = options.backend;
+                } else if (typeof CCapture !== 'undefined') {
+                    recorder = 'ccapture'; // Keep CCapture.js as the default when the page loads it
+                } else {
+                    const format = (options.format || 'webm').toLowerCase();
+                    recorder = (format === 'png' || format === 'jpg' || format === 'jpeg') ? 'frames' : format;
+                }
+            }
+            if (typeof recorder === 'string') {
+                const RecorderClass = Animation.recorders[recorder];
+                if (!RecorderClass) throw new Error(`Unknown recorder backend '${recorder}'.`);
+                return new RecorderClass();
             }
+            return typeof recorder === 'function' ? new recorder() : recorder;
+        }
+
+        startRecording(options = {}) {
             if (this.isRecording) {
                 console.warn("Recording is already in progress.");
                 return false;
             }
 
             const currentRecOptions = { ...this.recordingOptions, ...options };
-            // Ensure capturer's framerate matches animation's targetFPS if possible
+            // Ensure the recorder's framerate matches animation's targetFPS if possible
             if (this.targetFPS && !options.framerate) {
                 currentRecOptions.framerate = this.targetFPS;
             }
-            
+
             try {
-                this.capturer = new CCapture(currentRecOptions);
-                this.capturer.start();
+                this.capturer = this._createRecorder(currentRecOptions);
+                this.capturer.start(this.scene.canvas.canvas, currentRecOptions);
                 this.isRecording = true;
-                console.log(`Recording started with CCapture.js (format: ${currentRecOptions.format}, framerate: ${currentRecOptions.framerate})`);
+                this.recordedFrameCount = 0;
+                this._recordingFramerate = currentRecOptions.framerate;
+                this._recordingName = currentRecOptions.name;
+                if (currentRecOptions.verbose) {
+                    console.log(`Recording started (${this.capturer.constructor.name}, format: ${currentRecOptions.format}, framerate: ${currentRecOptions.framerate})`);
+                }
                 return true;
             } catch (e) {
-                console.error("Failed to start CCapture.js recording:", e);
+                console.error("Failed to start recording:", e);
                 this.capturer = null;
                 this.isRecording = false;
                 return false;
             }
         }
 
-        stopRecording(saveFile = true) {
+        // Resolves to the recorded Blob (null when aborted, or when frames were streamed to a callback).
+        async stopRecording(saveFile = true) {
             if (!this.isRecording || !this.capturer) {
                 console.warn("Recording is not active or capturer not initialized.");
-                return;
+                return null;
             }
-            
+
+            const recorder = this.capturer;
             this.isRecording = false;
-            if (saveFile) {
-                console.log("Stopping recording and saving file...");
-                try {
-                    this.capturer.stop();
-                    this.capturer.save();
-                    console.log("CCapture.js: File processing initiated for download.");
-                } catch (e) {
-                    console.error("CCapture.js: Error during stop/save.", e);
+            this.capturer = null;
+            if (!saveFile) {
+                recorder.abort();
+                return null;
+            }
+            try {
+                const blob = await recorder.stop();
+                if (blob && saveFile !== 'blob') {
+                    downloadBlob(blob, `${this._recordingName}.${recorder.fileExtension}`);
                 }
-            } else {
-                console.log("Stopping recording without saving.");
-                // CCapture doesn't have a dedicated "abort" that cleans up temp resources,
-                // but stopping without save effectively does this.
-                try {
-                   this.capturer.stop(); // Stop to free resources if possible
-                } catch(e) { /* ignore errors on abort-like stop */ }
+                return blob;
+            } catch (e) {
+                console.error("Animation: Error while finishing the recording.", e);
+                return null;
             }
-            this.capturer = null;
+        }
+
+        // Records a Timeline from its first to its last frame on the virtual clock (see renderFrames).
+        // Resolves to the recorded Blob, like stopRecording().
+        async recordTimeline(timeline, options = {}) {
+            const fps = options.framerate || this.recordingOptions.framerate || this.targetFPS || 60;
+            if (timeline.sceneRef !== this.scene) this.scene.addTimeline(timeline);
+            const wasLooping = timeline.loop;
+            timeline.setLoop(false); // A looping timeline would wrap around on the final frame
+            timeline.playFromStart();
+
+            if (!this.startRecording({ ...options, framerate: fps })) {
+                timeline.setLoop(wasLooping);
+                return null;
+            }
+            try {
+                // One frame per 1/fps step, including the frame that shows the timeline's final state.
+                await this.renderFrames({ frameCount: Math.round(timeline.duration * fps) + 1, fps, resume: options.resume });
+            } catch (e) {
+                console.error("Animation.recordTimeline: Rendering failed.", e);
+                if (this.isRecording) await this.stopRecording(false);
+                return null;
+            } finally {
+                timeline.setLoop(wasLooping);
+            }
+            if (!this.isRecording) return null; // Capture failed and the recording was aborted
+            return this.stopRecording(options.save === undefined ? true : options.save);
         }
     }
 
+    Animation.recorders = {
+        frames: FrameSequenceRecorder,
+        gif: GifRecorder,
+        webm: WebMRecorder,
+        ccapture: CCaptureRecorder,
+    };
+
     // ENHANCED CANVAS WRAPPER
     class Canvas { 
         constructor(elmOrSelector, options = {}) {
@@ -1369,6 +8940,7 @@ const SciAnim = (() => {
             this.cssHeight = options.height || 300;
             this._origin = new Vec2(this.cssWidth / 2, this.cssHeight / 2);
             this._scale = new Vec2(1, -1); // Default flipY = true
+            this.camera = null; // Set by the Scene drawing on this canvas
 
             this.resize(this.cssWidth, this.cssHeight); // Applies initial DPR and coordinate system
             if (options.flipY === false) { // If explicitly set to false
@@ -1395,7 +8967,7 @@ const SciAnim = (() => {
             this._scale.set(1, flipY ? -1 : 1);
 
             // Always start from a clean slate considering DPR
-            this.ctx.setTransform(this._dpr, 0, 0, this._dpr * this._scale.x , this._dpr * this._scale.y, this._origin.x * this._dpr, this._origin.y * this._dpr);
+            this.ctx.setTransform(this._dpr * this._scale.x, 0, 0, this._dpr * this._scale.y, this._origin.x * this._dpr, this._origin.y * this._dpr);
         }
         
         get scaleY() { return this._scale.y; }
@@ -1417,42 +8989,417 @@ const SciAnim = (() => {
 
         getWorldMousePosition(event) {
             const rect = this.canvas.getBoundingClientRect();
-            let mouseX_css = event.clientX - rect.left; 
-            let mouseY_css = event.clientY - rect.top;
-
-            // Transform CSS pixel mouse coordinates to world coordinates
-            // Inverse of: screenX_dpr = worldX * scaleX_dpr + originX_dpr
-            // worldX = (screenX_dpr - originX_dpr) / scaleX_dpr
-            // Since mouse coords are CSS, we need to map them to the scaled DPR space first,
-            // or directly invert the transformation.
-            // Origin is in CSS pixels, scale is unitless. DPR is applied to canvas internal resolution.
-            
-            const worldX = (mouseX_css - this._origin.x) / this._scale.x;
-            const worldY = (mouseY_css - this._origin.y) / this._scale.y;
-            
-            return new Vec2(worldX, worldY);
+            const mouse = new Vec2(event.clientX - rect.left, event.clientY - rect.top); // CSS pixels
+
+            // Through the scene's camera when there is one, else the inverse of the coordinate system alone
+            if (this.camera) return this.camera.screenToWorld(mouse);
+            return new Vec2((mouse.x - this._origin.x) / this._scale.x, (mouse.y - this._origin.y) / this._scale.y);
+        }
+    }
+
+    // SERIALIZATION
+    // Registry of SceneObject types that Scene.toJSON() can save and Scene.fromJSON() can restore.
+    // serialize(obj) returns the type-specific fields, deserialize(props) builds a new instance from them;
+    // transform, style, visibility and children are handled for every type.
+    const serializers = new Map();
+
+    function registerSerializer(type, ctor, { serialize = () => ({}), deserialize = () => new ctor() } = {}) {
+        serializers.set(type, { type, ctor, serialize, deserialize });
+    }
+
+    function serializerFor(obj) {
+        // Exact class first, then the closest registered ancestor
+        for (let proto = Object.getPrototypeOf(obj); proto; proto = Object.getPrototypeOf(proto)) {
+            for (const entry of serializers.values()) {
+                if (entry.ctor.prototype === proto) {
+                    if (proto !== Object.getPrototypeOf(obj)) {
+                        console.warn(`Serialization: No serializer registered for ${obj.constructor.name}, saving it as ${entry.type}.`);
+                    }
+                    return entry;
+                }
+            }
+        }
+        return null;
+    }
+
+    function easingName(easingFn) {
+        const name = Object.keys(Easing).find(key => Easing[key] === easingFn);
+        if (!name) console.warn("Serialization: Custom easing functions cannot be saved, using 'linear'.");
+        return name || 'linear';
+    }
+
+    function serializeValue(value) {
+        if (value instanceof Vec2) return { $vec2: [value.x, value.y] };
+        if (typeof value === 'function') {
+            if (typeof value.expression === 'string') {
+                return value.equation ? { $expression: value.expression, variables: value.variables, equation: true } : { $expression: value.expression, variables: value.variables };
+            }
+            console.warn("Serialization: Functions without an expression string cannot be saved.");
+            return null;
+        }
+        if (Array.isArray(value)) return value.map(serializeValue);
+        if (value && typeof value === 'object') {
+            const out = {};
+            for (const key of Object.keys(value)) out[key] = serializeValue(value[key]);
+            return out;
+        }
+        return value;
+    }
+
+    function deserializeValue(data) {
+        if (Array.isArray(data)) return data.map(deserializeValue);
+        if (data && typeof data === 'object') {
+            if (Array.isArray(data.$vec2)) return new Vec2(data.$vec2[0], data.$vec2[1]);
+            if (typeof data.$expression === 'string') return compileExpression(data.$expression, { variables: data.variables, equation: !!data.equation });
+            const out = {};
+            for (const key of Object.keys(data)) out[key] = deserializeValue(data[key]);
+            return out;
+        }
+        return data;
+    }
+
+    function serializeObject(obj, ids) {
+        if (obj._transient) return null; // Drawn only while an animation runs, e.g. the shape in between of morph()
+        const entry = serializerFor(obj);
+        if (!entry) {
+            console.warn("Serialization: Skipping object of unregistered type", obj);
+            return null;
+        }
+        const id = ids.size;
+        ids.set(obj, id);
+        return {
+            type: entry.type,
+            id,
+            position: [obj.position.x, obj.position.y],
+            rotation: obj.rotation,
+            scale: [obj.scale.x, obj.scale.y],
+            alpha: obj.alpha,
+            visible: obj.visible,
+            ...(obj.draggable ? { draggable: obj.draggable } : {}),
+            style: serializeValue(obj.style),
+            props: serializeValue(entry.serialize(obj)),
+            children: obj.children.map(child => serializeObject(child, ids)).filter(Boolean),
+        };
+    }
+
+    function deserializeObject(data, objectsById, sharedParams = new Map()) {
+        const entry = serializers.get(data.type);
+        if (!entry) {
+            console.warn(`Serialization: Unknown object type '${data.type}', skipped.`);
+            return null;
+        }
+        const props = deserializeValue(data.props || {});
+        const group = sharedParams.get(data.id);
+        if (group && props.params) props.params = group.params = group.params || props.params; // The first one's copy for all
+        const obj = entry.deserialize(props);
+        if (data.position) obj.position.set(data.position[0], data.position[1]);
+        if (data.scale) obj.scale.set(data.scale[0], data.scale[1]);
+        if (data.rotation !== undefined) obj.rotation = data.rotation;
+        if (data.alpha !== undefined) obj.alpha = data.alpha;
+        if (data.visible !== undefined) obj.visible = data.visible;
+        if (data.draggable) obj.draggable = data.draggable;
+        Object.assign(obj.style, deserializeValue(data.style || {}));
+        objectsById.set(data.id, obj);
+        for (const childData of data.children || []) {
+            const child = deserializeObject(childData, objectsById, sharedParams);
+            if (child) obj.add(child);
+        }
+        return obj;
+    }
+
+    // A tween target is either a scene object or one of its own properties (e.g. its style or position).
+    function tweenTargetRef(target, ids) {
+        for (const [obj, id] of ids) {
+            if (target === obj) return { object: id };
+            for (const key of Object.keys(obj)) {
+                if (key === 'parent' || key === 'sceneRef' || key === 'children') continue;
+                if (obj[key] === target) return { object: id, path: key };
+            }
         }
+        return null;
+    }
+
+    // Tweens made by an object method (FunctionPlot.morphTo, BarChart.sortBars, Camera.frameTo, ...) drive internal
+    // transition objects that tweenTargetRef cannot name. Such methods set `tween._factory = { object, method, args }`,
+    // and the tween is saved as that call and rebuilt by making it again.
+    function serializeTween(tween, ids) {
+        if (tween._transient) return null;
+        const common = { duration: tween.duration, easing: easingName(tween.easingFn) };
+        if (tween.colorSpace !== 'rgb') common.colorSpace = tween.colorSpace;
+        if (tween._factory && ids.has(tween._factory.object)) {
+            const args = tween._factory.args.map(serializeValue);
+            if (args.includes(null)) return null;
+            return { object: ids.get(tween._factory.object), method: tween._factory.method, args, ...common };
+        }
+        const target = tweenTargetRef(tween.target, ids);
+        if (!target) {
+            console.warn("Serialization: Tween target is not part of the scene, tween skipped.", tween);
+            return null;
+        }
+        return { target, property: tween.propertyPath.join('.'), endValue: serializeValue(tween.endValue), ...common };
+    }
+
+    function deserializeTween(data, objectsById, scene) {
+        const easing = Easing[data.easing] || Easing.linear;
+        if (data.method) {
+            const obj = objectsById.get(data.object);
+            if (!obj || typeof obj[data.method] !== 'function') return null;
+            return obj[data.method](...deserializeValue(data.args), data.duration, easing);
+        }
+        const owner = objectsById.get(data.target.object);
+        if (!owner) return null;
+        const target = data.target.path ? owner[data.target.path] : owner;
+        const tween = new Tween(target, data.property, deserializeValue(data.endValue), data.duration, easing, scene);
+        return data.colorSpace ? tween.setColorSpace(data.colorSpace) : tween;
     }
 
+    registerSerializer('SceneObject', SceneObject);
+    registerSerializer('ValueTracker', ValueTracker, { // Updaters are not saved; always() groups keep their current object
+        serialize: obj => ({ value: obj.value }),
+        deserialize: props => new ValueTracker(props.value),
+    });
+    registerSerializer('Circle', Circle, {
+        serialize: obj => ({ radius: obj.radius }),
+        deserialize: props => new Circle(props.radius),
+    });
+    registerSerializer('Rectangle', Rectangle, {
+        serialize: obj => ({ width: obj.width, height: obj.height }),
+        deserialize: props => new Rectangle(props.width, props.height),
+    });
+    registerSerializer('LineSegment', LineSegment, {
+        serialize: obj => ({ endPoint: obj.endPoint }),
+        deserialize: props => new LineSegment(0, 0, props.endPoint.x, props.endPoint.y),
+    });
+    registerSerializer('VectorArrow', VectorArrow, {
+        serialize: obj => ({ target: obj.target, arrowSize: obj.arrowSize }),
+        deserialize: props => new VectorArrow(props.target, { arrowSize: props.arrowSize }),
+    });
+    registerSerializer('TextLabel', TextLabel, {
+        serialize: obj => ({
+            text: obj.text, maxWidth: obj.maxWidth, lineHeight: obj.lineHeight,
+            revealProgress: obj.revealProgress, writeProgress: obj.writeProgress,
+        }),
+        deserialize: props => Object.assign(new TextLabel(props.text, props), { revealProgress: props.revealProgress ?? 1, writeProgress: props.writeProgress ?? 1 }),
+    });
+    registerSerializer('MathLabel', MathLabel, {
+        serialize: obj => ({ tex: obj.tex, parts: obj.parts }),
+        deserialize: props => Object.assign(new MathLabel(props.tex), { parts: props.parts }),
+    });
+    registerSerializer('PolygonShape', PolygonShape, {
+        serialize: obj => ({ points: obj.points }),
+        deserialize: props => new PolygonShape(props.points),
+    });
+    registerSerializer('BezierPath', BezierPath, {
+        serialize: obj => ({ commands: obj.commands, drawProgress: obj.drawProgress }),
+        deserialize: props => new BezierPath(props.commands, { drawProgress: props.drawProgress }),
+    });
+    registerSerializer('GridSystem', GridSystem, {
+        serialize: obj => ({
+            width: obj.gridWidth, height: obj.gridHeight, cellSize: obj.cellSize,
+            showLabels: obj.showLabels, labelStyle: obj.labelStyle, minor: obj.minor,
+        }),
+        deserialize: props => new GridSystem(props.width, props.height, props.cellSize, { showLabels: props.showLabels, labelStyle: props.labelStyle, minor: props.minor }),
+    });
+    registerSerializer('Axes', Axes, {
+        serialize: obj => ({
+            xRange: obj.xRange, yRange: obj.yRange, xLength: obj.xLength, yLength: obj.yLength, corner: obj.corner,
+            xScale: obj.xScale, yScale: obj.yScale, xTicks: obj.xTicks, yTicks: obj.yTicks, minorTicks: obj.minorTicks, tickSize: obj.tickSize,
+            showLabels: obj.showLabels, labelPrecision: obj.labelPrecision, labelStyle: obj.labelStyle,
+            labelFormat: obj.labelFormat, xLabelFormat: obj.xLabelFormat, yLabelFormat: obj.yLabelFormat, // Formatter functions are not saved
+            xTitle: obj.xTitle, yTitle: obj.yTitle, titleStyle: obj.titleStyle,
+        }),
+        deserialize: props => new Axes(props.xRange, props.yRange, props),
+    });
+    registerSerializer('FunctionPlot', FunctionPlot, {
+        serialize: obj => ({
+            func: obj.func.expression ?? obj.func, params: obj.params,
+            xMin: obj.xMin, xMax: obj.xMax, numPoints: obj.numPoints, drawProgress: obj.drawProgress,
+            tolerance: obj.tolerance, maxDepth: obj.maxDepth,
+        }),
+        deserialize: props => {
+            const plot = new FunctionPlot(props.func || (() => NaN), props.xMin, props.xMax, props.numPoints, {
+                params: props.params, tolerance: props.tolerance, maxDepth: props.maxDepth,
+            });
+            plot.drawProgress = props.drawProgress;
+            return plot;
+        },
+    });
+    registerSerializer('ParametricPlot', ParametricPlot, {
+        serialize: obj => ({
+            fx: obj.fx.expression ?? obj.fx, fy: obj.fy.expression ?? obj.fy, params: obj.params,
+            tMin: obj.tMin, tMax: obj.tMax, numPoints: obj.numPoints, drawProgress: obj.drawProgress,
+            tolerance: obj.tolerance, maxDepth: obj.maxDepth,
+        }),
+        deserialize: props => {
+            const plot = new ParametricPlot(props.fx || (() => NaN), props.fy || (() => NaN), props.tMin, props.tMax, props.numPoints, {
+                params: props.params, tolerance: props.tolerance, maxDepth: props.maxDepth,
+            });
+            plot.drawProgress = props.drawProgress;
+            return plot;
+        },
+    });
+    registerSerializer('PolarPlot', PolarPlot, {
+        serialize: obj => ({
+            r: obj.r.expression ?? obj.r, params: obj.params,
+            thetaMin: obj.thetaMin, thetaMax: obj.thetaMax, numPoints: obj.numPoints, drawProgress: obj.drawProgress,
+            tolerance: obj.tolerance, maxDepth: obj.maxDepth,
+        }),
+        deserialize: props => {
+            const plot = new PolarPlot(props.r || (() => NaN), props.thetaMin, props.thetaMax, props.numPoints, {
+                params: props.params, tolerance: props.tolerance, maxDepth: props.maxDepth,
+            });
+            plot.drawProgress = props.drawProgress;
+            return plot;
+        },
+    });
+    registerSerializer('ImplicitPlot', ImplicitPlot, {
+        serialize: obj => ({
+            func: obj.func.expression ?? obj.func, params: obj.params,
+            xRange: obj.xRange, yRange: obj.yRange, resolution: obj.resolution, levels: obj.levels, drawProgress: obj.drawProgress,
+        }),
+        deserialize: props => {
+            const plot = new ImplicitPlot(props.func || (() => NaN), props.xRange, props.yRange, props.resolution, {
+                params: props.params, levels: props.levels,
+            });
+            plot.drawProgress = props.drawProgress;
+            return plot;
+        },
+    });
+    registerSerializer('VectorField', VectorField, {
+        serialize: obj => ({
+            func: obj.func.components ? obj.func.components.map(c => c.expression ?? c) : obj.func, params: obj.params,
+            xRange: obj.xRange, yRange: obj.yRange, spacing: obj.spacing, showArrows: obj.showArrows, colors: obj.colors,
+            magnitudeRange: obj.magnitudeRange, lengthScale: obj.lengthScale, maxLength: obj.maxLength, arrowSize: obj.arrowSize,
+            particles: obj.particles && {
+                count: obj.particles.count, speed: obj.particles.speed, lifetime: obj.particles.lifetime,
+                trailLength: obj.particles.trailLength, color: obj.particles.color, lineWidth: obj.particles.lineWidth, seed: obj.particles.seed,
+            },
+        }),
+        deserialize: props => new VectorField(props.func || (() => null), props.xRange, props.yRange, props.spacing, props),
+    });
+    const dataPlotSerializer = (PlotClass) => ({
+        serialize: obj => ({
+            data: obj.data.map(p => [p.x, p.y]), label: obj.label, marker: obj.marker, markerSize: obj.markerSize,
+            revealWindow: obj.revealWindow, drawProgress: obj.drawProgress,
+        }),
+        deserialize: props => {
+            const plot = new PlotClass(props.data, props);
+            plot.drawProgress = props.drawProgress;
+            return plot;
+        },
+    });
+    const heatmapSerializer = (PlotClass, extra = () => ({})) => ({
+        serialize: obj => ({
+            source: obj.source, xRange: obj.xRange, yRange: obj.yRange, resolution: obj.resolution, colormap: obj.colormap,
+            valueRange: obj.valueRange, smooth: obj.smooth, params: obj.params, ...extra(obj),
+        }),
+        deserialize: props => new PlotClass(props.source || (() => NaN), props.xRange, props.yRange, props),
+    });
+    registerSerializer('Heatmap', Heatmap, heatmapSerializer(Heatmap));
+    registerSerializer('ContourPlot', ContourPlot, heatmapSerializer(ContourPlot, obj => ({ levels: obj.levels, filled: obj.filled, showLines: obj.showLines })));
+    registerSerializer('Colorbar', Colorbar, { // The scale is saved as it looks now, not as a link to the plot
+        serialize: obj => ({
+            source: obj._scale(), length: obj.length, thickness: obj.thickness, orientation: obj.orientation, ticks: obj.ticks,
+            labelPrecision: obj.labelPrecision, title: obj.title, labelStyle: obj.labelStyle,
+        }),
+        deserialize: props => new Colorbar(props.source, props),
+    });
+    registerSerializer('ScatterPlot', ScatterPlot, dataPlotSerializer(ScatterPlot));
+    registerSerializer('LinePlot', LinePlot, dataPlotSerializer(LinePlot));
+    registerSerializer('BarChart', BarChart, {
+        serialize: obj => ({
+            values: obj.bars.map(bar => ({ label: bar.label, value: bar.value, color: bar.color })),
+            barWidth: obj.barWidth, start: obj.start, spacing: obj.spacing, revealWindow: obj.revealWindow,
+            labelStyle: obj.labelStyle, drawProgress: obj.drawProgress,
+        }),
+        deserialize: props => {
+            const chart = new BarChart(props.values, props);
+            chart.drawProgress = props.drawProgress;
+            return chart;
+        },
+    });
+    registerSerializer('Histogram', Histogram, {
+        serialize: obj => ({
+            data: obj.data, bins: obj.binSpec, range: obj.range, density: obj.density, barWidth: obj.barWidth,
+            revealWindow: obj.revealWindow, drawProgress: obj.drawProgress,
+        }),
+        deserialize: props => {
+            const histogram = new Histogram(props.data, props);
+            histogram.drawProgress = props.drawProgress;
+            return histogram;
+        },
+    });
+    registerSerializer('Legend', Legend, { // Entries are saved as they look now, not as links to the plots
+        serialize: obj => ({ items: obj._entries(), padding: obj.padding, symbolWidth: obj.symbolWidth, labelStyle: obj.labelStyle }),
+        deserialize: props => new Legend(props.items, props),
+    });
+    // Widgets save their settings and the params object; 'change' handlers and dependents are not saved
+    const widgetProps = obj => ({ params: obj.params, name: obj.name, label: obj.label, labelStyle: obj.labelStyle });
+    registerSerializer('Slider', Slider, {
+        serialize: obj => ({
+            ...widgetProps(obj), min: obj.min, max: obj.max, step: obj.step, valueScale: obj.valueScale, length: obj.length,
+            knobRadius: obj.knobRadius, labelFormat: typeof obj.labelFormat === 'function' ? 'auto' : obj.labelFormat,
+        }),
+        deserialize: props => new Slider(props.params, props.name, props),
+    });
+    registerSerializer('Toggle', Toggle, {
+        serialize: obj => ({ ...widgetProps(obj), appearance: obj.appearance, size: obj.size }),
+        deserialize: props => new Toggle(props.params, props.name, props),
+    });
+    registerSerializer('DragPoint', DragPoint, {
+        serialize: obj => ({
+            ...widgetProps(obj), radius: obj.radius, snap: typeof obj.snap === 'function' ? null : obj.snap,
+            xRange: obj.xRange, yRange: obj.yRange,
+        }),
+        deserialize: props => new DragPoint(props.params, props.name, props),
+    });
+
     // Expose public API
     return {
         Vec2,
         Easing,
         SceneObject,
+        ValueTracker,
         Circle,
         Rectangle,
         LineSegment,
         VectorArrow,
         TextLabel,
+        MathLabel,
         PolygonShape,
+        BezierPath,
         GridSystem,
         Axes,
         FunctionPlot,
+        ParametricPlot,
+        PolarPlot,
+        ImplicitPlot,
+        VectorField,
+        Heatmap,
+        ContourPlot,
+        Colorbar,
+        ScatterPlot,
+        LinePlot,
+        Legend,
+        BarChart,
+        Histogram,
+        Slider,
+        Toggle,
+        DragPoint,
         Tween,
         Timeline, // New
+        PhysicsWorld,
+        PhysicsBody,
         Scene,
+        Camera,
         Animation,
         Canvas,
+        ExpressionError,
+        colormaps: COLORMAPS,
+        always,
+        morph,
+        presets: PRESETS,
+        registerSerializer,
         utils: {
             getElem, 
             degToRad,
@@ -1460,14 +9407,16 @@ const SciAnim = (() => {
             mapRange,
             parseColor, 
             interpolateColor, 
+            compileExpression,
+            parseData,
+            colormapColor,
         }
     };
 })();
 
 
 // --- USAGE EXAMPLE ---
-// This example should be placed in a <script> tag after SciAnim.js,
-// and after CCapture.js scripts if recording is desired.
+// This example should be placed in a <script> tag after SciAnim.js.
 
 document.addEventListener('DOMContentLoaded', () => {
     let canvasEl = document.getElementById("canvas");
@@ -1519,7 +9468,7 @@ document.addEventListener('DOMContentLoaded', () => {
     scene.add(redRectangle);
     
     const mainPlot = new SciAnim.FunctionPlot(
-        (x) => 50 * Math.sin(x / 30), -300, 300, 400,
+        '50 sin(x / 30)', -300, 300, 400,
         { style: { stroke: 'hsl(210, 80%, 50%)', lineWidth: 2.5 } }
     );
     scene.add(mainPlot);
@@ -1529,7 +9478,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Tween 1: Circle moves and changes color
     const circleMoveTween = new SciAnim.Tween(blueCircle, 'position', new SciAnim.Vec2(-200, 120), 2, SciAnim.Easing.easeInOutQuad);
-    const circleColorTween = new SciAnim.Tween(blueCircle.style, 'fill', 'rgba(255, 100, 0, 0.7)', 2, SciAnim.Easing.linear);
+    const circleColorTween = new SciAnim.Tween(blueCircle.style, 'fill', 'rgba(255, 100, 0, 0.7)', 2, SciAnim.Easing.linear)
+        .setColorSpace('oklch'); // Blue to orange through violet and pink rather than a greyish mauve
     
     // Tween 2: Rectangle fades out, then fades in at new position
     const rectFadeOutTween = new SciAnim.Tween(redRectangle, 'alpha', 0, 1, SciAnim.Easing.easeInQuad)
@@ -1541,7 +9491,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Tween 3: Function plot creation and morph
     const plotCreateTween = mainPlot.createAnimation(1.5, SciAnim.Easing.easeOutCubic);
-    const plotMorphTween = mainPlot.morphTo((x) => 70 * Math.cos(x/50), 2, SciAnim.Easing.easeInOutSine);
+    const plotMorphTween = mainPlot.morphTo('70 cos(x/50)', 2, SciAnim.Easing.easeInOutSine);
 
 
     // Add to timeline
@@ -1563,104 +9513,50 @@ document.addEventListener('DOMContentLoaded', () => {
     mainTimeline.play();
 
 
-    // Mouse interaction for panning (simple example)
-    let isPanning = false;
-    let lastMousePos = null;
-    canvas.canvas.addEventListener('mousedown', (e) => {
-        isPanning = true;
-        lastMousePos = canvas.getWorldMousePosition(e);
-        canvas.canvas.style.cursor = 'grabbing';
-    });
-    canvas.canvas.addEventListener('mousemove', (e) => {
-        if (isPanning) {
-            const currentMousePos = canvas.getWorldMousePosition(e);
-            const delta = currentMousePos.sub(lastMousePos);
-            
-            const currentOrigin = canvas.origin;
-            // Panning moves the origin. Note: worldMousePos doesn't change with origin if calculated from CSS.
-            // We want the world point under the mouse to stay the same.
-            // So, newOrigin = oldOrigin - delta_css_pixels
-            // delta (world) = delta_css / scale. So delta_css = delta_world * scale
-            // Since our delta is in world units, we need to adjust origin in CSS units.
-            // This is tricky because getWorldMousePosition depends on origin.
-            // Simpler: treat delta as a direct shift of the world.
-            // To achieve this by moving the origin:
-            // newOrigin.x = oldOrigin.x + delta.x * canvas._scale.x (but canvas._scale.x is usually 1)
-            // newOrigin.y = oldOrigin.y + delta.y * canvas._scale.y (canvas._scale.y is -1 or 1)
-            
-            // Simplest interpretation: shift origin by the mouse movement in screen pixels
-            const rect = canvas.canvas.getBoundingClientRect();
-            const mouseCssX = e.clientX - rect.left;
-            const mouseCssY = e.clientY - rect.top;
-            
-            if(!canvas._lastCssMouse) canvas._lastCssMouse = {x: mouseCssX, y: mouseCssY};
+    // Mouse interaction: wheel to zoom about the cursor, drag the background to pan (through the scene's camera)
+    scene.camera.enableControls();
 
-            const deltaCssX = mouseCssX - canvas._lastCssMouse.x;
-            const deltaCssY = mouseCssY - canvas._lastCssMouse.y;
-            
-            canvas.setCoordinateSystem(
-                new SciAnim.Vec2(currentOrigin.x + deltaCssX, currentOrigin.y + deltaCssY),
-                canvas.scaleY === -1
-            );
-            
-            canvas._lastCssMouse = {x: mouseCssX, y: mouseCssY};
-        }
-    });
-    canvas.canvas.addEventListener('mouseup', () => {
-        isPanning = false;
-        lastMousePos = null;
-        canvas.canvas.style.cursor = 'default';
-        delete canvas._lastCssMouse;
-    });
-    canvas.canvas.addEventListener('mouseleave', () => { // similar to mouseup
-        if (isPanning) {
-            isPanning = false;
-            lastMousePos = null;
-            canvas.canvas.style.cursor = 'default';
-            delete canvas._lastCssMouse;
-        }
+    // Pointer events on objects: drag the rectangle around, click the circle to outline it
+    redRectangle.draggable = true;
+    blueCircle.on('click', () => {
+        blueCircle.style.stroke = blueCircle.style.stroke === 'none' ? '#1a3d6e' : 'none';
+        blueCircle.style.lineWidth = 3;
     });
 
+    // Parameter widgets: the slider writes `k` into the params shared with the wave, which redraws as it moves
+    const waveParams = { k: 1 };
+    scene.add(new SciAnim.FunctionPlot('30 sin(k x / 15)', -120, 120, 300, {
+        params: waveParams, position: new SciAnim.Vec2(-560, -380), style: { stroke: 'seagreen', lineWidth: 2 }
+    }));
+    scene.add(new SciAnim.Slider(waveParams, 'k', { min: 0.5, max: 4, step: 0.1, length: 240, position: new SciAnim.Vec2(-680, -450) }));
+
 
     const anim = new SciAnim.Animation(scene, 60); // Target 60 FPS
     anim.start();
 
     // --- RECORDING EXAMPLE ---
-    // Make sure CCapture.js, gif.js, WebM Writer etc. are included in your HTML page.
-    // e.g., <script src="https.unpkg.com/ccapture.js@1.1.0/build/CCapture.all.min.js"></script>
+    // The built-in backends need no extra scripts. If CCapture.js is included in the page,
+    // it is used instead unless a `backend` ('webm', 'gif', 'frames') is chosen explicitly.
     const recordButton = document.createElement('button');
-    recordButton.textContent = 'Start Recording (5s webm)';
+    recordButton.textContent = 'Record Timeline (webm)';
     recordButton.style.position = 'absolute';
     recordButton.style.top = '10px';
     recordButton.style.left = '10px';
     document.body.appendChild(recordButton);
 
     recordButton.onclick = () => {
-        if (anim.isRecording) {
-            anim.stopRecording();
-            recordButton.textContent = 'Start Recording (5s webm)';
-        } else {
-            // Ensure timeline is reset and plays from start for recording
-            mainTimeline.playFromStart(); 
-            
-            const success = anim.startRecording({
-                format: 'webm', // or 'gif', 'png', 'jpg', 'ffmpegserver'
-                framerate: 30, // Keep animation FPS and recording FPS same for best results
-                // workersPath: 'path/to/gif-workers/', // For GIF
-                name: 'scianim-timeline-demo'
-            });
-            if (success) {
-                recordButton.textContent = 'Stop Recording';
-                // Automatically stop recording after 5 seconds
-                setTimeout(() => {
-                    if (anim.isRecording) {
-                        anim.stopRecording();
-                        recordButton.textContent = 'Start Recording (5s webm)';
-                        mainTimeline.pause(); // Optionally pause timeline after recording
-                    }
-                }, 5000); // 5 seconds
-            }
-        }
+        if (anim.isRecording) return;
+        recordButton.textContent = 'Recording...';
+        recordButton.disabled = true;
+        // Renders the timeline frame by frame from its start to its end, then downloads the file
+        anim.recordTimeline(mainTimeline, {
+            format: 'webm', // or 'gif', 'png', 'jpg'
+            framerate: 30,
+            name: 'scianim-timeline-demo'
+        }).then(() => {
+            recordButton.textContent = 'Record Timeline (webm)';
+            recordButton.disabled = false;
+        });
     };
 
 